@@ -5,6 +5,9 @@ import Login from "./pages/Login";
 import Dashboard from "./pages/Dashboard";
 import Home from "./pages/Home";
 import Meeting from "./pages/Meeting";
+import Player from "./pages/Player";
+import Recordings from "./pages/Recordings";
+import Shows from "./pages/Shows";
 
 function App() {
   // const [socketId, setSocketId] = useState(null);
@@ -37,6 +40,9 @@ function App() {
         <Route path="/signup" element={<Signup />} />
         <Route path="/dashboard" element={<Dashboard />} />
         <Route path="/meeting" element={<Meeting />} />
+        <Route path="/player/:roomId" element={<Player />} />
+        <Route path="/recordings" element={<Recordings />} />
+        <Route path="/shows" element={<Shows />} />
       </Routes>
     </Router>
   );
@@ -0,0 +1,117 @@
+import React, { useRef, useState } from 'react';
+import api from '../api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const formatBytes = (bytes) => {
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+};
+
+// assets: response of GET /api/assets; onChanged: reload them after an upload / delete
+const AssetLibrary = ({ assets, onChanged }) => {
+    const fileInput = useRef(null);
+    const [name, setName] = useState("");
+    const [uploading, setUploading] = useState(false);
+    const [previewId, setPreviewId] = useState(null);
+    const [error, setError] = useState("");
+
+    const handleUpload = async (e) => {
+        e.preventDefault();
+        const file = fileInput.current?.files[0];
+        if (!file) return;
+
+        setUploading(true);
+        setError("");
+
+        // the name field must come before the file part
+        const form = new FormData();
+        if (name.trim()) form.append("name", name.trim());
+        form.append("file", file);
+
+        try {
+            await api.post("/assets", form, { headers: { "Content-Type": "multipart/form-data" } });
+            setName("");
+            fileInput.current.value = "";
+            onChanged();
+        } catch (err) {
+            console.error("❌ Asset upload failed:", err);
+            setError(err.response?.data?.message || "Upload failed");
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const handleDelete = async (asset) => {
+        if (!window.confirm(`Delete "${asset.name}"?`)) return;
+
+        try {
+            await api.delete(`/assets/${asset.assetId}`);
+            if (previewId === asset.assetId) setPreviewId(null);
+            onChanged();
+        } catch (err) {
+            console.error("❌ Asset delete failed:", err);
+            alert(err.response?.data?.message || "Failed to delete asset");
+        }
+    };
+
+    return (
+        <div style={{ padding: 12, border: "1px solid #ddd", borderRadius: 10, marginBottom: 20, fontSize: 14 }}>
+            <h3 style={{ margin: "0 0 4px" }}>Intro, outro &amp; music</h3>
+            <p style={{ margin: "0 0 10px", color: "#555" }}>
+                Upload audio or video once, then pick it as a show's intro, outro or background music.
+            </p>
+
+            <form onSubmit={handleUpload} style={{ display: "flex", flexWrap: "wrap", gap: 10, alignItems: "center" }}>
+                <input placeholder="Name (defaults to the file name)" value={name} onChange={(e) => setName(e.target.value)} maxLength={100} />
+                <input
+                    type="file"
+                    ref={fileInput}
+                    accept=".mp3,.m4a,.aac,.wav,.flac,.ogg,.opus,.mp4,.mov,.webm,.mkv"
+                />
+                <button type="submit" disabled={uploading}>
+                    {uploading ? "Uploading..." : "Upload"}
+                </button>
+            </form>
+
+            {error && <p style={{ color: "red", margin: "8px 0 0" }}>{error}</p>}
+
+            {assets.length === 0 && <p style={{ color: "#777", margin: "10px 0 0" }}>No files uploaded yet.</p>}
+
+            {assets.map((asset) => (
+                <div key={asset.assetId} style={{ padding: "6px 0", borderTop: "1px solid #eee", marginTop: 8 }}>
+                    <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                            {asset.kind === "video" ? "🎬" : "🎵"} {asset.name}
+                            <span style={{ color: "#777", fontSize: 12 }}> · {formatBytes(asset.sizeBytes)}</span>
+                        </div>
+                        <button onClick={() => setPreviewId(previewId === asset.assetId ? null : asset.assetId)}>
+                            {previewId === asset.assetId ? "Close" : "▶"}
+                        </button>
+                        <button onClick={() => handleDelete(asset)} style={{ color: "#f44336" }}>
+                            Delete
+                        </button>
+                    </div>
+
+                    {previewId === asset.assetId && (asset.kind === "video" ? (
+                        <video
+                            src={`${BACKEND_URL}/api/assets/${asset.assetId}/file`}
+                            controls
+                            autoPlay
+                            style={{ width: "100%", maxHeight: 300, marginTop: 6, background: "#000" }}
+                        />
+                    ) : (
+                        <audio
+                            src={`${BACKEND_URL}/api/assets/${asset.assetId}/file`}
+                            controls
+                            autoPlay
+                            style={{ width: "100%", marginTop: 6 }}
+                        />
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default AssetLibrary;
@@ -0,0 +1,65 @@
+import React from 'react';
+
+const formatTime = (seconds) => {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, "0");
+    return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+};
+
+// chapters: [{ start, title }] (seconds, sorted) · duration/currentTime in seconds
+const ChapterBar = ({ chapters, duration, currentTime, onSeek }) => {
+    if (!chapters || chapters.length === 0 || !duration) return null;
+
+    const visible = chapters.filter((c) => c.start < duration);
+    const activeIndex = visible.reduce((active, c, i) => (c.start <= currentTime ? i : active), 0);
+
+    return (
+        <div style={{ width: "100%", maxWidth: 1100, marginTop: 10 }}>
+            <div style={{ display: "flex", gap: 2, height: 10 }}>
+                {visible.map((c, i) => {
+                    const end = visible[i + 1]?.start ?? duration;
+                    const played = Math.min(1, Math.max(0, (currentTime - c.start) / (end - c.start)));
+
+                    return (
+                        <div
+                            key={c.start}
+                            title={`${c.title} (${formatTime(c.start)})`}
+                            onClick={() => onSeek(c.start)}
+                            style={{
+                                flex: `${end - c.start} 0 0`,
+                                background: `linear-gradient(to right, #ff6b6b ${played * 100}%, #333 ${played * 100}%)`,
+                                borderRadius: 2,
+                                cursor: "pointer",
+                                outline: i === activeIndex ? "1px solid #ff6b6b" : "none",
+                            }}
+                        />
+                    );
+                })}
+            </div>
+
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 8 }}>
+                {visible.map((c, i) => (
+                    <button
+                        key={c.start}
+                        onClick={() => onSeek(c.start)}
+                        style={{
+                            background: i === activeIndex ? "#ff6b6b" : "#222",
+                            color: "white",
+                            border: "1px solid #333",
+                            borderRadius: 6,
+                            padding: "4px 10px",
+                            fontSize: 13,
+                            cursor: "pointer",
+                        }}
+                    >
+                        {formatTime(c.start)} · {c.title}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ChapterBar;
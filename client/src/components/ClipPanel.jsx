@@ -0,0 +1,201 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../api';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const POLL_MS = 3000;
+const DEFAULT_CLIP_SECONDS = 30;
+
+const LAYOUTS = [
+    { value: "original", label: "Original" },
+    { value: "vertical", label: "Vertical 9:16 (speaker)" },
+    { value: "square", label: "Square" },
+];
+
+const STATUS_LABELS = {
+    queued: "Queued",
+    running: "Cutting...",
+    failed: "Failed",
+};
+
+const formatTime = (seconds) => {
+    const total = Math.floor(seconds);
+    const m = Math.floor(total / 60);
+    const s = String(total % 60).padStart(2, "0");
+    return `${m}:${s}`;
+};
+
+const round = (seconds) => Math.round(seconds * 10) / 10;
+
+// Cut highlight clips out of the final recording (POST /recordings/:roomId/clips).
+// currentTime / duration of the player, in seconds; onSeek jumps the player to a clip's start.
+const ClipPanel = ({ roomId, currentTime, duration, onSeek }) => {
+    const [clips, setClips] = useState([]);
+    const [start, setStart] = useState(0);
+    const [end, setEnd] = useState(DEFAULT_CLIP_SECONDS);
+    const [layout, setLayout] = useState("original");
+    const [title, setTitle] = useState("");
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState("");
+
+    const fetchClips = useCallback(async () => {
+        try {
+            const res = await api.get(`/recordings/${roomId}/clips`);
+            setClips(res.data.clips);
+        } catch (err) {
+            console.error("❌ Failed to load clips:", err);
+        }
+    }, [roomId]);
+
+    useEffect(() => {
+        fetchClips();
+    }, [fetchClips]);
+
+    // clip jobs report nothing over the socket — poll while one is pending
+    const pending = clips.some((c) => c.status === "queued" || c.status === "running");
+    useEffect(() => {
+        if (!pending) return;
+        const timer = setInterval(fetchClips, POLL_MS);
+        return () => clearInterval(timer);
+    }, [pending, fetchClips]);
+
+    const markStart = () => {
+        const next = round(currentTime);
+        setStart(next);
+        if (end <= next) setEnd(round(Math.min(duration || Infinity, next + DEFAULT_CLIP_SECONDS)));
+    };
+
+    const markEnd = () => setEnd(round(currentTime));
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError("");
+
+        try {
+            await api.post(`/recordings/${roomId}/clips`, { start, end, layout, title });
+            setTitle("");
+            fetchClips();
+        } catch (err) {
+            console.error("❌ Create clip failed:", err);
+            setError(err.response?.data?.message || "Failed to create clip");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (clip) => {
+        if (!window.confirm("Delete this clip?")) return;
+
+        try {
+            await api.delete(`/recordings/${roomId}/clips/${clip.clipId}`);
+            fetchClips();
+        } catch (err) {
+            console.error("❌ Delete clip failed:", err);
+            alert(err.response?.data?.message || "Failed to delete clip");
+        }
+    };
+
+    const fileUrl = (clip) => `${BACKEND_URL}/api/recordings/${roomId}/clips/${clip.clipId}/file`;
+
+    return (
+        <div
+            style={{
+                width: "100%",
+                maxWidth: 1100,
+                marginTop: 16,
+                padding: 12,
+                background: "#111",
+                borderRadius: 12,
+                boxSizing: "border-box",
+                fontSize: 14,
+            }}
+        >
+            <h4 style={{ margin: "0 0 8px" }}>Clips</h4>
+
+            <form onSubmit={handleCreate} style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+                <button type="button" onClick={markStart}>
+                    Start = {formatTime(currentTime)}
+                </button>
+                <input
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    value={start}
+                    onChange={(e) => setStart(Number(e.target.value))}
+                    style={{ width: 70 }}
+                />
+                <button type="button" onClick={markEnd}>
+                    End = {formatTime(currentTime)}
+                </button>
+                <input
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    value={end}
+                    onChange={(e) => setEnd(Number(e.target.value))}
+                    style={{ width: 70 }}
+                />
+                <span style={{ color: "#aaa" }}>{end > start ? `${round(end - start)}s` : "—"}</span>
+
+                <select value={layout} onChange={(e) => setLayout(e.target.value)}>
+                    {LAYOUTS.map((l) => (
+                        <option key={l.value} value={l.value}>
+                            {l.label}
+                        </option>
+                    ))}
+                </select>
+                <input placeholder="Title (optional)" value={title} onChange={(e) => setTitle(e.target.value)} maxLength={200} />
+
+                <button type="submit" disabled={saving || end <= start}>
+                    {saving ? "Queuing..." : "Create clip"}
+                </button>
+            </form>
+
+            {error && <p style={{ color: "#f44336", margin: "8px 0 0" }}>{error}</p>}
+
+            {clips.map((clip) => (
+                <div
+                    key={clip.clipId}
+                    style={{ display: "flex", gap: 10, alignItems: "center", padding: "6px 0", borderTop: "1px solid #222", marginTop: 8 }}
+                >
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                        {clip.title || "Untitled clip"}
+                        <span style={{ color: "#aaa", fontSize: 12 }}>
+                            {" "}· {formatTime(clip.start)}–{formatTime(clip.end)} · {clip.layout}
+                        </span>
+                        {STATUS_LABELS[clip.status] && (
+                            <span
+                                title={clip.error || ""}
+                                style={{ marginLeft: 8, fontSize: 12, color: clip.status === "failed" ? "#f44336" : "#ff9800" }}
+                            >
+                                {STATUS_LABELS[clip.status]}
+                            </span>
+                        )}
+                    </div>
+
+                    <button onClick={() => onSeek(clip.start)} title="Jump to the clip in the recording">
+                        ⏮
+                    </button>
+                    {clip.status === "succeeded" && (
+                        <>
+                            <a href={fileUrl(clip)} target="_blank" rel="noreferrer" style={{ color: "#4fc3f7" }}>
+                                Watch
+                            </a>
+                            <a href={`${fileUrl(clip)}?download=true`} style={{ color: "#4fc3f7" }}>
+                                Download
+                            </a>
+                        </>
+                    )}
+                    {(clip.status === "succeeded" || clip.status === "failed") && (
+                        <button onClick={() => handleDelete(clip)} style={{ color: "#f44336" }}>
+                            Delete
+                        </button>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ClipPanel;
@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import api from '../api';
+
+const CAPTION_MODES = [
+    { value: "off", label: "No captions" },
+    { value: "soft", label: "Subtitle track (can be turned off)" },
+    { value: "burn", label: "Burned into the video" },
+];
+
+const DEFAULT_CAPTIONS = { mode: "off", fontSize: 48, position: "bottom" };
+
+// recording: a GET /recordings entry. The form starts from the meeting's saved caption
+// settings; captions are only sent when changed, and then apply to this merge only.
+const MergeExportForm = ({ recording, onQueued, onCancel }) => {
+    const [saved, setSaved] = useState(null);
+    const [mode, setMode] = useState(DEFAULT_CAPTIONS.mode);
+    const [fontSize, setFontSize] = useState(DEFAULT_CAPTIONS.fontSize);
+    const [position, setPosition] = useState(DEFAULT_CAPTIONS.position);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        const apply = (captions) => {
+            setSaved(captions);
+            setMode(captions.mode);
+            setFontSize(captions.fontSize);
+            setPosition(captions.position);
+        };
+
+        api.get(`/meetings/${recording.roomId}`)
+            .then((res) => {
+                const settings = res.data.recordingSettings || {};
+                apply({
+                    mode: settings.captions || DEFAULT_CAPTIONS.mode,
+                    fontSize: settings.captionFontSize || DEFAULT_CAPTIONS.fontSize,
+                    position: settings.captionPosition || DEFAULT_CAPTIONS.position,
+                });
+            })
+            .catch((err) => {
+                // left untouched, the merge still uses whatever is saved
+                console.error("❌ Failed to load caption settings:", err);
+                apply(DEFAULT_CAPTIONS);
+            });
+    }, [recording.roomId]);
+
+    const changed =
+        saved &&
+        (mode !== saved.mode ||
+            (mode === "burn" && (fontSize !== saved.fontSize || position !== saved.position)));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError("");
+
+        const captions = mode === "burn" ? { mode, fontSize, position } : { mode };
+
+        try {
+            const res = await api.post(`/recordings/merge/${recording.roomId}`, changed ? { captions } : {});
+            onQueued(res.data);
+        } catch (err) {
+            console.error("❌ Merge request failed:", err);
+            setError(err.response?.data?.message || "Failed to start the merge");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form
+            onSubmit={handleSubmit}
+            style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
+                padding: 10,
+                background: "#f7f7f7",
+                borderRadius: 8,
+                fontSize: 14,
+            }}
+        >
+            <label>
+                Captions{" "}
+                <select value={mode} onChange={(e) => setMode(e.target.value)}>
+                    {CAPTION_MODES.map((m) => (
+                        <option key={m.value} value={m.value}>
+                            {m.label}
+                        </option>
+                    ))}
+                </select>
+            </label>
+
+            {mode === "burn" && (
+                <div style={{ display: "flex", gap: 16, alignItems: "center" }}>
+                    <label>
+                        Size{" "}
+                        <input
+                            type="number"
+                            min={12}
+                            max={160}
+                            value={fontSize}
+                            onChange={(e) => setFontSize(Number(e.target.value))}
+                            style={{ width: 60 }}
+                        />{" "}
+                        px
+                    </label>
+                    <label>
+                        Position{" "}
+                        <select value={position} onChange={(e) => setPosition(e.target.value)}>
+                            <option value="bottom">Bottom</option>
+                            <option value="top">Top</option>
+                        </select>
+                    </label>
+                </div>
+            )}
+
+            {mode !== "off" && (
+                <div style={{ color: "#777" }}>Captions are made from the transcript, so the merge also transcribes the meeting.</div>
+            )}
+
+            {error && <div style={{ color: "red" }}>{error}</div>}
+
+            <div style={{ display: "flex", gap: 8 }}>
+                <button type="submit" disabled={saving || !saved}>
+                    {saving ? "Queuing..." : "Merge"}
+                </button>
+                <button type="button" onClick={onCancel}>
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default MergeExportForm;
@@ -0,0 +1,81 @@
+import React from 'react';
+
+const STAGE_LABELS = {
+    normalize: "Preparing chunks",
+    concat: "Joining clips",
+    mastering: "Mastering audio",
+    merge: "Building final video",
+    trim: "Removing dead air",
+    bumpers: "Adding intro / outro",
+    hls: "Preparing streaming",
+    thumbnails: "Generating previews",
+    audio: "Exporting podcast audio",
+    multitrack: "Packaging multitrack",
+    transcribe: "Transcribing",
+};
+
+const MergeProgress = ({ stages, participants }) => {
+    if (!stages || stages.length === 0) return null;
+
+    const getUserName = (id) => {
+        const p = participants.find(x => x.userId === id);
+        return p ? p.username : `User ${id.slice(-4)}`;
+    };
+
+    return (
+        <div
+            style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: "10px",
+                padding: "15px 20px",
+                background: "rgba(20,20,20,0.8)",
+                borderRadius: "12px",
+                border: "1px solid #222",
+                margin: "0 auto",
+                width: "100%",
+                maxWidth: "520px",
+                boxSizing: "border-box",
+            }}
+        >
+            {stages.map((s) => (
+                <div key={`${s.stage}:${s.userId || ""}`}>
+                    <div
+                        style={{
+                            display: "flex",
+                            justifyContent: "space-between",
+                            fontSize: "13px",
+                            color: "#ccc",
+                            marginBottom: "4px",
+                        }}
+                    >
+                        <span>
+                            {STAGE_LABELS[s.stage] || s.stage}
+                            {s.userId ? ` · ${getUserName(s.userId)}` : ""}
+                        </span>
+                        <span>{s.percent}%</span>
+                    </div>
+                    <div
+                        style={{
+                            height: "8px",
+                            background: "#222",
+                            borderRadius: "4px",
+                            overflow: "hidden",
+                        }}
+                    >
+                        <div
+                            style={{
+                                width: `${s.percent}%`,
+                                height: "100%",
+                                background: s.percent >= 100 ? "#00cc66" : "orange",
+                                transition: "width 0.4s",
+                            }}
+                        />
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default MergeProgress;
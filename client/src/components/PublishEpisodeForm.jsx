@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+
+// recording: a GET /recordings entry (roomId, title, audioFormats)
+const PublishEpisodeForm = ({ recording, onPublished, onCancel }) => {
+    const [shows, setShows] = useState(null);
+    const [showId, setShowId] = useState("");
+    const [title, setTitle] = useState(recording.title || "");
+    const [description, setDescription] = useState("");
+    const [audioFormat, setAudioFormat] = useState(recording.audioFormats[0] || "");
+    const [explicit, setExplicit] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState("");
+
+    useEffect(() => {
+        api.get("/shows")
+            .then((res) => {
+                setShows(res.data.shows);
+                if (res.data.shows.length > 0) setShowId(res.data.shows[0].showId);
+            })
+            .catch((err) => setError(err.response?.data?.message || "Failed to load your shows"));
+    }, []);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError("");
+
+        try {
+            const res = await api.post(`/shows/${showId}/episodes`, {
+                roomId: recording.roomId,
+                title,
+                description,
+                audioFormat,
+                explicit,
+            });
+            onPublished(res.data.episode);
+        } catch (err) {
+            console.error("❌ Publish failed:", err);
+            setError(err.response?.data?.message || "Failed to publish");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (shows && shows.length === 0) {
+        return (
+            <div style={{ fontSize: 14, padding: 10, background: "#f7f7f7", borderRadius: 8 }}>
+                Create a show on the <Link to="/shows">Shows</Link> page first.{" "}
+                <button onClick={onCancel}>Close</button>
+            </div>
+        );
+    }
+
+    return (
+        <form
+            onSubmit={handleSubmit}
+            style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: 8,
+                padding: 10,
+                background: "#f7f7f7",
+                borderRadius: 8,
+                fontSize: 14,
+            }}
+        >
+            <label>
+                Show{" "}
+                <select value={showId} onChange={(e) => setShowId(e.target.value)} disabled={!shows}>
+                    {(shows || []).map((s) => (
+                        <option key={s.showId} value={s.showId}>
+                            {s.title}
+                        </option>
+                    ))}
+                </select>
+            </label>
+            <input
+                placeholder="Episode title"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                required
+                maxLength={200}
+            />
+            <textarea
+                placeholder="Description (show notes)"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                rows={3}
+                maxLength={4000}
+            />
+            <div style={{ display: "flex", gap: 16, alignItems: "center" }}>
+                <label>
+                    Audio{" "}
+                    <select value={audioFormat} onChange={(e) => setAudioFormat(e.target.value)}>
+                        {recording.audioFormats.map((format) => (
+                            <option key={format} value={format}>
+                                {format}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    <input type="checkbox" checked={explicit} onChange={(e) => setExplicit(e.target.checked)} /> Explicit
+                </label>
+            </div>
+
+            {error && <div style={{ color: "red" }}>{error}</div>}
+
+            <div style={{ display: "flex", gap: 8 }}>
+                <button type="submit" disabled={saving || !showId || !audioFormat}>
+                    {saving ? "Publishing..." : "Publish episode"}
+                </button>
+                <button type="button" onClick={onCancel}>
+                    Cancel
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default PublishEpisodeForm;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import api from '../api';
+
+const ASSET_FIELDS = [
+    { key: "introAssetId", label: "Intro" },
+    { key: "outroAssetId", label: "Outro" },
+    { key: "musicAssetId", label: "Background music" },
+];
+
+// show: a GET /shows entry (showId, bumpers); assets: GET /assets
+const ShowBumpersForm = ({ show, assets, onSaved }) => {
+    const [bumpers, setBumpers] = useState(show.bumpers);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState("");
+
+    const update = (key, value) => setBumpers({ ...bumpers, [key]: value });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError("");
+
+        try {
+            await api.patch(`/shows/${show.showId}`, { bumpers });
+            onSaved();
+        } catch (err) {
+            console.error("❌ Saving bumpers failed:", err);
+            setError(err.response?.data?.message || "Failed to save");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} style={{ display: "flex", flexWrap: "wrap", gap: 10, alignItems: "center", fontSize: 14 }}>
+            {ASSET_FIELDS.map(({ key, label }) => (
+                <label key={key}>
+                    {label}{" "}
+                    <select value={bumpers[key] || ""} onChange={(e) => update(key, e.target.value || null)}>
+                        <option value="">None</option>
+                        {assets
+                            .filter((a) => key === "musicAssetId" ? a.kind === "audio" : true)
+                            .map((a) => (
+                                <option key={a.assetId} value={a.assetId}>
+                                    {a.name}
+                                </option>
+                            ))}
+                    </select>
+                </label>
+            ))}
+
+            <label title="Loudness of the music bed under the conversation">
+                Music volume{" "}
+                <input
+                    type="number"
+                    min={-40}
+                    max={0}
+                    value={bumpers.musicVolumeDb ?? -20}
+                    onChange={(e) => update("musicVolumeDb", Number(e.target.value))}
+                    style={{ width: 60 }}
+                />{" "}
+                dB
+            </label>
+            <label>
+                <input type="checkbox" checked={bumpers.duckMusic ?? true} onChange={(e) => update("duckMusic", e.target.checked)} />{" "}
+                Lower music while people talk
+            </label>
+            <label>
+                Crossfade{" "}
+                <input
+                    type="number"
+                    min={0}
+                    max={10}
+                    step={0.5}
+                    value={bumpers.crossfadeSeconds ?? 2}
+                    onChange={(e) => update("crossfadeSeconds", Number(e.target.value))}
+                    style={{ width: 60 }}
+                />{" "}
+                s
+            </label>
+
+            <button type="submit" disabled={saving}>
+                {saving ? "Saving..." : "Save"}
+            </button>
+            {error && <span style={{ color: "red" }}>{error}</span>}
+        </form>
+    );
+};
+
+export default ShowBumpersForm;
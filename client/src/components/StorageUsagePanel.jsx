@@ -0,0 +1,111 @@
+import React from 'react';
+
+const formatBytes = (bytes) => {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+};
+
+const BREAKDOWN = [
+    { key: "outputBytes", label: "Final recordings", color: "#4caf50" },
+    { key: "chunkBytes", label: "Raw chunks", color: "#2196f3" },
+    { key: "intermediateBytes", label: "Processing leftovers", color: "#ff9800" },
+    { key: "assetBytes", label: "Intro / outro / music", color: "#9c27b0" },
+];
+
+// usage: response of GET /api/users/me/usage
+const StorageUsagePanel = ({ usage }) => {
+    if (!usage) return null;
+
+    const { usedBytes, quotaBytes, percentUsed, breakdown, meetings } = usage;
+    const limited = quotaBytes > 0;
+    const barColor = percentUsed >= 90 ? "#f44336" : percentUsed >= 75 ? "#ff9800" : "#4caf50";
+
+    return (
+        <div
+            style={{
+                margin: "30px auto 0",
+                width: "100%",
+                maxWidth: "520px",
+                padding: "15px 20px",
+                border: "1px solid #ddd",
+                borderRadius: "12px",
+                textAlign: "left",
+                boxSizing: "border-box",
+            }}
+        >
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+                <h3 style={{ margin: 0 }}>Recording storage</h3>
+                <span style={{ fontSize: "14px", color: "#555" }}>
+                    {formatBytes(usedBytes)} {limited ? `of ${formatBytes(quotaBytes)}` : "used (no limit)"}
+                </span>
+            </div>
+
+            {limited && (
+                <div
+                    style={{
+                        height: "10px",
+                        background: "#eee",
+                        borderRadius: "5px",
+                        overflow: "hidden",
+                        marginTop: "10px",
+                    }}
+                >
+                    <div
+                        style={{
+                            width: `${percentUsed}%`,
+                            height: "100%",
+                            background: barColor,
+                            transition: "width 0.3s ease",
+                        }}
+                    />
+                </div>
+            )}
+
+            {limited && percentUsed >= 100 && (
+                <p style={{ color: "#f44336", fontSize: "13px", margin: "8px 0 0" }}>
+                    Storage is full — new recordings and merges will be refused until you delete some.
+                </p>
+            )}
+
+            <ul style={{ listStyle: "none", padding: 0, margin: "12px 0 0", fontSize: "13px" }}>
+                {BREAKDOWN.map(({ key, label, color }) => (
+                    <li key={key} style={{ display: "flex", justifyContent: "space-between", marginBottom: "4px" }}>
+                        <span>
+                            <span
+                                style={{
+                                    display: "inline-block",
+                                    width: "10px",
+                                    height: "10px",
+                                    borderRadius: "2px",
+                                    background: color,
+                                    marginRight: "6px",
+                                }}
+                            />
+                            {label}
+                        </span>
+                        <span>{formatBytes(breakdown[key])}</span>
+                    </li>
+                ))}
+            </ul>
+
+            {meetings.length > 0 && (
+                <details style={{ marginTop: "10px", fontSize: "13px" }}>
+                    <summary style={{ cursor: "pointer" }}>
+                        {meetings.length} meeting{meetings.length === 1 ? "" : "s"}
+                    </summary>
+                    <ul style={{ listStyle: "none", padding: 0, margin: "8px 0 0" }}>
+                        {meetings.map((m) => (
+                            <li key={m.roomId} style={{ display: "flex", justifyContent: "space-between", marginBottom: "4px" }}>
+                                <span>{m.title || m.roomId}</span>
+                                <span>{formatBytes(m.totalBytes)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+        </div>
+    );
+};
+
+export default StorageUsagePanel;
@@ -0,0 +1,73 @@
+import React, { useEffect, useRef } from 'react';
+
+const formatTime = (seconds) => {
+    const total = Math.floor(seconds);
+    const m = Math.floor(total / 60);
+    return `${m}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// lines: [{ start, end, userId, username, text }] (seconds, sorted by start)
+const TranscriptPanel = ({ lines, currentTime, onSeek }) => {
+    const listRef = useRef(null);
+    const activeRef = useRef(null);
+
+    let activeIndex = -1;
+    for (let i = 0; i < (lines || []).length; i++) {
+        if (lines[i].start > currentTime) break;
+        activeIndex = i;
+    }
+
+    // keep the spoken line in view without scrolling the whole page
+    useEffect(() => {
+        const list = listRef.current;
+        const active = activeRef.current;
+        if (!list || !active) return;
+
+        const top = active.offsetTop;
+        if (top < list.scrollTop || top + active.offsetHeight > list.scrollTop + list.clientHeight) {
+            list.scrollTop = top - list.clientHeight / 3;
+        }
+    }, [activeIndex]);
+
+    if (!lines || lines.length === 0) return null;
+
+    return (
+        <div
+            style={{
+                flex: "1 1 300px",
+                maxWidth: 420,
+                background: "rgba(20,20,20,0.8)",
+                border: "1px solid #222",
+                borderRadius: 12,
+                display: "flex",
+                flexDirection: "column",
+                minHeight: 0,
+            }}
+        >
+            <h4 style={{ margin: 0, padding: "12px 15px", borderBottom: "1px solid #222" }}>Transcript</h4>
+            <div ref={listRef} style={{ position: "relative", overflowY: "auto", maxHeight: 560, padding: "6px 0" }}>
+                {lines.map((line, i) => (
+                    <div
+                        key={`${line.start}:${i}`}
+                        ref={i === activeIndex ? activeRef : null}
+                        onClick={() => onSeek(line.start)}
+                        style={{
+                            padding: "6px 15px",
+                            cursor: "pointer",
+                            background: i === activeIndex ? "rgba(255,107,107,0.15)" : "transparent",
+                            borderLeft: i === activeIndex ? "3px solid #ff6b6b" : "3px solid transparent",
+                        }}
+                    >
+                        <div style={{ fontSize: 12, color: "#888" }}>
+                            {formatTime(line.start)}
+                            {line.username ? ` · ${line.username}` : ""}
+                        </div>
+                        <div style={{ fontSize: 14, color: i === activeIndex ? "white" : "#ccc" }}>{line.text}</div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default TranscriptPanel;
@@ -1,10 +1,27 @@
 // client/src/hooks/useRecording.js
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import api from "../api";
+import { enqueueChunk, listChunks, removeChunk, updateChunk } from "../uploadQueue";
 
 const MIN_CHUNK_SIZE = 5000; // at least 5KB
 const CHUNK_DURATION_MS = 10000; // 10 sec chunks
 const MIME = "video/webm;codecs=vp9,opus"; // best for merging
+const MAX_UPLOAD_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 1000; // 1s, 2s, 4s ... capped
+const MAX_RETRY_DELAY_MS = 60000;
+// 408 timeout, 422 checksum mismatch (corrupted in transit), 429 rate limit → worth another try
+const RETRYABLE_STATUSES = [408, 422, 429];
+// 507: the host's storage quota is used up — retrying won't help until space is freed
+const QUOTA_EXCEEDED_STATUS = 507;
+// 401: the login expired — stop for now, the next visit (logged in again) retries
+const UNAUTHORIZED_STATUS = 401;
+
+// hex SHA-256 of a blob, or undefined where WebCrypto is unavailable (non-HTTPS origins)
+async function sha256Hex(blob) {
+    if (!window.crypto?.subtle) return undefined;
+    const digest = await window.crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
 
 export default function useRecording(localStream, roomId, userId) {
     const [isRecording, setIsRecording] = useState(false);
@@ -15,21 +32,17 @@ export default function useRecording(localStream, roomId, userId) {
     const chunksRef = useRef([]);
     const chunkIndexRef = useRef(0);
     const loopActiveRef = useRef(false);
-
-    function arrayBufferToBase64(buffer) {
-        const bytes = new Uint8Array(buffer);
-        let binary = "";
-        const chunk = 0x8000;
-        for (let i = 0; i < bytes.length; i += chunk) {
-            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
-        }
-        return btoa(binary);
-    }
+    const clockOffsetRef = useRef(0); // server clock - local clock (ms)
+    const drainingRef = useRef(false);
+    const drainAgainRef = useRef(false); // drain requested while one was running
+    const retryTimerRef = useRef(null);
 
     /* --------------------------
        START RECORDING
+       serverStartTime: ISO time from "recording-started",
+       used to put chunk timestamps on the server clock
     --------------------------- */
-    const startRecording = () => {
+    const startRecording = (serverStartTime) => {
         if (!localStream) {
             setRecordingError("No local stream available");
             return;
@@ -45,6 +58,9 @@ export default function useRecording(localStream, roomId, userId) {
         chunkIndexRef.current = 0;
         chunksRef.current = [];
 
+        const serverMs = Date.parse(serverStartTime);
+        clockOffsetRef.current = Number.isNaN(serverMs) ? 0 : serverMs - Date.now();
+
         startRecorderLoop();
     };
 
@@ -89,11 +105,15 @@ export default function useRecording(localStream, roomId, userId) {
             }
         };
 
+        let startedAt = null;
+
         recorder.onstop = async () => {
             const blob = new Blob(chunksRef.current, { type: MIME });
+            const durationMs = Date.now() + clockOffsetRef.current - startedAt;
 
+            // queued, not uploaded — the next chunk starts without waiting for the network
             if (blob.size > MIN_CHUNK_SIZE) {
-                await uploadChunk(blob);
+                await uploadChunk(blob, startedAt, durationMs);
             }
 
             if (loopActiveRef.current) {
@@ -105,49 +125,201 @@ export default function useRecording(localStream, roomId, userId) {
         };
 
         recorder.start();
+        startedAt = Date.now() + clockOffsetRef.current;
         console.log("⏳ Chunk recording started…");
 
-        // Stop after 10 seconds → triggers upload → then next chunk begins
+        // Stop after 10 seconds → chunk is queued → then next chunk begins
         setTimeout(() => {
             if (recorder.state !== "inactive") recorder.stop();
         }, CHUNK_DURATION_MS);
     };
 
     /* --------------------------
-       UPLOAD CHUNK
+       UPLOAD QUEUE
+       chunks are persisted in IndexedDB first (uploadQueue.js),
+       then uploaded one by one with exponential backoff
     --------------------------- */
-    const uploadChunk = async (blob) => {
+    const refreshQueueStats = useCallback(async () => {
+        if (!roomId || !userId) return;
+
+        const records = await listChunks(roomId, userId);
+        setStats((prev) => ({
+            ...prev,
+            pendingChunks: records.filter((r) => !r.failed).length,
+            failedChunks: records.filter((r) => r.failed && !r.rejected).length,
+            rejectedChunks: records.filter((r) => r.rejected).length,
+        }));
+    }, [roomId, userId]);
+
+    const drainQueue = useCallback(async () => {
+        if (!roomId || !userId) return;
+        if (drainingRef.current) {
+            drainAgainRef.current = true;
+            return;
+        }
+        drainingRef.current = true;
+        drainAgainRef.current = false;
+        clearTimeout(retryTimerRef.current);
+
+        try {
+            for (;;) {
+                const records = await listChunks(roomId, userId);
+                const now = Date.now();
+                const next = records.find((r) => !r.failed && r.nextAttemptAt <= now);
+
+                if (!next) {
+                    // wake up for the earliest scheduled retry
+                    const waiting = records.filter((r) => !r.failed).map((r) => r.nextAttemptAt);
+                    if (waiting.length > 0) {
+                        retryTimerRef.current = setTimeout(drainQueue, Math.max(0, Math.min(...waiting) - now));
+                    }
+                    break;
+                }
+
+                try {
+                    console.log(`📤 Uploading chunk ${next.chunkId} (${next.blob.size} bytes)`);
+
+                    await api.post("/recordings/upload-chunk/stream", next.blob, {
+                        params: {
+                            roomId: next.roomId,
+                            userId: next.userId,
+                            chunkId: next.chunkId,
+                            startedAt: next.startedAt,
+                            durationMs: next.durationMs,
+                            sha256: next.sha256,
+                        },
+                        headers: { "Content-Type": "application/octet-stream" },
+                        withCredentials: true,
+                    });
+
+                    await removeChunk(next.key);
+                    console.log(`✅ Chunk ${next.chunkId} uploaded`);
+
+                    setStats((prev) => ({
+                        ...prev,
+                        totalChunks: (prev?.totalChunks || 0) + 1,
+                        lastChunkSize: next.blob.size,
+                    }));
+                } catch (err) {
+                    const attempts = next.attempts + 1;
+                    const status = err.response?.status;
+                    // other 4xx responses (403: uploads closed, 409: a different chunk already has this id)
+                    // will never succeed — kept until the user saves or discards the chunk
+                    const rejected =
+                        status >= 400 &&
+                        status < 500 &&
+                        status !== UNAUTHORIZED_STATUS &&
+                        !RETRYABLE_STATUSES.includes(status);
+                    // given up until the next visit
+                    const failed =
+                        rejected ||
+                        status === UNAUTHORIZED_STATUS ||
+                        status === QUOTA_EXCEEDED_STATUS ||
+                        attempts >= MAX_UPLOAD_ATTEMPTS;
+                    const backoff = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** (attempts - 1));
+
+                    console.error(`❌ Chunk ${next.chunkId} upload error (attempt ${attempts}):`, err);
+                    if (status === QUOTA_EXCEEDED_STATUS) {
+                        setRecordingError(err.response.data?.message || "Storage quota exceeded");
+                    }
+
+                    await updateChunk({
+                        ...next,
+                        attempts,
+                        failed,
+                        rejected,
+                        nextAttemptAt: Date.now() + backoff * (0.8 + Math.random() * 0.4),
+                        lastError: err.response?.data?.message || err.message,
+                    });
+                }
+
+                await refreshQueueStats();
+            }
+        } finally {
+            drainingRef.current = false;
+            await refreshQueueStats();
+            if (drainAgainRef.current) drainQueue();
+        }
+    }, [roomId, userId, refreshQueueStats]);
+
+    const uploadChunk = async (blob, startedAt, durationMs) => {
+        const chunkIndex = chunkIndexRef.current++;
+        const chunkId = `${startedAt}-${chunkIndex}`;
+
         try {
-            const arrayBuffer = await blob.arrayBuffer();
-            const base64Data = arrayBufferToBase64(arrayBuffer);
-
-            const chunkIndex = chunkIndexRef.current++;
-            const chunkId = `${Date.now()}-${chunkIndex}`;
-
-            console.log(`📤 Uploading chunk ${chunkId} (${blob.size} bytes)`);
-
-            await api.post(
-                "/recordings/upload-chunk",
-                {
-                    roomId,
-                    userId,
-                    chunkId,
-                    chunkData: base64Data,
-                },
-                { withCredentials: true }
-            );
-
-            console.log(`✅ Chunk ${chunkId} uploaded`);
-
-            setStats((prev) => ({
-                totalChunks: chunkIndex + 1,
-                lastChunkSize: blob.size,
-            }));
+            const sha256 = await sha256Hex(blob);
+            await enqueueChunk({ roomId, userId, chunkId, startedAt, durationMs, sha256, blob });
         } catch (err) {
-            console.error("❌ Chunk upload error:", err);
+            console.error(`❌ Could not queue chunk ${chunkId}:`, err);
+            return;
         }
+
+        await refreshQueueStats();
+        drainQueue();
     };
 
+    /* --------------------------
+       RESUME
+       chunks left over from an earlier visit (reload, closed tab)
+       get a fresh set of attempts
+    --------------------------- */
+    useEffect(() => {
+        if (!roomId || !userId) return;
+
+        const resume = async () => {
+            const records = (await listChunks(roomId, userId)).filter((r) => !r.rejected);
+            for (const record of records) {
+                if (record.failed || record.attempts > 0) {
+                    await updateChunk({ ...record, failed: false, attempts: 0, nextAttemptAt: 0 });
+                }
+            }
+            if (records.length > 0) console.log(`♻️ Resuming ${records.length} queued chunk(s)`);
+            drainQueue();
+        };
+
+        resume();
+
+        // back online → retry right away instead of waiting out the backoff
+        const handleOnline = async () => {
+            const records = await listChunks(roomId, userId);
+            for (const record of records) {
+                if (!record.failed) await updateChunk({ ...record, nextAttemptAt: 0 });
+            }
+            drainQueue();
+        };
+
+        window.addEventListener("online", handleOnline);
+        return () => {
+            window.removeEventListener("online", handleOnline);
+            clearTimeout(retryTimerRef.current);
+        };
+    }, [roomId, userId, drainQueue]);
+
+    /* --------------------------
+       REJECTED CHUNKS
+       the server will never take them: download them
+       as .webm files, or drop them from the queue
+    --------------------------- */
+    const saveRejectedChunks = useCallback(async () => {
+        const records = (await listChunks(roomId, userId)).filter((r) => r.rejected);
+
+        for (const record of records) {
+            const url = URL.createObjectURL(record.blob);
+            const a = document.createElement("a");
+            a.href = url;
+            a.download = `meeting-${roomId}-${record.chunkId}.webm`;
+            a.click();
+            // revoking right away can cancel the download in some browsers
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
+    }, [roomId, userId]);
+
+    const discardRejectedChunks = useCallback(async () => {
+        const records = (await listChunks(roomId, userId)).filter((r) => r.rejected);
+        for (const record of records) await removeChunk(record.key);
+        await refreshQueueStats();
+    }, [roomId, userId, refreshQueueStats]);
+
     /* --------------------------
        CLEANUP
     --------------------------- */
@@ -171,5 +343,7 @@ export default function useRecording(localStream, roomId, userId) {
         stopRecording,
         recordingError,
         stats,
+        saveRejectedChunks,
+        discardRejectedChunks,
     };
 }
@@ -1,11 +1,13 @@
 import React, { useEffect, useState } from "react";
 import api from "../api";
 import { useNavigate } from "react-router-dom";
+import StorageUsagePanel from "../components/StorageUsagePanel";
 
 export default function Dashboard() {
   const [user, setUser] = useState(null);
   const [msg, setMsg] = useState("Loading...");
   const [loading, setLoading] = useState(true);
+  const [usage, setUsage] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -35,6 +37,14 @@ export default function Dashboard() {
     fetchUser();
   }, [navigate]);
 
+  useEffect(() => {
+    if (!user) return;
+
+    api.get("/users/me/usage")
+      .then((res) => setUsage(res.data))
+      .catch((err) => console.error('❌ Failed to fetch storage usage:', err));
+  }, [user]);
+
   const handleLogout = async () => {
     try {
       await api.post("/auth/logout");
@@ -76,10 +86,17 @@ export default function Dashboard() {
         <button onClick={() => navigate("/meeting")} style={{ marginRight: 10 }}>
           Go to Meetings
         </button>
+        <button onClick={() => navigate("/recordings")} style={{ marginRight: 10 }}>
+          My Recordings
+        </button>
+        <button onClick={() => navigate("/shows")} style={{ marginRight: 10 }}>
+          My Shows
+        </button>
         <button onClick={handleLogout}>
           Logout
         </button>
       </div>
+      <StorageUsagePanel usage={usage} />
     </div>
   );
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
 import api from "../api";
 import { socket } from "../socket";
 import useWebRTC from "../hooks/useWebRTC";
@@ -6,6 +7,7 @@ import useRecording from "../hooks/useRecording";
 import VideoGrid from "../components/VideoGrid";
 import MediaControls from "../components/MediaControls";
 import ChatBox from "../components/ChatBox";
+import MergeProgress from "../components/MergeProgress";
 
 export default function Meeting() {
     const [meetingId, setMeetingId] = useState("");
@@ -18,7 +20,15 @@ export default function Meeting() {
     const [socketConnected, setSocketConnected] = useState(false);
 
     const [mergeStatus, setMergeStatus] = useState(null);
+    const [mergeStages, setMergeStages] = useState([]);
     const [downloadUrl, setDownloadUrl] = useState(null);
+    const [audioUrl, setAudioUrl] = useState(null);
+    const [editedUrl, setEditedUrl] = useState(null);
+    const [playerPath, setPlayerPath] = useState(null);
+    const [layout, setLayout] = useState("grid");
+    const [shows, setShows] = useState([]);
+    const [showId, setShowId] = useState(""); // "" = not recorded for a show
+    const [settingsError, setSettingsError] = useState("");
 
     const [recordingSeconds, setRecordingSeconds] = useState(0);
     const [showTimer, setShowTimer] = useState(false);
@@ -55,8 +65,37 @@ export default function Meeting() {
         toggleAudio,
     } = useWebRTC(joined ? meetingId : null, user?._id, participants);
 
-    const { isRecording, startRecording, stopRecording } =
-        useRecording(localStream, meetingId, user?._id);
+    const {
+        isRecording,
+        startRecording,
+        stopRecording,
+        recordingError,
+        stats: recordingStats,
+        saveRejectedChunks,
+        discardRejectedChunks,
+    } = useRecording(localStream, meetingId, user?._id);
+
+    const pendingChunks = recordingStats?.pendingChunks || 0;
+    const failedChunks = recordingStats?.failedChunks || 0;
+    const rejectedChunks = recordingStats?.rejectedChunks || 0;
+
+    const handleDiscardRejected = () => {
+        if (!window.confirm(`Delete ${rejectedChunks} unsent chunk(s) from this browser?`)) return;
+        discardRejectedChunks();
+    };
+
+    // queued chunks survive a reload, but not a tab that is never reopened
+    useEffect(() => {
+        if (pendingChunks === 0) return;
+
+        const handleBeforeUnload = (e) => {
+            e.preventDefault();
+            e.returnValue = "";
+        };
+
+        window.addEventListener("beforeunload", handleBeforeUnload);
+        return () => window.removeEventListener("beforeunload", handleBeforeUnload);
+    }, [pendingChunks]);
 
     useEffect(() => {
         let timer = null;
@@ -84,6 +123,7 @@ export default function Meeting() {
         socket.off("recording-started");
         socket.off("recording-stopped");
         socket.off("merge-started");
+        socket.off("merge-progress");
         socket.off("merge-success");
         socket.off("merge-failed");
 
@@ -101,10 +141,18 @@ export default function Meeting() {
         });
 
         socket.on("participants-updated", (list) => setParticipants(list || []));
-        socket.on("recording-started", () => startRecording());
+        socket.on("recording-started", (data) => startRecording(data?.startTime));
         socket.on("recording-stopped", () => stopRecording());
 
-        socket.on("merge-started", () => setMergeStatus("started"));
+        socket.on("merge-started", () => {
+            setMergeStatus("started");
+            setMergeStages([]);
+        });
+
+        socket.on("merge-progress", (data) => {
+            setMergeStatus("started");
+            setMergeStages(data.stages || []);
+        });
 
         socket.on("merge-success", (data) => {
             setMergeStatus("success");
@@ -114,6 +162,9 @@ export default function Meeting() {
 
             const url = `${backend}/api/recordings/download/${meetingId}`;
             setDownloadUrl(url);
+            setAudioUrl(`${backend}/api/recordings/audio/${meetingId}?format=mp3`);
+            setEditedUrl(data.hasEdited ? `${url}?variant=edited` : null);
+            setPlayerPath(data.hasHls ? `/player/${meetingId}` : null);
             setMsg("Final recording ready!");
         });
 
@@ -187,6 +238,21 @@ export default function Meeting() {
         });
     };
 
+    const handleLayoutChange = async (e) => {
+        const previous = layout;
+        const next = e.target.value;
+        setLayout(next);
+        setSettingsError("");
+
+        try {
+            await api.patch(`/meetings/${meetingId}/recording-settings`, { layout: next });
+        } catch (err) {
+            console.error("❌ Failed to save layout:", err);
+            setLayout(previous);
+            setSettingsError(err.response?.data?.message || "Failed to save the layout");
+        }
+    };
+
     const handleStopRecording = () => {
         socket.emit("stop-recording", {
             roomId: meetingId,
@@ -196,6 +262,43 @@ export default function Meeting() {
 
     const isHost = user && hostId && user._id === hostId;
 
+    // the layout and show saved for this meeting (by this or an earlier session)
+    useEffect(() => {
+        if (!isHost || !meetingId) return;
+
+        api.get(`/meetings/${meetingId}`)
+            .then((res) => {
+                const settings = res.data.recordingSettings || {};
+                setLayout(settings.layout || "grid");
+                setShowId(settings.showId || "");
+            })
+            .catch((err) => console.error("❌ Failed to load recording settings:", err));
+    }, [isHost, meetingId]);
+
+    // a show's intro, outro and music bed are added to meetings recorded for it
+    useEffect(() => {
+        if (!isHost) return;
+
+        api.get("/shows")
+            .then((res) => setShows(res.data.shows))
+            .catch(() => setShows([]));
+    }, [isHost]);
+
+    const handleShowChange = async (e) => {
+        const previous = showId;
+        const next = e.target.value;
+        setShowId(next);
+        setSettingsError("");
+
+        try {
+            await api.patch(`/meetings/${meetingId}/recording-settings`, { showId: next || null });
+        } catch (err) {
+            console.error("❌ Failed to save show:", err);
+            setShowId(previous);
+            setSettingsError(err.response?.data?.message || "Failed to save the show");
+        }
+    };
+
     // ===========================================================
     // 🔥 STYLED LAYOUT (BLACK THEME) — header is sticky, left content scrolls
     // ===========================================================
@@ -370,8 +473,74 @@ export default function Meeting() {
                                 </h3>
                             )}
 
+                            {pendingChunks > 0 && (
+                                <p style={{ color: "orange", textAlign: "center", margin: 0 }}>
+                                    {pendingChunks} chunk{pendingChunks === 1 ? "" : "s"} still uploading — don't close this tab
+                                </p>
+                            )}
+
+                            {failedChunks > 0 && (
+                                <p style={{ color: "red", textAlign: "center", margin: 0 }}>
+                                    {failedChunks} chunk{failedChunks === 1 ? "" : "s"} failed to upload — they will be retried next time you open this meeting
+                                </p>
+                            )}
+
+                            {rejectedChunks > 0 && (
+                                <p style={{ color: "red", textAlign: "center", margin: 0 }}>
+                                    {rejectedChunks} chunk{rejectedChunks === 1 ? " was" : "s were"} refused by the server and won't be
+                                    uploaded (e.g. the recording was merged meanwhile) — save them to keep them.{" "}
+                                    <button onClick={saveRejectedChunks}>Save</button>{" "}
+                                    <button onClick={handleDiscardRejected}>Discard</button>
+                                </p>
+                            )}
+
+                            {recordingError && (
+                                <p style={{ color: "red", textAlign: "center", margin: 0 }}>
+                                    {recordingError}
+                                </p>
+                            )}
+
                             {isHost && (
                                 <div style={{ display: "flex", justifyContent: "center", gap: 10 }}>
+                                    <select
+                                        value={layout}
+                                        onChange={handleLayoutChange}
+                                        title="Layout of the final recording"
+                                        style={{
+                                            padding: "10px",
+                                            borderRadius: 6,
+                                            background: "#111",
+                                            border: "1px solid #333",
+                                            color: "white",
+                                        }}
+                                    >
+                                        <option value="grid">Grid</option>
+                                        <option value="pip">Picture-in-picture</option>
+                                        <option value="side-by-side">Side by side</option>
+                                    </select>
+
+                                    {shows.length > 0 && (
+                                        <select
+                                            value={showId}
+                                            onChange={handleShowChange}
+                                            title="Record for a show: its intro, outro and music are added"
+                                            style={{
+                                                padding: "10px",
+                                                borderRadius: 6,
+                                                background: "#111",
+                                                border: "1px solid #333",
+                                                color: "white",
+                                            }}
+                                        >
+                                            <option value="">No show</option>
+                                            {shows.map((s) => (
+                                                <option key={s.showId} value={s.showId}>
+                                                    {s.title}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    )}
+
                                     {!isRecording ? (
                                         <button
                                             onClick={handleStartRecording}
@@ -404,10 +573,19 @@ export default function Meeting() {
                                 </div>
                             )}
 
+                            {isHost && settingsError && (
+                                <p style={{ color: "red", textAlign: "center", margin: 0 }}>
+                                    {settingsError}
+                                </p>
+                            )}
+
                             {mergeStatus === "started" && (
-                                <h3 style={{ color: "orange", textAlign: "center" }}>
-                                    Processing final video…
-                                </h3>
+                                <>
+                                    <h3 style={{ color: "orange", textAlign: "center" }}>
+                                        Processing final video…
+                                    </h3>
+                                    <MergeProgress stages={mergeStages} participants={participants} />
+                                </>
                             )}
 
                             {mergeStatus === "failed" && (
@@ -432,6 +610,63 @@ export default function Meeting() {
                                     >
                                         ⬇️ Download Final Recording
                                     </a>
+
+                                    {audioUrl && (
+                                        <a
+                                            href={audioUrl}
+                                            download
+                                            style={{
+                                                padding: "10px 20px",
+                                                marginLeft: 10,
+                                                background: "#1f4cff",
+                                                color: "white",
+                                                borderRadius: 8,
+                                                textDecoration: "none",
+                                                display: "inline-block",
+                                            }}
+                                        >
+                                            🎧 Download Podcast (MP3)
+                                        </a>
+                                    )}
+
+                                    {editedUrl && (
+                                        <a
+                                            href={editedUrl}
+                                            download
+                                            style={{
+                                                padding: "10px 20px",
+                                                marginLeft: 10,
+                                                background: "#8a2be2",
+                                                color: "white",
+                                                borderRadius: 8,
+                                                textDecoration: "none",
+                                                display: "inline-block",
+                                            }}
+                                        >
+                                            ✂️ Download Edited
+                                        </a>
+                                    )}
+
+                                    {playerPath && (
+                                        <Link
+                                            to={playerPath}
+                                            style={{
+                                                padding: "10px 20px",
+                                                marginLeft: 10,
+                                                background: "#333",
+                                                color: "white",
+                                                borderRadius: 8,
+                                                textDecoration: "none",
+                                                display: "inline-block",
+                                            }}
+                                        >
+                                            ▶️ Watch
+                                        </Link>
+                                    )}
+
+                                    <p style={{ fontSize: 13, color: "#aaa", marginTop: 10 }}>
+                                        This recording stays available in <Link to="/recordings" style={{ color: "#8ab4ff" }}>My Recordings</Link>.
+                                    </p>
                                 </div>
                             )}
                         </>
@@ -0,0 +1,208 @@
+import React, { useEffect, useRef, useState } from "react";
+import Hls from "hls.js";
+import { useNavigate, useParams } from "react-router-dom";
+import api from "../api";
+import ChapterBar from "../components/ChapterBar";
+import ClipPanel from "../components/ClipPanel";
+import TranscriptPanel from "../components/TranscriptPanel";
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+
+const accessError = (status) => {
+  if (status === 401) return "Please log in to watch this recording.";
+  if (status === 403) return "You do not have access to this recording.";
+  if (status === 404) return "This recording was not found.";
+  return null;
+};
+
+export default function Player() {
+  const { roomId } = useParams();
+  const navigate = useNavigate();
+  const videoRef = useRef(null);
+
+  const [recording, setRecording] = useState(null); // GET /recordings/status/:roomId
+  const [levels, setLevels] = useState([]);
+  const [level, setLevel] = useState(-1); // -1 = auto
+  const [error, setError] = useState("");
+  const [chapters, setChapters] = useState([]);
+  const [transcript, setTranscript] = useState([]);
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const hlsRef = useRef(null);
+
+  useEffect(() => {
+    setRecording(null);
+    setError("");
+
+    api.get(`/recordings/status/${roomId}`)
+      .then((res) => setRecording(res.data))
+      .catch((err) => setError(accessError(err.response?.status) || "Could not load this recording."));
+
+    api.get(`/recordings/chapters/${roomId}`)
+      .then((res) => setChapters(res.data.chapters))
+      .catch(() => setChapters([]));
+
+    // { lines: [{ start, end, userId, username, text }] } — only once the recording is transcribed
+    api.get(`/recordings/transcript/${roomId}`)
+      .then((res) => setTranscript(res.data.lines || []))
+      .catch(() => setTranscript([]));
+  }, [roomId]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!recording || !video) return;
+
+    // adaptive HLS when the merge produced it, else the MP4 itself (the browser seeks with range requests)
+    const hlsSrc = `${BACKEND_URL}/api/recordings/hls/${roomId}/master.m3u8`;
+    const mp4Src = `${BACKEND_URL}/api/recordings/stream/${roomId}`;
+
+    if (recording.hasHls && Hls.isSupported()) {
+      const hls = new Hls({
+        // playlists/segments need the same auth as the API (cookie or bearer token)
+        xhrSetup: (xhr) => {
+          xhr.withCredentials = true;
+          const token = localStorage.getItem("authToken");
+          if (token) xhr.setRequestHeader("Authorization", `Bearer ${token}`);
+        },
+      });
+      hlsRef.current = hls;
+
+      hls.on(Hls.Events.MANIFEST_PARSED, (_, data) => {
+        setLevels(data.levels.map((l, i) => ({ index: i, height: l.height })));
+      });
+
+      hls.on(Hls.Events.ERROR, (_, data) => {
+        if (!data.fatal) return;
+        console.error("❌ HLS error:", data);
+
+        const status = data.response?.code;
+        hls.destroy();
+        hlsRef.current = null;
+
+        if (accessError(status) && status !== 404) {
+          setError(accessError(status));
+        } else if (recording.hasFinalVideo) {
+          // fall back to progressive playback
+          setLevels([]);
+          video.src = mp4Src;
+        } else {
+          setError("Playback failed.");
+        }
+      });
+
+      hls.loadSource(hlsSrc);
+      hls.attachMedia(video);
+
+      return () => {
+        hls.destroy();
+        hlsRef.current = null;
+      };
+    }
+
+    // Safari plays HLS natively (cookie auth only, like the MP4 stream)
+    if (recording.hasHls && video.canPlayType("application/vnd.apple.mpegurl")) {
+      video.src = hlsSrc;
+      return () => video.removeAttribute("src");
+    }
+
+    if (recording.hasFinalVideo) {
+      video.src = mp4Src;
+      return () => video.removeAttribute("src");
+    }
+
+    setError(
+      recording.mergeInProgress
+        ? "This recording is still being processed. Check back in a few minutes."
+        : "This recording has not been merged yet."
+    );
+  }, [roomId, recording]);
+
+  const handleLevelChange = (e) => {
+    const value = Number(e.target.value);
+    setLevel(value);
+    if (hlsRef.current) hlsRef.current.currentLevel = value;
+  };
+
+  const seek = (seconds) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.currentTime = seconds;
+    video.play().catch(() => {});
+  };
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        background: "#000",
+        color: "white",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        padding: 20,
+        boxSizing: "border-box",
+      }}
+    >
+      <div
+        style={{
+          width: "100%",
+          maxWidth: 1100,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 12,
+        }}
+      >
+        <button onClick={() => navigate(-1)}>← Back</button>
+        <h3 style={{ margin: 0 }}>Recording · {roomId}</h3>
+
+        <select value={level} onChange={handleLevelChange} disabled={levels.length === 0}>
+          <option value={-1}>Auto</option>
+          {levels.map((l) => (
+            <option key={l.index} value={l.index}>
+              {l.height}p
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p style={{ color: "red", marginTop: 40 }}>{error}</p>}
+
+      <div
+        style={{
+          display: error ? "none" : "flex",
+          flexWrap: "wrap",
+          gap: 16,
+          width: "100%",
+          maxWidth: transcript.length > 0 ? 1540 : 1100,
+          justifyContent: "center",
+          alignItems: "flex-start",
+        }}
+      >
+        <div style={{ flex: "3 1 640px", maxWidth: 1100, display: "flex", flexDirection: "column", alignItems: "center" }}>
+          <video
+            ref={videoRef}
+            controls
+            playsInline
+            poster={`${BACKEND_URL}/api/recordings/thumbnails/${roomId}/poster.jpg`}
+            onLoadedMetadata={(e) => setDuration(e.currentTarget.duration)}
+            onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+            style={{
+              width: "100%",
+              background: "#111",
+              borderRadius: 12,
+            }}
+          />
+
+          <ChapterBar chapters={chapters} duration={duration} currentTime={currentTime} onSeek={seek} />
+
+          {recording?.hasFinalVideo && (
+            <ClipPanel roomId={roomId} currentTime={currentTime} duration={duration} onSeek={seek} />
+          )}
+        </div>
+
+        <TranscriptPanel lines={transcript} currentTime={currentTime} onSeek={seek} />
+      </div>
+    </div>
+  );
+}
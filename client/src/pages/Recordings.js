@@ -0,0 +1,305 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../api";
+import MergeExportForm from "../components/MergeExportForm";
+import PublishEpisodeForm from "../components/PublishEpisodeForm";
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:5000";
+const PAGE_SIZE = 20;
+
+const STATUS_LABELS = {
+  recorded: { label: "Not merged", color: "#9e9e9e" },
+  queued: { label: "Queued", color: "#2196f3" },
+  merging: { label: "Processing", color: "#ff9800" },
+  ready: { label: "Ready", color: "#4caf50" },
+  failed: { label: "Failed", color: "#f44336" },
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return "—";
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+const formatDuration = (ms) => {
+  if (!ms) return "—";
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+};
+
+const participantNames = (r) =>
+  r.participants.map((p) => p.username || `User ${p.userId.slice(-4)}`).join(", ") || "—";
+
+export default function Recordings() {
+  const navigate = useNavigate();
+
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState(""); // search, debounced
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [status, setStatus] = useState("");
+  const [page, setPage] = useState(1);
+
+  const [recordings, setRecordings] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [publishing, setPublishing] = useState(null); // roomId with the publish form open
+  const [merging, setMerging] = useState(null); // roomId with the merge form open
+
+  // don't hit the API on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const fetchRecordings = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      if (query) params.q = query;
+      if (from) params.from = from;
+      if (to) params.to = to;
+      if (status) params.status = status;
+
+      const res = await api.get("/recordings", { params });
+      setRecordings(res.data.recordings);
+      setTotal(res.data.total);
+    } catch (err) {
+      console.error("❌ Failed to load recordings:", err);
+      setError(err.response?.data?.message || "Failed to load recordings");
+    } finally {
+      setLoading(false);
+    }
+  }, [query, from, to, status, page]);
+
+  useEffect(() => {
+    fetchRecordings();
+  }, [fetchRecordings]);
+
+  const handleDelete = async (recording) => {
+    const name = recording.title || recording.roomId;
+    if (!window.confirm(`Delete the recording of "${name}"? This cannot be undone.`)) return;
+
+    try {
+      await api.delete(`/recordings/delete/${recording.roomId}`);
+      fetchRecordings();
+    } catch (err) {
+      console.error("❌ Delete failed:", err);
+      alert(err.response?.data?.message || "Failed to delete recording");
+    }
+  };
+
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setSearch("");
+    setFrom("");
+    setTo("");
+    setStatus("");
+    setPage(1);
+  };
+
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const filtered = Boolean(query || from || to || status);
+
+  return (
+    <div style={{ maxWidth: 1000, margin: "30px auto", padding: "0 20px" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h2 style={{ margin: 0 }}>Recordings</h2>
+        <button onClick={() => navigate("/dashboard")}>← Dashboard</button>
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 10, margin: "20px 0", alignItems: "center" }}>
+        <input
+          type="search"
+          placeholder="Search title or participant"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          style={{ flex: "1 1 220px", padding: 6 }}
+        />
+        <label style={{ fontSize: 14 }}>
+          From <input type="date" value={from} onChange={updateFilter(setFrom)} />
+        </label>
+        <label style={{ fontSize: 14 }}>
+          To <input type="date" value={to} onChange={updateFilter(setTo)} />
+        </label>
+        <select value={status} onChange={updateFilter(setStatus)}>
+          <option value="">Any status</option>
+          {Object.entries(STATUS_LABELS).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {filtered && <button onClick={clearFilters}>Clear</button>}
+      </div>
+
+      {error && <p style={{ color: "red" }}>{error}</p>}
+
+      {!error && !loading && recordings.length === 0 && (
+        <p style={{ color: "#777", textAlign: "center", marginTop: 40 }}>
+          {filtered ? "No recordings match these filters." : "No recordings yet. Record a meeting to see it here."}
+        </p>
+      )}
+
+      {loading && recordings.length === 0 && <p style={{ textAlign: "center" }}>Loading...</p>}
+
+      <div style={{ display: "flex", flexDirection: "column", gap: 12, opacity: loading ? 0.6 : 1 }}>
+        {recordings.map((r) => {
+          const badge = STATUS_LABELS[r.status] || { label: r.status, color: "#9e9e9e" };
+          const canPublish = r.isHost && r.status === "ready" && r.audioFormats.length > 0;
+          const canMerge = r.isHost && r.status !== "queued" && r.status !== "merging";
+
+          return (
+            <React.Fragment key={r.roomId}>
+              <div
+                style={{
+                  display: "flex",
+                  gap: 16,
+                  padding: 12,
+                  border: "1px solid #ddd",
+                  borderRadius: 10,
+                  alignItems: "center",
+                }}
+              >
+                <div
+                  style={{
+                    width: 160,
+                    height: 90,
+                    flexShrink: 0,
+                    background: "#111",
+                    borderRadius: 6,
+                    overflow: "hidden",
+                  }}
+                >
+                  {r.hasThumbnails && (
+                    <img
+                      src={`${BACKEND_URL}/api/recordings/thumbnails/${r.roomId}/poster.jpg`}
+                      alt=""
+                      style={{ width: "100%", height: "100%", objectFit: "cover" }}
+                    />
+                  )}
+                </div>
+
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    <strong style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                      {r.title || `Meeting ${r.roomId}`}
+                    </strong>
+                    <span
+                      style={{
+                        fontSize: 12,
+                        color: "white",
+                        background: badge.color,
+                        borderRadius: 4,
+                        padding: "1px 6px",
+                      }}
+                    >
+                      {badge.label}
+                    </span>
+                    {r.isHost && <span style={{ fontSize: 12, color: "#777" }}>Host</span>}
+                  </div>
+                  <div style={{ fontSize: 13, color: "#555", marginTop: 4 }}>
+                    {new Date(r.date).toLocaleString()} · {formatDuration(r.durationMs)} · {formatBytes(r.sizeBytes)}
+                  </div>
+                  <div style={{ fontSize: 13, color: "#555", marginTop: 2 }}>
+                    {participantNames(r)}
+                  </div>
+                </div>
+
+                <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+                  <button onClick={() => navigate(`/player/${r.roomId}`)} disabled={!r.hasHls}>
+                    ▶ Play
+                  </button>
+                  {r.hasFinalVideo ? (
+                    <a
+                      href={`${BACKEND_URL}/api/recordings/download/${r.roomId}`}
+                      download
+                      style={{ fontSize: 14, textAlign: "center" }}
+                    >
+                      Download
+                    </a>
+                  ) : (
+                    <span style={{ fontSize: 14, color: "#aaa", textAlign: "center" }}>Download</span>
+                  )}
+                  {r.hasTranscript && (
+                    <a
+                      href={`${BACKEND_URL}/api/recordings/transcript/${r.roomId}?format=srt&download=true`}
+                      download
+                      style={{ fontSize: 14, textAlign: "center" }}
+                    >
+                      Transcript
+                    </a>
+                  )}
+                  {canMerge && (
+                    <button onClick={() => setMerging(merging === r.roomId ? null : r.roomId)}>
+                      {r.status === "recorded" ? "Merge" : "Merge again"}
+                    </button>
+                  )}
+                  {canPublish && (
+                    <button onClick={() => setPublishing(publishing === r.roomId ? null : r.roomId)}>
+                      Publish
+                    </button>
+                  )}
+                  {r.isHost && (
+                    <button onClick={() => handleDelete(r)} style={{ color: "#f44336" }}>
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {merging === r.roomId && (
+                <MergeExportForm
+                  recording={r}
+                  onQueued={() => {
+                    setMerging(null);
+                    fetchRecordings();
+                  }}
+                  onCancel={() => setMerging(null)}
+                />
+              )}
+
+              {publishing === r.roomId && (
+                <PublishEpisodeForm
+                  recording={r}
+                  onPublished={() => {
+                    setPublishing(null);
+                    navigate("/shows");
+                  }}
+                  onCancel={() => setPublishing(null)}
+                />
+              )}
+            </React.Fragment>
+          );
+        })}
+      </div>
+
+      {pages > 1 && (
+        <div style={{ display: "flex", justifyContent: "center", gap: 10, marginTop: 20, alignItems: "center" }}>
+          <button onClick={() => setPage((p) => p - 1)} disabled={page <= 1}>
+            ← Prev
+          </button>
+          <span style={{ fontSize: 14 }}>
+            Page {page} of {pages}
+          </span>
+          <button onClick={() => setPage((p) => p + 1)} disabled={page >= pages}>
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../api";
+import AssetLibrary from "../components/AssetLibrary";
+import ShowBumpersForm from "../components/ShowBumpersForm";
+
+// Apple Podcasts top-level categories (server: models/Show.js)
+const CATEGORIES = [
+  "Arts", "Business", "Comedy", "Education", "Fiction", "Government", "Health & Fitness", "History",
+  "Kids & Family", "Leisure", "Music", "News", "Religion & Spirituality", "Science", "Society & Culture",
+  "Sports", "Technology", "True Crime", "TV & Film",
+];
+
+const EMPTY_SHOW = { title: "", description: "", author: "", artworkUrl: "", category: "", explicit: false };
+
+const formatDuration = (seconds) => {
+  if (!seconds) return "—";
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+};
+
+export default function Shows() {
+  const navigate = useNavigate();
+
+  const [shows, setShows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const [form, setForm] = useState(EMPTY_SHOW);
+  const [creating, setCreating] = useState(false);
+
+  const [openShowId, setOpenShowId] = useState(null);
+  const [episodes, setEpisodes] = useState([]);
+
+  const [assets, setAssets] = useState([]);
+  const [bumpersShowId, setBumpersShowId] = useState(null);
+
+  const fetchShows = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get("/shows");
+      setShows(res.data.shows);
+    } catch (err) {
+      console.error("❌ Failed to load shows:", err);
+      setError(err.response?.data?.message || "Failed to load shows");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchAssets = useCallback(async () => {
+    try {
+      const res = await api.get("/assets");
+      setAssets(res.data.assets);
+    } catch (err) {
+      console.error("❌ Failed to load assets:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchShows();
+    fetchAssets();
+  }, [fetchShows, fetchAssets]);
+
+  const fetchEpisodes = async (showId) => {
+    try {
+      const res = await api.get(`/shows/${showId}`);
+      setEpisodes(res.data.episodes);
+    } catch (err) {
+      console.error("❌ Failed to load episodes:", err);
+      setEpisodes([]);
+    }
+  };
+
+  const toggleShow = (showId) => {
+    if (openShowId === showId) {
+      setOpenShowId(null);
+      return;
+    }
+    setOpenShowId(showId);
+    setEpisodes([]);
+    fetchEpisodes(showId);
+  };
+
+  const updateForm = (key) => (e) =>
+    setForm({ ...form, [key]: e.target.type === "checkbox" ? e.target.checked : e.target.value });
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError("");
+
+    try {
+      await api.post("/shows", {
+        title: form.title,
+        description: form.description,
+        author: form.author,
+        artworkUrl: form.artworkUrl || null,
+        category: form.category || null,
+        explicit: form.explicit,
+      });
+      setForm(EMPTY_SHOW);
+      fetchShows();
+    } catch (err) {
+      console.error("❌ Create show failed:", err);
+      setError(err.response?.data?.message || "Failed to create show");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDeleteShow = async (show) => {
+    if (!window.confirm(`Delete "${show.title}"? Its feed stops working; the recordings are kept.`)) return;
+
+    try {
+      await api.delete(`/shows/${show.showId}`);
+      if (openShowId === show.showId) setOpenShowId(null);
+      fetchShows();
+    } catch (err) {
+      console.error("❌ Delete show failed:", err);
+      alert(err.response?.data?.message || "Failed to delete show");
+    }
+  };
+
+  const handleUnpublish = async (showId, episode) => {
+    if (!window.confirm(`Remove "${episode.title}" from the feed?`)) return;
+
+    try {
+      await api.delete(`/shows/${showId}/episodes/${episode.episodeId}`);
+      fetchEpisodes(showId);
+      fetchShows();
+    } catch (err) {
+      console.error("❌ Unpublish failed:", err);
+      alert(err.response?.data?.message || "Failed to unpublish episode");
+    }
+  };
+
+  const copyFeedUrl = (url) => {
+    navigator.clipboard?.writeText(url).catch(() => {});
+  };
+
+  return (
+    <div style={{ maxWidth: 1000, margin: "30px auto", padding: "0 20px" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h2 style={{ margin: 0 }}>Shows</h2>
+        <div style={{ display: "flex", gap: 10 }}>
+          <button onClick={() => navigate("/recordings")}>My Recordings</button>
+          <button onClick={() => navigate("/dashboard")}>← Dashboard</button>
+        </div>
+      </div>
+
+      <p style={{ color: "#555", fontSize: 14 }}>
+        Publish a merged recording from <em>My Recordings</em>; each show has a public RSS feed you can submit to
+        podcast directories.
+      </p>
+
+      {error && <p style={{ color: "red" }}>{error}</p>}
+
+      <form
+        onSubmit={handleCreate}
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: 10,
+          padding: 12,
+          border: "1px solid #ddd",
+          borderRadius: 10,
+          marginBottom: 20,
+          fontSize: 14,
+        }}
+      >
+        <input placeholder="Show title" value={form.title} onChange={updateForm("title")} required maxLength={200} style={{ flex: "1 1 260px" }} />
+        <input placeholder="Author (defaults to you)" value={form.author} onChange={updateForm("author")} maxLength={200} style={{ flex: "1 1 200px" }} />
+        <input
+          type="url"
+          placeholder="Artwork URL (square, 1400-3000px)"
+          value={form.artworkUrl}
+          onChange={updateForm("artworkUrl")}
+          style={{ flex: "1 1 300px" }}
+        />
+        <select value={form.category} onChange={updateForm("category")}>
+          <option value="">No category</option>
+          {CATEGORIES.map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+        </select>
+        <label>
+          <input type="checkbox" checked={form.explicit} onChange={updateForm("explicit")} /> Explicit
+        </label>
+        <textarea
+          placeholder="Description"
+          value={form.description}
+          onChange={updateForm("description")}
+          rows={2}
+          maxLength={4000}
+          style={{ flex: "1 1 100%" }}
+        />
+        <button type="submit" disabled={creating}>
+          {creating ? "Creating..." : "Create show"}
+        </button>
+      </form>
+
+      <AssetLibrary assets={assets} onChanged={fetchAssets} />
+
+      {loading && shows.length === 0 && <p style={{ textAlign: "center" }}>Loading...</p>}
+
+      {!loading && shows.length === 0 && (
+        <p style={{ color: "#777", textAlign: "center", marginTop: 40 }}>No shows yet.</p>
+      )}
+
+      <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+        {shows.map((show) => (
+          <div key={show.showId} style={{ padding: 12, border: "1px solid #ddd", borderRadius: 10 }}>
+            <div style={{ display: "flex", gap: 16, alignItems: "center" }}>
+              <div
+                style={{
+                  width: 64,
+                  height: 64,
+                  flexShrink: 0,
+                  background: "#111",
+                  borderRadius: 6,
+                  overflow: "hidden",
+                }}
+              >
+                {show.artworkUrl && (
+                  <img src={show.artworkUrl} alt="" style={{ width: "100%", height: "100%", objectFit: "cover" }} />
+                )}
+              </div>
+
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <strong>{show.title}</strong>
+                <div style={{ fontSize: 13, color: "#555", marginTop: 4 }}>
+                  {show.episodeCount} episode{show.episodeCount === 1 ? "" : "s"}
+                  {show.category ? ` · ${show.category}` : ""}
+                  {show.explicit ? " · Explicit" : ""}
+                </div>
+                <div style={{ fontSize: 13, marginTop: 4, display: "flex", gap: 8, alignItems: "center" }}>
+                  <a href={show.feedUrl} target="_blank" rel="noreferrer" style={{ overflow: "hidden", textOverflow: "ellipsis" }}>
+                    {show.feedUrl}
+                  </a>
+                  <button onClick={() => copyFeedUrl(show.feedUrl)} style={{ fontSize: 12 }}>
+                    Copy
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+                <button onClick={() => toggleShow(show.showId)}>
+                  {openShowId === show.showId ? "Hide episodes" : "Episodes"}
+                </button>
+                <button onClick={() => setBumpersShowId(bumpersShowId === show.showId ? null : show.showId)}>
+                  Intro / outro
+                </button>
+                <button onClick={() => handleDeleteShow(show)} style={{ color: "#f44336" }}>
+                  Delete
+                </button>
+              </div>
+            </div>
+
+            {bumpersShowId === show.showId && (
+              <div style={{ marginTop: 12, borderTop: "1px solid #eee", paddingTop: 8 }}>
+                <p style={{ fontSize: 13, color: "#555", margin: "0 0 8px" }}>
+                  Added to meetings recorded for this show (pick the show in the meeting room).
+                </p>
+                <ShowBumpersForm
+                  show={show}
+                  assets={assets}
+                  onSaved={() => {
+                    setBumpersShowId(null);
+                    fetchShows();
+                  }}
+                />
+              </div>
+            )}
+
+            {openShowId === show.showId && (
+              <div style={{ marginTop: 12, borderTop: "1px solid #eee", paddingTop: 8 }}>
+                {episodes.length === 0 && (
+                  <p style={{ fontSize: 14, color: "#777" }}>No episodes published yet.</p>
+                )}
+                {episodes.map((ep) => (
+                  <div
+                    key={ep.episodeId}
+                    style={{ display: "flex", gap: 12, alignItems: "center", padding: "6px 0", fontSize: 14 }}
+                  >
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div>
+                        {ep.episodeNumber ? `#${ep.episodeNumber} ` : ""}
+                        {ep.title}
+                        {ep.episodeType !== "full" && <span style={{ color: "#777" }}> ({ep.episodeType})</span>}
+                      </div>
+                      <div style={{ fontSize: 12, color: "#777" }}>
+                        {new Date(ep.publishedAt).toLocaleDateString()} · {ep.audioFormat} ·{" "}
+                        {ep.enclosure ? formatDuration(ep.enclosure.duration) : (
+                          <span style={{ color: "#f44336" }}>audio missing — not in the feed</span>
+                        )}
+                      </div>
+                    </div>
+                    <button onClick={() => navigate(`/player/${ep.roomId}`)}>▶</button>
+                    <button onClick={() => handleUnpublish(show.showId, ep)}>Unpublish</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+// client/src/uploadQueue.js
+// Persistent queue of recorded chunks waiting to be uploaded.
+// Chunks live in IndexedDB until the server has them, so a failed upload,
+// a dropped connection or a closed tab does not lose the recording.
+// Falls back to memory when IndexedDB is unavailable (private mode etc.).
+
+const DB_NAME = "recording-uploads";
+const DB_VERSION = 1;
+const STORE = "chunks";
+
+const memoryStore = new Map();
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === "undefined") return resolve(null);
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: "key" });
+            store.createIndex("room", ["roomId", "userId"]);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn("⚠️ IndexedDB unavailable, upload queue kept in memory:", request.error);
+            resolve(null);
+        };
+    });
+
+    return dbPromise;
+}
+
+// Run one request in a transaction and resolve with its result.
+// Without IndexedDB, fn(null) works on memoryStore and its return value is used.
+async function withStore(mode, fn) {
+    const db = await openDb();
+    if (!db) return fn(null);
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export const chunkKey = (roomId, userId, chunkId) => `${roomId}/${userId}/${chunkId}`;
+
+/**
+ * Add a chunk: { roomId, userId, chunkId, startedAt, durationMs, sha256, blob }
+ */
+export async function enqueueChunk(chunk) {
+    const record = {
+        ...chunk,
+        key: chunkKey(chunk.roomId, chunk.userId, chunk.chunkId),
+        attempts: 0,
+        nextAttemptAt: 0,
+        failed: false,
+        createdAt: Date.now(),
+    };
+
+    await withStore("readwrite", (store) => (store ? store.put(record) : memoryStore.set(record.key, record)));
+    return record;
+}
+
+export async function updateChunk(record) {
+    await withStore("readwrite", (store) => (store ? store.put(record) : memoryStore.set(record.key, record)));
+}
+
+export async function removeChunk(key) {
+    await withStore("readwrite", (store) => (store ? store.delete(key) : memoryStore.delete(key)));
+}
+
+/**
+ * All queued chunks of one user in one room, oldest first
+ */
+export async function listChunks(roomId, userId) {
+    const records = await withStore("readonly", (store) =>
+        store
+            ? store.index("room").getAll([roomId, userId])
+            : [...memoryStore.values()].filter((r) => r.roomId === roomId && r.userId === userId)
+    );
+
+    return (records || []).sort((a, b) => a.createdAt - b.createdAt);
+}
+
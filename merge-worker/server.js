@@ -5,8 +5,18 @@ import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import connectDB from "./src/config/db.js";
+import MergeJob, { serializeMergeJob } from "./src/models/MergeJob.js";
 import { ensureDirectories, getMeetingDir } from "./src/utils/fileHelper.js";
-import { processMeeting } from "./src/utils/ffmpegHelper.js";
+import {
+  enqueueMergeJob,
+  processQueue,
+  startJobQueue,
+} from "./src/utils/jobQueue.js";
+
+dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,23 +36,31 @@ app.get("/", (req, res) => {
 
 // ----------------------------------------------
 //  POST /merge
-//  { roomId: "uuid" }
+//  { roomId: "uuid", jobId?: "<MergeJob id>" }
+//  Queues the merge and answers immediately (202).
+//  The API server normally creates the job itself (a merge
+//  or a highlight clip) and passes jobId just to wake the queue up.
 // ----------------------------------------------
 app.post("/merge", async (req, res) => {
   try {
-    const { roomId } = req.body;
-    if (!roomId) return res.status(400).json({ error: "roomId is required" });
-
-    console.log("🔧 Starting merge for room:", roomId);
+    const { roomId, jobId } = req.body;
+    if (!roomId && !jobId) return res.status(400).json({ error: "roomId is required" });
 
-    // processMeeting RETURNS THE FINAL PATH STRING
-    const finalPath = await processMeeting(roomId);  
+    let job;
+    if (jobId) {
+      if (!mongoose.isValidObjectId(jobId)) return res.status(400).json({ error: "Invalid jobId" });
+      job = await MergeJob.findById(jobId);
+      if (!job) return res.status(404).json({ error: "Job not found" });
+    } else {
+      job = await enqueueMergeJob(roomId);
+    }
 
-    console.log("🎉 Merge completed, final path:", finalPath);
+    console.log(`📥 Merge job ${job._id} queued for room ${job.roomId}`);
+    processQueue();
 
-    return res.json({
+    return res.status(202).json({
       success: true,
-      finalPath,              // return the actual path
+      ...serializeMergeJob(job),
     });
 
   } catch (err) {
@@ -54,10 +72,34 @@ app.post("/merge", async (req, res) => {
   }
 });
 
+// ----------------------------------------------
+//  GET /jobs/:id
+//  Current state of a merge job
+// ----------------------------------------------
+app.get("/jobs/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: "Invalid jobId" });
+
+    const job = await MergeJob.findById(id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+
+    return res.json(serializeMergeJob(job));
+
+  } catch (err) {
+    console.error("❌ merge-worker job lookup error:", err.message);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
 
 // ----------------------------------------------
 // START SERVER
 // ----------------------------------------------
-app.listen(PORT, () => {
-  console.log(`🚀 Merge Worker running at http://localhost:${PORT}`);
+connectDB().then(async () => {
+  await startJobQueue();
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Merge Worker running at http://localhost:${PORT}`);
+  });
 });
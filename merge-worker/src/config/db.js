@@ -0,0 +1,18 @@
+// merge-worker/src/config/db.js
+import mongoose from "mongoose";
+
+// -----------------------------------------------------
+// Connect to the SAME database as the API server.
+// Merge jobs live there so both processes can see them.
+// -----------------------------------------------------
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("MongoDB Connected Successfully");
+  } catch (error) {
+    console.error("MongoDB Connection Failed:", error.message);
+    process.exit(1);
+  }
+};
+
+export default connectDB;
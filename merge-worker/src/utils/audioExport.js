@@ -0,0 +1,86 @@
+// merge-worker/src/utils/audioExport.js
+import fs from "fs";
+import path from "path";
+import ffmpeg, { metadataOptions, probeDuration, reportProgress, runCommand } from "./ffmpegCommon.js";
+import { RECORDINGS_DIR } from "./fileHelper.js";
+
+// -----------------------------------------------------
+// Audio-only podcast export.
+// All participants are mixed once into a lossless WAV master,
+// which is then encoded into every requested format with tags.
+// -----------------------------------------------------
+export const AUDIO_FORMATS = {
+  mp3: { codec: "libmp3lame", options: ["-id3v2_version", "3"] },
+  m4a: { codec: "aac", options: ["-movflags", "+faststart"] },
+  opus: { codec: "libopus", options: [] },
+};
+
+export const DEFAULT_AUDIO_FORMATS = ["mp3", "m4a"];
+export const DEFAULT_AUDIO_BITRATE = "192k";
+
+// -----------------------------
+// Mix every user's audio track → podcast-master.wav (48kHz stereo PCM)
+// opts.output: write somewhere else (e.g. an intermediate mix before mastering)
+// opts.channels: 1 for a mono master (default 2)
+// -----------------------------
+export async function mixPodcastMaster(roomId, userVideos, opts = {}) {
+  const output = opts.output || path.join(RECORDINGS_DIR, roomId, "podcast-master.wav");
+  const durations = await Promise.all(userVideos.map(probeDuration));
+
+  const command = ffmpeg();
+  userVideos.forEach((v) => command.input(v));
+  reportProgress(command, Math.max(0, ...durations), opts.onProgress);
+
+  if (userVideos.length === 1) {
+    command.outputOptions(["-map", "0:a"]);
+  } else {
+    const audioInputs = userVideos.map((_, i) => `[${i}:a]`).join("");
+    command
+      .complexFilter([`${audioInputs}amix=inputs=${userVideos.length}:dropout_transition=2[aout]`])
+      .outputOptions(["-map", "[aout]"]);
+  }
+
+  command.outputOptions(["-vn", "-ac", String(opts.channels || 2), "-ar", "48000", "-c:a", "pcm_s16le"]);
+
+  await runCommand(command, output, "podcast master");
+  console.log(`🎙️ Podcast master ready → ${output}`);
+  return output;
+}
+
+// -----------------------------
+// Encode the master into podcast.<format> with title/artist/date tags
+// opts.bitrate: e.g. "192k"
+// opts.tags: { title, artist, date, ... } written as ID3 / MP4 / Vorbis tags
+// -----------------------------
+export async function encodePodcastAudio(roomId, masterPath, format, opts = {}) {
+  const spec = AUDIO_FORMATS[format];
+  if (!spec) throw new Error(`Unsupported audio format: ${format}`);
+
+  const output = path.join(RECORDINGS_DIR, roomId, `podcast.${format}`);
+  if (fs.existsSync(output)) fs.unlinkSync(output);
+
+  const command = ffmpeg(masterPath);
+  reportProgress(command, await probeDuration(masterPath), opts.onProgress);
+
+  command.outputOptions([
+    "-vn",
+    "-c:a", spec.codec,
+    "-b:a", opts.bitrate || DEFAULT_AUDIO_BITRATE,
+    ...spec.options,
+  ]);
+
+  const tags = metadataOptions(opts.tags);
+  if (tags.length) command.outputOptions(...tags);
+
+  await runCommand(command, output, `podcast ${format}`);
+  console.log(`🎧 Podcast ${format} ready → ${output}`);
+  return output;
+}
+
+export default {
+  AUDIO_FORMATS,
+  DEFAULT_AUDIO_FORMATS,
+  DEFAULT_AUDIO_BITRATE,
+  mixPodcastMaster,
+  encodePodcastAudio,
+};
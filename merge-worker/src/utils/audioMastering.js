@@ -0,0 +1,139 @@
+// merge-worker/src/utils/audioMastering.js
+import ffmpeg, { probeDuration, reportProgress, runCommand } from "./ffmpegCommon.js";
+
+// -----------------------------------------------------
+// Optional audio mastering stage.
+//   1. every participant: high-pass + noise gate, then two-pass
+//      EBU R128 loudnorm to the target (quiet guests come up, loud hosts come down)
+//   2. the mix: two-pass loudnorm again + a true-peak limiter
+// Targets follow common podcast practice: -16 LUFS stereo, -19 LUFS mono.
+// -----------------------------------------------------
+export const MASTERING_TARGETS = {
+  stereo: { integrated: -16, channels: 2 },
+  mono: { integrated: -19, channels: 1 },
+};
+
+export const DEFAULT_MASTERING_MODE = "stereo";
+
+const TRUE_PEAK = -1.5; // dBTP
+const LOUDNESS_RANGE = 11; // LU
+
+// rumble / desk thumps below speech
+const HIGHPASS_FILTER = "highpass=f=80";
+// gentle downward expander: room noise between phrases, speech untouched
+const NOISE_GATE_FILTER = "agate=threshold=0.01:ratio=2:attack=10:release=250";
+// brickwall at the true-peak ceiling (-1.5 dB ≈ 0.84 linear)
+const LIMITER_FILTER = `alimiter=limit=${Math.pow(10, TRUE_PEAK / 20).toFixed(3)}:level=false`;
+
+// anything quieter than this is a silent track — loudnorm cannot lift it
+const SILENCE_LUFS = -70;
+
+export function getMasteringTarget(mode) {
+  return MASTERING_TARGETS[mode] || MASTERING_TARGETS[DEFAULT_MASTERING_MODE];
+}
+
+function loudnormFilter(target, measured) {
+  const base = `loudnorm=I=${target.integrated}:TP=${TRUE_PEAK}:LRA=${LOUDNESS_RANGE}`;
+  if (!measured) return `${base}:print_format=json`;
+
+  return [
+    base,
+    `measured_I=${measured.integrated}`,
+    `measured_TP=${measured.truePeak}`,
+    `measured_LRA=${measured.lra}`,
+    `measured_thresh=${measured.threshold}`,
+    `offset=${measured.offset}`,
+    "linear=true",
+    "print_format=json",
+  ].join(":");
+}
+
+// loudnorm prints its stats as the last JSON object on stderr
+function parseLoudnormStats(stderr) {
+  const start = stderr.lastIndexOf("{");
+  const end = stderr.lastIndexOf("}");
+  if (start === -1 || end < start) return null;
+
+  try {
+    return JSON.parse(stderr.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+// -----------------------------
+// Measure integrated loudness (first loudnorm pass) after optional pre-filters
+// Returns { integrated, truePeak, lra, threshold, offset } or null
+// -----------------------------
+export function measureLoudness(input, opts = {}) {
+  const target = opts.target || getMasteringTarget();
+  const filters = [...(opts.filters || []), loudnormFilter(target)];
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(input)
+      .audioFilters(filters)
+      .outputOptions(["-vn", "-f", "null"])
+      .on("end", (stdout, stderr) => {
+        const stats = parseLoudnormStats(stderr || "");
+        if (!stats) return resolve(null);
+
+        resolve({
+          integrated: Number(stats.input_i),
+          truePeak: Number(stats.input_tp),
+          lra: Number(stats.input_lra),
+          threshold: Number(stats.input_thresh),
+          offset: Number(stats.target_offset),
+        });
+      })
+      .on("error", (err) => {
+        console.error("❌ loudness measurement ffmpeg error:", err);
+        reject(err);
+      })
+      .save("-");
+  });
+}
+
+// -----------------------------
+// masterTrack(input, output, opts) → 48kHz PCM WAV at the target loudness
+// opts.mode: "stereo" | "mono" (target and channel count)
+// opts.cleanup: apply high-pass + noise gate (per-participant tracks)
+// opts.gate: false disables the noise gate (only with cleanup)
+// opts.limiter: finish with a true-peak limiter (the final mix)
+// opts.onProgress(percent)
+// -----------------------------
+export async function masterTrack(input, output, opts = {}) {
+  const target = getMasteringTarget(opts.mode);
+  const filters = [];
+
+  if (opts.cleanup) {
+    filters.push(HIGHPASS_FILTER);
+    if (opts.gate !== false) filters.push(NOISE_GATE_FILTER);
+  }
+
+  const measured = await measureLoudness(input, { target, filters });
+  if (measured && Number.isFinite(measured.integrated) && measured.integrated > SILENCE_LUFS) {
+    filters.push(loudnormFilter(target, measured));
+  } else {
+    console.warn(`⚠️ ${input} is silent — skipping loudness normalization`);
+  }
+
+  if (opts.limiter) filters.push(LIMITER_FILTER);
+
+  const command = ffmpeg(input);
+  reportProgress(command, await probeDuration(input), opts.onProgress);
+
+  // anull keeps the filter graph valid when nothing else applies
+  command
+    .audioFilters(filters.length ? filters : ["anull"])
+    .outputOptions(["-vn", "-ar", "48000", "-ac", String(target.channels), "-c:a", "pcm_s16le"]);
+
+  return runCommand(command, output, "mastering");
+}
+
+export default {
+  MASTERING_TARGETS,
+  DEFAULT_MASTERING_MODE,
+  getMasteringTarget,
+  measureLoudness,
+  masterTrack,
+};
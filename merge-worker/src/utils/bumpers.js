@@ -0,0 +1,285 @@
+// merge-worker/src/utils/bumpers.js
+import fs from "fs";
+import path from "path";
+import ffmpeg, { probeDuration, probeMedia, reportProgress, runCommand } from "./ffmpegCommon.js";
+import { softCaptionOptions } from "./captions.js";
+import { RECORDINGS_DIR } from "./fileHelper.js";
+import { getStorage } from "./storage/index.js";
+
+// -----------------------------------------------------
+// Intro / outro bumpers and a music bed from the host's asset library
+// (the server's Asset model, stored under "_assets/" in recording storage).
+// The merge renders the meeting itself first (the "body"); this module then
+//   - lays the music bed under the body, ducked while anyone speaks (optional)
+//   - crossfades the intro in front of it and the outro after it
+// for the final video and for the podcast audio alike, so both start the
+// meeting at the same offset (introSeconds) and the transcript can follow.
+//
+// opts.bumpers from the server:
+//   { intro, outro, music: { assetId, key, name } | null,
+//     musicVolumeDb, duckMusic, crossfadeSeconds }
+// An audio-only intro/outro plays over a black frame in the video.
+// -----------------------------------------------------
+export const DEFAULT_BUMPERS = { musicVolumeDb: -20, duckMusic: true, crossfadeSeconds: 2 };
+
+const BUMPER_ROLES = ["intro", "outro", "music"];
+const FPS = 30;
+const SAMPLE_RATE = 48000;
+const MUSIC_FADE_SECONDS = 3;
+
+// music drops ~18 dB while the speech key is above -30 dBFS, back within ~0.6s of a pause
+const DUCK_FILTER = "sidechaincompress=threshold=0.03:ratio=8:attack=20:release=600";
+
+export function hasBumpers(bumpers) {
+  return BUMPER_ROLES.some((role) => bumpers?.[role]?.key);
+}
+
+// -----------------------------
+// Make the bumper assets available on disk: the file itself with the local
+// storage driver, else a "bumper-<role>-<assetId>.<ext>" copy in the meeting folder
+// (an intermediate, removed with the others once the job succeeds). An asset's
+// file never changes, so a copy named after it is only reused for that asset.
+// Returns { intro, outro, music } of { path, duration, hasVideo, hasAudio, name } | null;
+// an asset that is gone or unreadable is skipped with a warning.
+// -----------------------------
+export async function fetchBumperAssets(roomId, bumpers) {
+  const storage = getStorage();
+  const assets = {};
+
+  for (const role of BUMPER_ROLES) {
+    const asset = bumpers?.[role];
+    assets[role] = null;
+    if (!asset?.key) continue;
+
+    let filePath = storage.localPath ? storage.localPath(asset.key) : null;
+    if (!filePath || !fs.existsSync(filePath)) {
+      const ext = path.extname(asset.key);
+      const assetId = asset.assetId || path.basename(asset.key, ext);
+      filePath = path.join(RECORDINGS_DIR, roomId, `bumper-${role}-${assetId}${ext.toLowerCase()}`);
+      try {
+        if (!fs.existsSync(filePath)) await storage.getFile(asset.key, filePath);
+      } catch (err) {
+        console.warn(`⚠️ ${role} asset "${asset.name || asset.key}" could not be fetched — skipping it:`, err.message);
+        continue;
+      }
+    }
+
+    const [media, duration] = await Promise.all([probeMedia(filePath), probeDuration(filePath)]);
+    const usable = media && duration > 0 && (role === "music" ? media.hasAudio : media.hasAudio || media.hasVideo);
+    if (!usable) {
+      console.warn(`⚠️ ${role} asset "${asset.name || asset.key}" is not playable media — skipping it`);
+      continue;
+    }
+
+    assets[role] = { path: filePath, duration, hasVideo: media.hasVideo, hasAudio: media.hasAudio, name: asset.name || null };
+  }
+
+  return assets;
+}
+
+// -----------------------------
+// Crossfade lengths for a body of `bodyDuration` seconds: never more than half
+// of either side of a junction. introSeconds is where the body starts in the output.
+// -----------------------------
+export function planBumpers(assets, bodyDuration, crossfadeSeconds = DEFAULT_BUMPERS.crossfadeSeconds) {
+  const fade = (asset) => (asset ? Math.max(0, Math.min(crossfadeSeconds, asset.duration / 2, bodyDuration / 2)) : 0);
+  const introFade = fade(assets.intro);
+  const outroFade = fade(assets.outro);
+
+  return {
+    introFade,
+    outroFade,
+    introSeconds: assets.intro ? Number((assets.intro.duration - introFade).toFixed(3)) : 0,
+  };
+}
+
+const audioFormat = (layout) => `aformat=sample_fmts=fltp:sample_rates=${SAMPLE_RATE}:channel_layouts=${layout}`;
+
+// -----------------------------
+// Audio graph: body (input 0) + music bed → intro ⨯ body ⨯ outro → [aout]
+// inputs: { intro, outro, music } ffmpeg input indexes (or null)
+// -----------------------------
+function buildAudioFilters(assets, inputs, { layout, bodyDuration, bodyHasAudio = true, plan, bumpers }) {
+  const filters = [bodyHasAudio
+    ? `[0:a]${audioFormat(layout)}[body]`
+    : `anullsrc=r=${SAMPLE_RATE}:cl=${layout},atrim=0:${bodyDuration}[body]`];
+  let current = "body";
+
+  if (inputs.music !== null) {
+    const fadeOutAt = Math.max(0, bodyDuration - MUSIC_FADE_SECONDS);
+    filters.push(
+      `[${inputs.music}:a]${audioFormat(layout)},volume=${bumpers.musicVolumeDb}dB,atrim=0:${bodyDuration},` +
+      `afade=t=in:d=${MUSIC_FADE_SECONDS},afade=t=out:st=${fadeOutAt}:d=${MUSIC_FADE_SECONDS}[bed]`
+    );
+
+    if (bumpers.duckMusic) {
+      filters.push(
+        "[body]asplit=2[speech][key]",
+        `[bed][key]${DUCK_FILTER}[ducked]`,
+        "[speech][ducked]amix=inputs=2:duration=first:normalize=0[bodymix]"
+      );
+    } else {
+      filters.push("[body][bed]amix=inputs=2:duration=first:normalize=0[bodymix]");
+    }
+    current = "bodymix";
+  }
+
+  // a silent bumper (video without sound) still takes its place in the audio
+  const bumperAudio = (role, label) => {
+    const asset = assets[role];
+    filters.push(asset.hasAudio
+      ? `[${inputs[role]}:a]${audioFormat(layout)},atrim=0:${asset.duration}[${label}]`
+      : `anullsrc=r=${SAMPLE_RATE}:cl=${layout},atrim=0:${asset.duration}[${label}]`);
+  };
+
+  const join = (first, second, fade, label) => {
+    filters.push(fade > 0
+      ? `[${first}][${second}]acrossfade=d=${fade}[${label}]`
+      : `[${first}][${second}]concat=n=2:v=0:a=1[${label}]`);
+  };
+
+  if (inputs.intro !== null) {
+    bumperAudio("intro", "introa");
+    join("introa", current, plan.introFade, "withintro");
+    current = "withintro";
+  }
+
+  if (inputs.outro !== null) {
+    bumperAudio("outro", "outroa");
+    join(current, "outroa", plan.outroFade, "withoutro");
+    current = "withoutro";
+  }
+
+  filters.push(`[${current}]anull[aout]`);
+  return filters;
+}
+
+// -----------------------------
+// Video graph: intro ⨯ body (input 0) ⨯ outro on the body's canvas → [vout]
+// -----------------------------
+function buildVideoFilters(assets, inputs, { width, height, bodyDuration, plan }) {
+  const normalize = `setsar=1,fps=${FPS},format=yuv420p,settb=AVTB`;
+  const filters = [`[0:v]${normalize}[bodyv]`];
+  let current = "bodyv";
+  let length = bodyDuration;
+
+  // video bumpers are letterboxed onto the canvas (last frame held if the picture ends
+  // before the sound), audio-only ones get a black frame
+  const bumperVideo = (role, label) => {
+    const asset = assets[role];
+    filters.push(asset.hasVideo
+      ? `[${inputs[role]}:v]setpts=PTS-STARTPTS,tpad=stop_mode=clone:stop_duration=${asset.duration},` +
+        `trim=duration=${asset.duration},` +
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,${normalize}[${label}]`
+      : `color=c=black:s=${width}x${height}:r=${FPS}:d=${asset.duration},${normalize}[${label}]`);
+  };
+
+  // xfade starts `fade` seconds before the end of the first clip
+  const join = (first, second, firstLength, fade, label) => {
+    filters.push(fade > 0
+      ? `[${first}][${second}]xfade=transition=fade:duration=${fade}:offset=${firstLength - fade}[${label}]`
+      : `[${first}][${second}]concat=n=2:v=1:a=0[${label}]`);
+  };
+
+  if (inputs.intro !== null) {
+    bumperVideo("intro", "introv");
+    join("introv", current, assets.intro.duration, plan.introFade, "withintrov");
+    current = "withintrov";
+    length += plan.introSeconds;
+  }
+
+  if (inputs.outro !== null) {
+    bumperVideo("outro", "outrov");
+    join(current, "outrov", length, plan.outroFade, "withoutrov");
+    current = "withoutrov";
+  }
+
+  filters.push(`[${current}]null[vout]`);
+  return filters;
+}
+
+// add the bumper files after the body (input 0); the music loops for as long as the body runs
+function addBumperInputs(command, assets) {
+  const inputs = { intro: null, outro: null, music: null };
+  let next = 1;
+
+  for (const role of BUMPER_ROLES) {
+    if (!assets[role]) continue;
+    command.input(assets[role].path);
+    if (role === "music") command.inputOptions(["-stream_loop", "-1"]);
+    inputs[role] = next++;
+  }
+
+  return inputs;
+}
+
+const outputLength = (plan, assets, bodyDuration) =>
+  plan.introSeconds + bodyDuration + (assets.outro ? assets.outro.duration - plan.outroFade : 0);
+
+// -----------------------------
+// The final video (or its edited variant) with bumpers
+// opts.captions: { srtPath } of a transcript already moved by introSeconds — a soft subtitle track
+// opts.outputOptions: encoder options (ffmpegHelper's FINAL_OUTPUT_OPTIONS)
+// Returns the output path
+// -----------------------------
+export async function addBumpersToVideo(input, output, assets, bumpers, opts = {}) {
+  const settings = { ...DEFAULT_BUMPERS, ...bumpers };
+  const [media, bodyDuration] = await Promise.all([probeMedia(input), probeDuration(input)]);
+  if (!media?.hasVideo || !bodyDuration) throw new Error(`Cannot add bumpers: ${input} has no readable video`);
+
+  const plan = planBumpers(assets, bodyDuration, settings.crossfadeSeconds);
+  const layout = media.channels === 1 ? "mono" : "stereo";
+
+  const command = ffmpeg().input(input);
+  const inputs = addBumperInputs(command, assets);
+  const filters = [
+    ...buildVideoFilters(assets, inputs, { width: media.width, height: media.height, bodyDuration, plan }),
+    ...buildAudioFilters(assets, inputs, { layout, bodyDuration, bodyHasAudio: media.hasAudio, plan, bumpers: settings }),
+  ];
+
+  const maps = ["-map", "[vout]", "-map", "[aout]"];
+  if (opts.captions?.srtPath) {
+    command.input(opts.captions.srtPath);
+    maps.push(...softCaptionOptions(Object.values(inputs).filter((i) => i !== null).length + 1));
+  }
+
+  command.complexFilter(filters).outputOptions([...maps, ...(opts.outputOptions || [])]);
+  reportProgress(command, outputLength(plan, assets, bodyDuration), opts.onProgress);
+
+  console.log(`🎬 Adding bumpers to ${path.basename(input)} (body starts at ${plan.introSeconds}s)`);
+  return runCommand(command, output, "bumpers (video)");
+}
+
+// -----------------------------
+// The podcast master with bumpers, as 16-bit PCM WAV in the master's channel layout
+// Returns the output path
+// -----------------------------
+export async function addBumpersToAudio(input, output, assets, bumpers, opts = {}) {
+  const settings = { ...DEFAULT_BUMPERS, ...bumpers };
+  const [media, bodyDuration] = await Promise.all([probeMedia(input), probeDuration(input)]);
+  if (!media?.hasAudio || !bodyDuration) throw new Error(`Cannot add bumpers: ${input} has no readable audio`);
+
+  const plan = planBumpers(assets, bodyDuration, settings.crossfadeSeconds);
+  const layout = media.channels === 1 ? "mono" : "stereo";
+
+  const command = ffmpeg().input(input);
+  const inputs = addBumperInputs(command, assets);
+
+  command
+    .complexFilter(buildAudioFilters(assets, inputs, { layout, bodyDuration, plan, bumpers: settings }))
+    .outputOptions(["-map", "[aout]", "-c:a", "pcm_s16le"]);
+  reportProgress(command, outputLength(plan, assets, bodyDuration), opts.onProgress);
+
+  console.log(`🎵 Adding bumpers to ${path.basename(input)} (body starts at ${plan.introSeconds}s)`);
+  return runCommand(command, output, "bumpers (audio)");
+}
+
+export default {
+  DEFAULT_BUMPERS,
+  hasBumpers,
+  fetchBumperAssets,
+  planBumpers,
+  addBumpersToVideo,
+  addBumpersToAudio,
+};
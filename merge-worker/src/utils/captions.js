@@ -0,0 +1,71 @@
+// merge-worker/src/utils/captions.js
+import { parseCanvas } from "./layouts.js";
+
+// -----------------------------------------------------
+// Captions on final-recording.mp4, from the transcript SRT (see transcription.js):
+//   soft → a mov_text subtitle track players can toggle (style is up to the player)
+//   burn → drawn into the picture with the subtitles filter (libass), for
+//          platforms that ignore subtitle tracks; styled with fontSize/position
+// The edited variant (silenceTrim.js) keeps burned captions — they are part of
+// the picture — but only maps video and audio, so a soft track is not carried over.
+// -----------------------------------------------------
+export const CAPTION_MODES = ["off", "soft", "burn"];
+export const CAPTION_POSITIONS = ["bottom", "top"];
+export const DEFAULT_CAPTION_STYLE = { fontSize: 48, position: "bottom" };
+
+// libass lays SRT out on a 288-line script, whatever the video height
+const SCRIPT_HEIGHT = 288;
+const MARGIN_RATIO = 0.05;
+
+// ASS numpad alignment: 2 = bottom center, 8 = top center
+const ALIGNMENT = { bottom: 2, top: 8 };
+
+// -----------------------------
+// Escape a filter option value: first for the option parser (\ ' :),
+// then for the filtergraph parser (\ ' [ ] , ;)
+// -----------------------------
+function escapeFilterValue(value) {
+  const option = String(value).replace(/[\\':]/g, "\\$&");
+  return option.replace(/[\\'[\],;]/g, "\\$&");
+}
+
+// -----------------------------
+// "[input]subtitles=...[output]" burning `srtPath` into the canvas-sized video
+// opts.canvas: as passed to mergeUsersFinal
+// opts.fontSize: pixels at the canvas height · opts.position: "bottom" | "top"
+// -----------------------------
+export function buildBurnFilter(input, output, srtPath, opts = {}) {
+  const canvas = parseCanvas(opts.canvas);
+  const fontSize = opts.fontSize || DEFAULT_CAPTION_STYLE.fontSize;
+  const position = CAPTION_POSITIONS.includes(opts.position) ? opts.position : DEFAULT_CAPTION_STYLE.position;
+
+  const style = [
+    `FontSize=${Math.round((fontSize * SCRIPT_HEIGHT) / canvas.height)}`,
+    `Alignment=${ALIGNMENT[position]}`,
+    `MarginV=${Math.round(SCRIPT_HEIGHT * MARGIN_RATIO)}`,
+    "BorderStyle=1",
+    "Outline=2",
+    "Shadow=0",
+  ].join(",");
+
+  return `[${input}]subtitles=filename=${escapeFilterValue(srtPath)}:force_style=${escapeFilterValue(style)}[${output}]`;
+}
+
+// -----------------------------
+// Output options adding input `inputIndex` (the SRT) as a mov_text track
+// -----------------------------
+export function softCaptionOptions(inputIndex) {
+  return [
+    "-map", `${inputIndex}:s`,
+    "-c:s", "mov_text",
+    "-metadata:s:s:0", "title=Captions",
+  ];
+}
+
+export default {
+  CAPTION_MODES,
+  CAPTION_POSITIONS,
+  DEFAULT_CAPTION_STYLE,
+  buildBurnFilter,
+  softCaptionOptions,
+};
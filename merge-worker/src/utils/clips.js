@@ -0,0 +1,179 @@
+// merge-worker/src/utils/clips.js
+import fs from "fs";
+import path from "path";
+import ffmpeg, { probeDuration, probeMedia, reportProgress, runCommand } from "./ffmpegCommon.js";
+import { CLIPS_DIR_NAME, RECORDINGS_DIR } from "./fileHelper.js";
+import { downloadMeetingFile, uploadMeetingFile } from "./storageSync.js";
+import { TRANSCRIPT_FILES } from "./transcription.js";
+
+// -----------------------------------------------------
+// Highlight clips: a short range of final-recording.mp4 re-encoded as
+// clips/<clipId>.mp4 next to it, in one of three layouts:
+//   original   the full picture
+//   vertical   9:16 (1080x1920), cropped to the participant who speaks most in the range
+//   square     1:1 (1080x1080), cropped the same way
+// The speaker comes from transcript.json, their place in the picture from the
+// merge's tiles (layouts.js). Without either — or inside the intro — the crop
+// is taken from the centre of the whole picture.
+//
+// opts (job.options of a "clip" job, built by the server):
+//   { clipId, start, end, layout, tiles: [{ userId, x, y, width, height }] | null, introSeconds }
+// -----------------------------------------------------
+export const CLIP_LAYOUTS = {
+  original: null,
+  vertical: { width: 1080, height: 1920 },
+  square: { width: 1080, height: 1080 },
+};
+
+const SOURCE_FILE = "final-recording.mp4";
+
+const CLIP_OUTPUT_OPTIONS = [
+  "-c:v", "libx264",
+  "-preset", "veryfast",
+  "-crf", "20",
+  "-pix_fmt", "yuv420p",
+  "-c:a", "aac",
+  "-b:a", "160k",
+  "-movflags", "+faststart",
+];
+
+// libx264 + yuv420p need even dimensions
+const even = (n) => Math.max(2, Math.floor(n / 2) * 2);
+
+// -----------------------------
+// The participant with the most transcript time inside [start, end], or null
+// -----------------------------
+export function findMainSpeaker(lines, start, end) {
+  const talk = {};
+
+  for (const line of lines || []) {
+    const overlap = Math.min(end, line.end) - Math.max(start, line.start);
+    if (overlap > 0 && line.userId) talk[line.userId] = (talk[line.userId] || 0) + overlap;
+  }
+
+  const [best] = Object.entries(talk).sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : null;
+}
+
+// -----------------------------
+// The largest `aspect` (width / height) rectangle centred in `region`
+// -----------------------------
+export function cropToAspect(region, aspect) {
+  let width = region.width;
+  let height = width / aspect;
+  if (height > region.height) {
+    height = region.height;
+    width = height * aspect;
+  }
+
+  width = even(width);
+  height = even(height);
+  return {
+    x: region.x + Math.floor((region.width - width) / 2),
+    y: region.y + Math.floor((region.height - height) / 2),
+    width,
+    height,
+  };
+}
+
+async function readTranscriptLines(roomId) {
+  try {
+    const jsonPath = await downloadMeetingFile(roomId, TRANSCRIPT_FILES.json);
+    return JSON.parse(fs.readFileSync(jsonPath, "utf8")).lines || [];
+  } catch {
+    return [];
+  }
+}
+
+// -----------------------------
+// The part of the picture a reframed clip shows: the speaker's tile, else the whole frame
+// -----------------------------
+async function pickRegion(roomId, media, opts) {
+  const frame = { x: 0, y: 0, width: media.width, height: media.height };
+  if (!Array.isArray(opts.tiles) || opts.tiles.length === 0) return { region: frame, speakerUserId: null };
+  if (opts.start < (opts.introSeconds || 0)) return { region: frame, speakerUserId: null };
+
+  const speakerUserId = findMainSpeaker(await readTranscriptLines(roomId), opts.start, opts.end);
+  const tile = opts.tiles.find((t) => t.userId === speakerUserId);
+  if (!tile) return { region: frame, speakerUserId: null };
+
+  // tiles were laid out on the merge canvas; keep them inside the actual frame
+  const x = Math.max(0, Math.min(tile.x, media.width - 2));
+  const y = Math.max(0, Math.min(tile.y, media.height - 2));
+  return {
+    region: { x, y, width: Math.min(tile.width, media.width - x), height: Math.min(tile.height, media.height - y) },
+    speakerUserId,
+  };
+}
+
+// -----------------------------
+// Cut one clip and store it. Returns { clipPath, name, duration, layout, speakerUserId, sizeBytes }
+// -----------------------------
+export async function processClip(roomId, opts = {}, { onProgress } = {}) {
+  const { clipId } = opts;
+  const start = Number(opts.start);
+  let end = Number(opts.end);
+  const layout = opts.layout in CLIP_LAYOUTS ? opts.layout : "original";
+
+  if (!clipId) throw new Error("clipId is required");
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+    throw new Error(`Invalid clip range ${opts.start}–${opts.end}`);
+  }
+
+  const sourcePath = await downloadMeetingFile(roomId, SOURCE_FILE);
+  const [media, sourceDuration] = await Promise.all([probeMedia(sourcePath), probeDuration(sourcePath)]);
+  if (!media?.hasVideo) throw new Error(`${SOURCE_FILE} of room ${roomId} has no video`);
+  if (sourceDuration > 0) {
+    if (start >= sourceDuration) throw new Error(`Clip starts after the recording ends (${sourceDuration.toFixed(1)}s)`);
+    end = Math.min(end, sourceDuration);
+  }
+
+  let filter = null;
+  let speakerUserId = null;
+  const size = CLIP_LAYOUTS[layout];
+
+  if (size) {
+    const picked = await pickRegion(roomId, media, { ...opts, start, end });
+    const crop = cropToAspect(picked.region, size.width / size.height);
+    speakerUserId = picked.speakerUserId;
+    filter = `crop=${crop.width}:${crop.height}:${crop.x}:${crop.y},scale=${size.width}:${size.height},setsar=1`;
+    console.log(`✂️ Clip ${clipId}: ${layout} crop ${crop.width}x${crop.height}+${crop.x}+${crop.y}` +
+      (speakerUserId ? ` on speaker ${speakerUserId}` : ""));
+  }
+
+  const name = `${CLIPS_DIR_NAME}/${clipId}.mp4`;
+  const output = path.join(RECORDINGS_DIR, roomId, CLIPS_DIR_NAME, `${clipId}.mp4`);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+
+  const duration = Number((end - start).toFixed(3));
+  // input seeking is frame-accurate when re-encoding; a soft caption track is left out
+  const command = ffmpeg(sourcePath)
+    .inputOptions(["-ss", String(start)])
+    .outputOptions([
+      "-t", String(duration),
+      "-map", "0:v:0",
+      "-map", "0:a:0?",
+      ...(filter ? ["-vf", filter] : []),
+      ...CLIP_OUTPUT_OPTIONS,
+    ]);
+  reportProgress(command, duration, onProgress);
+
+  await runCommand(command, output, `clip ${clipId}`);
+  await uploadMeetingFile(roomId, name);
+
+  return {
+    clipPath: output,
+    name,
+    duration,
+    layout,
+    speakerUserId,
+    sizeBytes: fs.statSync(output).size,
+  };
+}
+
+export default {
+  CLIP_LAYOUTS,
+  findMainSpeaker,
+  cropToAspect,
+  processClip,
+};
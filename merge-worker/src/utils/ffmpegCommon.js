@@ -0,0 +1,94 @@
+// merge-worker/src/utils/ffmpegCommon.js
+import ffmpeg from "fluent-ffmpeg";
+import ffmpegPath from "ffmpeg-static";
+
+// Every pipeline module imports ffmpeg from here so the binary path is set once.
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// -----------------------------
+// Helper: media duration in seconds via ffprobe (0 when unknown)
+// -----------------------------
+export function probeDuration(filePath) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return resolve(0);
+      const duration = Number(metadata.format?.duration);
+      resolve(Number.isFinite(duration) ? duration : 0);
+    });
+  });
+}
+
+// -----------------------------
+// Helper: stream layout of a media file, used to build matching filler clips
+// Returns { width, height, hasVideo, hasAudio, sampleRate, channels } or null
+// -----------------------------
+export function probeMedia(filePath) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return resolve(null);
+
+      const video = metadata.streams.find((s) => s.codec_type === "video");
+      const audio = metadata.streams.find((s) => s.codec_type === "audio");
+
+      resolve({
+        hasVideo: Boolean(video),
+        hasAudio: Boolean(audio),
+        width: video?.width || 0,
+        height: video?.height || 0,
+        sampleRate: Number(audio?.sample_rate) || 48000,
+        channels: audio?.channels || 2,
+      });
+    });
+  });
+}
+
+function timemarkToSeconds(timemark) {
+  if (!timemark) return 0;
+  const [h, m, s] = String(timemark).split(":").map(Number);
+  return (h || 0) * 3600 + (m || 0) * 60 + (s || 0);
+}
+
+// -----------------------------
+// Helper: forward fluent-ffmpeg "progress" events as a 0-100 percentage.
+// MediaRecorder WebM has no duration header, so when we know the expected
+// length we compute the percentage from the timemark instead.
+// -----------------------------
+export function reportProgress(command, totalSeconds, onProgress) {
+  if (!onProgress) return command;
+
+  return command.on("progress", (p) => {
+    const percent = totalSeconds > 0
+      ? (timemarkToSeconds(p.timemark) / totalSeconds) * 100
+      : Number(p.percent);
+
+    if (Number.isFinite(percent)) onProgress(Math.min(100, Math.max(0, percent)));
+  });
+}
+
+// -----------------------------
+// Helper: run a prepared command to `output` and resolve with the path
+// -----------------------------
+export function runCommand(command, output, label) {
+  return new Promise((resolve, reject) => {
+    command
+      .on("start", (cmd) => console.log(`ffmpeg ${label} command:`, cmd))
+      .on("end", () => resolve(output))
+      .on("error", (err) => {
+        console.error(`❌ ${label} ffmpeg error:`, err);
+        reject(err);
+      })
+      .save(output);
+  });
+}
+
+// -----------------------------
+// Helper: "-metadata key=value" pairs. Passed to outputOptions() as separate
+// arguments — fluent-ffmpeg would otherwise split values containing a space.
+// -----------------------------
+export function metadataOptions(tags = {}) {
+  return Object.entries(tags)
+    .filter(([, value]) => value !== undefined && value !== null && value !== "")
+    .flatMap(([key, value]) => ["-metadata", `${key}=${value}`]);
+}
+
+export default ffmpeg;
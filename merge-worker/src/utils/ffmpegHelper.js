@@ -1,11 +1,50 @@
 // merge-worker/src/utils/ffmpegHelper.js
 import fs from "fs";
 import path from "path";
-import ffmpeg from "fluent-ffmpeg";
-import ffmpegPath from "ffmpeg-static";
-import { RECORDINGS_DIR } from "./fileHelper.js";
-
-ffmpeg.setFfmpegPath(ffmpegPath);
+import ffmpeg, { probeDuration, probeMedia, reportProgress, runCommand } from "./ffmpegCommon.js";
+import { listUserDirs, RECORDINGS_DIR } from "./fileHelper.js";
+import { buildLayoutFilters, DEFAULT_LAYOUT, layoutTiles } from "./layouts.js";
+import { DEFAULT_AUDIO_FORMATS, encodePodcastAudio, mixPodcastMaster } from "./audioExport.js";
+import { exportMultitrack } from "./multitrackExport.js";
+import { getMasteringTarget, masterTrack, measureLoudness } from "./audioMastering.js";
+import { readCuts, trimSilence } from "./silenceTrim.js";
+import { exportHls } from "./hlsExport.js";
+import { generateThumbnails, getThumbnailPaths } from "./thumbnails.js";
+import { getChunkStartMs, getMeetingTimeline, planSegments } from "./timeline.js";
+import { getTranscriptionEngine, getTranscriptPaths, offsetTranscript, transcribeMeeting } from "./transcription.js";
+import { buildBurnFilter, softCaptionOptions } from "./captions.js";
+import { addBumpersToAudio, addBumpersToVideo, fetchBumperAssets, hasBumpers, planBumpers } from "./bumpers.js";
+
+// client records fixed-length chunks (useRecording CHUNK_DURATION_MS)
+const CHUNK_SECONDS = 10;
+
+// Encoding of normalized chunks. Timeline gap clips use the same settings
+// so the concat demuxer sees identical streams.
+const NORMALIZED_OUTPUT_OPTIONS = [
+  //  HIGH QUALITY VIDEO SETTINGS
+  "-c:v", "libx264",
+  "-preset", "slower",     // better quality than veryfast
+  "-crf", "14",            // HIGH QUALITY (lower = better)
+  "-profile:v", "high",    // use high profile (best quality)
+  "-pix_fmt", "yuv420p",
+
+  // HIGH QUALITY AUDIO
+  "-c:a", "aac",
+  "-b:a", "256k",
+
+  "-movflags", "+faststart",
+];
+
+// Encoding of final-recording.mp4 (and its edited variant)
+const FINAL_OUTPUT_OPTIONS = [
+  "-c:v", "libx264",
+  "-preset", "veryfast",
+  "-crf", "18",
+  "-pix_fmt", "yuv420p",
+  "-c:a", "aac",
+  "-b:a", "160k",
+  "-movflags", "+faststart",
+];
 
 // -----------------------------
 // Helper: validate a .webm chunk using ffprobe
@@ -34,14 +73,19 @@ export function validateChunk(chunkPath) {
 // -----------------------------
 // Get sorted chunks for a user folder
 // Format expected: "<timestamp>-<index>.webm" OR any lexicographic-safe name
+// Chunks with a capture timestamp (see timeline.js) are ordered by it first.
 // -----------------------------
 export async function getSortedChunks(userDir) {
   if (!fs.existsSync(userDir)) return [];
 
   const files = fs.readdirSync(userDir).filter((f) => f.endsWith(".webm"));
 
-  // Attempt to sort by numeric prefix before dot or dash (timestamp-index.webm)
+  // Attempt to sort by capture start, then numeric prefix before dot or dash (timestamp-index.webm)
   files.sort((a, b) => {
+    const aStart = getChunkStartMs(path.join(userDir, a));
+    const bStart = getChunkStartMs(path.join(userDir, b));
+    if (aStart !== null && bStart !== null) return aStart - bStart;
+
     const aKey = a.split(".")[0].split("-")[0];
     const bKey = b.split(".")[0].split("-")[0];
     const aNum = Number(aKey);
@@ -76,9 +120,11 @@ export async function getSortedChunks(userDir) {
 // -----------------------------
 // Normalize a single chunk -> CFR MP4
 // Produces a stable MP4 with regenerated timestamps and fixed fps.
+// opts.onProgress(percent) is called while ffmpeg runs.
 // -----------------------------
 export function normalizeChunk(inputPath, outputPath, opts = {}) {
   const FPS = opts.fps || 30;
+  const expectedSeconds = opts.expectedSeconds || CHUNK_SECONDS;
 
   return new Promise((resolve, reject) => {
     const outDir = path.dirname(outputPath);
@@ -91,26 +137,18 @@ export function normalizeChunk(inputPath, outputPath, opts = {}) {
       }
     } catch (e) {}
 
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath);
+    reportProgress(command, expectedSeconds, opts.onProgress);
+
+    command
       .outputOptions([
         "-vf", `fps=${FPS},setpts=N/${FPS}/TB,format=yuv420p`,
         "-vsync", "1",
-
-        //  HIGH QUALITY VIDEO SETTINGS
-        "-c:v", "libx264",
-        "-preset", "slower",     // better quality than veryfast
-        "-crf", "14",            // HIGH QUALITY (lower = better)
-        "-profile:v", "high",    // use high profile (best quality)
-        "-pix_fmt", "yuv420p",
-
-        // HIGH QUALITY AUDIO
-        "-c:a", "aac",
-        "-b:a", "256k",
-
-        "-movflags", "+faststart",
+        ...NORMALIZED_OUTPUT_OPTIONS,
       ])
       .on("end", () => {
         if (fs.existsSync(outputPath) && fs.statSync(outputPath).size > 5000) {
+          if (opts.onProgress) opts.onProgress(100);
           resolve(outputPath);
         } else {
           reject(new Error("normalizeChunk produced empty file"));
@@ -124,13 +162,48 @@ export function normalizeChunk(inputPath, outputPath, opts = {}) {
   });
 }
 
+// -----------------------------
+// Black + silent clip of `seconds`, encoded exactly like a normalized chunk
+// `like` is probeMedia() of one of the user's normalized chunks
+// -----------------------------
+export function createGapClip(outputPath, seconds, like, opts = {}) {
+  const FPS = opts.fps || 30;
+  const command = ffmpeg();
+  const maps = [];
+  let inputIndex = 0;
+
+  if (like.hasVideo) {
+    command.input(`color=c=black:s=${like.width}x${like.height}:r=${FPS}`).inputOptions(["-f", "lavfi"]);
+    maps.push("-map", `${inputIndex++}:v`);
+  }
+  if (like.hasAudio) {
+    const layout = like.channels === 1 ? "mono" : "stereo";
+    command.input(`anullsrc=r=${like.sampleRate}:cl=${layout}`).inputOptions(["-f", "lavfi"]);
+    maps.push("-map", `${inputIndex++}:a`);
+  }
+
+  command.outputOptions([
+    ...maps,
+    "-t", seconds.toFixed(3),
+    ...NORMALIZED_OUTPUT_OPTIONS,
+    "-ar", String(like.sampleRate),
+    "-ac", String(like.channels),
+  ]);
+
+  return runCommand(command, outputPath, "timeline gap");
+}
 
 // -----------------------------
 // Concatenate user's webm chunks into a single MP4 (clean CFR)
 // Returns output path
 // Changes: NORMALIZE each chunk first then concat the normalized mp4s.
+// opts.originMs: meeting timeline start (epoch ms). When set, gaps before and
+//   between chunks are filled with black/silence so the output starts at originMs.
+// opts.onProgress(stage, percent) reports the "normalize" and "concat" stages.
 // -----------------------------
-export async function concatUserChunks(roomId, userId) {
+export async function concatUserChunks(roomId, userId, opts = {}) {
+  const onProgress = opts.onProgress || (() => {});
+
   const userDir = path.join(RECORDINGS_DIR, roomId, userId);
   if (!fs.existsSync(userDir)) {
     throw new Error(`User directory not found: ${userDir}`);
@@ -143,7 +216,11 @@ export async function concatUserChunks(roomId, userId) {
 
   // normalize each chunk into userDir/<origname>-norm.mp4
   const normalizedFiles = [];
-  for (const c of chunks) {
+  for (const [index, c] of chunks.entries()) {
+    // overall normalize progress = finished chunks + share of the current one
+    const chunkProgress = (percent) =>
+      onProgress("normalize", ((index + percent / 100) / chunks.length) * 100);
+
     const base = path.basename(c, path.extname(c)); // e.g. 1700000000000-0
     const normalized = path.join(userDir, `${base}-norm.mp4`);
 
@@ -152,6 +229,7 @@ export async function concatUserChunks(roomId, userId) {
       try {
         if (fs.statSync(normalized).size > 1000) {
           normalizedFiles.push(normalized);
+          chunkProgress(100);
           continue;
         } else {
           // remove tiny stale file
@@ -163,23 +241,54 @@ export async function concatUserChunks(roomId, userId) {
     }
 
     console.log(`🔧 Normalizing chunk: ${c} → ${normalized}`);
-    await normalizeChunk(c, normalized);
+    await normalizeChunk(c, normalized, { onProgress: chunkProgress });
     normalizedFiles.push(normalized);
   }
 
-  // write concat list using normalized mp4s
+  // lay normalized chunks on the meeting timeline, filling gaps with gap clips
+  const timed = [];
+  for (const [index, file] of normalizedFiles.entries()) {
+    timed.push({ file, startMs: getChunkStartMs(chunks[index]), seconds: await probeDuration(file) });
+  }
+
+  const segments = planSegments(timed, opts.originMs ?? null);
+  const concatFiles = [];
+  let totalSeconds = 0;
+  let like = null;
+
+  for (const [index, segment] of segments.entries()) {
+    if (segment.file) {
+      concatFiles.push(segment.file);
+      continue;
+    }
+
+    like = like || (await probeMedia(normalizedFiles[0]));
+    if (!like) throw new Error(`Cannot probe normalized chunks for user ${userId}`);
+
+    const gapFile = path.join(userDir, `gap-${index}.mp4`);
+    console.log(`⬛ Filling ${segment.gap.toFixed(2)}s timeline gap for user ${userId}`);
+    await createGapClip(gapFile, segment.gap, like);
+    concatFiles.push(gapFile);
+    totalSeconds += segment.gap;
+  }
+  for (const t of timed) totalSeconds += t.seconds;
+
+  // write concat list using normalized mp4s (+ gap clips)
   const listFile = path.join(userDir, "concat.txt");
-  const listContent = normalizedFiles
+  const listContent = concatFiles
     .map((c) => `file '${c.replace(/\\/g, "/")}'`)
     .join("\n");
   fs.writeFileSync(listFile, listContent);
 
   const output = path.join(RECORDINGS_DIR, roomId, `user-${userId}-merged.mp4`);
 
-  console.log(`🎬 Concatenating ${normalizedFiles.length} normalized chunks for user ${userId} → ${output}`);
+  console.log(`🎬 Concatenating ${concatFiles.length} segments for user ${userId} → ${output}`);
 
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    const command = ffmpeg();
+    reportProgress(command, totalSeconds, (percent) => onProgress("concat", percent));
+
+    command
       .input(listFile)
       .inputOptions(["-f concat", "-safe 0"])
       // re-encode final per-user file to ensure uniform settings
@@ -193,6 +302,7 @@ export async function concatUserChunks(roomId, userId) {
       ])
       .on("end", () => {
         console.log(`✅ User merged file created → ${output}`);
+        onProgress("concat", 100);
         resolve(output);
       })
       .on("error", (err) => {
@@ -204,64 +314,69 @@ export async function concatUserChunks(roomId, userId) {
 }
 
 // -----------------------------
-// Merge multiple user MP4s into final side-by-side (or single re-encode)
-// userVideos: array of file paths
+// Merge user MP4s into the final composite on a fixed canvas
+// userVideos: array of file paths (speaker first — used by the "pip" layout)
+// opts.layout: "grid" (default) | "pip" | "side-by-side"
+// opts.canvas: "1920x1080" or { width, height }
+// opts.audioPath: use this (mastered) audio instead of amix-ing the users
+// opts.captions: { mode: "soft" | "burn", srtPath, fontSize, position } (see captions.js)
+// opts.output: write somewhere else (the body that bumpers are added to)
+// opts.onProgress(percent) is called while ffmpeg runs.
 // Returns final output path
 // -----------------------------
-export function mergeUsersFinal(roomId, userVideos) {
-  const output = path.join(RECORDINGS_DIR, roomId, "final-recording.mp4");
-
-  if (userVideos.length === 1) {
-    // Single user: re-encode / normalize only
-    return new Promise((resolve, reject) => {
-      ffmpeg(userVideos[0])
-        .outputOptions([
-          "-c:v libx264",
-          "-preset veryfast",
-          "-crf 18",
-          "-c:a aac",
-          "-b:a 160k",
-          "-movflags +faststart",
-        ])
-        .save(output)
-        .on("end", () => {
-          console.log("✅ Final (single-user) ready:", output);
-          resolve(output);
-        })
-        .on("error", (err) => {
-          console.error("❌ mergeUsersFinal(single) error:", err);
-          reject(err);
-        });
-    });
+export async function mergeUsersFinal(roomId, userVideos, opts = {}) {
+  const output = opts.output || path.join(RECORDINGS_DIR, roomId, "final-recording.mp4");
+  const onProgress = opts.onProgress || (() => {});
+
+  // inputs run in parallel, so the output is as long as the longest one
+  const durations = await Promise.all(userVideos.map(probeDuration));
+  const totalSeconds = Math.max(0, ...durations);
+
+  // video: every user becomes a scaled/padded tile (see layouts.js) → [vout]
+  // audio: a mastered mix is mapped as-is, a single user passes straight through,
+  // several users are amix-ed → [aout]
+  const filters = buildLayoutFilters(userVideos.length, opts);
+  const captions = opts.captions?.srtPath ? opts.captions : null;
+  const maps = [];
+
+  if (captions?.mode === "burn") {
+    filters.push(buildBurnFilter("vout", "vcap", captions.srtPath, { ...captions, canvas: opts.canvas }));
+    maps.push("-map", "[vcap]");
+  } else {
+    maps.push("-map", "[vout]");
   }
 
-  // Multi-user: build complex filter: [0:v][1:v]...[N-1:v]hstack=inputs=N[vout]; [0:a][1:a]...amix=inputs=N[aout]
-  const videoInputs = userVideos.map((_, i) => `[${i}:v]`).join("");
-  const audioInputs = userVideos.map((_, i) => `[${i}:a]`).join("");
-  const filters = [
-    `${videoInputs}hstack=inputs=${userVideos.length}[vout]`,
-    `${audioInputs}amix=inputs=${userVideos.length}:dropout_transition=2[aout]`,
-  ];
+  if (opts.audioPath) {
+    maps.push("-map", `${userVideos.length}:a`);
+  } else if (userVideos.length === 1) {
+    maps.push("-map", "0:a?");
+  } else {
+    const audioInputs = userVideos.map((_, i) => `[${i}:a]`).join("");
+    filters.push(`${audioInputs}amix=inputs=${userVideos.length}:dropout_transition=2[aout]`);
+    maps.push("-map", "[aout]");
+  }
 
   const cmd = ffmpeg();
   userVideos.forEach((v) => cmd.input(v));
+  if (opts.audioPath) cmd.input(opts.audioPath);
+
+  // the SRT is the last input, after the users and the mastered audio
+  if (captions?.mode === "soft") {
+    cmd.input(captions.srtPath);
+    maps.push(...softCaptionOptions(userVideos.length + (opts.audioPath ? 1 : 0)));
+  }
+  reportProgress(cmd, totalSeconds, onProgress);
+
+  console.log(`🧩 Merging ${userVideos.length} user(s) with layout "${opts.layout || DEFAULT_LAYOUT}"`);
 
   return new Promise((resolve, reject) => {
     cmd
       .complexFilter(filters)
-      .outputOptions([
-        "-map", "[vout]",
-        "-map", "[aout]",
-        "-c:v", "libx264",
-        "-preset", "veryfast",
-        "-crf", "18",
-        "-c:a", "aac",
-        "-b:a", "160k",
-        "-movflags", "+faststart",
-      ])
+      .outputOptions([...maps, ...FINAL_OUTPUT_OPTIONS])
       .save(output)
       .on("end", () => {
         console.log("🎉 Final merged video ready:", output);
+        onProgress(100);
         resolve(output);
       })
       .on("error", (err) => {
@@ -272,54 +387,367 @@ export function mergeUsersFinal(roomId, userVideos) {
 }
 
 // -----------------------------
-// Main: processMeeting(roomId)
+// Helper: a checkpointed step is only reusable if its output is still on disk
+// -----------------------------
+function getCompletedStep(steps, step) {
+  const output = steps[step];
+  if (!output) return null;
+  return fs.existsSync(output) ? output : null;
+}
+
+// -----------------------------
+// Main: processMeeting(roomId, opts)
 // - loops over users (directories inside RECORDINGS_DIR/roomId)
-// - creates per-user merged MP4s
-// - merges them into final-recording.mp4
-// - returns final output path (string)
+// - creates per-user merged MP4s, all aligned on one meeting timeline (see timeline.js)
+// - optionally masters the audio (per-user cleanup + loudnorm, limited mix — see audioMastering.js)
+// - optionally transcribes each participant's track (transcript.json / .srt / .vtt — see transcription.js)
+// - merges them into final-recording.mp4, optionally with soft or burned-in captions (see captions.js)
+// - optionally cuts dead air into final-recording-edited.mp4 (see silenceTrim.js)
+// - optionally wraps both in intro/outro bumpers over a ducked music bed (see bumpers.js)
+// - packages the final recording as adaptive HLS (hls/master.m3u8) unless disabled
+// - renders a poster, a sprite sheet and a WebVTT thumbnails track (see thumbnails.js)
+// - mixes an audio-only podcast master and encodes it (podcast.mp3 / .m4a / .opus)
+// - optionally packages isolated per-user tracks (multitrack.zip)
+// - returns { finalPath, editedPath, cuts, hlsPath, thumbnails, audio: { <format>: path }, multitrackPath, transcript,
+//             audioDuration, introSeconds, tiles, loudness }
+//   thumbnails: { posterPath, spritePath, vttPath }
+//   transcript: { jsonPath, srtPath, vttPath }, or null (disabled, no engine configured, or it failed)
+//   editedPath: null unless trimming removed something; cuts: [{ start, end, reason }] in raw-video seconds
+//               (before any intro)
+//   audioDuration: seconds of the published podcast audio (after cuts), or null without audio exports
+//   introSeconds: where the meeting starts in the final video and podcast audio (0 without an intro);
+//                 the transcript is already moved by it
+//   tiles: [{ userId, x, y, width, height }] — where each participant is in the picture (clips.js crops to them)
+//   loudness: { integrated, truePeak, lra, target } of the mastered mix, or null
+//
+// opts.steps      → steps finished by a previous run ({ "concat:<userId>": path, final: path, ... })
+// opts.onStepDone → async (step, output) called after each step so the caller can checkpoint it
+// opts.onProgress → ({ stage, userId, percent }) for "normalize" / "concat" (per user), "mastering", "transcribe",
+//                    "merge", "trim", "bumpers", "hls", "thumbnails", "audio" and "multitrack"
+// opts.layout / opts.canvas → passed to mergeUsersFinal
+// opts.speakerUserId → placed first, i.e. the full-size video in the "pip" layout
+// opts.audio      → { formats: ["mp3", "m4a"], bitrate: "192k" } (formats: [] skips the export)
+// opts.metadata   → { title, artist, date } tags for the audio files
+// opts.mastering  → { enabled, mode: "stereo" | "mono", noiseGate }
+// opts.silenceTrim → { enabled, shortenPauses, maxPauseSeconds } (podcast audio follows the edit)
+// opts.hls        → { enabled } (default enabled)
+// opts.multitrack → { enabled, audioFormat: "flac" | "wav" }
+// opts.transcription → { enabled, language: "auto" | "en" | ... } (needs TRANSCRIBE_ENGINE on the worker)
+// opts.captions   → { mode: "off" | "soft" | "burn", fontSize, position } (needs the transcript)
+// opts.bumpers    → { intro, outro, music: { assetId, key, name } | null, musicVolumeDb, duckMusic, crossfadeSeconds }
+// opts.usernames  → { <userId>: username } for multitrack file names and transcript speakers
 // -----------------------------
-export async function processMeeting(roomId) {
+export async function processMeeting(roomId, opts = {}) {
+  const steps = opts.steps || {};
+  const onStepDone = opts.onStepDone || (async () => {});
+  const onProgress = opts.onProgress || (() => {});
+
+  // run `fn` unless a previous attempt already finished `step`
+  const runStep = async (step, fn, onReuse = () => {}) => {
+    const done = getCompletedStep(steps, step);
+    if (done) {
+      console.log(`⏭️ Reusing ${step} → ${done}`);
+      onReuse();
+      return done;
+    }
+
+    const output = await fn();
+    await onStepDone(step, output);
+    return output;
+  };
+
   const roomDir = path.join(RECORDINGS_DIR, roomId);
   if (!fs.existsSync(roomDir)) {
     throw new Error(`Meeting directory not found: ${roomDir}`);
   }
 
-  const entries = fs.readdirSync(roomDir);
-  const userDirs = entries.filter((e) => {
-    try {
-      return fs.statSync(path.join(roomDir, e)).isDirectory();
-    } catch {
-      return false;
-    }
-  });
+  const userDirs = listUserDirs(roomDir);
 
   if (userDirs.length === 0) {
     throw new Error("No user directories found for meeting");
   }
 
+  if (opts.speakerUserId) {
+    userDirs.sort((a, b) => (b === String(opts.speakerUserId)) - (a === String(opts.speakerUserId)));
+  }
+
+  // common timeline: every user's media starts at the earliest captured chunk
+  const { originMs, offsets } = getMeetingTimeline(roomDir, userDirs);
+  if (originMs === null) {
+    console.warn("⚠️ Chunks carry no capture timestamps — users are not timeline-aligned");
+  }
+
   const mergedUserVideos = [];
 
   for (const userId of userDirs) {
     console.log(`🔁 Processing user ${userId} chunks...`);
-    const merged = await concatUserChunks(roomId, userId);
+    const merged = await runStep(
+      `concat:${userId}`,
+      () => concatUserChunks(roomId, userId, {
+        originMs,
+        onProgress: (stage, percent) => onProgress({ stage, userId, percent }),
+      }),
+      () => {
+        onProgress({ stage: "normalize", userId, percent: 100 });
+        onProgress({ stage: "concat", userId, percent: 100 });
+      }
+    );
     mergedUserVideos.push(merged);
   }
 
-  const finalPath = await mergeUsersFinal(roomId, mergedUserVideos);
+  // mastering: the mastered mix becomes both the podcast master and the video's audio
+  let masterPath = null;
+  let loudness = null;
+
+  if (opts.mastering?.enabled) {
+    const mode = opts.mastering.mode;
+    const target = getMasteringTarget(mode);
+    const masteringSteps = userDirs.length + 1;
+    const masteringProgress = (index) => (percent) =>
+      onProgress({ stage: "mastering", userId: null, percent: ((index + percent / 100) / masteringSteps) * 100 });
+
+    const masteredTracks = [];
+    for (const [index, userId] of userDirs.entries()) {
+      masteredTracks.push(await runStep(`mastering:${userId}`, () =>
+        masterTrack(mergedUserVideos[index], path.join(roomDir, `user-${userId}-mastered.wav`), {
+          mode,
+          cleanup: true,
+          gate: opts.mastering.noiseGate,
+          onProgress: masteringProgress(index),
+        })
+      ));
+    }
+
+    masterPath = await runStep("audio:master", async () => {
+      const mixPath = path.join(roomDir, "podcast-mix.wav");
+      await mixPodcastMaster(roomId, masteredTracks, { output: mixPath, channels: target.channels });
+
+      const mastered = await masterTrack(mixPath, path.join(roomDir, "podcast-master.wav"), {
+        mode,
+        limiter: true,
+        onProgress: masteringProgress(userDirs.length),
+      });
+      fs.unlinkSync(mixPath);
+      return mastered;
+    });
+
+    // measured on the actual output, so a reused master reports the same numbers
+    const measured = await measureLoudness(masterPath, { target });
+    if (measured) {
+      loudness = {
+        integrated: measured.integrated,
+        truePeak: measured.truePeak,
+        lra: measured.lra,
+        target: target.integrated,
+      };
+      console.log(`🔊 Mastered mix: ${measured.integrated} LUFS (target ${target.integrated})`);
+    }
+
+    onProgress({ stage: "mastering", userId: null, percent: 100 });
+  }
+
+  // transcript from the isolated per-user tracks, before the final merge so it can be captioned;
+  // it is a bonus: a missing engine or recognizer errors never fail the merge
+  let transcript = null;
+  if (opts.transcription?.enabled) {
+    try {
+      if (!getTranscriptionEngine()) {
+        console.warn("⚠️ Transcription requested but TRANSCRIBE_ENGINE is not set — skipping");
+      } else {
+        const tracks = userDirs.map((userId, i) => ({ userId, videoPath: mergedUserVideos[i] }));
+
+        await runStep(
+          "transcript",
+          () => transcribeMeeting(roomId, tracks, {
+            usernames: opts.usernames,
+            language: opts.transcription.language,
+            onProgress: (percent) => onProgress({ stage: "transcribe", userId: null, percent }),
+          }),
+          () => onProgress({ stage: "transcribe", userId: null, percent: 100 })
+        );
+        transcript = getTranscriptPaths(roomId);
+      }
+    } catch (err) {
+      console.error("❌ Transcription failed:", err.message);
+    }
+  }
+
+  // captions need at least one transcript line (ffmpeg rejects an empty SRT)
+  const wantsCaptions = Boolean(opts.captions?.mode) && opts.captions.mode !== "off";
+  const hasCaptionText = Boolean(transcript) && fs.existsSync(transcript.srtPath) && fs.statSync(transcript.srtPath).size > 0;
+  if (wantsCaptions && !hasCaptionText) {
+    console.warn("⚠️ Captions requested but there is no transcript text — merging without them");
+  }
+  const captions = wantsCaptions && hasCaptionText ? { ...opts.captions, srtPath: transcript.srtPath } : null;
+
+  // intro/outro/music bed (bumpers.js): the meeting is rendered and trimmed as a "-body" file
+  // first, the deliverables are the body with the bumpers around it
+  const bumperAssets = hasBumpers(opts.bumpers) ? await fetchBumperAssets(roomId, opts.bumpers) : null;
+  const withBumpers = Boolean(bumperAssets) && Object.values(bumperAssets).some(Boolean);
+  const bodyFile = (name) => path.join(roomDir, withBumpers ? name.replace(/\.mp4$/, "-body.mp4") : name);
+
+  const bodyPath = await runStep(
+    "final",
+    () => mergeUsersFinal(roomId, mergedUserVideos, {
+      layout: opts.layout,
+      canvas: opts.canvas,
+      audioPath: masterPath,
+      // a soft track is added with the bumpers, once the transcript has moved past the intro
+      captions: withBumpers && captions?.mode === "soft" ? null : captions,
+      output: bodyFile("final-recording.mp4"),
+      onProgress: (percent) => onProgress({ stage: "merge", userId: null, percent }),
+    }),
+    () => onProgress({ stage: "merge", userId: null, percent: 100 })
+  );
+
+  // dead-air removal: an edited variant next to the raw final recording
+  let editedPath = null;
+  let cuts = [];
+
+  if (opts.silenceTrim?.enabled) {
+    editedPath = await runStep(
+      "trim",
+      async () => {
+        const trimmed = await trimSilence(bodyPath, bodyFile("final-recording-edited.mp4"), {
+          shortenPauses: opts.silenceTrim.shortenPauses,
+          maxPauseSeconds: opts.silenceTrim.maxPauseSeconds,
+          outputOptions: FINAL_OUTPUT_OPTIONS,
+          onProgress: (percent) => onProgress({ stage: "trim", userId: null, percent }),
+        });
+        return trimmed.path;
+      },
+      () => onProgress({ stage: "trim", userId: null, percent: 100 })
+    );
+
+    cuts = editedPath ? readCuts(editedPath) : [];
+    onProgress({ stage: "trim", userId: null, percent: 100 });
+  }
+
+  const tiles = layoutTiles(userDirs.length, { layout: opts.layout, canvas: opts.canvas })
+    .map((tile, i) => ({ userId: userDirs[i], ...tile }));
+
+  let finalPath = bodyPath;
+  let introSeconds = 0;
+
+  if (withBumpers) {
+    introSeconds = planBumpers(bumperAssets, await probeDuration(bodyPath), opts.bumpers.crossfadeSeconds).introSeconds;
+    if (transcript) offsetTranscript(roomId, introSeconds);
+
+    const videos = editedPath ? 2 : 1;
+    const bumperProgress = (index) => (percent) =>
+      onProgress({ stage: "bumpers", userId: null, percent: ((index + percent / 100) / videos) * 100 });
+
+    finalPath = await runStep("bumpers:final", () =>
+      addBumpersToVideo(bodyPath, path.join(roomDir, "final-recording.mp4"), bumperAssets, opts.bumpers, {
+        captions: captions?.mode === "soft" ? captions : null,
+        outputOptions: FINAL_OUTPUT_OPTIONS,
+        onProgress: bumperProgress(0),
+      })
+    );
+
+    if (editedPath) {
+      editedPath = await runStep("bumpers:edited", () =>
+        addBumpersToVideo(editedPath, path.join(roomDir, "final-recording-edited.mp4"), bumperAssets, opts.bumpers, {
+          outputOptions: FINAL_OUTPUT_OPTIONS,
+          onProgress: bumperProgress(1),
+        })
+      );
+    }
+
+    onProgress({ stage: "bumpers", userId: null, percent: 100 });
+  }
+
+  // adaptive streaming copy of the raw recording for the player page
+  let hlsPath = null;
+  if (opts.hls?.enabled !== false) {
+    hlsPath = await runStep(
+      "hls",
+      () => exportHls(roomId, finalPath, {
+        onProgress: (percent) => onProgress({ stage: "hls", userId: null, percent }),
+      }),
+      () => onProgress({ stage: "hls", userId: null, percent: 100 })
+    );
+  }
 
-  // (Optional) keep temp mp4s and chunk dirs for debugging — but we can delete if desired.
-  // Here we keep them by default. If you want auto-clean, uncomment below.
+  // scrub previews for the library / player
+  await runStep(
+    "thumbnails",
+    () => generateThumbnails(roomId, finalPath, {
+      onProgress: (percent) => onProgress({ stage: "thumbnails", userId: null, percent }),
+    }),
+    () => onProgress({ stage: "thumbnails", userId: null, percent: 100 })
+  );
+  const thumbnails = getThumbnailPaths(roomId);
+
+  // audio-only podcast: master mix first (unless mastering made it), then one encode per format
+  const audio = {};
+  let audioDuration = null;
+  const audioFormats = opts.audio?.formats || DEFAULT_AUDIO_FORMATS;
+
+  if (audioFormats.length > 0) {
+    const audioSteps = audioFormats.length + 1;
+    const audioProgress = (index) => (percent) =>
+      onProgress({ stage: "audio", userId: null, percent: ((index + percent / 100) / audioSteps) * 100 });
+
+    masterPath = masterPath || await runStep("audio:master", () =>
+      mixPodcastMaster(roomId, mergedUserVideos, { onProgress: audioProgress(0) })
+    );
+
+    // the published audio gets the same cuts as the edited video
+    if (cuts.length > 0) {
+      masterPath = await runStep("audio:edited", async () => {
+        const trimmed = await trimSilence(masterPath, path.join(roomDir, "podcast-master-edited.wav"), {
+          cuts,
+          outputOptions: ["-c:a", "pcm_s16le"],
+        });
+        return trimmed.path;
+      });
+    }
+
+    // the same intro, outro and music bed as the video
+    if (withBumpers) {
+      masterPath = await runStep("audio:bumpers", () =>
+        addBumpersToAudio(masterPath, path.join(roomDir, "podcast-episode.wav"), bumperAssets, opts.bumpers)
+      );
+    }
 
-  // // cleanup user folders
-  // for (const u of userDirs) {
-  //   fs.rmSync(path.join(roomDir, u), { recursive: true, force: true });
-  // }
-  // // cleanup user merged mp4s
-  // for (const m of mergedUserVideos) {
-  //   if (fs.existsSync(m)) fs.unlinkSync(m);
-  // }
+    for (const [index, format] of audioFormats.entries()) {
+      audio[format] = await runStep(`audio:${format}`, () =>
+        encodePodcastAudio(roomId, masterPath, format, {
+          bitrate: opts.audio?.bitrate,
+          tags: opts.metadata,
+          onProgress: audioProgress(index + 1),
+        })
+      );
+    }
+
+    // podcast feeds advertise it (itunes:duration)
+    audioDuration = (await probeDuration(masterPath)) || null;
+    onProgress({ stage: "audio", userId: null, percent: 100 });
+  }
+
+  // intermediates (-norm.mp4, gap clips, user-*-merged.mp4 ...) stay until the job
+  // has succeeded — jobQueue.js removes them, the server's retention sweeper removes raw chunks
+
+  let multitrackPath = null;
+  if (opts.multitrack?.enabled) {
+    const tracks = userDirs.map((userId, i) => ({ userId, videoPath: mergedUserVideos[i] }));
+
+    multitrackPath = await runStep(
+      "multitrack",
+      () => exportMultitrack(roomId, tracks, {
+        usernames: opts.usernames,
+        offsets,
+        audioFormat: opts.multitrack.audioFormat,
+        onProgress: (percent) => onProgress({ stage: "multitrack", userId: null, percent }),
+      }),
+      () => onProgress({ stage: "multitrack", userId: null, percent: 100 })
+    );
+  }
 
-  return finalPath;
+  return {
+    finalPath, editedPath, cuts, hlsPath, thumbnails, audio, multitrackPath, transcript, audioDuration, introSeconds, tiles, loudness,
+  };
 }
 
 // Default export for backwards-compatibility
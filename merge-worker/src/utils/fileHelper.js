@@ -2,17 +2,20 @@
 
 import fs from "fs";
 import path from "path";
+import dotenv from "dotenv";
+
+// RECORDINGS_DIR is read at import time, before server.js loads .env
+dotenv.config();
 
 // -----------------------------------------------------
 // Base folder where server stores recordings
-// merge-worker MUST read the SAME folder
+// STORAGE_DRIVER=local: merge-worker MUST read the SAME folder
+// STORAGE_DRIVER=s3: local scratch copy (see storageSync.js)
+// RECORDINGS_DIR in .env overrides the default
 // -----------------------------------------------------
-export const RECORDINGS_DIR = path.join(
-  process.cwd(),
-  "..",
-  "server",
-  "recordings"
-);
+export const RECORDINGS_DIR = process.env.RECORDINGS_DIR
+  ? path.resolve(process.env.RECORDINGS_DIR)
+  : path.join(process.cwd(), "..", "server", "recordings");
 
 // Ensure base exists
 if (!fs.existsSync(RECORDINGS_DIR)) {
@@ -20,6 +23,25 @@ if (!fs.existsSync(RECORDINGS_DIR)) {
   console.log("📁 Created base recordings directory:", RECORDINGS_DIR);
 }
 
+// -----------------------------------------------------
+// Output folders inside a meeting dir — everything else is a user folder
+// -----------------------------------------------------
+export const HLS_DIR_NAME = "hls";
+// highlight clips cut from the final recording (clips.js)
+export const CLIPS_DIR_NAME = "clips";
+const OUTPUT_DIRS = [HLS_DIR_NAME, CLIPS_DIR_NAME];
+
+export function listUserDirs(meetingDir) {
+  return fs.readdirSync(meetingDir).filter((item) => {
+    if (OUTPUT_DIRS.includes(item)) return false;
+    try {
+      return fs.statSync(path.join(meetingDir, item)).isDirectory();
+    } catch {
+      return false;
+    }
+  });
+}
+
 // -----------------------------------------------------
 // Get meeting directory
 // Example: /recordings/<roomId>
@@ -49,9 +71,7 @@ export function ensureDirectories(roomId) {
     );
   }
 
-  const users = fs
-    .readdirSync(meetingDir)
-    .filter((item) => fs.statSync(path.join(meetingDir, item)).isDirectory());
+  const users = listUserDirs(meetingDir);
 
   if (users.length === 0) {
     throw new Error(`❌ No user directories found inside ${meetingDir}`);
@@ -75,3 +95,45 @@ export function listChunks(roomId, userId) {
     .filter((f) => f.endsWith(".webm"))
     .sort();
 }
+
+// -----------------------------------------------------
+// Merge intermediates (see ffmpegHelper.js) — only needed to resume
+// an unfinished merge, never served. Names relative to the meeting dir.
+// The "-body" renders and "bumper-*" copies only exist with bumpers (bumpers.js).
+// -----------------------------------------------------
+const INTERMEDIATE_ROOT_FILE =
+  /^(user-.+-(merged\.mp4|mastered\.wav)|podcast-(mix|episode)\.wav|final-recording(-edited)?-body\.mp4(\.cuts\.json)?|bumper-(intro|outro|music)(-[\w-]+)?\.\w+)$/;
+const INTERMEDIATE_USER_FILE = /^(.+-norm\.mp4|gap-\d+\.mp4|concat\.txt)$/;
+
+export function isIntermediateFile(relativePath) {
+  const parts = relativePath.split("/");
+  if (parts.length === 1) return INTERMEDIATE_ROOT_FILE.test(parts[0]);
+  return parts.length === 2 && !OUTPUT_DIRS.includes(parts[0]) && INTERMEDIATE_USER_FILE.test(parts[1]);
+}
+
+// -----------------------------------------------------
+// Delete a meeting's merge intermediates, returns the bytes freed
+// -----------------------------------------------------
+export function removeIntermediates(roomId) {
+  const meetingDir = getMeetingDir(roomId);
+  if (!fs.existsSync(meetingDir)) return 0;
+
+  const candidates = fs.readdirSync(meetingDir);
+  for (const userId of listUserDirs(meetingDir)) {
+    for (const name of fs.readdirSync(path.join(meetingDir, userId))) candidates.push(`${userId}/${name}`);
+  }
+
+  let freed = 0;
+  for (const relativePath of candidates.filter(isIntermediateFile)) {
+    const full = path.join(meetingDir, ...relativePath.split("/"));
+    try {
+      freed += fs.statSync(full).size;
+      fs.rmSync(full, { force: true });
+    } catch {
+      // already gone
+    }
+  }
+
+  console.log(`🧹 Removed merge intermediates of room ${roomId} (${(freed / 1024 / 1024).toFixed(2)} MB)`);
+  return freed;
+}
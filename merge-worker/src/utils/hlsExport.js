@@ -0,0 +1,104 @@
+// merge-worker/src/utils/hlsExport.js
+import fs from "fs";
+import path from "path";
+import ffmpeg, { probeDuration, probeMedia, reportProgress, runCommand } from "./ffmpegCommon.js";
+import { HLS_DIR_NAME, RECORDINGS_DIR } from "./fileHelper.js";
+
+// -----------------------------------------------------
+// HLS packaging of the final recording for in-browser playback.
+//   <roomId>/hls/master.m3u8        adaptive master playlist
+//   <roomId>/hls/<rendition>.m3u8   one media playlist per rendition
+//   <roomId>/hls/<rendition>_NNN.ts 6-second segments
+// The folder is flat so the API server can serve it with one route.
+// -----------------------------------------------------
+export const HLS_RENDITIONS = [
+  { name: "360p", height: 360, videoBitrate: 800, audioBitrate: "96k" },
+  { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: "128k" },
+  { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: "160k" },
+];
+
+const SEGMENT_SECONDS = 6;
+const FPS = 30;
+
+// -----------------------------
+// Renditions that make sense for the source: no upscaling, but always at least one
+// -----------------------------
+export function pickRenditions(sourceHeight) {
+  const fitting = HLS_RENDITIONS.filter((r) => !sourceHeight || r.height <= sourceHeight);
+  return fitting.length ? fitting : [HLS_RENDITIONS[0]];
+}
+
+// -----------------------------
+// exportHls(roomId, input, opts) → path of master.m3u8
+// opts.onProgress(percent)
+// -----------------------------
+export async function exportHls(roomId, input, opts = {}) {
+  const outDir = path.join(RECORDINGS_DIR, roomId, HLS_DIR_NAME);
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const media = await probeMedia(input);
+  const renditions = pickRenditions(media?.height);
+  const hasAudio = media?.hasAudio !== false;
+
+  // one decode, split into a scaled copy per rendition
+  const splitLabels = renditions.map((_, i) => `[v${i}]`).join("");
+  const filters = [`[0:v]split=${renditions.length}${splitLabels}`];
+  renditions.forEach((r, i) => filters.push(`[v${i}]scale=-2:${r.height}[v${i}out]`));
+
+  const outputOptions = [];
+  renditions.forEach((r, i) => {
+    outputOptions.push("-map", `[v${i}out]`);
+    if (hasAudio) outputOptions.push("-map", "0:a:0");
+
+    outputOptions.push(
+      `-b:v:${i}`, `${r.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(r.videoBitrate * 1.07)}k`,
+      `-bufsize:v:${i}`, `${Math.round(r.videoBitrate * 1.5)}k`
+    );
+    if (hasAudio) outputOptions.push(`-b:a:${i}`, r.audioBitrate);
+  });
+
+  outputOptions.push(
+    "-c:v", "libx264",
+    "-preset", "veryfast",
+    "-profile:v", "main",
+    "-pix_fmt", "yuv420p",
+    // fixed GOP = segment length, so every segment starts on a keyframe in every rendition
+    "-g", String(FPS * SEGMENT_SECONDS),
+    "-keyint_min", String(FPS * SEGMENT_SECONDS),
+    "-sc_threshold", "0",
+    "-c:a", "aac",
+    "-ar", "48000",
+    "-f", "hls",
+    "-hls_time", String(SEGMENT_SECONDS),
+    "-hls_playlist_type", "vod",
+    "-hls_flags", "independent_segments",
+    "-hls_segment_filename", path.join(outDir, "%v_%03d.ts"),
+    "-master_pl_name", "master.m3u8"
+  );
+
+  const streamMap = renditions
+    .map((r, i) => (hasAudio ? `v:${i},a:${i},name:${r.name}` : `v:${i},name:${r.name}`))
+    .join(" ");
+
+  const command = ffmpeg(input);
+  reportProgress(command, await probeDuration(input), opts.onProgress);
+
+  command.complexFilter(filters).outputOptions(outputOptions);
+  // separate arguments — the map contains spaces (see metadataOptions)
+  command.outputOptions("-var_stream_map", streamMap);
+
+  console.log(`📺 Packaging HLS (${renditions.map((r) => r.name).join(", ")}) for room ${roomId}`);
+  await runCommand(command, path.join(outDir, "%v.m3u8"), "hls");
+
+  const masterPath = path.join(outDir, "master.m3u8");
+  console.log(`📺 HLS ready → ${masterPath}`);
+  return masterPath;
+}
+
+export default {
+  HLS_RENDITIONS,
+  pickRenditions,
+  exportHls,
+};
@@ -0,0 +1,316 @@
+// merge-worker/src/utils/jobQueue.js
+import { randomUUID } from "crypto";
+import os from "os";
+import MergeJob from "../models/MergeJob.js";
+import { processClip } from "./clips.js";
+import { processMeeting } from "./ffmpegHelper.js";
+import { removeIntermediates } from "./fileHelper.js";
+import { downloadMeeting, removeLocalCopy, uploadMeetingOutputs } from "./storageSync.js";
+
+// -----------------------------------------------------
+// Durable merge queue backed by the MergeJob collection.
+// Jobs are created by the API server (or POST /merge) as "queued";
+// this worker claims them one at a time and checkpoints every
+// finished pipeline step so a restart resumes where it stopped.
+// kind "clip" jobs cut a highlight from a finished recording (clips.js)
+// and share the queue, so ffmpeg never runs twice at once.
+// -----------------------------------------------------
+// unique per process (pids repeat across restarts and containers), so a lock
+// is only ever renewed or released by the process that took it
+const WORKER_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+const POLL_INTERVAL_MS = Number(process.env.MERGE_JOB_POLL_MS) || 5000;
+const HEARTBEAT_MS = 30000;
+// a "running" job whose heartbeat is older than this was abandoned by a dead worker
+const STALE_AFTER_MS = HEARTBEAT_MS * 4;
+const MAX_ATTEMPTS = Number(process.env.MERGE_JOB_MAX_ATTEMPTS) || 3;
+// progress is written to Mongo at most this often (stage completions always go through)
+const PROGRESS_WRITE_MS = 1000;
+
+let busy = false;
+
+// -----------------------------------------------------
+// Create a job, or return the active one if this room already has one
+// (clip jobs don't count — a room can have any number of those).
+// The unique index on active merge jobs settles a race with the API server.
+// -----------------------------------------------------
+const findActiveMergeJob = (roomId) =>
+  MergeJob.findOne({
+    roomId,
+    kind: { $ne: "clip" },
+    status: { $in: ["queued", "running"] },
+  });
+
+export async function enqueueMergeJob(roomId, options = {}) {
+  const active = await findActiveMergeJob(roomId);
+  if (active) return active;
+
+  try {
+    return await MergeJob.create({ roomId, options });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const existing = await findActiveMergeJob(roomId);
+    if (!existing) throw err;
+    return existing;
+  }
+}
+
+// -----------------------------------------------------
+// A clip reads the final recording a merge of its room rewrites, so the two
+// never run together: a clip waits for the room's queued or running merge,
+// a merge for the room's running clips. conflictingJobs(job) is the filter
+// for the active jobs that keep `job` from running.
+// -----------------------------------------------------
+const conflictingJobs = (job) =>
+  job.kind === "clip"
+    ? { roomId: job.roomId, kind: { $ne: "clip" }, status: { $in: ["queued", "running"] } }
+    : { roomId: job.roomId, kind: "clip", status: "running" };
+
+// -----------------------------------------------------
+// Atomically take the oldest queued (or abandoned) job whose room has no
+// conflicting job. Two workers may still claim a clip and a merge of one
+// room at the same moment: each checks again after its claim, so at least
+// one of them sees the other and puts its job back (returns null until the
+// next poll).
+// -----------------------------------------------------
+async function claimNextJob() {
+  const staleBefore = new Date(Date.now() - STALE_AFTER_MS);
+
+  const active = await MergeJob.find({ status: { $in: ["queued", "running"] } }).select("roomId kind status").lean();
+  const mergeRooms = active.filter((j) => j.kind !== "clip").map((j) => j.roomId);
+  const clipRooms = active.filter((j) => j.kind === "clip" && j.status === "running").map((j) => j.roomId);
+
+  const job = await MergeJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued" },
+        { status: "running", lockedAt: { $lt: staleBefore } },
+      ],
+      $nor: [
+        { kind: "clip", roomId: { $in: mergeRooms } },
+        { kind: { $ne: "clip" }, roomId: { $in: clipRooms } },
+      ],
+    },
+    {
+      $set: { status: "running", lockedBy: WORKER_ID, lockedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+  if (!job) return null;
+
+  if (await MergeJob.exists({ ...conflictingJobs(job), _id: { $ne: job._id } })) {
+    console.log(`⏸️ ${job.kind === "clip" ? "Clip" : "Merge"} job ${job._id} waits for another job of room ${job.roomId}`);
+    await updateLockedJob(job._id, {
+      $set: { status: "queued", lockedBy: null, lockedAt: null },
+      $inc: { attempts: -1 },
+    });
+    return null;
+  }
+
+  return job;
+}
+
+// -----------------------------------------------------
+// Collects { stage, userId, percent } updates from processMeeting
+// into job.progress, which the API server relays as "merge-progress"
+// -----------------------------------------------------
+function createProgressReporter(jobId) {
+  const stages = {};
+  let lastWrite = 0;
+
+  return ({ stage, userId, percent }) => {
+    const key = userId ? `${stage}:${userId}` : stage;
+    const rounded = Math.round(percent);
+    if (stages[key] && stages[key].percent === rounded) return;
+
+    stages[key] = { stage, userId: userId || null, percent: rounded };
+
+    const now = Date.now();
+    if (rounded < 100 && now - lastWrite < PROGRESS_WRITE_MS) return;
+    lastWrite = now;
+
+    MergeJob.updateOne(
+      { _id: jobId, lockedBy: WORKER_ID },
+      {
+        $set: {
+          progress: {
+            stage,
+            userId: userId || null,
+            percent: rounded,
+            stages: Object.values(stages),
+            updatedAt: new Date(),
+          },
+        },
+      }
+    ).catch((err) => console.warn("⚠️ Merge job progress update failed:", err.message));
+  };
+}
+
+// -----------------------------------------------------
+// Thrown once this worker no longer holds a job's lock (it went stale
+// and was reclaimed); the job's outcome belongs to the new holder
+// -----------------------------------------------------
+class LostLockError extends Error {
+  constructor(jobId) {
+    super(`Lost the lock on merge job ${jobId}`);
+    this.name = "LostLockError";
+  }
+}
+
+// Updates a job this worker holds; false if the lock was lost meanwhile
+async function updateLockedJob(jobId, update) {
+  const { matchedCount } = await MergeJob.updateOne({ _id: jobId, lockedBy: WORKER_ID }, update);
+  return matchedCount > 0;
+}
+
+// -----------------------------------------------------
+// A full merge: chunks in, every output of processMeeting out
+// -----------------------------------------------------
+async function runMerge(job) {
+  // remote storage: chunks in, results out (no-ops with the local driver)
+  await downloadMeeting(job.roomId);
+
+  const result = await processMeeting(job.roomId, {
+    ...job.options,
+    steps: job.steps || {},
+    onProgress: createProgressReporter(job._id),
+    // a checkpoint that no longer matches means another worker took the job over — stop here
+    onStepDone: async (step, output) => {
+      const { matchedCount } = await MergeJob.updateOne(
+        { _id: job._id, lockedBy: WORKER_ID },
+        { $set: { [`steps.${step}`]: output } }
+      );
+      if (matchedCount === 0) throw new LostLockError(job._id);
+    },
+  });
+
+  await uploadMeetingOutputs(job.roomId);
+  return result;
+}
+
+async function runJob(job) {
+  const jobId = job._id;
+
+  if (job.attempts > MAX_ATTEMPTS) {
+    console.error(`❌ Merge job ${jobId} exceeded ${MAX_ATTEMPTS} attempts`);
+    await updateLockedJob(
+      jobId,
+      {
+        $set: {
+          status: "failed",
+          error: `Gave up after ${MAX_ATTEMPTS} attempts`,
+          finishedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null,
+        },
+      }
+    );
+    return;
+  }
+
+  const isClip = job.kind === "clip";
+  console.log(`🔧 Running ${isClip ? "clip" : "merge"} job ${jobId} for room ${job.roomId} (attempt ${job.attempts})`);
+
+  if (!job.startedAt) {
+    await updateLockedJob(jobId, { $set: { startedAt: new Date() } });
+  }
+
+  let lockLost = false;
+  const heartbeat = setInterval(() => {
+    updateLockedJob(jobId, { $set: { lockedAt: new Date() } })
+      .then((held) => {
+        if (held) return;
+        lockLost = true;
+        clearInterval(heartbeat);
+        console.warn(`⚠️ Merge job ${jobId} was taken over by another worker`);
+      })
+      .catch((err) => console.warn("⚠️ Merge job heartbeat failed:", err.message));
+  }, HEARTBEAT_MS);
+
+  try {
+    let result;
+    if (isClip) {
+      const report = createProgressReporter(jobId);
+      result = await processClip(job.roomId, job.options, {
+        onProgress: (percent) => report({ stage: "clip", percent }),
+      });
+    } else {
+      result = await runMerge(job);
+    }
+
+    const stored =
+      !lockLost &&
+      (await updateLockedJob(jobId, {
+        $set: {
+          status: "succeeded",
+          result,
+          error: null,
+          finishedAt: new Date(),
+          lockedBy: null,
+          lockedAt: null,
+        },
+      }));
+    if (!stored) throw new LostLockError(jobId);
+    console.log(`🎉 ${isClip ? "Clip" : "Merge"} job ${jobId} succeeded → ${isClip ? result.clipPath : result.finalPath}`);
+
+    // results are stored — intermediates only mattered for resuming this job
+    try {
+      if (!isClip && process.env.KEEP_INTERMEDIATES !== "true") removeIntermediates(job.roomId);
+      removeLocalCopy(job.roomId);
+    } catch (err) {
+      console.warn(`⚠️ Cleanup after merge job ${jobId} failed:`, err.message);
+    }
+  } catch (err) {
+    if (err instanceof LostLockError) {
+      console.warn(`⚠️ ${err.message}; leaving it to the new holder`);
+      return;
+    }
+    console.error(`❌ Merge job ${jobId} failed:`, err.message);
+    await updateLockedJob(jobId, {
+      $set: {
+        status: "failed",
+        error: err.message,
+        finishedAt: new Date(),
+        lockedBy: null,
+        lockedAt: null,
+      },
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// -----------------------------------------------------
+// Drain the queue; safe to call any time (no-op while a job runs)
+// -----------------------------------------------------
+export async function processQueue() {
+  if (busy) return;
+  busy = true;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error("❌ Merge queue error:", err.message);
+  } finally {
+    busy = false;
+  }
+}
+
+// -----------------------------------------------------
+// Start polling. Jobs left "running" by a dead process are picked up
+// again once their heartbeat is stale (claimNextJob) — another live
+// worker, even on this host, may still be running them.
+// -----------------------------------------------------
+export async function startJobQueue() {
+  processQueue();
+  setInterval(processQueue, POLL_INTERVAL_MS);
+}
+
+export default {
+  enqueueMergeJob,
+  processQueue,
+  startJobQueue,
+};
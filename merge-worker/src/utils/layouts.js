@@ -0,0 +1,175 @@
+// merge-worker/src/utils/layouts.js
+
+// -----------------------------------------------------
+// Video layouts for the final composite.
+// Every participant becomes a tile scaled (keeping aspect ratio)
+// and padded to a common size, then tiles are placed on a fixed
+// output canvas so mismatched input resolutions can't break the merge.
+// -----------------------------------------------------
+export const LAYOUTS = ["grid", "pip", "side-by-side"];
+export const DEFAULT_LAYOUT = "grid";
+export const DEFAULT_CANVAS = { width: 1920, height: 1080 };
+
+const MIN_DIMENSION = 160;
+const MAX_DIMENSION = 3840;
+
+// libx264 + yuv420p need even dimensions
+const even = (n) => Math.max(2, Math.floor(n / 2) * 2);
+
+// -----------------------------------------------------
+// Accepts "1920x1080" or { width, height }; falls back to DEFAULT_CANVAS
+// -----------------------------------------------------
+export function parseCanvas(canvas) {
+  let width;
+  let height;
+
+  if (typeof canvas === "string") {
+    const match = canvas.match(/^(\d+)x(\d+)$/);
+    if (match) [, width, height] = match.map(Number);
+  } else if (canvas && typeof canvas === "object") {
+    width = Number(canvas.width);
+    height = Number(canvas.height);
+  }
+
+  const valid = (n) => Number.isFinite(n) && n >= MIN_DIMENSION && n <= MAX_DIMENSION;
+  if (!valid(width) || !valid(height)) return { ...DEFAULT_CANVAS };
+
+  return { width: even(width), height: even(height) };
+}
+
+// -----------------------------------------------------
+// Scale + letterbox input i into a w×h tile labelled [label]
+// -----------------------------------------------------
+function tileFilter(i, label, w, h, fps) {
+  return (
+    `[${i}:v]scale=${w}:${h}:force_original_aspect_ratio=decrease,` +
+    `pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:color=black,` +
+    `setsar=1,fps=${fps},setpts=PTS-STARTPTS[${label}]`
+  );
+}
+
+// -----------------------------------------------------
+// Grid of `cols` columns; a partly filled last row is centred.
+// side-by-side is simply a grid with a single row.
+// -----------------------------------------------------
+function gridTiles(count, cols, canvas) {
+  const rows = Math.ceil(count / cols);
+  const tileW = even(canvas.width / cols);
+  const tileH = even(canvas.height / rows);
+  const lastRowCount = count - (rows - 1) * cols;
+
+  const tiles = [];
+  for (let i = 0; i < count; i++) {
+    const row = Math.floor(i / cols);
+    const col = i % cols;
+    const offset = row === rows - 1 ? Math.floor(((cols - lastRowCount) * tileW) / 2) : 0;
+    tiles.push({ x: offset + col * tileW, y: row * tileH, width: tileW, height: tileH });
+  }
+  return tiles;
+}
+
+function gridFilters(count, cols, canvas, fps) {
+  const tiles = gridTiles(count, cols, canvas);
+
+  const filters = [];
+  const labels = [];
+  const positions = [];
+
+  for (let i = 0; i < count; i++) {
+    filters.push(tileFilter(i, `t${i}`, tiles[i].width, tiles[i].height, fps));
+    labels.push(`[t${i}]`);
+    positions.push(`${tiles[i].x}_${tiles[i].y}`);
+  }
+
+  const fitCanvas = `pad=${canvas.width}:${canvas.height}:(ow-iw)/2:(oh-ih)/2:color=black`;
+
+  if (count === 1) {
+    filters.push(`[t0]${fitCanvas}[vout]`);
+  } else {
+    filters.push(`${labels.join("")}xstack=inputs=${count}:layout=${positions.join("|")}:fill=black[stack]`);
+    filters.push(`[stack]${fitCanvas}[vout]`);
+  }
+
+  return filters;
+}
+
+// -----------------------------------------------------
+// Picture-in-picture: input 0 (the speaker) fills the canvas,
+// everyone else is a quarter-size tile in the bottom-right corner,
+// wrapping upwards when a row is full.
+// -----------------------------------------------------
+function pipTiles(count, canvas) {
+  const tiles = [{ x: 0, y: 0, width: canvas.width, height: canvas.height }];
+
+  const tileW = even(canvas.width / 4);
+  const tileH = even(canvas.height / 4);
+  const margin = even(canvas.width / 64);
+  const perRow = Math.max(1, Math.floor((canvas.width - margin) / (tileW + margin)));
+
+  for (let i = 1; i < count; i++) {
+    const k = i - 1;
+    tiles.push({
+      x: canvas.width - ((k % perRow) + 1) * (tileW + margin),
+      y: canvas.height - (Math.floor(k / perRow) + 1) * (tileH + margin),
+      width: tileW,
+      height: tileH,
+    });
+  }
+  return tiles;
+}
+
+function pipFilters(count, canvas, fps) {
+  const tiles = pipTiles(count, canvas);
+  const filters = [tileFilter(0, "base0", canvas.width, canvas.height, fps)];
+  if (count === 1) {
+    filters.push("[base0]null[vout]");
+    return filters;
+  }
+
+  for (let i = 1; i < count; i++) {
+    const { x, y, width, height } = tiles[i];
+    const out = i === count - 1 ? "vout" : `base${i}`;
+
+    filters.push(tileFilter(i, `p${i}`, width, height, fps));
+    // eof_action=pass → a guest who left early disappears instead of freezing
+    filters.push(`[base${i - 1}][p${i}]overlay=${x}:${y}:eof_action=pass[${out}]`);
+  }
+
+  return filters;
+}
+
+// -----------------------------------------------------
+// Build the video part of the filter graph for `count` inputs.
+// Always ends in the label [vout] at exactly canvas size.
+// -----------------------------------------------------
+export function buildLayoutFilters(count, opts = {}) {
+  const layout = LAYOUTS.includes(opts.layout) ? opts.layout : DEFAULT_LAYOUT;
+  const canvas = parseCanvas(opts.canvas);
+  const fps = opts.fps || 30;
+
+  if (layout === "pip") return pipFilters(count, canvas, fps);
+  if (layout === "side-by-side") return gridFilters(count, count, canvas, fps);
+  return gridFilters(count, Math.ceil(Math.sqrt(count)), canvas, fps);
+}
+
+// -----------------------------------------------------
+// Where input i ends up on the canvas: [{ x, y, width, height }] in input order,
+// the same geometry buildLayoutFilters draws (clips.js crops to a speaker's tile)
+// -----------------------------------------------------
+export function layoutTiles(count, opts = {}) {
+  const layout = LAYOUTS.includes(opts.layout) ? opts.layout : DEFAULT_LAYOUT;
+  const canvas = parseCanvas(opts.canvas);
+
+  if (layout === "pip") return pipTiles(count, canvas);
+  if (layout === "side-by-side") return gridTiles(count, count, canvas);
+  return gridTiles(count, Math.ceil(Math.sqrt(count)), canvas);
+}
+
+export default {
+  LAYOUTS,
+  DEFAULT_LAYOUT,
+  DEFAULT_CANVAS,
+  parseCanvas,
+  buildLayoutFilters,
+  layoutTiles,
+};
@@ -0,0 +1,141 @@
+// merge-worker/src/utils/multitrackExport.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+import archiver from "archiver";
+import ffmpeg, { probeDuration, reportProgress, runCommand } from "./ffmpegCommon.js";
+import { RECORDINGS_DIR } from "./fileHelper.js";
+
+// -----------------------------------------------------
+// Multitrack package for post-production:
+//   multitrack.zip
+//   ├── <username>.flac|wav   isolated audio per participant
+//   ├── <username>.mp4        isolated video per participant
+//   └── manifest.json         usernames, offsets, durations, file names
+// -----------------------------------------------------
+export const MULTITRACK_AUDIO_FORMATS = {
+  flac: ["-c:a", "flac"],
+  wav: ["-c:a", "pcm_s24le"],
+};
+
+export const DEFAULT_MULTITRACK_AUDIO_FORMAT = "flac";
+
+// file-system safe, still readable in an editor's bin
+function safeFileName(name) {
+  return String(name).replace(/[^a-zA-Z0-9-_ .]/g, "_").trim() || "participant";
+}
+
+// -----------------------------
+// Give every track a unique base name, preferring the username over the ObjectId
+// -----------------------------
+function assignTrackNames(tracks, usernames = {}) {
+  const used = new Set();
+
+  return tracks.map((track) => {
+    const base = safeFileName(usernames[track.userId] || track.userId);
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}`;
+    used.add(name.toLowerCase());
+    return { ...track, name, username: usernames[track.userId] || null };
+  });
+}
+
+// -----------------------------
+// Extract one participant's audio as lossless FLAC/WAV (48kHz, original channels)
+// -----------------------------
+async function extractTrackAudio(videoPath, output, format, onProgress) {
+  const command = ffmpeg(videoPath);
+  reportProgress(command, await probeDuration(videoPath), onProgress);
+
+  command.outputOptions(["-vn", "-ar", "48000", ...MULTITRACK_AUDIO_FORMATS[format]]);
+  return runCommand(command, output, "multitrack audio");
+}
+
+function writeZip(output, entries) {
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(output);
+    const zip = archiver("zip", { zlib: { level: 0 } }); // media is already compressed
+
+    out.on("close", () => resolve(output));
+    zip.on("error", reject);
+    zip.on("warning", (err) => console.warn("⚠️ multitrack zip warning:", err.message));
+
+    zip.pipe(out);
+    for (const entry of entries) {
+      if (entry.file) zip.file(entry.file, { name: entry.name });
+      else zip.append(entry.content, { name: entry.name });
+    }
+    zip.finalize();
+  });
+}
+
+// -----------------------------
+// exportMultitrack(roomId, tracks, opts)
+// tracks: [{ userId, videoPath }] — per-user merged MP4s
+// opts.usernames: { <userId>: username }
+// opts.offsets: { <userId>: seconds from meeting start to the user's first chunk } (0 when unknown).
+//   Informational — the per-user MP4s are already padded to start at the meeting start.
+// opts.audioFormat: "flac" (default) | "wav"
+// opts.onProgress(percent)
+// Returns the zip path
+// -----------------------------
+export async function exportMultitrack(roomId, tracks, opts = {}) {
+  const audioFormat = MULTITRACK_AUDIO_FORMATS[opts.audioFormat] ? opts.audioFormat : DEFAULT_MULTITRACK_AUDIO_FORMAT;
+  const onProgress = opts.onProgress || (() => {});
+
+  const roomDir = path.join(RECORDINGS_DIR, roomId);
+  // outside roomDir — every folder in there is treated as a participant
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "multitrack-"));
+
+  const named = assignTrackNames(tracks, opts.usernames);
+  const manifestTracks = [];
+  const entries = [];
+
+  for (const [index, track] of named.entries()) {
+    const audioFile = `${track.name}.${audioFormat}`;
+    const videoFile = `${track.name}.mp4`;
+    const audioPath = path.join(workDir, audioFile);
+
+    await extractTrackAudio(track.videoPath, audioPath, audioFormat, (percent) =>
+      onProgress(((index + percent / 100) / named.length) * 100)
+    );
+
+    manifestTracks.push({
+      userId: track.userId,
+      username: track.username,
+      offsetSeconds: opts.offsets?.[track.userId] || 0,
+      durationSeconds: await probeDuration(track.videoPath),
+      audio: audioFile,
+      video: videoFile,
+    });
+
+    entries.push({ name: audioFile, file: audioPath });
+    entries.push({ name: videoFile, file: track.videoPath });
+  }
+
+  const manifest = {
+    roomId,
+    createdAt: new Date().toISOString(),
+    audioFormat,
+    tracks: manifestTracks,
+  };
+  entries.push({ name: "manifest.json", content: JSON.stringify(manifest, null, 2) });
+
+  const output = path.join(roomDir, "multitrack.zip");
+  try {
+    await writeZip(output, entries);
+  } finally {
+    // the zip holds everything; extracted audio is no longer needed
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  onProgress(100);
+  console.log(`🎚️ Multitrack package ready → ${output}`);
+  return output;
+}
+
+export default {
+  MULTITRACK_AUDIO_FORMATS,
+  DEFAULT_MULTITRACK_AUDIO_FORMAT,
+  exportMultitrack,
+};
@@ -0,0 +1,177 @@
+// merge-worker/src/utils/silenceTrim.js
+import fs from "fs";
+import ffmpeg, { probeDuration, probeMedia, reportProgress, runCommand } from "./ffmpegCommon.js";
+
+// -----------------------------------------------------
+// Dead-air removal for the edited variant of a recording.
+// silencedetect runs over the mixed audio; from its silences we cut
+//   - leading silence ("can you hear me?" before anyone talks)
+//   - trailing silence (after the goodbyes)
+//   - optionally, internal pauses longer than maxPauseSeconds
+// Cuts are stored next to the edited file as "<name>.cuts.json".
+// -----------------------------------------------------
+export const SILENCE_THRESHOLD_DB = -40;
+export const DEFAULT_MAX_PAUSE_SECONDS = 2;
+
+// shortest silence silencedetect reports
+const MIN_SILENCE_SECONDS = 0.5;
+// silence kept at the trimmed start/end so words are not clipped
+const EDGE_PADDING_SECONDS = 0.3;
+// a shortened pause is left this long
+const KEPT_PAUSE_SECONDS = 0.75;
+
+// -----------------------------
+// Run silencedetect over the audio of `input`
+// Returns [{ start, end }] in seconds; a silence running to EOF ends at `duration`
+// -----------------------------
+export function detectSilence(input, duration, opts = {}) {
+  const noise = opts.thresholdDb ?? SILENCE_THRESHOLD_DB;
+  const minSeconds = opts.minSeconds ?? MIN_SILENCE_SECONDS;
+
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let openStart = null;
+
+    // silencedetect logs one line per event; read them as they come
+    // (the 'end' stderr buffer only keeps the last lines)
+    ffmpeg(input)
+      .audioFilters([`silencedetect=noise=${noise}dB:d=${minSeconds}`])
+      .outputOptions(["-vn", "-f", "null"])
+      .on("stderr", (line) => {
+        const start = line.match(/silence_start: (-?[\d.]+)/);
+        if (start) openStart = Math.max(0, Number(start[1]));
+
+        const end = line.match(/silence_end: ([\d.]+)/);
+        if (end && openStart !== null) {
+          silences.push({ start: openStart, end: Number(end[1]) });
+          openStart = null;
+        }
+      })
+      .on("end", () => {
+        if (openStart !== null) silences.push({ start: openStart, end: duration });
+        resolve(silences);
+      })
+      .on("error", (err) => {
+        console.error("❌ silencedetect ffmpeg error:", err);
+        reject(err);
+      })
+      .save("-");
+  });
+}
+
+// -----------------------------
+// Turn silences into cuts: [{ start, end, reason: "leading" | "trailing" | "pause" }]
+// opts.shortenPauses: also shorten internal pauses longer than opts.maxPauseSeconds
+// -----------------------------
+export function planCuts(silences, duration, opts = {}) {
+  const maxPause = opts.maxPauseSeconds ?? DEFAULT_MAX_PAUSE_SECONDS;
+  const edge = 0.05;
+  const cuts = [];
+
+  for (const silence of silences) {
+    if (silence.start <= edge) {
+      const end = silence.end - EDGE_PADDING_SECONDS;
+      if (end > 0) cuts.push({ start: 0, end, reason: "leading" });
+    } else if (silence.end >= duration - edge) {
+      const start = silence.start + EDGE_PADDING_SECONDS;
+      if (start < duration) cuts.push({ start, end: duration, reason: "trailing" });
+    } else if (opts.shortenPauses && silence.end - silence.start > maxPause) {
+      const keep = Math.min(KEPT_PAUSE_SECONDS, maxPause) / 2;
+      cuts.push({ start: silence.start + keep, end: silence.end - keep, reason: "pause" });
+    }
+  }
+
+  // everything silent → nothing worth publishing, leave it alone
+  if (cuts.some((c) => c.start <= 0 && c.end >= duration - EDGE_PADDING_SECONDS)) return [];
+
+  return cuts.map((c) => ({
+    start: Number(c.start.toFixed(3)),
+    end: Number(c.end.toFixed(3)),
+    reason: c.reason,
+  }));
+}
+
+// -----------------------------
+// The parts that stay: [{ start, end }] between the cuts
+// -----------------------------
+export function keptSegments(cuts, duration) {
+  const kept = [];
+  let cursor = 0;
+
+  for (const cut of cuts) {
+    if (cut.start > cursor) kept.push({ start: cursor, end: cut.start });
+    cursor = Math.max(cursor, cut.end);
+  }
+  if (cursor < duration) kept.push({ start: cursor, end: duration });
+
+  return kept;
+}
+
+// -----------------------------
+// Re-encode `input` keeping only `kept` segments (video + audio, or audio only)
+// -----------------------------
+export async function renderKeptSegments(input, output, kept, opts = {}) {
+  const media = await probeMedia(input);
+  const expr = kept.map((k) => `between(t,${k.start},${k.end})`).join("+");
+  const keptSeconds = kept.reduce((sum, k) => sum + (k.end - k.start), 0);
+
+  const command = ffmpeg(input);
+  reportProgress(command, keptSeconds, opts.onProgress);
+
+  const filters = [];
+  const maps = [];
+
+  if (media?.hasVideo) {
+    filters.push(`[0:v]select='${expr}',setpts=N/FRAME_RATE/TB[v]`);
+    maps.push("-map", "[v]");
+  }
+  filters.push(`[0:a]aselect='${expr}',asetpts=N/SR/TB[a]`);
+  maps.push("-map", "[a]");
+
+  command.complexFilter(filters).outputOptions([...maps, ...(opts.outputOptions || [])]);
+  return runCommand(command, output, "silence trim");
+}
+
+export function readCuts(editedPath) {
+  try {
+    return JSON.parse(fs.readFileSync(`${editedPath}.cuts.json`, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+// -----------------------------
+// trimSilence(input, output, opts)
+// opts.shortenPauses / opts.maxPauseSeconds → see planCuts
+// opts.cuts: apply these instead of detecting (e.g. the video's cuts on the podcast master)
+// opts.outputOptions: encoder options for the edited file
+// opts.onProgress(percent)
+// Returns { path, cuts, removedSeconds }; path is null when there is nothing to cut
+// -----------------------------
+export async function trimSilence(input, output, opts = {}) {
+  const duration = await probeDuration(input);
+  const cuts = opts.cuts || planCuts(await detectSilence(input, duration), duration, opts);
+
+  if (cuts.length === 0) {
+    console.log(`✂️ No dead air found in ${input}`);
+    return { path: null, cuts: [], removedSeconds: 0 };
+  }
+
+  await renderKeptSegments(input, output, keptSegments(cuts, duration), opts);
+  fs.writeFileSync(`${output}.cuts.json`, JSON.stringify(cuts, null, 2));
+
+  const removedSeconds = Number(cuts.reduce((sum, c) => sum + (c.end - c.start), 0).toFixed(3));
+  console.log(`✂️ Removed ${removedSeconds}s of dead air in ${cuts.length} cut(s) → ${output}`);
+  return { path: output, cuts, removedSeconds };
+}
+
+export default {
+  SILENCE_THRESHOLD_DB,
+  DEFAULT_MAX_PAUSE_SECONDS,
+  detectSilence,
+  planCuts,
+  keptSegments,
+  renderKeptSegments,
+  readCuts,
+  trimSilence,
+};
@@ -0,0 +1,56 @@
+// merge-worker/src/utils/storage/index.js
+import { RECORDINGS_DIR } from "../fileHelper.js";
+import { createLocalDriver } from "./localDriver.js";
+import { createS3Driver } from "./s3Driver.js";
+
+// -----------------------------------------------------
+// Recording storage — same settings as the API server (server/src/utils/storage):
+//   STORAGE_DRIVER=local (default)  RECORDINGS_DIR, i.e. the server's folder on this machine
+//   STORAGE_DRIVER=s3               S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+//                                   S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE, S3_PREFIX
+// With s3, RECORDINGS_DIR is only the worker's scratch copy (see storageSync.js).
+// The drivers are copies of the server's (a separate package); this index is not.
+// -----------------------------------------------------
+let storage = null;
+
+function createStorage() {
+  const driver = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+
+  if (driver === "local") return createLocalDriver(RECORDINGS_DIR);
+
+  if (driver === "s3") {
+    const endpoint = process.env.S3_ENDPOINT || undefined;
+    return createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === "true"
+        : Boolean(endpoint),
+      prefix: process.env.S3_PREFIX,
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (use local or s3)`);
+}
+
+// -----------------------------
+// The configured driver (created on first use, after .env is loaded)
+// -----------------------------
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`🗄️ Recording storage: ${storage.name}${storage.bucket ? ` (bucket ${storage.bucket})` : ""}`);
+  }
+  return storage;
+}
+
+// meetingKey("abc", "user1", "1.webm") → "abc/user1/1.webm"
+export const meetingKey = (roomId, ...parts) => [roomId, ...parts].map(String).join("/");
+
+export default {
+  getStorage,
+  meetingKey,
+};
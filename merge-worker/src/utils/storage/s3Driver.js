@@ -0,0 +1,182 @@
+// merge-worker/src/utils/storage/s3Driver.js
+// Shared with the API server (server/src/utils/storage/s3Driver.js): both files must stay identical
+// apart from this comment (server/test/sharedModules.test.js checks it).
+import fs from "fs";
+import path from "path";
+import { finished, pipeline } from "stream/promises";
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+
+const CONTENT_TYPES = {
+  ".webm": "video/webm",
+  ".mp4": "video/mp4",
+  ".json": "application/json",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".jpg": "image/jpeg",
+  ".vtt": "text/vtt",
+  ".srt": "application/x-subrip",
+  ".wav": "audio/wav",
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".opus": "audio/ogg",
+  ".ogg": "audio/ogg",
+  ".aac": "audio/aac",
+  ".flac": "audio/flac",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+  ".zip": "application/zip",
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key)] || "application/octet-stream";
+
+const isNotFound = (err) =>
+  err.name === "NotFound" || err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404;
+
+/**
+ * Storage in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+ * config: { bucket, region, endpoint?, accessKeyId?, secretAccessKey?, forcePathStyle?, prefix? }
+ * Keys are the same "/"-separated paths as with the local driver, below `prefix`.
+ */
+export function createS3Driver(config) {
+  if (!config.bucket) throw new Error("S3 storage needs S3_BUCKET");
+
+  const client = new S3Client({
+    region: config.region,
+    endpoint: config.endpoint,
+    forcePathStyle: config.forcePathStyle,
+    // streaming-checksum uploads (aws-chunked) are not understood by every S3-compatible server
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    responseChecksumValidation: "WHEN_REQUIRED",
+    credentials: config.accessKeyId
+      ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+      : undefined,
+  });
+
+  const Bucket = config.bucket;
+  const prefix = config.prefix ? config.prefix.replace(/\/+$/, "") + "/" : "";
+  const objectKey = (key) => prefix + key;
+
+  async function getObject(key, range) {
+    const { Body } = await client.send(new GetObjectCommand({
+      Bucket,
+      Key: objectKey(key),
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+    }));
+    return Body;
+  }
+
+  async function list(dirKey) {
+    const files = [];
+    let ContinuationToken;
+
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket,
+        Prefix: objectKey(`${dirKey}/`),
+        ContinuationToken,
+      }));
+
+      for (const object of page.Contents || []) {
+        files.push({ key: object.Key.slice(prefix.length), size: object.Size, modifiedAt: object.LastModified });
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return files;
+  }
+
+  return {
+    name: "s3",
+    bucket: Bucket,
+
+    async putFile(key, localPath) {
+      const { size } = await fs.promises.stat(localPath);
+      const Body = fs.createReadStream(localPath);
+      try {
+        await client.send(new PutObjectCommand({
+          Bucket,
+          Key: objectKey(key),
+          Body,
+          ContentLength: size,
+          ContentType: contentTypeFor(key),
+        }));
+      } finally {
+        // a request that failed before reading the file leaves the stream (still opening) behind
+        Body.destroy();
+        await finished(Body).catch(() => {});
+      }
+    },
+
+    async putBuffer(key, buffer) {
+      await client.send(new PutObjectCommand({
+        Bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentTypeFor(key),
+      }));
+    },
+
+    // download to a tmp file first, so an interrupted transfer never looks complete
+    async getFile(key, localPath) {
+      const tmpPath = localPath + ".tmp";
+      await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+      try {
+        await pipeline(await getObject(key), fs.createWriteStream(tmpPath));
+        await fs.promises.rename(tmpPath, localPath);
+      } catch (err) {
+        await fs.promises.rm(tmpPath, { force: true });
+        throw err;
+      }
+    },
+
+    async getBuffer(key) {
+      try {
+        const body = await getObject(key);
+        return Buffer.from(await body.transformToByteArray());
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket, Key: objectKey(key) }));
+        return { size: head.ContentLength, modifiedAt: head.LastModified };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    // range: { start, end } (inclusive)
+    createReadStream: (key, range) => getObject(key, range),
+
+    list,
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket, Key: objectKey(key) }));
+    },
+
+    async removeAll(dirKey) {
+      const files = await list(dirKey);
+      // DeleteObjects takes at most 1000 keys
+      for (let i = 0; i < files.length; i += 1000) {
+        await client.send(new DeleteObjectsCommand({
+          Bucket,
+          Delete: { Objects: files.slice(i, i + 1000).map((f) => ({ Key: objectKey(f.key) })), Quiet: true },
+        }));
+      }
+    },
+  };
+}
+
+export default createS3Driver;
@@ -0,0 +1,121 @@
+// merge-worker/src/utils/storageSync.js
+import fs from "fs";
+import path from "path";
+import { CLIPS_DIR_NAME, HLS_DIR_NAME, isIntermediateFile, RECORDINGS_DIR } from "./fileHelper.js";
+import { getStorage, meetingKey } from "./storage/index.js";
+
+// -----------------------------------------------------
+// ffmpeg needs files on disk. With a remote storage driver the worker
+// copies a meeting's chunks into RECORDINGS_DIR before merging and
+// uploads the results afterwards. With the local driver both folders
+// are the same and nothing is copied.
+// -----------------------------------------------------
+
+function isSharedFolder(storage) {
+  return storage.name === "local" && storage.root === path.resolve(RECORDINGS_DIR);
+}
+
+// -----------------------------
+// Download every user chunk folder of a meeting (skips files already here with the same size)
+// Returns the number of files downloaded.
+// -----------------------------
+export async function downloadMeeting(roomId) {
+  const storage = getStorage();
+  if (isSharedFolder(storage)) return 0;
+
+  const files = await storage.list(roomId);
+  let downloaded = 0;
+
+  for (const file of files) {
+    const parts = file.key.split("/").slice(1);
+    // meeting-level outputs, hls/ and clips/ are produced here, not read
+    if (parts.length < 2 || parts[0] === HLS_DIR_NAME || parts[0] === CLIPS_DIR_NAME) continue;
+
+    const localPath = path.join(RECORDINGS_DIR, roomId, ...parts);
+    if (fs.existsSync(localPath) && fs.statSync(localPath).size === file.size) continue;
+
+    await storage.getFile(file.key, localPath);
+    downloaded++;
+  }
+
+  console.log(`⬇️ ${downloaded} file(s) of room ${roomId} fetched from ${storage.name} storage`);
+  return downloaded;
+}
+
+// -----------------------------
+// Upload the merge results: files at the meeting root + hls/
+// Returns the number of files uploaded.
+// -----------------------------
+export async function uploadMeetingOutputs(roomId) {
+  const storage = getStorage();
+  if (isSharedFolder(storage)) return 0;
+
+  const roomDir = path.join(RECORDINGS_DIR, roomId);
+  const outputs = [];
+
+  for (const entry of fs.readdirSync(roomDir, { withFileTypes: true })) {
+    if (entry.isFile() && !entry.name.endsWith(".tmp") && !isIntermediateFile(entry.name)) {
+      outputs.push(entry.name);
+    }
+  }
+
+  const hlsDir = path.join(roomDir, HLS_DIR_NAME);
+  if (fs.existsSync(hlsDir)) {
+    for (const name of fs.readdirSync(hlsDir)) outputs.push(`${HLS_DIR_NAME}/${name}`);
+  }
+
+  for (const name of outputs) {
+    await storage.putFile(meetingKey(roomId, name), path.join(roomDir, ...name.split("/")));
+  }
+
+  console.log(`⬆️ ${outputs.length} output file(s) of room ${roomId} stored in ${storage.name} storage`);
+  return outputs.length;
+}
+
+// -----------------------------
+// One stored file of a meeting on disk, e.g. "final-recording.mp4" for clips.js
+// (skipped when a copy with the same size is already here). Returns the local path.
+// -----------------------------
+export async function downloadMeetingFile(roomId, name) {
+  const storage = getStorage();
+  const localPath = path.join(RECORDINGS_DIR, roomId, ...name.split("/"));
+
+  if (isSharedFolder(storage)) {
+    if (!fs.existsSync(localPath)) throw new Error(`${name} of room ${roomId} not found`);
+    return localPath;
+  }
+
+  const info = await storage.stat(meetingKey(roomId, name));
+  if (!info) throw new Error(`${name} of room ${roomId} not found in ${storage.name} storage`);
+
+  if (!fs.existsSync(localPath) || fs.statSync(localPath).size !== info.size) {
+    await storage.getFile(meetingKey(roomId, name), localPath);
+  }
+  return localPath;
+}
+
+// -----------------------------
+// Store one file written into the meeting folder, e.g. "clips/<clipId>.mp4"
+// -----------------------------
+export async function uploadMeetingFile(roomId, name) {
+  const storage = getStorage();
+  if (isSharedFolder(storage)) return;
+
+  await storage.putFile(meetingKey(roomId, name), path.join(RECORDINGS_DIR, roomId, ...name.split("/")));
+}
+
+// -----------------------------
+// Drop the worker's scratch copy once the results are stored
+// -----------------------------
+export function removeLocalCopy(roomId) {
+  if (isSharedFolder(getStorage())) return;
+  fs.rmSync(path.join(RECORDINGS_DIR, roomId), { recursive: true, force: true });
+}
+
+export default {
+  downloadMeeting,
+  uploadMeetingOutputs,
+  downloadMeetingFile,
+  uploadMeetingFile,
+  removeLocalCopy,
+};
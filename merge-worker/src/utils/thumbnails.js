@@ -0,0 +1,127 @@
+// merge-worker/src/utils/thumbnails.js
+import fs from "fs";
+import path from "path";
+import ffmpeg, { probeDuration, runCommand } from "./ffmpegCommon.js";
+import { RECORDINGS_DIR } from "./fileHelper.js";
+
+// -----------------------------------------------------
+// Visual previews of the final recording:
+//   poster.jpg       one representative frame
+//   sprite.jpg       grid of small frames, one every `interval` seconds
+//   thumbnails.vtt   WebVTT track mapping time ranges → sprite regions
+//                    ("sprite.jpg#xywh=x,y,w,h"), for player scrub previews
+// -----------------------------------------------------
+export const THUMBNAIL_FILES = {
+  poster: "poster.jpg",
+  sprite: "sprite.jpg",
+  vtt: "thumbnails.vtt",
+};
+
+const POSTER_WIDTH = 1280;
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+// long recordings get a coarser interval instead of a huge sprite
+const MAX_TILES = 100;
+const MIN_INTERVAL_SECONDS = 5;
+
+export function getThumbnailPaths(roomId) {
+  const roomDir = path.join(RECORDINGS_DIR, roomId);
+  return {
+    posterPath: path.join(roomDir, THUMBNAIL_FILES.poster),
+    spritePath: path.join(roomDir, THUMBNAIL_FILES.sprite),
+    vttPath: path.join(roomDir, THUMBNAIL_FILES.vtt),
+  };
+}
+
+// "HH:MM:SS.mmm"
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, "0");
+  const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, "0");
+  const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, "0");
+  return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, "0")}`;
+}
+
+// -----------------------------
+// WebVTT cues for `count` tiles laid out row by row in the sprite
+// -----------------------------
+export function buildThumbnailsVtt(count, interval, duration, spriteName = THUMBNAIL_FILES.sprite) {
+  const cues = ["WEBVTT", ""];
+
+  for (let i = 0; i < count; i++) {
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration);
+    const x = (i % SPRITE_COLUMNS) * TILE_WIDTH;
+    const y = Math.floor(i / SPRITE_COLUMNS) * TILE_HEIGHT;
+
+    cues.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`);
+    cues.push(`${spriteName}#xywh=${x},${y},${TILE_WIDTH},${TILE_HEIGHT}`);
+    cues.push("");
+  }
+
+  return cues.join("\n");
+}
+
+// -----------------------------
+// Poster: a frame 10% in (skips the black/"can you hear me" opening)
+// -----------------------------
+function renderPoster(input, output, duration) {
+  const command = ffmpeg(input)
+    .seekInput(Math.min(duration * 0.1, 60).toFixed(3))
+    .outputOptions(["-frames:v", "1", "-vf", `scale=${POSTER_WIDTH}:-2`, "-q:v", "3"]);
+
+  return runCommand(command, output, "poster");
+}
+
+// -----------------------------
+// Sprite: every `interval` seconds scaled to a tile, tiled SPRITE_COLUMNS wide
+// -----------------------------
+function renderSprite(input, output, interval, count) {
+  const rows = Math.ceil(count / SPRITE_COLUMNS);
+  const columns = Math.min(count, SPRITE_COLUMNS);
+  const filters = [
+    `fps=1/${interval}`,
+    `scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+    `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+    `tile=${columns}x${rows}`,
+  ];
+
+  const command = ffmpeg(input).outputOptions(["-vf", filters.join(","), "-frames:v", "1", "-q:v", "5"]);
+  return runCommand(command, output, "sprite");
+}
+
+// -----------------------------
+// generateThumbnails(roomId, input, opts) → path of thumbnails.vtt
+// (poster/sprite paths: getThumbnailPaths(roomId))
+// opts.onProgress(percent)
+// -----------------------------
+export async function generateThumbnails(roomId, input, opts = {}) {
+  const onProgress = opts.onProgress || (() => {});
+  const { posterPath, spritePath, vttPath } = getThumbnailPaths(roomId);
+
+  const duration = await probeDuration(input);
+  if (duration <= 0) throw new Error(`Cannot read duration of ${input}`);
+
+  await renderPoster(input, posterPath, duration);
+  onProgress(20);
+
+  const interval = Math.max(MIN_INTERVAL_SECONDS, Math.ceil(duration / MAX_TILES));
+  const count = Math.max(1, Math.ceil(duration / interval));
+
+  await renderSprite(input, spritePath, interval, count);
+  onProgress(90);
+
+  fs.writeFileSync(vttPath, buildThumbnailsVtt(count, interval, duration));
+  onProgress(100);
+
+  console.log(`🖼️ Thumbnails ready → ${posterPath}, ${spritePath} (${count} tiles every ${interval}s)`);
+  return vttPath;
+}
+
+export default {
+  THUMBNAIL_FILES,
+  getThumbnailPaths,
+  buildThumbnailsVtt,
+  generateThumbnails,
+};
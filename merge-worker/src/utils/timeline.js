@@ -0,0 +1,107 @@
+// merge-worker/src/utils/timeline.js
+import fs from "fs";
+import path from "path";
+
+// -----------------------------------------------------
+// Meeting timeline helpers.
+// The API server stores a sidecar "<chunk>.json" next to every
+// chunk with the capture start (server-clock epoch ms):
+//   { startedAt, durationMs }
+// Every user's media is laid on one timeline that starts at the
+// earliest captured chunk; late joins and upload pauses become gaps.
+// -----------------------------------------------------
+
+// gaps shorter than this are recorder restart jitter, not missing media
+export const MIN_GAP_SECONDS = 0.1;
+
+export function readChunkMeta(chunkPath) {
+  const sidecar = chunkPath.replace(/\.webm$/, ".json");
+  try {
+    return JSON.parse(fs.readFileSync(sidecar, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// -----------------------------
+// Capture start of a chunk in epoch ms, or null for chunks uploaded without one
+// -----------------------------
+export function getChunkStartMs(chunkPath) {
+  const startedAt = Number(readChunkMeta(chunkPath)?.startedAt);
+  return Number.isFinite(startedAt) && startedAt > 0 ? startedAt : null;
+}
+
+// -----------------------------
+// Earliest capture start of any chunk in a user folder (null if none is timestamped)
+// -----------------------------
+export function getFirstChunkStartMs(userDir) {
+  if (!fs.existsSync(userDir)) return null;
+
+  const starts = fs
+    .readdirSync(userDir)
+    .filter((f) => f.endsWith(".webm"))
+    .map((f) => getChunkStartMs(path.join(userDir, f)))
+    .filter((ms) => ms !== null);
+
+  return starts.length ? Math.min(...starts) : null;
+}
+
+// -----------------------------
+// Offsets of each user's first chunk from the meeting start.
+// Returns { originMs, offsets: { <userId>: seconds } }; originMs is null
+// when no chunk carries a timestamp (legacy uploads → no alignment).
+// -----------------------------
+export function getMeetingTimeline(roomDir, userIds) {
+  const firstStarts = {};
+  for (const userId of userIds) {
+    const ms = getFirstChunkStartMs(path.join(roomDir, userId));
+    if (ms !== null) firstStarts[userId] = ms;
+  }
+
+  const known = Object.values(firstStarts);
+  if (known.length === 0) return { originMs: null, offsets: {} };
+
+  const originMs = Math.min(...known);
+  const offsets = {};
+  for (const [userId, ms] of Object.entries(firstStarts)) {
+    offsets[userId] = (ms - originMs) / 1000;
+  }
+
+  return { originMs, offsets };
+}
+
+// -----------------------------
+// Lay chunks on the timeline.
+// chunks: [{ file, startMs, seconds }] in capture order
+// Returns segments: [{ gap: seconds } | { file }] — gaps are filled with
+// black/silence so each user's output starts at originMs. Chunks without
+// a start time (or overlapping the previous one) are simply appended.
+// -----------------------------
+export function planSegments(chunks, originMs) {
+  const segments = [];
+  let cursorMs = originMs;
+
+  for (const chunk of chunks) {
+    if (chunk.startMs !== null && cursorMs !== null) {
+      const gap = (chunk.startMs - cursorMs) / 1000;
+      if (gap >= MIN_GAP_SECONDS) {
+        segments.push({ gap });
+        cursorMs += gap * 1000;
+      }
+    }
+
+    segments.push({ file: chunk.file });
+    if (cursorMs !== null) cursorMs += chunk.seconds * 1000;
+  }
+
+  return segments;
+}
+
+export default {
+  MIN_GAP_SECONDS,
+  readChunkMeta,
+  getChunkStartMs,
+  getFirstChunkStartMs,
+  getMeetingTimeline,
+  planSegments,
+};
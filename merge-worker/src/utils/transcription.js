@@ -0,0 +1,314 @@
+// merge-worker/src/utils/transcription.js
+import { execFile } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import ffmpeg, { probeDuration, reportProgress, runCommand } from "./ffmpegCommon.js";
+import { RECORDINGS_DIR } from "./fileHelper.js";
+
+// -----------------------------------------------------
+// Offline transcript of the recording. Every participant's isolated track
+// (already on the meeting timeline) is transcribed on its own, so each line
+// belongs to exactly one speaker; the lines are then merged by time:
+//   transcript.json   { roomId, engine, language, createdAt, speakers, offsetSeconds,
+//                       lines: [{ start, end, userId, username, text }] }
+//   transcript.srt    "username: text" cues
+//   transcript.vtt    "<v username>text" cues
+//
+// The speech recognizer is a local binary, picked by env:
+//   TRANSCRIBE_ENGINE=whisper   whisper.cpp → WHISPER_BIN, WHISPER_MODEL (ggml file), WHISPER_THREADS
+//   TRANSCRIBE_ENGINE=vosk      vosk-transcriber → VOSK_BIN, VOSK_MODEL (model directory)
+//   TRANSCRIBE_ENGINE=fake      canned lines, no binary (tests / local development)
+//   TRANSCRIBE_TIMEOUT_MS       per participant track (default 1h)
+// -----------------------------------------------------
+export const TRANSCRIPT_FILES = {
+  json: "transcript.json",
+  srt: "transcript.srt",
+  vtt: "transcript.vtt",
+};
+
+const DEFAULT_TIMEOUT_MS = 60 * 60 * 1000;
+const FAKE_LINE_SECONDS = 5;
+
+// whisper.cpp / vosk annotate non-speech as "[BLANK_AUDIO]", "(music)" ...
+const NON_SPEECH = /^\s*(\[[^\]]*\]|\([^)]*\))\s*$/;
+
+export function getTranscriptPaths(roomId) {
+  const roomDir = path.join(RECORDINGS_DIR, roomId);
+  return {
+    jsonPath: path.join(roomDir, TRANSCRIPT_FILES.json),
+    srtPath: path.join(roomDir, TRANSCRIPT_FILES.srt),
+    vttPath: path.join(roomDir, TRANSCRIPT_FILES.vtt),
+  };
+}
+
+// -----------------------------
+// Run a recognizer binary; rejects with the tail of its stderr
+// -----------------------------
+function runEngine(bin, args) {
+  const timeout = Number(process.env.TRANSCRIBE_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout, maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        const reason = err.killed ? `timed out after ${timeout}ms` : String(stderr).trim().split("\n").slice(-3).join(" ");
+        return reject(new Error(`${path.basename(bin)} failed: ${reason || err.message}`));
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// "HH:MM:SS,mmm" (SRT) → seconds
+function parseSrtTime(value) {
+  const [h, m, rest] = value.trim().split(":");
+  const [s, ms] = rest.split(/[,.]/);
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms) / 1000;
+}
+
+// -----------------------------
+// SRT text → [{ start, end, text }]
+// -----------------------------
+export function parseSrt(text) {
+  return String(text)
+    .replace(/\r/g, "")
+    .split(/\n\s*\n/)
+    .map((block) => {
+      const lines = block.trim().split("\n");
+      const timing = lines.findIndex((l) => l.includes("-->"));
+      if (timing === -1) return null;
+
+      const [from, to] = lines[timing].split("-->");
+      return {
+        start: parseSrtTime(from),
+        end: parseSrtTime(to),
+        text: lines.slice(timing + 1).join(" "),
+      };
+    })
+    .filter(Boolean);
+}
+
+const ENGINES = {
+  // whisper.cpp: -oj writes <outBase>.json with offsets in ms
+  whisper: {
+    async transcribe(wavPath, { language, workDir }) {
+      const bin = process.env.WHISPER_BIN;
+      const model = process.env.WHISPER_MODEL;
+      if (!bin || !model) throw new Error("WHISPER_BIN and WHISPER_MODEL must be set");
+
+      const outBase = path.join(workDir, path.basename(wavPath, ".wav"));
+      await runEngine(bin, [
+        "-m", model,
+        "-f", wavPath,
+        "-l", language || "auto",
+        "-t", String(Number(process.env.WHISPER_THREADS) || Math.max(1, os.cpus().length)),
+        "-oj",
+        "-of", outBase,
+        "-np",
+      ]);
+
+      const output = JSON.parse(fs.readFileSync(`${outBase}.json`, "utf8"));
+      return {
+        language: output.result?.language || null,
+        lines: (output.transcription || []).map((s) => ({
+          start: s.offsets.from / 1000,
+          end: s.offsets.to / 1000,
+          text: s.text,
+        })),
+      };
+    },
+  },
+
+  // vosk-transcriber (pip install vosk): SRT output
+  vosk: {
+    async transcribe(wavPath, { language, workDir }) {
+      const bin = process.env.VOSK_BIN || "vosk-transcriber";
+      const output = path.join(workDir, `${path.basename(wavPath, ".wav")}.srt`);
+
+      const args = ["-i", wavPath, "-o", output, "-t", "srt"];
+      if (process.env.VOSK_MODEL) args.push("-m", process.env.VOSK_MODEL);
+      else if (language && language !== "auto") args.push("-l", language);
+
+      await runEngine(bin, args);
+      return { language: null, lines: parseSrt(fs.readFileSync(output, "utf8")) };
+    },
+  },
+
+  // one line every few seconds over the track's duration, deterministic
+  fake: {
+    async transcribe(wavPath) {
+      const duration = await probeDuration(wavPath);
+      const lines = [];
+      for (let start = 0, n = 1; start < duration; start += FAKE_LINE_SECONDS, n++) {
+        lines.push({ start, end: Math.min(start + FAKE_LINE_SECONDS, duration), text: `Line ${n} of ${path.basename(wavPath, ".wav")}` });
+      }
+      return { language: "en", lines };
+    },
+  },
+};
+
+// -----------------------------
+// Configured engine name, or null when transcription isn't set up on this worker
+// -----------------------------
+export function getTranscriptionEngine() {
+  const name = (process.env.TRANSCRIBE_ENGINE || "").toLowerCase();
+  if (!name) return null;
+  if (!ENGINES[name]) {
+    throw new Error(`Unknown TRANSCRIBE_ENGINE "${name}" (expected ${Object.keys(ENGINES).join(", ")})`);
+  }
+  return name;
+}
+
+// -----------------------------
+// 16kHz mono PCM — what both recognizers expect
+// -----------------------------
+async function extractSpeech(videoPath, output, onProgress) {
+  const command = ffmpeg(videoPath);
+  reportProgress(command, await probeDuration(videoPath), onProgress);
+
+  command.outputOptions(["-vn", "-ac", "1", "-ar", "16000", "-c:a", "pcm_s16le"]);
+  return runCommand(command, output, "transcription audio");
+}
+
+// "HH:MM:SS,mmm" (SRT) / "HH:MM:SS.mmm" (WebVTT)
+function formatCueTime(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, "0");
+  const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, "0");
+  const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, "0");
+  return `${h}:${m}:${s}${separator}${String(ms % 1000).padStart(3, "0")}`;
+}
+
+const speakerName = (line) => line.username || `User ${line.userId.slice(-4)}`;
+
+export function buildSrt(lines) {
+  return lines
+    .map((line, i) => [
+      String(i + 1),
+      `${formatCueTime(line.start, ",")} --> ${formatCueTime(line.end, ",")}`,
+      `${speakerName(line)}: ${line.text}`,
+      "",
+    ].join("\n"))
+    .join("\n");
+}
+
+const escapeVtt = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+export function buildVtt(lines) {
+  const cues = ["WEBVTT", ""];
+
+  for (const line of lines) {
+    cues.push(`${formatCueTime(line.start, ".")} --> ${formatCueTime(line.end, ".")}`);
+    cues.push(`<v ${escapeVtt(speakerName(line))}>${escapeVtt(line.text)}`);
+    cues.push("");
+  }
+
+  return cues.join("\n");
+}
+
+// -----------------------------
+// Transcribe every participant and write transcript.json / .srt / .vtt
+// tracks: [{ userId, videoPath }] aligned on the meeting timeline
+// opts.usernames: { <userId>: username } · opts.language: "auto" or a code like "en"
+// returns the transcript.json path
+// -----------------------------
+export async function transcribeMeeting(roomId, tracks, opts = {}) {
+  const engineName = getTranscriptionEngine();
+  if (!engineName) throw new Error("TRANSCRIBE_ENGINE is not configured");
+
+  const engine = ENGINES[engineName];
+  const usernames = opts.usernames || {};
+  const onProgress = opts.onProgress || (() => {});
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "transcript-"));
+
+  try {
+    const lines = [];
+    let language = opts.language && opts.language !== "auto" ? opts.language : null;
+
+    for (const [index, track] of tracks.entries()) {
+      // extraction is quick next to recognition, which reports no progress
+      const wavPath = path.join(workDir, `${index + 1}.wav`);
+      await extractSpeech(track.videoPath, wavPath, (percent) =>
+        onProgress(((index + percent / 500) / tracks.length) * 100)
+      );
+
+      console.log(`📝 Transcribing ${usernames[track.userId] || track.userId} with ${engineName}...`);
+      const result = await engine.transcribe(wavPath, { language: opts.language, workDir });
+      language = language || result.language;
+
+      for (const line of result.lines) {
+        const text = String(line.text).replace(/\s+/g, " ").trim();
+        if (!text || NON_SPEECH.test(text) || !(line.end > line.start)) continue;
+
+        lines.push({
+          start: Math.round(line.start * 1000) / 1000,
+          end: Math.round(line.end * 1000) / 1000,
+          userId: track.userId,
+          username: usernames[track.userId] || null,
+          text,
+        });
+      }
+
+      fs.unlinkSync(wavPath);
+      onProgress(((index + 1) / tracks.length) * 100);
+    }
+
+    lines.sort((a, b) => a.start - b.start || a.userId.localeCompare(b.userId));
+
+    const { jsonPath, srtPath, vttPath } = getTranscriptPaths(roomId);
+    const transcript = {
+      roomId,
+      engine: engineName,
+      language,
+      createdAt: new Date().toISOString(),
+      speakers: tracks.map((t) => ({ userId: t.userId, username: usernames[t.userId] || null })),
+      // seconds the meeting starts into the final recording (an intro, see bumpers.js)
+      offsetSeconds: 0,
+      lines,
+    };
+
+    fs.writeFileSync(srtPath, buildSrt(lines));
+    fs.writeFileSync(vttPath, buildVtt(lines));
+    // written last: the step checkpoint only reuses the JSON when it exists
+    fs.writeFileSync(jsonPath, JSON.stringify(transcript, null, 2));
+
+    console.log(`✅ Transcript: ${lines.length} lines from ${tracks.length} speakers → ${jsonPath}`);
+    return jsonPath;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// -----------------------------
+// Move every line so the transcript follows a final recording that starts
+// `offsetSeconds` in (after an intro). Rewrites all three files; calling it
+// again with the same offset changes nothing, so a resumed merge can repeat it.
+// -----------------------------
+export function offsetTranscript(roomId, offsetSeconds) {
+  const { jsonPath, srtPath, vttPath } = getTranscriptPaths(roomId);
+  const transcript = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+  const delta = offsetSeconds - (transcript.offsetSeconds || 0);
+  if (Math.abs(delta) < 0.001) return jsonPath;
+
+  const shift = (seconds) => Math.round((seconds + delta) * 1000) / 1000;
+  transcript.lines = transcript.lines.map((line) => ({ ...line, start: shift(line.start), end: shift(line.end) }));
+  transcript.offsetSeconds = offsetSeconds;
+
+  fs.writeFileSync(srtPath, buildSrt(transcript.lines));
+  fs.writeFileSync(vttPath, buildVtt(transcript.lines));
+  fs.writeFileSync(jsonPath, JSON.stringify(transcript, null, 2));
+
+  console.log(`📝 Transcript moved ${delta.toFixed(3)}s to follow the intro`);
+  return jsonPath;
+}
+
+export default {
+  TRANSCRIPT_FILES,
+  getTranscriptPaths,
+  getTranscriptionEngine,
+  parseSrt,
+  buildSrt,
+  buildVtt,
+  transcribeMeeting,
+  offsetTranscript,
+};
@@ -0,0 +1,139 @@
+// merge-worker/test/transcription.test.js
+// Transcript files and the "fake" engine. The end-to-end run needs the ffmpeg-static
+// binary and ffprobe on the PATH (or FFPROBE_PATH); it is skipped without them.
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import ffmpegPath from "ffmpeg-static";
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "transcription-test-"));
+// read when the modules load
+process.env.RECORDINGS_DIR = workDir;
+process.env.TRANSCRIBE_ENGINE = "fake";
+
+const {
+  buildSrt,
+  buildVtt,
+  getTranscriptionEngine,
+  getTranscriptPaths,
+  offsetTranscript,
+  parseSrt,
+  transcribeMeeting,
+} = await import("../src/utils/transcription.js");
+
+const hasFfmpeg =
+  Boolean(ffmpegPath) &&
+  fs.existsSync(ffmpegPath) &&
+  spawnSync(process.env.FFPROBE_PATH || "ffprobe", ["-version"]).status === 0;
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const lines = [
+  { start: 0, end: 2.5, userId: "64a0000000000000000000a1", username: "Ada", text: "Hello <everyone>" },
+  { start: 3725.042, end: 3727, userId: "64a0000000000000000000b2", username: null, text: "Hi & welcome" },
+];
+
+describe("getTranscriptionEngine", () => {
+  test("the configured engine, null when none, an error for an unknown one", () => {
+    assert.equal(getTranscriptionEngine(), "fake");
+
+    process.env.TRANSCRIBE_ENGINE = "";
+    assert.equal(getTranscriptionEngine(), null);
+
+    process.env.TRANSCRIBE_ENGINE = "siri";
+    assert.throws(() => getTranscriptionEngine(), /Unknown TRANSCRIBE_ENGINE "siri"/);
+
+    process.env.TRANSCRIBE_ENGINE = "fake";
+  });
+});
+
+describe("transcript files", () => {
+  test("SRT cues name the speaker, falling back to the end of the user id", () => {
+    assert.equal(
+      buildSrt(lines),
+      "1\n00:00:00,000 --> 00:00:02,500\nAda: Hello <everyone>\n\n" +
+        "2\n01:02:05,042 --> 01:02:07,000\nUser 00b2: Hi & welcome\n"
+    );
+  });
+
+  test("parseSrt reads back what buildSrt writes", () => {
+    assert.deepEqual(parseSrt(buildSrt(lines)), [
+      { start: 0, end: 2.5, text: "Ada: Hello <everyone>" },
+      { start: 3725.042, end: 3727, text: "User 00b2: Hi & welcome" },
+    ]);
+  });
+
+  test("parseSrt takes CRLF and multi-line cues, and skips blocks without a timing", () => {
+    const srt = "1\r\n00:00:01,000 --> 00:00:02,000\r\nfirst\r\nsecond\r\n\r\nnot a cue\r\n";
+    assert.deepEqual(parseSrt(srt), [{ start: 1, end: 2, text: "first second" }]);
+  });
+
+  test("WebVTT uses voice tags and escapes the text", () => {
+    assert.equal(
+      buildVtt(lines),
+      "WEBVTT\n\n" +
+        "00:00:00.000 --> 00:00:02.500\n<v Ada>Hello &lt;everyone&gt;\n\n" +
+        "01:02:05.042 --> 01:02:07.000\n<v User 00b2>Hi &amp; welcome\n"
+    );
+  });
+
+  test("offsetTranscript moves every line by the intro, once", () => {
+    const roomId = "offset-room";
+    const { jsonPath, srtPath } = getTranscriptPaths(roomId);
+    fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+    fs.writeFileSync(jsonPath, JSON.stringify({ roomId, offsetSeconds: 0, lines }));
+
+    offsetTranscript(roomId, 4);
+    offsetTranscript(roomId, 4);
+
+    const transcript = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    assert.equal(transcript.offsetSeconds, 4);
+    assert.deepEqual(transcript.lines.map((l) => [l.start, l.end]), [[4, 6.5], [3729.042, 3731]]);
+    assert.match(fs.readFileSync(srtPath, "utf8"), /^1\n00:00:04,000 --> 00:00:06,500\n/);
+  });
+});
+
+describe("fake engine", { skip: !hasFfmpeg && "needs ffmpeg-static's binary and ffprobe" }, () => {
+  test("one line every five seconds per speaker, merged by time", async () => {
+    const roomId = "fake-room";
+    const videoPath = path.join(workDir, "track.mp4");
+    const made = spawnSync(ffmpegPath, [
+      "-y", "-f", "lavfi", "-i", "sine=frequency=440:duration=7", "-c:a", "aac", videoPath,
+    ]);
+    assert.equal(made.status, 0, String(made.stderr));
+
+    const jsonPath = await transcribeMeeting(
+      roomId,
+      [
+        { userId: "64a0000000000000000000a1", videoPath },
+        { userId: "64a0000000000000000000b2", videoPath },
+      ],
+      { usernames: { "64a0000000000000000000a1": "Ada" } }
+    );
+
+    const transcript = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    assert.equal(transcript.engine, "fake");
+    assert.equal(transcript.language, "en");
+    assert.deepEqual(transcript.speakers, [
+      { userId: "64a0000000000000000000a1", username: "Ada" },
+      { userId: "64a0000000000000000000b2", username: null },
+    ]);
+    assert.deepEqual(
+      transcript.lines.map((l) => [l.start, l.username, l.text]),
+      [
+        [0, "Ada", "Line 1 of 1"],
+        [0, null, "Line 1 of 2"],
+        [5, "Ada", "Line 2 of 1"],
+        [5, null, "Line 2 of 2"],
+      ]
+    );
+    assert.ok(Math.abs(transcript.lines.at(-1).end - 7) < 0.1);
+
+    const { srtPath, vttPath } = getTranscriptPaths(roomId);
+    assert.match(fs.readFileSync(srtPath, "utf8"), /Ada: Line 1 of 1/);
+    assert.match(fs.readFileSync(vttPath, "utf8"), /^WEBVTT/);
+  });
+});
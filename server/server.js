@@ -8,9 +8,15 @@ import dotenv from 'dotenv';
 import connectDB from './src/config/db.js';
 import Meeting from './src/models/Meeting.js';
 import { requestMerge } from "./src/utils/mergeWorkerClient.js";
+import { startMergeJobWatcher } from "./src/utils/mergeJobWatcher.js";
+import { startRetentionSweeper } from "./src/utils/retentionSweeper.js";
 import authRoutes from './src/routes/authRoutes.js';
 import meetingRoutes from './src/routes/meetingRoutes.js';
 import recordingRoutes from './src/routes/recordingRoutes.js';
+import userRoutes from './src/routes/userRoutes.js';
+import showRoutes from './src/routes/showRoutes.js';
+import feedRoutes from './src/routes/feedRoutes.js';
+import assetRoutes from './src/routes/assetRoutes.js';
 import fs from 'fs';
 
 dotenv.config();
@@ -21,6 +27,9 @@ const PORT = process.env.PORT || 5000;
  */
 const app = express();
 
+// public podcast feeds: any origin, before the app's credentialed CORS check
+app.use('/feeds', feedRoutes);
+
 const allowedOrigins = [
   'http://localhost:3000',
   process.env.FRONTEND_URL,
@@ -46,6 +55,9 @@ app.get('/', (req, res) => res.send('API running'));
 app.use('/api/auth', authRoutes);
 app.use('/api/meetings', meetingRoutes);
 app.use('/api/recordings', recordingRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/shows', showRoutes);
+app.use('/api/assets', assetRoutes);
 
 connectDB().then(() => {
   const server = http.createServer(app);
@@ -101,18 +113,15 @@ connectDB().then(() => {
     }
   }
 
+  // Completion (merge-success / merge-failed) is announced by the job watcher
+  startMergeJobWatcher(io);
+  startRetentionSweeper();
+
   async function triggerMergeForRoom(roomId) {
     try {
-      io.in(roomId).emit("merge-started", { message: "Merge started" });
-
-      const mergeResult = await requestMerge(roomId);
+      const job = await requestMerge(roomId);
 
-      io.in(roomId).emit("merge-success", {
-        message: "Final video generated",
-        finalPath: mergeResult.output || mergeResult.finalPath || null,
-      });
-
-      console.log("✅ Merge completed for room:", roomId);
+      io.in(roomId).emit("merge-started", { message: "Merge started", jobId: job.jobId });
     } catch (err) {
       console.error("❌ Merge failed for room:", roomId, err?.message || err);
       io.in(roomId).emit("merge-failed", {
@@ -156,8 +165,10 @@ connectDB().then(() => {
             user: userId,
             role: meeting.host.toString() === String(userId) ? "host" : "participant",
           });
-          await meeting.save();
         }
+        // recording access (recordingAccess.js) outlives the stay in the room
+        meeting.attendees.addToSet(userId);
+        if (meeting.isModified()) await meeting.save();
 
         socket.to(roomId).emit("user-connected", {
           userId,
@@ -316,6 +327,7 @@ connectDB().then(() => {
         io.in(roomId).emit("meeting-ended");
 
         meeting.isActive = false;
+        meeting.endedAt = new Date();
         meeting.participants = [];
         await meeting.save();
 
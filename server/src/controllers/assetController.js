@@ -0,0 +1,237 @@
+// server/src/controllers/assetController.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+import busboy from "busboy";
+import mongoose from "mongoose";
+import Asset from "../models/Asset.js";
+import {
+  ASSET_EXTENSIONS,
+  assetKey,
+  findAssetUsage,
+  MAX_ASSET_BYTES,
+  serializeAsset,
+} from "../utils/assetLibrary.js";
+import { saveChunkStream } from "../utils/fileHelper.js";
+import { getStorage } from "../utils/storage/index.js";
+import { assertQuota } from "../utils/storageUsage.js";
+import { streamFile } from "../utils/streamFile.js";
+
+const MAX_NAME_LENGTH = 100;
+
+const uploadError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * The caller's asset for :assetId, or null after answering 400 / 404 / 403
+ */
+const loadOwnAsset = async (req, res) => {
+  const { assetId } = req.params;
+
+  if (!mongoose.isValidObjectId(assetId)) {
+    res.status(400).json({ message: "Invalid assetId" });
+    return null;
+  }
+
+  const asset = await Asset.findById(assetId);
+  if (!asset) {
+    res.status(404).json({ message: "Asset not found" });
+    return null;
+  }
+
+  if (asset.owner.toString() !== String(req.user.id)) {
+    res.status(403).json({ message: "Only the asset's owner can do this" });
+    return null;
+  }
+
+  return asset;
+};
+
+/**
+ * Stream the multipart file part into `stagingDir`.
+ * Resolves with { fields, filename, mimeType, ext, tmpPath, sizeBytes }.
+ */
+function receiveAssetUpload(req, stagingDir) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fields: 5 } });
+    } catch (err) {
+      return reject(uploadError(400, err.message));
+    }
+
+    const fields = {};
+    // settles to { saved } or { error } — never rejects before "close" picks it up
+    let saving = null;
+
+    parser.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on("file", (name, file, info) => {
+      const filename = path.basename(info.filename || "");
+      const ext = path.extname(filename).toLowerCase();
+
+      if (!ASSET_EXTENSIONS[ext]) {
+        file.resume();
+        saving = Promise.resolve({
+          error: uploadError(415, `Unsupported file type; use one of: ${Object.keys(ASSET_EXTENSIONS).join(", ")}`),
+        });
+        return;
+      }
+
+      const tmpPath = path.join(stagingDir, `upload${ext}`);
+      saving = saveChunkStream(tmpPath, file, { maxBytes: MAX_ASSET_BYTES }).then(
+        ({ bytes }) => ({ saved: { filename, mimeType: info.mimeType || null, ext, tmpPath, sizeBytes: bytes } }),
+        (err) => ({
+          error: err.code === "CHUNK_TOO_LARGE"
+            ? uploadError(413, `Assets are limited to ${Math.round(MAX_ASSET_BYTES / 1024 / 1024)} MB`)
+            : err,
+        })
+      );
+    });
+
+    parser.on("close", () => {
+      if (!saving) return reject(uploadError(400, "Multipart body has no file"));
+      saving.then(({ saved, error }) => (error ? reject(error) : resolve({ fields, ...saved })));
+    });
+
+    parser.on("error", (err) => reject(uploadError(400, err.message)));
+
+    req.pipe(parser);
+  });
+}
+
+/**
+ * GET /api/assets
+ * The logged-in user's intro / outro / music files, newest first
+ */
+export const listAssets = async (req, res) => {
+  try {
+    const assets = await Asset.find({ owner: req.user.id }).sort({ createdAt: -1 });
+    return res.status(200).json({ assets: assets.map(serializeAsset) });
+
+  } catch (error) {
+    console.error("❌ listAssets error:", error);
+    return res.status(500).json({ message: "Error listing assets", error: error.message });
+  }
+};
+
+/**
+ * POST /api/assets
+ * multipart/form-data: name? (defaults to the file name), then one file part —
+ * audio (mp3, m4a, aac, wav, flac, ogg, opus) or video (mp4, mov, webm, mkv).
+ * Over ASSET_MAX_BYTES → 413; over the storage quota (checked against Content-Length) → 507.
+ */
+export const uploadAsset = async (req, res) => {
+  let stagingDir = null;
+
+  try {
+    if (!(req.headers["content-type"] || "").startsWith("multipart/form-data")) {
+      return res.status(415).json({ message: "Content-Type must be multipart/form-data" });
+    }
+
+    const declaredLength = Number(req.headers["content-length"]) || 0;
+    if (declaredLength > MAX_ASSET_BYTES) {
+      res.set("Connection", "close");
+      return res.status(413).json({ message: `Assets are limited to ${Math.round(MAX_ASSET_BYTES / 1024 / 1024)} MB` });
+    }
+    await assertQuota(req.user.id, declaredLength, "this asset");
+
+    stagingDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "asset-"));
+    const upload = await receiveAssetUpload(req, stagingDir);
+
+    if (upload.sizeBytes === 0) {
+      return res.status(400).json({ message: "The file is empty" });
+    }
+
+    const name = (upload.fields.name || path.basename(upload.filename, upload.ext)).trim().slice(0, MAX_NAME_LENGTH);
+    const assetId = new mongoose.Types.ObjectId();
+    const key = assetKey(req.user.id, assetId, upload.ext);
+
+    await getStorage().putFile(key, upload.tmpPath);
+
+    const asset = await Asset.create({
+      _id: assetId,
+      owner: req.user.id,
+      name: name || "Untitled",
+      kind: ASSET_EXTENSIONS[upload.ext],
+      key,
+      filename: upload.filename,
+      mimeType: upload.mimeType,
+      sizeBytes: upload.sizeBytes,
+    });
+
+    console.log(`📥 Asset "${asset.name}" (${asset.sizeBytes} bytes) uploaded by ${req.user.id}`);
+    return res.status(201).json({ message: "Asset uploaded", asset: serializeAsset(asset) });
+
+  } catch (error) {
+    if (error.statusCode) {
+      if (error.statusCode === 413 || error.statusCode === 507) res.set("Connection", "close");
+      const body = error.quotaBytes !== undefined
+        ? { message: error.message, usedBytes: error.usedBytes, quotaBytes: error.quotaBytes }
+        : { message: error.message };
+      return res.status(error.statusCode).json(body);
+    }
+
+    console.error("❌ uploadAsset error:", error);
+    return res.status(500).json({ message: "Error uploading asset", error: error.message });
+  } finally {
+    if (stagingDir) fs.rm(stagingDir, { recursive: true, force: true }, () => {});
+  }
+};
+
+/**
+ * GET /api/assets/:assetId/file
+ * The uploaded file, inline with range support (for previews)
+ */
+export const serveAssetFile = async (req, res) => {
+  try {
+    const asset = await loadOwnAsset(req, res);
+    if (!asset) return;
+
+    const info = await getStorage().stat(asset.key);
+    if (!info) {
+      return res.status(404).json({ message: "Asset file not found in storage" });
+    }
+
+    await streamFile(req, res, asset.key, {
+      size: info.size,
+      contentType: asset.mimeType || "application/octet-stream",
+      filename: asset.filename || path.basename(asset.key),
+      inline: true,
+    });
+
+  } catch (error) {
+    console.error("❌ serveAssetFile error:", error);
+    return res.status(500).json({ message: "Error streaming asset", error: error.message });
+  }
+};
+
+/**
+ * DELETE /api/assets/:assetId
+ * 409 while a show or a meeting's recording settings still use it as a bumper
+ */
+export const deleteAsset = async (req, res) => {
+  try {
+    const asset = await loadOwnAsset(req, res);
+    if (!asset) return;
+
+    const usage = await findAssetUsage(asset);
+    if (usage.shows.length > 0 || usage.meetings > 0) {
+      const where = [
+        ...usage.shows.map((title) => `show "${title}"`),
+        ...(usage.meetings > 0 ? [`${usage.meetings} meeting(s)`] : []),
+      ];
+      return res.status(409).json({ message: `This asset is in use by ${where.join(", ")}. Remove it there first.`, usage });
+    }
+
+    await getStorage().remove(asset.key);
+    await asset.deleteOne();
+
+    return res.status(200).json({ message: "Asset deleted", assetId: asset._id.toString() });
+
+  } catch (error) {
+    console.error("❌ deleteAsset error:", error);
+    return res.status(500).json({ message: "Error deleting asset", error: error.message });
+  }
+};
@@ -0,0 +1,153 @@
+// server/src/controllers/clipController.js
+import mongoose from 'mongoose';
+import Clip from '../models/Clip.js';
+import { findActiveMergeJob, requestClip } from '../utils/mergeWorkerClient.js';
+import { validateClipRequest, serializeClip } from '../utils/recordingClips.js';
+import { getRecording } from '../utils/recordingMetadata.js';
+import { getStorage } from '../utils/storage/index.js';
+import { assertQuota, refreshMeetingUsage } from '../utils/storageUsage.js';
+import { streamFile } from '../utils/streamFile.js';
+
+// rough upper bound of a 1080p clip encode, for the quota check before the job runs
+const CLIP_BYTES_PER_SECOND = 1024 * 1024;
+
+/**
+ * The room's clip for :clipId, or null after answering 400 / 404
+ */
+const loadClip = async (req, res) => {
+  const { roomId, clipId } = req.params;
+
+  if (!mongoose.isValidObjectId(clipId)) {
+    res.status(400).json({ message: 'Invalid clipId' });
+    return null;
+  }
+
+  const clip = await Clip.findOne({ _id: clipId, roomId });
+  if (!clip) {
+    res.status(404).json({ message: 'Clip not found', clipId });
+    return null;
+  }
+
+  return clip;
+};
+
+/**
+ * POST /api/recordings/:roomId/clips
+ * Body: { start, end (seconds on the final video), layout?: "original" | "vertical" | "square", title? }
+ * Queues a clip job on the merge-worker and answers 202 with the clip (status "queued");
+ * poll GET /api/recordings/:roomId/clips until it is "succeeded" or "failed".
+ * 409 without a final recording or while a merge is rewriting it, 507 over the storage quota.
+ * A merge queued right after this check still never runs alongside the clip: the
+ * merge-worker only claims one of them at a time (merge-worker/src/utils/jobQueue.js).
+ */
+export const createClip = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const { clip: fields, error } = validateClipRequest(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const recording = await getRecording(roomId);
+    if (!recording?.outputs?.final) {
+      return res.status(409).json({ message: 'This meeting has no final recording yet. Merge it first.' });
+    }
+    if (await findActiveMergeJob(roomId)) {
+      return res.status(409).json({ message: 'Wait for the running merge to finish' });
+    }
+
+    await assertQuota(req.meeting.host, Math.ceil((fields.end - fields.start) * CLIP_BYTES_PER_SECOND), 'this clip');
+
+    const clip = await Clip.create({ roomId, createdBy: req.user.id, ...fields });
+    try {
+      await requestClip(clip, recording);
+    } catch (error) {
+      // a clip left "queued" without a job would block deleting it and its recording
+      await Clip.updateOne(
+        { _id: clip._id },
+        { $set: { status: 'failed', error: 'The clip could not be queued', finishedAt: new Date() } }
+      );
+      throw error;
+    }
+    console.log(`✂️ Clip ${clip._id} requested for room ${roomId} by ${req.user.id}`);
+
+    return res.status(202).json({ message: 'Clip queued', clip: serializeClip(clip) });
+
+  } catch (error) {
+    if (error.statusCode === 507) {
+      return res.status(507).json({ message: error.message, usedBytes: error.usedBytes, quotaBytes: error.quotaBytes });
+    }
+    console.error('❌ createClip error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * GET /api/recordings/:roomId/clips
+ * Every clip of the meeting, newest first: { clips: [{ clipId, title, start, end, duration, layout, status, ... }] }
+ */
+export const listClips = async (req, res) => {
+  try {
+    const clips = await Clip.find({ roomId: req.params.roomId }).sort({ createdAt: -1 });
+    return res.status(200).json({ message: 'Clips', roomId: req.params.roomId, clips: clips.map(serializeClip) });
+
+  } catch (error) {
+    console.error('❌ listClips error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * GET /api/recordings/:roomId/clips/:clipId/file?download=true
+ * The clip MP4, inline (with range support) or as a download
+ */
+export const serveClipFile = async (req, res) => {
+  try {
+    const clip = await loadClip(req, res);
+    if (!clip) return;
+
+    if (clip.status !== 'succeeded' || !clip.key) {
+      return res.status(409).json({ message: `Clip is ${clip.status}`, status: clip.status, error: clip.error });
+    }
+
+    const info = await getStorage().stat(clip.key);
+    if (!info) {
+      return res.status(404).json({ message: 'Clip file not found in storage' });
+    }
+
+    await streamFile(req, res, clip.key, {
+      size: info.size,
+      contentType: 'video/mp4',
+      filename: `meeting-${clip.roomId}-clip-${clip._id}.mp4`,
+      inline: req.query.download !== 'true',
+    });
+
+  } catch (error) {
+    console.error('❌ serveClipFile error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * DELETE /api/recordings/:roomId/clips/:clipId
+ * Removes the clip and its file; 409 while its job is still queued or running
+ */
+export const deleteClip = async (req, res) => {
+  try {
+    const clip = await loadClip(req, res);
+    if (!clip) return;
+
+    if (['queued', 'running'].includes(clip.status)) {
+      return res.status(409).json({ message: 'Cannot delete a clip while it is being cut' });
+    }
+
+    if (clip.key) await getStorage().remove(clip.key);
+    await clip.deleteOne();
+    await refreshMeetingUsage(clip.roomId);
+
+    return res.status(200).json({ message: 'Clip deleted', clipId: clip._id.toString() });
+
+  } catch (error) {
+    console.error('❌ deleteClip error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,7 +1,12 @@
 // server/src/controllers/meetingController.js
 import Meeting from "../models/Meeting.js";
+import Show from "../models/Show.js";
 import User from "../models/User.js";
 import { v4 as uuidv4 } from "uuid";
+import { checkBumperAssets } from "../utils/assetLibrary.js";
+import { getRecordingSettings, validateRecordingSettings } from "../utils/recordingSettings.js";
+import { getRetentionPolicy, validateRetentionOverride } from "../utils/retentionPolicy.js";
+import { planMeetingRetention } from "../utils/retentionSweeper.js";
 
 /**
  * POST /api/meetings/create
@@ -94,7 +99,7 @@ export const joinMeeting = async (req, res) => {
 
 /**
  * GET /api/meetings/:roomId
- * Fetch meeting details
+ * Fetch meeting details, with the recording settings merged over their defaults
  */
 export const getMeetingDetails = async (req, res) => {
   try {
@@ -115,6 +120,7 @@ export const getMeetingDetails = async (req, res) => {
     return res.status(200).json({
       message: "Meeting details fetched",
       meeting,
+      recordingSettings: getRecordingSettings(meeting),
     });
 
   } catch (error) {
@@ -147,6 +153,7 @@ export const endMeeting = async (req, res) => {
     }
 
     meeting.isActive = false;
+    meeting.endedAt = new Date();
     meeting.participants = [];
     await meeting.save();
 
@@ -164,9 +171,183 @@ export const endMeeting = async (req, res) => {
   }
 };
 
+/**
+ * PATCH /api/meetings/:roomId/recording-settings
+ * Host chooses how the final recording is composed
+ * Body: {
+ *   layout?: "grid" | "pip" | "side-by-side",
+ *   canvas?: "1920x1080",
+ *   audioFormats?: ["mp3", "m4a", "opus"],
+ *   audioBitrate?: "192k",
+ *   multitrack?: boolean,
+ *   multitrackAudioFormat?: "flac" | "wav",
+ *   mastering?: boolean,                // loudness-normalize + limit the audio
+ *   masteringMode?: "stereo" | "mono",  // -16 / -19 LUFS
+ *   noiseGate?: boolean,
+ *   trimSilence?: boolean,              // edited variant without leading/trailing dead air
+ *   shortenPauses?: boolean,            // ...and with long pauses shortened
+ *   maxPauseSeconds?: number,           // 0.5 - 30
+ *   hls?: boolean,                      // package for the in-browser player (default true)
+ *   transcribe?: boolean,               // speaker-attributed transcript (needs an engine on the merge-worker)
+ *   transcriptLanguage?: string,        // "auto" or a language code like "en"
+ *   captions?: "off" | "soft" | "burn", // subtitle track / burned in (turns transcription on)
+ *   captionFontSize?: number,           // burned captions, px on the canvas (12 - 160)
+ *   captionPosition?: "bottom" | "top", // burned captions
+ *   showId?: string | null,             // one of the host's shows: its bumpers apply
+ *   introAssetId?: string | "none" | null,  // bumpers from GET /api/assets; null = the show's,
+ *   outroAssetId?: string | "none" | null,  // "none" = off for this meeting
+ *   musicAssetId?: string | "none" | null,  // music bed under the whole meeting
+ *   musicVolumeDb?: number | null,      // music level, -40 - 0 (null = the show's, else -20)
+ *   duckMusic?: boolean | null,         // lower the music while anyone speaks (default true)
+ *   crossfadeSeconds?: number | null,   // intro/outro crossfade, 0 - 10 (default 2)
+ * }
+ */
+export const updateRecordingSettings = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const userId = req.user.id;
+
+    const meeting = await Meeting.findOne({ roomId });
+
+    if (!meeting) {
+      return res.status(404).json({ message: "Meeting not found" });
+    }
+
+    if (meeting.host.toString() !== userId.toString()) {
+      return res.status(403).json({ message: "Only host can change recording settings" });
+    }
+
+    const { settings, error } = validateRecordingSettings(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (settings.showId && !(await Show.exists({ _id: settings.showId, owner: userId }))) {
+      return res.status(400).json({ message: "showId must be one of your shows" });
+    }
+
+    const assetError = await checkBumperAssets(userId, settings);
+    if (assetError) {
+      return res.status(400).json({ message: assetError });
+    }
+
+    // metaData is Mixed — reassign so mongoose notices the change
+    meeting.metaData = {
+      ...meeting.metaData,
+      recording: { ...(meeting.metaData?.recording || {}), ...settings },
+    };
+    await meeting.save();
+
+    return res.status(200).json({
+      message: "Recording settings updated",
+      roomId,
+      settings: getRecordingSettings(meeting),
+    });
+
+  } catch (error) {
+    console.error("❌ updateRecordingSettings error:", error);
+    return res.status(500).json({
+      message: "Error updating recording settings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET /api/meetings/:roomId/retention
+ * Host sees the meeting's retention policy and a dry run of what the
+ * sweeper would delete right now (nothing is deleted).
+ */
+export const getRetention = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const userId = req.user.id;
+
+    const meeting = await Meeting.findOne({ roomId });
+
+    if (!meeting) {
+      return res.status(404).json({ message: "Meeting not found" });
+    }
+
+    if (meeting.host.toString() !== userId.toString()) {
+      return res.status(403).json({ message: "Only host can view the retention policy" });
+    }
+
+    const plan = await planMeetingRetention(meeting);
+
+    return res.status(200).json({
+      message: "Retention policy",
+      roomId,
+      policy: getRetentionPolicy(meeting),
+      override: meeting.retention,
+      dryRun: plan,
+    });
+
+  } catch (error) {
+    console.error("❌ getRetention error:", error);
+    return res.status(500).json({
+      message: "Error fetching retention policy",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * PATCH /api/meetings/:roomId/retention
+ * Host overrides how long this meeting's recordings are kept
+ * Body: {
+ *   pinned?: boolean,           // never expire the final recording
+ *   chunkDays?: number | null,  // raw chunks, 0 = forever, null = server default
+ *   finalDays?: number | null,  // final recording + outputs, 0 = forever, null = server default
+ * }
+ */
+export const updateRetention = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const userId = req.user.id;
+
+    const meeting = await Meeting.findOne({ roomId });
+
+    if (!meeting) {
+      return res.status(404).json({ message: "Meeting not found" });
+    }
+
+    if (meeting.host.toString() !== userId.toString()) {
+      return res.status(403).json({ message: "Only host can change the retention policy" });
+    }
+
+    const { override, error } = validateRetentionOverride(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    for (const [key, value] of Object.entries(override)) {
+      meeting.set(`retention.${key}`, value);
+    }
+    await meeting.save();
+
+    return res.status(200).json({
+      message: "Retention policy updated",
+      roomId,
+      policy: getRetentionPolicy(meeting),
+      override: meeting.retention,
+    });
+
+  } catch (error) {
+    console.error("❌ updateRetention error:", error);
+    return res.status(500).json({
+      message: "Error updating retention policy",
+      error: error.message,
+    });
+  }
+};
+
 export default {
   createMeeting,
   joinMeeting,
   getMeetingDetails,
   endMeeting,
+  updateRecordingSettings,
+  getRetention,
+  updateRetention,
 };
@@ -1,226 +1,376 @@
 // server/src/controllers/mergeController.js
-import fs from 'fs';
 import path from 'path';
-import { processMeetingRecording } from '../utils/ffmpegHelper.js';
-import { getMeetingDir } from '../utils/fileHelper.js';
+import mongoose from 'mongoose';
+import MergeJob, { serializeMergeJob } from '../models/MergeJob.js';
+import Clip from '../models/Clip.js';
+import Meeting from '../models/Meeting.js';
+import Episode from '../models/Episode.js';
+import { canViewRecording } from '../middlewares/recordingAccess.js';
+import { deleteMeetingDir, HLS_DIR_NAME } from '../utils/fileHelper.js';
+import { getStorage, listMeetingFiles, meetingKey } from '../utils/storage/index.js';
+import { findActiveMergeJob, requestMerge } from '../utils/mergeWorkerClient.js';
+import { removeRecording } from '../utils/recordingMetadata.js';
+import { validateExportCaptions } from '../utils/recordingSettings.js';
+import { refreshMeetingUsage } from '../utils/storageUsage.js';
+import { streamFile } from '../utils/streamFile.js';
+
+const AUDIO_CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  opus: 'audio/ogg',
+};
 
-/**
- * Simple in-memory lock to prevent concurrent merge jobs for same room.
- * (Process restarts will clear this — acceptable for dev/most deploys.)
- */
-const mergeLocks = new Set();
+const HLS_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+};
+
+// previews written by merge-worker (thumbnails.js)
+const THUMBNAIL_CONTENT_TYPES = {
+  'poster.jpg': 'image/jpeg',
+  'sprite.jpg': 'image/jpeg',
+  'thumbnails.vtt': 'text/vtt',
+};
+
+// transcript formats written by merge-worker (transcription.js)
+const TRANSCRIPT_FILES = {
+  json: { file: 'transcript.json', contentType: 'application/json' },
+  srt: { file: 'transcript.srt', contentType: 'application/x-subrip' },
+  vtt: { file: 'transcript.vtt', contentType: 'text/vtt' },
+};
+
+// playlists and segments as written by merge-worker (hlsExport.js) — nothing else is served
+const HLS_FILE_PATTERN = /^[a-zA-Z0-9_-]+\.(m3u8|ts)$/;
 
 /**
  * POST /api/recordings/merge/:roomId
- * Trigger processing (concat + merge) for a meeting.
- * Returns merge result when done (blocking HTTP request).
+ * Body (optional): { captions: { mode: "off" | "soft" | "burn", fontSize, position: "bottom" | "top" } }
+ * for this export only; left out, the meeting's saved caption settings apply.
+ * Queue processing (concat + merge) for a meeting on the merge-worker.
+ * Returns 202 with the job id right away; poll GET /api/recordings/jobs/:jobId for the result.
+ * 409 while a clip of the meeting is queued or being cut, or while a merge with other
+ * captions is queued or running (the same request again gets the active job),
+ * 507 { message, usedBytes, quotaBytes } when the host's storage quota has no room for the outputs.
  */
 export const mergeMeetingRecording = async (req, res) => {
   try {
     const { roomId } = req.params;
     if (!roomId) return res.status(400).json({ message: 'roomId required' });
 
-    if (mergeLocks.has(roomId)) {
-      return res.status(409).json({ message: 'Merge already in progress for this room' });
+    const options = {};
+    if (req.body?.captions !== undefined) {
+      const { captions, error } = validateExportCaptions(req.body.captions);
+      if (error) return res.status(400).json({ message: error });
+      options.captions = captions;
     }
 
-    const meetingDir = getMeetingDir(roomId);
-    if (!fs.existsSync(meetingDir)) {
+    const { users } = await listMeetingFiles(roomId);
+    if (Object.keys(users).length === 0) {
       return res.status(404).json({ message: 'No recordings found for this room', roomId });
     }
 
-    mergeLocks.add(roomId);
-    console.log(`🎬 Merge started for room ${roomId}`);
-
-    try {
-      const result = await processMeetingRecording(roomId);
-      console.log(`✅ Merge finished for room ${roomId}`);
-      mergeLocks.delete(roomId);
-
-      return res.status(200).json({
-        message: 'Recording merged successfully',
-        roomId,
-        finalPath: result.finalPath,
-        fileSizeBytes: result.sizeBytes,
-        fileSizeMB: result.finalFileSizeMB,
-      });
-    } catch (err) {
-      mergeLocks.delete(roomId);
-      console.error(`❌ Merge failed for room ${roomId}:`, err.message || err);
-      return res.status(500).json({
-        message: 'Error merging recording',
-        error: err.message || String(err),
-      });
-    }
+    const job = await requestMerge(roomId, { options });
+    console.log(`🎬 Merge queued for room ${roomId} (job ${job.jobId})`);
+
+    return res.status(202).json({
+      message: 'Merge queued',
+      ...job,
+    });
   } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.statusCode === 507) {
+      return res.status(507).json({ message: error.message, usedBytes: error.usedBytes, quotaBytes: error.quotaBytes });
+    }
     console.error('❌ mergeMeetingRecording controller error:', error);
     return res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
 /**
- * GET /api/recordings/status/:roomId
- * Get status: whether chunks exist, how many users, whether final file exists.
+ * GET /api/recordings/jobs/:jobId
+ * Current state of a merge job (queued / running / succeeded / failed).
+ * Host and participants of the job's meeting only.
  */
-export const getRecordingStatus = async (req, res) => {
+export const getMergeJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(400).json({ message: 'Invalid jobId' });
+    }
+
+    const job = await MergeJob.findById(jobId);
+    if (!job) return res.status(404).json({ message: 'Merge job not found', jobId });
+
+    // job ids are not secret — same access rule as the recording itself
+    const meeting = await Meeting.findOne({ roomId: job.roomId });
+    if (!meeting || !canViewRecording(meeting, req.user.id)) {
+      return res.status(403).json({ message: 'You do not have access to this recording' });
+    }
+
+    return res.status(200).json({ message: 'Merge job', ...serializeMergeJob(job) });
+  } catch (error) {
+    console.error('❌ getMergeJob error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Send final-recording.mp4 (variant=raw) or final-recording-edited.mp4 (variant=edited),
+ * as a download or inline for the player. Both with range support.
+ */
+async function sendFinalRecording(req, res, { inline }) {
+  const { roomId } = req.params;
+  if (!roomId) return res.status(400).json({ message: 'roomId required' });
+
+  const variant = req.query.variant || 'raw';
+  if (!['raw', 'edited'].includes(variant)) {
+    return res.status(400).json({ message: 'variant must be one of: raw, edited' });
+  }
+
+  const edited = variant === 'edited';
+  const key = meetingKey(roomId, edited ? 'final-recording-edited.mp4' : 'final-recording.mp4');
+  const info = await getStorage().stat(key);
+
+  if (!info) {
+    return res.status(404).json({
+      message: edited
+        ? 'Edited recording not found. Is silence trimming enabled for this meeting?'
+        : 'Final recording not found. Has it been merged yet?',
+    });
+  }
+
+  // a re-merge rewrites the file under the same name
+  if (inline) res.set('Cache-Control', 'private, no-cache');
+
+  await streamFile(req, res, key, {
+    size: info.size,
+    contentType: 'video/mp4',
+    filename: edited ? `meeting-${roomId}-edited.mp4` : `meeting-${roomId}.mp4`,
+    inline,
+  });
+}
+
+/**
+ * GET /api/recordings/download/:roomId?variant=raw|edited
+ * Download the final merged video (final-recording.mp4) if exists.
+ * variant=edited → final-recording-edited.mp4 (dead air removed, only when trimming was enabled).
+ * After streaming we DON'T auto-delete here (let higher-level logic decide).
+ */
+export const downloadMeetingRecording = async (req, res) => {
+  try {
+    await sendFinalRecording(req, res, { inline: false });
+  } catch (error) {
+    console.error('❌ downloadMeetingRecording error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * GET /api/recordings/stream/:roomId?variant=raw|edited
+ * Same file as /download, sent inline so a <video> element can play and seek it
+ * (range requests) instead of the browser saving it.
+ */
+export const streamMeetingRecording = async (req, res) => {
+  try {
+    await sendFinalRecording(req, res, { inline: true });
+  } catch (error) {
+    console.error('❌ streamMeetingRecording error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * GET /api/recordings/audio/:roomId?format=mp3|m4a|opus
+ * Stream the audio-only podcast export (podcast.<format>), with range support.
+ */
+export const downloadMeetingAudio = async (req, res) => {
   try {
     const { roomId } = req.params;
     if (!roomId) return res.status(400).json({ message: 'roomId required' });
 
-    const meetingDir = getMeetingDir(roomId);
-    if (!fs.existsSync(meetingDir)) {
-      return res.status(404).json({ message: 'No recordings found for this room', roomId, hasRecording: false });
-    }
-
-    const items = fs.readdirSync(meetingDir);
-    const userDirs = items.filter((i) => fs.statSync(path.join(meetingDir, i)).isDirectory());
-    let totalChunks = 0;
-    let totalSize = 0;
-
-    for (const u of userDirs) {
-      const userDir = path.join(meetingDir, u);
-      const chunks = fs.readdirSync(userDir).filter((f) => f.endsWith('.webm'));
-      totalChunks += chunks.length;
-      for (const c of chunks) {
-        totalSize += fs.statSync(path.join(userDir, c)).size;
-      }
-    }
-
-    const finalVideoPath = path.join(meetingDir, 'final-recording.mp4');
-    const hasFinalVideo = fs.existsSync(finalVideoPath);
-    const mergeInProgress = mergeLocks.has(roomId);
-
-    const finalInfo = hasFinalVideo ? {
-      path: finalVideoPath,
-      sizeBytes: fs.statSync(finalVideoPath).size,
-      sizeMB: (fs.statSync(finalVideoPath).size / 1024 / 1024).toFixed(2),
-    } : null;
-
-    return res.status(200).json({
-      message: 'Recording status',
-      roomId,
-      userCount: userDirs.length,
-      totalChunks,
-      totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
-      hasFinalVideo,
-      finalInfo,
-      mergeInProgress,
+    const format = req.query.format || 'mp3';
+    if (!AUDIO_CONTENT_TYPES[format]) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(AUDIO_CONTENT_TYPES).join(', ')}` });
+    }
+
+    const key = meetingKey(roomId, `podcast.${format}`);
+    const info = await getStorage().stat(key);
+    if (!info) {
+      return res.status(404).json({ message: `Audio export (${format}) not found. Has it been merged yet?` });
+    }
+
+    await streamFile(req, res, key, {
+      size: info.size,
+      contentType: AUDIO_CONTENT_TYPES[format],
+      filename: `meeting-${roomId}.${format}`,
     });
 
   } catch (error) {
-    console.error('❌ getRecordingStatus error:', error);
+    console.error('❌ downloadMeetingAudio error:', error);
     return res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
 /**
- * GET /api/recordings/download/:roomId
- * Stream the final merged video (final-recording.mp4) if exists.
- * After streaming we DON'T auto-delete here (let higher-level logic decide).
+ * GET /api/recordings/hls/:roomId/:file
+ * Serve the HLS master playlist (master.m3u8), rendition playlists and segments.
+ * Host and participants only (recordingAccess middleware).
  */
-export const downloadMeetingRecording = async (req, res) => {
+export const serveHlsFile = async (req, res) => {
+  try {
+    const { roomId, file } = req.params;
+
+    if (!HLS_FILE_PATTERN.test(file)) {
+      return res.status(400).json({ message: 'Invalid HLS file name' });
+    }
+
+    const key = meetingKey(roomId, HLS_DIR_NAME, file);
+    const info = await getStorage().stat(key);
+    if (!info) {
+      return res.status(404).json({ message: 'HLS stream not found. Has it been merged yet?' });
+    }
+
+    // playlists may be rewritten by a re-merge, segments never change
+    res.set('Cache-Control', file.endsWith('.m3u8') ? 'no-cache' : 'private, max-age=86400');
+    await streamFile(req, res, key, { size: info.size, contentType: HLS_CONTENT_TYPES[path.extname(file)] });
+
+  } catch (error) {
+    console.error('❌ serveHlsFile error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * GET /api/recordings/thumbnails/:roomId/:file
+ * file: poster.jpg | sprite.jpg | thumbnails.vtt
+ * The VTT cues point at "sprite.jpg#xywh=...", relative to this route.
+ * Host and participants only (recordingAccess middleware).
+ */
+export const serveThumbnail = async (req, res) => {
+  try {
+    const { roomId, file } = req.params;
+
+    const contentType = THUMBNAIL_CONTENT_TYPES[file];
+    if (!contentType) {
+      return res.status(400).json({ message: `file must be one of: ${Object.keys(THUMBNAIL_CONTENT_TYPES).join(', ')}` });
+    }
+
+    const key = meetingKey(roomId, file);
+    const info = await getStorage().stat(key);
+    if (!info) {
+      return res.status(404).json({ message: 'Thumbnails not found. Has it been merged yet?' });
+    }
+
+    // regenerated by every merge
+    res.set('Cache-Control', 'no-cache');
+    await streamFile(req, res, key, { size: info.size, contentType });
+
+  } catch (error) {
+    console.error('❌ serveThumbnail error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * GET /api/recordings/multitrack/:roomId
+ * Download the per-participant multitrack package (multitrack.zip: audio + video per user, manifest.json).
+ */
+export const downloadMultitrack = async (req, res) => {
   try {
     const { roomId } = req.params;
     if (!roomId) return res.status(400).json({ message: 'roomId required' });
 
-    const meetingDir = getMeetingDir(roomId);
-    const finalVideoPath = path.join(meetingDir, 'final-recording.mp4');
-
-    if (!fs.existsSync(finalVideoPath)) {
-      return res.status(404).json({ message: 'Final recording not found. Has it been merged yet?' });
-    }
-
-    const stat = fs.statSync(finalVideoPath);
-    const fileSize = stat.size;
-
-    // Support range requests for resumable downloads / streaming players
-    const range = req.headers.range;
-    if (range) {
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      if (start >= fileSize) {
-        res.status(416).send('Requested range not satisfiable\n' + start + ' >= ' + fileSize);
-        return;
-      }
-
-      const chunksize = end - start + 1;
-      const file = fs.createReadStream(finalVideoPath, { start, end });
-      res.writeHead(206, {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': 'video/mp4',
-        'Content-Disposition': `attachment; filename="meeting-${roomId}.mp4"`,
-        'Access-Control-Allow-Origin': process.env.FRONTEND_URL || 'http://localhost:3000',
-        'Access-Control-Allow-Credentials': 'true',
-      });
-
-      file.pipe(res);
-      return;
-    }
-
-    // Full file
-    res.writeHead(200, {
-      'Content-Length': fileSize,
-      'Content-Type': 'video/mp4',
-      'Content-Disposition': `attachment; filename="meeting-${roomId}.mp4"`,
-      'Access-Control-Allow-Origin': process.env.FRONTEND_URL || 'http://localhost:3000',
-      'Access-Control-Allow-Credentials': 'true',
+    const key = meetingKey(roomId, 'multitrack.zip');
+    const info = await getStorage().stat(key);
+    if (!info) {
+      return res.status(404).json({ message: 'Multitrack package not found. Enable multitrack in the recording settings and merge again.' });
+    }
+
+    await streamFile(req, res, key, {
+      size: info.size,
+      contentType: 'application/zip',
+      filename: `meeting-${roomId}-multitrack.zip`,
     });
 
+  } catch (error) {
+    console.error('❌ downloadMultitrack error:', error);
+    return res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
 
-    const stream = fs.createReadStream(finalVideoPath);
-    stream.pipe(res);
+/**
+ * GET /api/recordings/transcript/:roomId?format=json|srt|vtt&download=true
+ * Speaker-attributed transcript (merge with `transcribe` enabled).
+ * json (default): { roomId, engine, language, createdAt, speakers, lines: [{ start, end, userId, username, text }] }
+ * srt / vtt: subtitles with the speaker's name on every cue.
+ * Served inline unless download=true.
+ */
+export const serveTranscript = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const format = req.query.format || 'json';
+
+    const transcript = TRANSCRIPT_FILES[format];
+    if (!transcript) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(TRANSCRIPT_FILES).join(', ')}` });
+    }
 
-    stream.on('error', (err) => {
-      console.error('Stream error:', err);
-      if (!res.headersSent) {
-        res.status(500).json({ message: 'Error streaming file', error: err.message });
-      } else {
-        res.destroy();
-      }
+    const key = meetingKey(roomId, transcript.file);
+    const info = await getStorage().stat(key);
+    if (!info) {
+      return res.status(404).json({ message: 'Transcript not found. Enable transcription in the recording settings and merge again.' });
+    }
+
+    // regenerated by every merge
+    res.set('Cache-Control', 'no-cache');
+    await streamFile(req, res, key, {
+      size: info.size,
+      contentType: transcript.contentType,
+      filename: `meeting-${roomId}-transcript.${format}`,
+      inline: req.query.download !== 'true',
     });
 
   } catch (error) {
-    console.error('❌ downloadMeetingRecording error:', error);
+    console.error('❌ serveTranscript error:', error);
     return res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
 /**
  * DELETE /api/recordings/:roomId
- * Permanently delete meeting recordings (final + chunks)
+ * Permanently delete meeting recordings (final + chunks + clips) from storage
  */
 export const deleteRecording = async (req, res) => {
   try {
     const { roomId } = req.params;
     if (!roomId) return res.status(400).json({ message: 'roomId required' });
 
-    if (mergeLocks.has(roomId)) {
+    if (await findActiveMergeJob(roomId)) {
       return res.status(409).json({ message: 'Cannot delete while merge in progress' });
     }
+    if (await Clip.exists({ roomId, status: { $in: ['queued', 'running'] } })) {
+      return res.status(409).json({ message: 'Cannot delete while a clip is being cut' });
+    }
+
+    // the feed would point at missing audio
+    if (await Episode.exists({ roomId })) {
+      return res.status(409).json({ message: 'This recording is published as a podcast episode. Unpublish it first.' });
+    }
 
-    const meetingDir = getMeetingDir(roomId);
-    if (!fs.existsSync(meetingDir)) {
+    const { files } = await listMeetingFiles(roomId);
+    if (files.length === 0) {
       return res.status(404).json({ message: 'Recording not found', roomId });
     }
 
-    // Compute freed size
-    const getFolderSize = (dir) => {
-      let size = 0;
-      const items = fs.readdirSync(dir);
-      for (const it of items) {
-        const p = path.join(dir, it);
-        const s = fs.statSync(p);
-        if (s.isDirectory()) size += getFolderSize(p);
-        else size += s.size;
-      }
-      return size;
-    };
-
-    const size = getFolderSize(meetingDir);
-    fs.rmSync(meetingDir, { recursive: true, force: true });
+    const size = files.reduce((sum, f) => sum + f.size, 0);
+    await getStorage().removeAll(roomId);
+    // the local staging copy of the chunks (the same folder with the local driver)
+    deleteMeetingDir(roomId);
+    await removeRecording(roomId);
+    await Clip.deleteMany({ roomId });
+    await refreshMeetingUsage(roomId);
 
     return res.status(200).json({ message: 'Recording deleted', roomId, freedMB: (size / 1024 / 1024).toFixed(2) });
 
@@ -1,26 +1,288 @@
 // server/src/controllers/recordingController.js
 import fs from 'fs';
 import path from 'path';
-import { ensureMeetingUserDirs, getMeetingDir, saveChunkToDisk } from '../utils/fileHelper.js';
+import busboy from 'busboy';
+import mongoose from 'mongoose';
+import Meeting from '../models/Meeting.js';
+import Recording, { RECORDING_STATUSES } from '../models/Recording.js';
+import User from '../models/User.js';
+import { ensureMeetingUserDirs, saveChunkStream, saveChunkToDisk } from '../utils/fileHelper.js';
+import { getChunkIndex, MAX_CHUNK_INDEX, readChunkManifest, recordChunk, safeChunkName } from '../utils/chunkManifest.js';
+import { getStorage, meetingKey } from '../utils/storage/index.js';
+import {
+  getChapters,
+  getRecording,
+  recordSegment,
+  serializeRecording,
+  summarizeRecording,
+  validateChapters,
+} from '../utils/recordingMetadata.js';
+import { addChunkUsage, assertQuota } from '../utils/storageUsage.js';
+import { streamFile } from '../utils/streamFile.js';
+
+// 10s of 3 Mbps video is ~4 MB; anything far beyond that is not a recorder chunk
+const MAX_CHUNK_BYTES = Number(process.env.MAX_CHUNK_BYTES) || 25 * 1024 * 1024;
+
+const SHA256_PATTERN = /^[a-fA-F0-9]{64}$/;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "2024-05-01" or a full ISO timestamp → Date; undefined when absent, null when invalid
+const parseDateParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const CHUNK_INDEX_ERROR = `chunk index must be at most ${MAX_CHUNK_INDEX}`;
+
+// fileHelper error codes → HTTP status
+const CHUNK_ERROR_STATUS = {
+  CHUNK_TOO_LARGE: 413,
+  CHUNK_CONFLICT: 409,
+  CHECKSUM_MISMATCH: 422,
+};
+
+/**
+ * Timing sidecar "<chunk>.json" next to "<chunk>.webm" (read by merge-worker's timeline.js).
+ * Written by the upload that put the chunk in place, right after it
+ * (or by a retry, if that upload failed in between).
+ */
+async function writeChunkSidecar(userDir, safeName, { chunkId, startedAt, durationMs }) {
+  if (startedAt === undefined) return;
+  const meta = { chunkId, startedAt, durationMs: durationMs ?? null };
+  await saveChunkToDisk(path.join(userDir, `${safeName}.json`), Buffer.from(JSON.stringify(meta)));
+}
+
+/**
+ * Validate chunk metadata coming from a query string / multipart fields (all strings).
+ * roomId/userId come from `owner` (checked by recordingUploadAccess), never from params.
+ * Returns { meta } or { error }.
+ */
+function parseStreamChunkMeta(params, owner) {
+  const { chunkId } = params;
+
+  if (!chunkId) return { error: "chunkId is required" };
+
+  const meta = { roomId: owner.roomId, userId: owner.userId, chunkId: String(chunkId) };
+
+  if (params.sha256 !== undefined) {
+    if (!SHA256_PATTERN.test(params.sha256)) return { error: "sha256 must be a hex SHA-256 digest" };
+    meta.sha256 = params.sha256.toLowerCase();
+  }
+
+  meta.index = getChunkIndex(meta.chunkId, params.chunkIndex);
+  if (meta.index > MAX_CHUNK_INDEX) return { error: CHUNK_INDEX_ERROR };
+
+  if (params.startedAt !== undefined) {
+    const startedAt = Number(params.startedAt);
+    if (!(Number.isFinite(startedAt) && startedAt > 0)) {
+      return { error: "startedAt must be an epoch timestamp in ms" };
+    }
+    meta.startedAt = startedAt;
+  }
+
+  if (params.durationMs !== undefined) {
+    const durationMs = Number(params.durationMs);
+    if (!(Number.isFinite(durationMs) && durationMs >= 0)) {
+      return { error: "durationMs must be a non-negative number" };
+    }
+    meta.durationMs = durationMs;
+  }
+
+  return { meta };
+}
+
+const uploadError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Save one chunk ("<userDir>/<chunkId>.webm" + timing sidecar + manifest entry) idempotently:
+ * re-uploading identical bytes is a no-op ({ duplicate: true }), different bytes → 409.
+ * The chunk lands in the local staging dir first and is then copied to storage
+ * (a no-op for the local driver, whose root is the staging dir); with any other
+ * driver the staged files are removed when the request ends, stored or not.
+ * `write(filepath, opts)` does the actual fileHelper save and resolves with { sha256, duplicate }.
+ * New chunks are charged to the meeting host's storage quota (storageUsage.js):
+ * `expectedBytes` is checked before anything is written (507 when over quota).
+ * Resolves with { filename, sizeBytes, sha256, duplicate }.
+ */
+async function storeChunk(meta, write, { meeting, expectedBytes = 0 }) {
+  const { userDir } = ensureMeetingUserDirs(meta.roomId, meta.userId);
+  const safeName = safeChunkName(meta.chunkId);
+  const filename = `${safeName}.webm`;
+  const filepath = path.join(userDir, filename);
+
+  const sidecarPath = path.join(userDir, `${safeName}.json`);
+  const storage = getStorage();
+  // with a remote driver the staged copy is removed once stored, so a chunk sent
+  // again after that is recognised by its manifest entry instead of the local file
+  const stagingOnly = storage.name !== "local";
+  const recorded = () => readChunkManifest(userDir).chunks[meta.chunkId];
+
+  // a re-sent chunk is not charged again; two first uploads racing may both be checked
+  if (!fs.existsSync(filepath) && !recorded()) {
+    await assertQuota(meeting.host, expectedBytes, "this chunk");
+  }
+
+  // the chunk is only written when it did not exist (an atomic link, see fileHelper.js):
+  // a duplicate or a conflicting upload never touches another upload's files
+  let saved;
+  try {
+    saved = await write(filepath, { sha256: meta.sha256, exclusive: true });
+  } catch (err) {
+    if (CHUNK_ERROR_STATUS[err.code]) throw uploadError(CHUNK_ERROR_STATUS[err.code], err.message);
+    throw err;
+  }
+  // this request placed the staged file (and so may remove it)
+  const staged = !saved.duplicate;
+  let wroteSidecar = false;
+  let sizeBytes;
+
+  try {
+    sizeBytes = fs.statSync(filepath).size;
+    if (sizeBytes === 0) {
+      if (staged) fs.rmSync(filepath, { force: true });
+      throw uploadError(400, "Chunk body is empty");
+    }
+
+    const previous = stagingOnly && staged ? recorded() : null;
+    if (previous) {
+      if (previous.sha256 !== saved.sha256) {
+        throw uploadError(409, "A different chunk with this id was already uploaded");
+      }
+      saved = { ...saved, duplicate: true };
+    }
+
+    if (!saved.duplicate || !fs.existsSync(sidecarPath)) {
+      await writeChunkSidecar(userDir, safeName, meta);
+      wroteSidecar = true;
+    }
+
+    // a duplicate may be the retry of an upload whose copy to storage failed
+    const chunkKey = meetingKey(meta.roomId, meta.userId, filename);
+    if (!saved.duplicate || !(await storage.stat(chunkKey))) {
+      let storedBytes = sizeBytes;
+      if (fs.existsSync(sidecarPath)) {
+        await storage.putFile(meetingKey(meta.roomId, meta.userId, `${safeName}.json`), sidecarPath);
+        storedBytes += fs.statSync(sidecarPath).size;
+      }
+      await storage.putFile(chunkKey, filepath);
+      if (!saved.duplicate) await addChunkUsage(meeting, storedBytes);
+    }
+
+    if (!saved.duplicate || !recorded()) {
+      await recordChunk(userDir, { ...meta, sha256: saved.sha256, sizeBytes });
+    }
+  } finally {
+    // stored and in the manifest, or failed: a retry sends the bytes again either way
+    if (stagingOnly && staged) {
+      fs.rmSync(filepath, { force: true });
+      if (wroteSidecar) fs.rmSync(sidecarPath, { force: true });
+    }
+  }
+
+  // idempotent, so a duplicate also fills in a segment an earlier attempt failed to record
+  await recordSegment(meeting, {
+    userId: meta.userId,
+    chunkId: meta.chunkId,
+    index: meta.index ?? null,
+    filename,
+    sizeBytes,
+    sha256: saved.sha256,
+    startedAt: meta.startedAt ?? null,
+    durationMs: meta.durationMs ?? null,
+  });
+
+  return { filename, sizeBytes, sha256: saved.sha256, duplicate: saved.duplicate };
+}
+
+const storeChunkStream = (meta, source, quota) =>
+  storeChunk(meta, (filepath, opts) => saveChunkStream(filepath, source, { maxBytes: MAX_CHUNK_BYTES, ...opts }), quota);
+
+// error body for a rejected upload; quota errors also say how much is used
+const uploadErrorBody = (err) =>
+  err.quotaBytes !== undefined
+    ? { message: err.message, usedBytes: err.usedBytes, quotaBytes: err.quotaBytes }
+    : { message: err.message };
+
+/**
+ * multipart/form-data: metadata fields first, then one file part with the chunk.
+ * Query-string metadata is accepted too (fields win, except roomId/userId).
+ */
+function storeMultipartChunk(req, owner, quota) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fields: 10 } });
+    } catch (err) {
+      return reject(uploadError(400, err.message));
+    }
+
+    const fields = {};
+    // settles to { saved } or { error } — never rejects before "close" picks it up
+    let saving = null;
+
+    parser.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on("file", (name, file) => {
+      const { meta, error } = parseStreamChunkMeta({ ...req.query, ...fields }, owner);
+      if (error) {
+        file.resume();
+        saving = Promise.resolve({ error: uploadError(400, error) });
+        return;
+      }
+      saving = storeChunkStream(meta, file, quota).then(
+        (saved) => ({ saved: { meta, ...saved } }),
+        (err) => {
+          // rejected before the part was read (e.g. quota) — drain it so busboy can finish
+          file.resume();
+          return { error: err };
+        }
+      );
+    });
+
+    parser.on("close", () => {
+      if (!saving) return reject(uploadError(400, "Multipart body has no chunk file"));
+      saving.then(({ saved, error }) => (error ? reject(error) : resolve(saved)));
+    });
+
+    parser.on("error", (err) => reject(uploadError(400, err.message)));
+
+    req.pipe(parser);
+  });
+}
 
 /**
  * POST /api/recordings/upload-chunk
  * Body:
  * {
  *   roomId: string,
- *   userId: string,
+ *   userId?: string,        // must match the logged-in user when given
  *   chunkId: string,        // e.g. "169xxx_0" (unique per chunk)
  *   chunkData: string,      // base64 or dataURI
+ *   startedAt?: number,     // capture start, epoch ms on the server clock
+ *   durationMs?: number,    // captured length of the chunk
+ *   sha256?: string,        // hex digest of the decoded bytes, verified before the rename
  * }
+ * startedAt/durationMs are stored in a "<chunk>.json" sidecar so the
+ * merge-worker can lay every participant on one meeting timeline.
+ *
+ * Uploads are idempotent per chunkId: identical bytes → 200 { duplicate: true },
+ * different bytes → 409, checksum mismatch → 422.
+ * A new chunk that would put the meeting host over their storage quota → 507
+ * { message, usedBytes, quotaBytes }.
  */
 export const uploadChunk = async (req, res) => {
   try {
-    const { roomId, userId, chunkIndex, chunkId, chunkData } = req.body;
-
-    // Basic validation
-    if (!roomId || !userId) {
-      return res.status(400).json({ message: "roomId and userId are required" });
-    }
+    const { chunkIndex, chunkId, chunkData, startedAt, durationMs, sha256 } = req.body;
+    // checked by recordingUploadAccess
+    const roomId = req.meeting.roomId;
+    const userId = String(req.user.id);
 
     if (!chunkIndex && chunkIndex !== 0 && !chunkId) {
       // FIX: server now accepts chunkIndex or chunkId
@@ -31,8 +293,17 @@ export const uploadChunk = async (req, res) => {
       return res.status(400).json({ message: "chunkData missing or invalid" });
     }
 
-    // Ensure dirs exist
-    const { meetingDir, userDir } = ensureMeetingUserDirs(roomId, userId);
+    if (startedAt !== undefined && !(Number.isFinite(startedAt) && startedAt > 0)) {
+      return res.status(400).json({ message: "startedAt must be an epoch timestamp in ms" });
+    }
+
+    if (durationMs !== undefined && !(Number.isFinite(durationMs) && durationMs >= 0)) {
+      return res.status(400).json({ message: "durationMs must be a non-negative number" });
+    }
+
+    if (sha256 !== undefined && !(typeof sha256 === "string" && SHA256_PATTERN.test(sha256))) {
+      return res.status(400).json({ message: "sha256 must be a hex SHA-256 digest" });
+    }
 
     // FIX: Generate correct chunkId
     const timestamp = Date.now();
@@ -40,10 +311,10 @@ export const uploadChunk = async (req, res) => {
       ? chunkId
       : `${timestamp}-${chunkIndex}`; // FIX: deterministic "timestamp-index" format
 
-    // FIX: filename safe
-    const safeName = finalChunkId.replace(/[^a-zA-Z0-9-_\.]/g, "_");
-    const filename = `${safeName}.webm`;
-    const filepath = path.join(userDir, filename);
+    const index = getChunkIndex(finalChunkId, chunkIndex);
+    if (index > MAX_CHUNK_INDEX) {
+      return res.status(400).json({ message: CHUNK_INDEX_ERROR });
+    }
 
     // Support both dataURI + raw base64
     let base64 = chunkData;
@@ -62,25 +333,41 @@ export const uploadChunk = async (req, res) => {
       return res.status(400).json({ message: "Failed to decode base64 chunkData" });
     }
 
+    const meta = {
+      roomId,
+      userId,
+      chunkId: finalChunkId,
+      index,
+      startedAt,
+      durationMs,
+      sha256: sha256?.toLowerCase(),
+    };
+
     // Save chunk through atomic write
+    let saved;
     try {
-      await saveChunkToDisk(filepath, buffer);
+      saved = await storeChunk(meta, (filepath, opts) => saveChunkToDisk(filepath, buffer, opts), {
+        meeting: req.meeting,
+        expectedBytes: buffer.length,
+      });
     } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json(uploadErrorBody(err));
       console.error("Failed to save chunk:", err);
       return res.status(500).json({ message: "Failed to save chunk", error: err.message });
     }
 
-    const stat = fs.statSync(filepath);
-
-    console.log(`📥 Saved chunk ${filename} (${stat.size} bytes) for user ${userId} in room ${roomId}`);
+    console.log(`📥 ${saved.duplicate ? "Duplicate" : "Saved"} chunk ${saved.filename} (${saved.sizeBytes} bytes) for user ${userId} in room ${roomId}`);
 
     return res.status(200).json({
-      message: "Chunk uploaded",
+      message: saved.duplicate ? "Chunk already uploaded" : "Chunk uploaded",
       roomId,
       userId,
       chunkId: finalChunkId,
-      filename,
-      sizeBytes: stat.size,
+      filename: saved.filename,
+      sizeBytes: saved.sizeBytes,
+      sha256: saved.sha256,
+      duplicate: saved.duplicate,
+      startedAt: startedAt ?? null,
     });
 
   } catch (error) {
@@ -92,86 +379,248 @@ export const uploadChunk = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/recordings/upload-chunk/stream
+ * Binary upload, streamed to disk — no base64, no JSON body limit.
+ *
+ * application/octet-stream:
+ *   body  = the raw WebM chunk
+ *   query = ?roomId=&chunkId=&startedAt=&durationMs=&sha256=
+ * multipart/form-data:
+ *   query ?roomId= (checked before the body is read),
+ *   fields chunkId, startedAt?, durationMs?, sha256? followed by one file part
+ *
+ * The chunk is stored for the logged-in user; userId, when sent, must match it (403).
+ *
+ * Bodies over MAX_CHUNK_BYTES are rejected with 413 while streaming.
+ * Same idempotency rules as /upload-chunk (200 duplicate / 409 conflict / 422 checksum),
+ * same 507 when the host's storage quota is used up (checked against Content-Length).
+ */
+export const uploadChunkStream = async (req, res) => {
+  try {
+    const contentType = req.headers["content-type"] || "";
+    const declaredLength = Number(req.headers["content-length"]);
+
+    if (declaredLength > MAX_CHUNK_BYTES) {
+      res.set("Connection", "close");
+      return res.status(413).json({ message: `Chunk exceeds the ${MAX_CHUNK_BYTES} byte limit` });
+    }
+
+    // checked by recordingUploadAccess
+    const owner = { roomId: req.meeting.roomId, userId: String(req.user.id) };
+    const quota = { meeting: req.meeting, expectedBytes: declaredLength || 0 };
+
+    let saved;
+    if (contentType.startsWith("multipart/form-data")) {
+      saved = await storeMultipartChunk(req, owner, quota);
+    } else if (contentType.startsWith("application/octet-stream")) {
+      const { meta, error } = parseStreamChunkMeta(req.query, owner);
+      if (error) return res.status(400).json({ message: error });
+      saved = { meta, ...(await storeChunkStream(meta, req, quota)) };
+    } else {
+      return res.status(415).json({ message: "Content-Type must be application/octet-stream or multipart/form-data" });
+    }
+
+    const { meta, filename, sizeBytes, sha256, duplicate } = saved;
+    console.log(`📥 ${duplicate ? "Duplicate" : "Streamed"} chunk ${filename} (${sizeBytes} bytes) for user ${meta.userId} in room ${meta.roomId}`);
+
+    return res.status(200).json({
+      message: duplicate ? "Chunk already uploaded" : "Chunk uploaded",
+      roomId: meta.roomId,
+      userId: meta.userId,
+      chunkId: meta.chunkId,
+      filename,
+      sizeBytes,
+      sha256,
+      duplicate,
+      startedAt: meta.startedAt ?? null,
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      // the rest of an oversized body is not worth reading
+      if (error.statusCode === 413 || error.statusCode === 507) res.set("Connection", "close");
+      return res.status(error.statusCode).json(uploadErrorBody(error));
+    }
+
+    console.error("uploadChunkStream error:", error);
+    return res.status(500).json({
+      message: "Server error uploading chunk",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * GET /api/recordings/status/:roomId
- * Returns per-user chunk counts, sizes, and whether final video exists.
+ * Recording state of a meeting, from its Recording document (utils/recordingMetadata.js):
+ * {
+ *   status: "recorded" | "queued" | "merging" | "ready" | "failed",
+ *   startedAt, endedAt, durationMs,            // meeting timeline covered by the chunks
+ *   participants: [{ userId, username, chunkCount, sizeBytes, durationMs, firstChunkAt, lastChunkAt }],
+ *   userCount, totalChunks, totalSizeBytes, totalSizeMB,
+ *   userChunks: { [userId]: { count, chunks, sizeBytes, sizeMB, missingChunks, gaps } },
+ *   missingChunks, hasGaps, chunksRemovedAt,
+ *   merge: { jobId, status, error, queuedAt, startedAt, finishedAt, loudness, cuts, audioDuration, introSeconds } | null,
+ *   mergeInProgress, mergeJobId,
+ *   outputs: { final, edited, master, mp3, m4a, opus, hls, poster, sprite, thumbnails, multitrack,
+ *              transcript, transcriptSrt, transcriptVtt }
+ *            (present ones only: { key, sizeBytes, sizeMB, updatedAt }),
+ *   hasFinalVideo, finalInfo, hasHls, hasTranscript,
+ * }
+ * userChunks[userId].gaps lists the ranges of recorder indices missing from the uploaded sequence:
+ * [{ afterChunkId, beforeChunkId, from, to, count }].
  */
 export const getRecordingStatus = async (req, res) => {
   try {
     const { roomId } = req.params;
     if (!roomId) return res.status(400).json({ message: 'roomId required' });
 
-    const meetingDir = getMeetingDir(roomId);
-    if (!fs.existsSync(meetingDir)) {
-      return res.status(404).json({ message: 'No recordings found for this meeting', roomId });
-    }
-
-    const items = fs.readdirSync(meetingDir);
-    const userDirs = items.filter((it) => fs.statSync(path.join(meetingDir, it)).isDirectory());
-
-    const userChunks = {};
-    let totalChunks = 0;
-    let totalSize = 0;
-
-    for (const userId of userDirs) {
-      const userDir = path.join(meetingDir, userId);
-      const chunks = fs
-        .readdirSync(userDir)
-        .filter((f) => f.endsWith('.webm'))
-        .sort((a, b) => {
-          // Prefer lexicographic (timestamp prefix) fallback to mtime
-          const aNum = a.split('.')[0];
-          const bNum = b.split('.')[0];
-          if (aNum && bNum && /^\d+/.test(aNum) && /^\d+/.test(bNum)) {
-            return aNum.localeCompare(bNum, undefined, { numeric: true });
-          }
-          // else fallback to mtime
-          const am = fs.statSync(path.join(userDir, a)).mtimeMs;
-          const bm = fs.statSync(path.join(userDir, b)).mtimeMs;
-          return am - bm;
-        });
-
-      let userSize = 0;
-      for (const c of chunks) {
-        try {
-          userSize += fs.statSync(path.join(userDir, c)).size;
-        } catch (e) {
-          // ignore unreadable file
-        }
-      }
+    const recording = await getRecording(roomId);
+    if (!recording) {
+      return res.status(404).json({ message: 'No recordings found for this meeting', roomId, hasRecording: false });
+    }
+
+    return res.status(200).json({
+      message: 'Recording status',
+      ...(await serializeRecording(recording)),
+    });
+  } catch (error) {
+    console.error('getRecordingStatus error:', error);
+    return res.status(500).json({ message: 'Server error fetching status', error: error.message });
+  }
+};
 
-      userChunks[userId] = {
-        count: chunks.length,
-        chunks,
-        sizeBytes: userSize,
-        sizeMB: (userSize / 1024 / 1024).toFixed(2),
-      };
+/**
+ * GET /api/recordings/chapters/:roomId
+ * Chapter markers for the player: { chapters: [{ start, title }], source: "host" | "auto" }
+ * (start in seconds on the final video; see getChapters in recordingMetadata.js).
+ */
+export const getRecordingChapters = async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.roomId);
+    if (!recording) {
+      return res.status(404).json({ message: 'No recordings found for this meeting', roomId: req.params.roomId });
+    }
 
-      totalChunks += chunks.length;
-      totalSize += userSize;
+    return res.status(200).json({ message: 'Recording chapters', roomId: recording.roomId, ...getChapters(recording) });
+  } catch (error) {
+    console.error('getRecordingChapters error:', error);
+    return res.status(500).json({ message: 'Server error fetching chapters', error: error.message });
+  }
+};
+
+/**
+ * PUT /api/recordings/chapters/:roomId
+ * Body: { chapters: [{ start: seconds, title }] } — replaces the host's chapters;
+ * an empty array goes back to the automatic ones.
+ */
+export const updateRecordingChapters = async (req, res) => {
+  try {
+    const { chapters, error } = validateChapters(req.body?.chapters);
+    if (error) return res.status(400).json({ message: error });
+
+    const recording = await getRecording(req.params.roomId);
+    if (!recording) {
+      return res.status(404).json({ message: 'No recordings found for this meeting', roomId: req.params.roomId });
     }
 
-    const finalPath = path.join(meetingDir, 'final-recording.mp4');
-    const hasFinal = fs.existsSync(finalPath);
-    let finalInfo = null;
-    if (hasFinal) {
-      const s = fs.statSync(finalPath);
-      finalInfo = { sizeBytes: s.size, sizeMB: (s.size / 1024 / 1024).toFixed(2), createdAt: s.birthtime };
+    recording.chapters = chapters;
+    await recording.save();
+
+    return res.status(200).json({ message: 'Chapters updated', roomId: recording.roomId, ...getChapters(recording) });
+  } catch (error) {
+    console.error('updateRecordingChapters error:', error);
+    return res.status(500).json({ message: 'Server error updating chapters', error: error.message });
+  }
+};
+
+/**
+ * GET /api/recordings?q=&from=&to=&status=&page=&limit=
+ * Recordings of every meeting the user hosted or joined, newest first.
+ *   q       matches the meeting title or a participant's username (case-insensitive)
+ *   from/to recording date range (ISO dates; a bare "to" date includes that whole day)
+ *   status  recorded | queued | merging | ready | failed
+ * Returns { recordings: [...], total, page, limit } — entries as built by summarizeRecording().
+ */
+export const listRecordings = async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const { q, status } = req.query;
+    const from = parseDateParam(req.query.from);
+    let to = parseDateParam(req.query.to);
+
+    if (from === null || to === null) {
+      return res.status(400).json({ message: 'from/to must be ISO dates (e.g. 2024-05-01)' });
+    }
+    if (status !== undefined && !RECORDING_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${RECORDING_STATUSES.join(', ')}` });
+    }
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const meetings = await Meeting.find({
+      $or: [{ host: userId }, { attendees: userId }, { 'participants.user': userId }],
+    }).select('roomId title host createdAt').lean();
+    const meetingsByRoom = Object.fromEntries(meetings.map((m) => [m.roomId, m]));
+
+    const filters = [{ roomId: { $in: Object.keys(meetingsByRoom) } }];
+
+    if (status) filters.push({ status });
+
+    if (from || to) {
+      const range = {};
+      if (from) range.$gte = from;
+      if (to) range.$lte = to;
+      // recordings without chunk timestamps are dated by when they were created
+      filters.push({ $or: [{ startedAt: range }, { startedAt: { $exists: false }, createdAt: range }] });
     }
 
+    if (typeof q === 'string' && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      const titleRooms = meetings.filter((m) => pattern.test(m.title || '')).map((m) => m.roomId);
+      const matchingUsers = await User.find({ username: pattern }).select('_id').lean();
+      filters.push({
+        $or: [
+          { roomId: { $in: titleRooms } },
+          { 'participants.userId': { $in: matchingUsers.map((u) => u._id.toString()) } },
+        ],
+      });
+    }
+
+    const query = { $and: filters };
+    const [total, recordings] = await Promise.all([
+      Recording.countDocuments(query),
+      Recording.find(query)
+        .select('-segments')
+        .sort({ startedAt: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    const userIds = new Set();
+    for (const r of recordings) {
+      userIds.add(meetingsByRoom[r.roomId].host.toString());
+      for (const p of r.participants) userIds.add(p.userId);
+    }
+    const users = await User.find({ _id: { $in: [...userIds].filter((id) => mongoose.isValidObjectId(id)) } }).select('username');
+    const usernames = Object.fromEntries(users.map((u) => [u._id.toString(), u.username]));
+
     return res.status(200).json({
-      message: 'Recording status',
-      roomId,
-      userCount: userDirs.length,
-      totalChunks,
-      totalSizeMB: (totalSize / 1024 / 1024).toFixed(2),
-      userChunks,
-      hasFinalVideo: hasFinal,
-      finalInfo,
+      message: 'Recordings',
+      recordings: recordings.map((r) => summarizeRecording(r, meetingsByRoom[r.roomId], usernames, userId)),
+      total,
+      page,
+      limit,
     });
   } catch (error) {
-    console.error('getRecordingStatus error:', error);
-    return res.status(500).json({ message: 'Server error fetching status', error: error.message });
+    console.error('listRecordings error:', error);
+    return res.status(500).json({ message: 'Server error listing recordings', error: error.message });
   }
 };
 
@@ -179,22 +628,18 @@ export const getRecordingStatus = async (req, res) => {
  * GET /api/recordings/:roomId/:userId/chunk/:chunkId
  * Stream a specific chunk (debugging)
  */
-export const streamChunk = (req, res) => {
+export const streamChunk = async (req, res) => {
   try {
     const { roomId, userId, chunkId } = req.params;
     if (!roomId || !userId || !chunkId) {
       return res.status(400).json({ message: 'Missing params' });
     }
 
-    const meetingDir = getMeetingDir(roomId);
-    const chunkFile = `${chunkId}.webm`;
-    const chunkPath = path.join(meetingDir, userId, chunkFile);
-
-    if (!fs.existsSync(chunkPath)) return res.status(404).json({ message: 'Chunk not found' });
+    const key = meetingKey(roomId, userId, `${safeChunkName(chunkId)}.webm`);
+    const info = await getStorage().stat(key);
+    if (!info) return res.status(404).json({ message: 'Chunk not found' });
 
-    res.setHeader('Content-Type', 'video/webm');
-    const stream = fs.createReadStream(chunkPath);
-    stream.pipe(res);
+    await streamFile(req, res, key, { size: info.size, contentType: 'video/webm' });
   } catch (error) {
     console.error('streamChunk error:', error);
     return res.status(500).json({ message: 'Error streaming chunk', error: error.message });
@@ -204,5 +649,8 @@ export const streamChunk = (req, res) => {
 export default {
   uploadChunk,
   getRecordingStatus,
+  listRecordings,
+  getRecordingChapters,
+  updateRecordingChapters,
   streamChunk,
 };
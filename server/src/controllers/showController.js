@@ -0,0 +1,486 @@
+// server/src/controllers/showController.js
+import mongoose from "mongoose";
+import Show from "../models/Show.js";
+import Episode from "../models/Episode.js";
+import Meeting from "../models/Meeting.js";
+import Recording from "../models/Recording.js";
+import User from "../models/User.js";
+import { checkBumperAssets } from "../utils/assetLibrary.js";
+import { slugify, validateEpisode, validateShow } from "../utils/podcastMetadata.js";
+import {
+  AUDIO_MIME_TYPES,
+  buildFeed,
+  episodeEnclosure,
+  episodeFileUrl,
+  episodeTranscriptFormats,
+  feedUrl,
+  podcastGuid,
+  publicBaseUrl,
+  TRANSCRIPT_FORMATS,
+} from "../utils/podcastFeed.js";
+import { getStorage } from "../utils/storage/index.js";
+import { streamFile } from "../utils/streamFile.js";
+
+// "<episode guid>.<format>" under /feeds/:showSlug/
+const EPISODE_FILE_PATTERN = /^([0-9a-f-]{36})\.([a-z0-9]+)$/;
+
+const serializeShow = (show, baseUrl, episodeCount = 0) => ({
+  showId: show._id.toString(),
+  slug: show.slug,
+  title: show.title,
+  description: show.description,
+  author: show.author,
+  artworkUrl: show.artworkUrl,
+  language: show.language,
+  category: show.category,
+  explicit: show.explicit,
+  ownerEmail: show.ownerEmail,
+  guid: show.guid,
+  bumpers: {
+    introAssetId: show.bumpers?.introAssetId?.toString() || null,
+    outroAssetId: show.bumpers?.outroAssetId?.toString() || null,
+    musicAssetId: show.bumpers?.musicAssetId?.toString() || null,
+    musicVolumeDb: show.bumpers?.musicVolumeDb ?? null,
+    duckMusic: show.bumpers?.duckMusic ?? null,
+    crossfadeSeconds: show.bumpers?.crossfadeSeconds ?? null,
+  },
+  feedUrl: feedUrl(baseUrl, show.slug),
+  episodeCount,
+  createdAt: show.createdAt,
+  updatedAt: show.updatedAt,
+});
+
+// enclosure: null once the recording's audio export is gone (the feed skips the episode)
+const serializeEpisode = (episode, recording, show, baseUrl) => {
+  const enclosure = episodeEnclosure(episode, recording);
+
+  return {
+    episodeId: episode._id.toString(),
+    roomId: episode.roomId,
+    title: episode.title,
+    description: episode.description,
+    artworkUrl: episode.artworkUrl,
+    explicit: episode.explicit,
+    episodeType: episode.episodeType,
+    season: episode.season,
+    episodeNumber: episode.episodeNumber,
+    audioFormat: episode.audioFormat,
+    guid: episode.guid,
+    publishedAt: episode.publishedAt,
+    enclosure: enclosure
+      ? {
+          url: episodeFileUrl(baseUrl, show.slug, episode.guid, episode.audioFormat),
+          sizeBytes: enclosure.sizeBytes,
+          mimeType: enclosure.mimeType,
+          duration: enclosure.duration,
+        }
+      : null,
+  };
+};
+
+/**
+ * The caller's show for :showId, or null after answering 400 / 404 / 403
+ */
+const loadOwnShow = async (req, res) => {
+  const { showId } = req.params;
+
+  if (!mongoose.isValidObjectId(showId)) {
+    res.status(400).json({ message: "Invalid showId" });
+    return null;
+  }
+
+  const show = await Show.findById(showId);
+  if (!show) {
+    res.status(404).json({ message: "Show not found" });
+    return null;
+  }
+
+  if (show.owner.toString() !== String(req.user.id)) {
+    res.status(403).json({ message: "Only the show's owner can do this" });
+    return null;
+  }
+
+  return show;
+};
+
+/**
+ * First free slug: "my-show", "my-show-2", ...
+ */
+const uniqueSlug = async (base) => {
+  const root = base || "show";
+  let slug = root;
+  for (let n = 2; await Show.exists({ slug }); n++) slug = `${root}-${n}`;
+  return slug;
+};
+
+/**
+ * GET /api/shows
+ * The logged-in user's shows
+ */
+export const listShows = async (req, res) => {
+  try {
+    const shows = await Show.find({ owner: req.user.id }).sort({ createdAt: -1 });
+    const counts = await Episode.aggregate([
+      { $match: { show: { $in: shows.map((s) => s._id) } } },
+      { $group: { _id: "$show", count: { $sum: 1 } } },
+    ]);
+    const countByShow = Object.fromEntries(counts.map((c) => [c._id.toString(), c.count]));
+    const baseUrl = publicBaseUrl(req);
+
+    return res.status(200).json({
+      shows: shows.map((show) => serializeShow(show, baseUrl, countByShow[show._id.toString()] || 0)),
+    });
+
+  } catch (error) {
+    console.error("❌ listShows error:", error);
+    return res.status(500).json({ message: "Error listing shows", error: error.message });
+  }
+};
+
+/**
+ * POST /api/shows
+ * Body: { title, slug?, description?, author?, artworkUrl?, language?, category?, explicit?, ownerEmail?, bumpers? }
+ * slug defaults to one made from the title; the feed is /feeds/<slug>.xml
+ * bumpers: intro / outro / music bed (asset ids from GET /api/assets) for meetings recorded for the show
+ */
+export const createShow = async (req, res) => {
+  try {
+    const { show: fields, error } = validateShow(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const assetError = fields.bumpers && await checkBumperAssets(req.user.id, fields.bumpers);
+    if (assetError) {
+      return res.status(400).json({ message: assetError });
+    }
+
+    if (fields.slug && await Show.exists({ slug: fields.slug })) {
+      return res.status(409).json({ message: "That slug is already taken" });
+    }
+    const slug = fields.slug || await uniqueSlug(slugify(fields.title));
+    const baseUrl = publicBaseUrl(req);
+
+    const show = await Show.create({
+      ...fields,
+      slug,
+      owner: req.user.id,
+      guid: podcastGuid(feedUrl(baseUrl, slug)),
+    });
+
+    return res.status(201).json({ message: "Show created", show: serializeShow(show, baseUrl) });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "That slug is already taken" });
+    }
+    console.error("❌ createShow error:", error);
+    return res.status(500).json({ message: "Error creating show", error: error.message });
+  }
+};
+
+/**
+ * GET /api/shows/:showId
+ * A show with its episodes, newest first (owner only)
+ */
+export const getShow = async (req, res) => {
+  try {
+    const show = await loadOwnShow(req, res);
+    if (!show) return;
+
+    const episodes = await Episode.find({ show: show._id }).sort({ publishedAt: -1 });
+    const recordings = await Recording.find({ roomId: { $in: episodes.map((e) => e.roomId) } })
+      .select("roomId outputs merge startedAt endedAt")
+      .lean();
+    const recordingsByRoom = Object.fromEntries(recordings.map((r) => [r.roomId, r]));
+    const baseUrl = publicBaseUrl(req);
+
+    return res.status(200).json({
+      show: serializeShow(show, baseUrl, episodes.length),
+      episodes: episodes.map((e) => serializeEpisode(e, recordingsByRoom[e.roomId], show, baseUrl)),
+    });
+
+  } catch (error) {
+    console.error("❌ getShow error:", error);
+    return res.status(500).json({ message: "Error fetching show", error: error.message });
+  }
+};
+
+/**
+ * PATCH /api/shows/:showId
+ * Body: any of the createShow fields. A new slug moves the feed URL (podcast:guid stays).
+ * bumpers is merged into the show's current ones.
+ */
+export const updateShow = async (req, res) => {
+  try {
+    const show = await loadOwnShow(req, res);
+    if (!show) return;
+
+    const { show: fields, error } = validateShow(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (fields.slug && fields.slug !== show.slug && await Show.exists({ slug: fields.slug })) {
+      return res.status(409).json({ message: "That slug is already taken" });
+    }
+
+    if (fields.bumpers) {
+      const assetError = await checkBumperAssets(req.user.id, fields.bumpers);
+      if (assetError) {
+        return res.status(400).json({ message: assetError });
+      }
+      fields.bumpers = { ...show.toObject().bumpers, ...fields.bumpers };
+    }
+
+    show.set(fields);
+    await show.save();
+
+    const episodeCount = await Episode.countDocuments({ show: show._id });
+    return res.status(200).json({ message: "Show updated", show: serializeShow(show, publicBaseUrl(req), episodeCount) });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "That slug is already taken" });
+    }
+    console.error("❌ updateShow error:", error);
+    return res.status(500).json({ message: "Error updating show", error: error.message });
+  }
+};
+
+/**
+ * DELETE /api/shows/:showId
+ * Removes the show, its feed and its episodes (the recordings themselves stay)
+ */
+export const deleteShow = async (req, res) => {
+  try {
+    const show = await loadOwnShow(req, res);
+    if (!show) return;
+
+    const { deletedCount } = await Episode.deleteMany({ show: show._id });
+    await show.deleteOne();
+
+    return res.status(200).json({ message: "Show deleted", showId: show._id.toString(), episodesRemoved: deletedCount });
+
+  } catch (error) {
+    console.error("❌ deleteShow error:", error);
+    return res.status(500).json({ message: "Error deleting show", error: error.message });
+  }
+};
+
+/**
+ * POST /api/shows/:showId/episodes
+ * Publish a merged recording the caller hosted.
+ * Body: { roomId, title?, description?, artworkUrl?, explicit?, episodeType?, season?, episodeNumber?, audioFormat? }
+ * title defaults to the meeting title; episodeNumber of a "full" episode to the next in the show;
+ * audioFormat ("mp3") must be one of the recording's podcast exports.
+ */
+export const publishEpisode = async (req, res) => {
+  try {
+    const show = await loadOwnShow(req, res);
+    if (!show) return;
+
+    const { roomId } = req.body;
+    if (typeof roomId !== "string" || !roomId) {
+      return res.status(400).json({ message: "roomId required" });
+    }
+
+    const meeting = await Meeting.findOne({ roomId });
+    if (!meeting) {
+      return res.status(404).json({ message: "Meeting not found" });
+    }
+    if (meeting.host.toString() !== String(req.user.id)) {
+      return res.status(403).json({ message: "Only the meeting host can publish its recording" });
+    }
+
+    const { episode: fields, error } = validateEpisode({ title: meeting.title, ...req.body });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const audioFormat = fields.audioFormat || "mp3";
+
+    const recording = await Recording.findOne({ roomId }).select("roomId outputs merge startedAt endedAt").lean();
+    if (!recording?.outputs?.[audioFormat]) {
+      return res.status(409).json({
+        message: `This recording has no ${audioFormat} export. Add it to the recording's audio formats and merge again.`,
+      });
+    }
+
+    if (await Episode.exists({ roomId })) {
+      return res.status(409).json({ message: "This recording is already published" });
+    }
+
+    const episodeType = fields.episodeType || "full";
+    if (fields.episodeNumber === undefined && episodeType === "full") {
+      fields.episodeNumber = (await Episode.countDocuments({ show: show._id, episodeType: "full" })) + 1;
+    }
+
+    const episode = await Episode.create({
+      ...fields,
+      audioFormat,
+      episodeType,
+      roomId,
+      show: show._id,
+      owner: req.user.id,
+    });
+
+    return res.status(201).json({
+      message: "Episode published",
+      episode: serializeEpisode(episode, recording, show, publicBaseUrl(req)),
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "This recording is already published" });
+    }
+    console.error("❌ publishEpisode error:", error);
+    return res.status(500).json({ message: "Error publishing episode", error: error.message });
+  }
+};
+
+/**
+ * PATCH /api/shows/:showId/episodes/:episodeId
+ * Body: any of the publishEpisode fields except roomId (guid and publish date stay)
+ */
+export const updateEpisode = async (req, res) => {
+  try {
+    const show = await loadOwnShow(req, res);
+    if (!show) return;
+
+    const { episodeId } = req.params;
+    const episode = mongoose.isValidObjectId(episodeId)
+      ? await Episode.findOne({ _id: episodeId, show: show._id })
+      : null;
+    if (!episode) {
+      return res.status(404).json({ message: "Episode not found" });
+    }
+
+    const { episode: fields, error } = validateEpisode(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const recording = await Recording.findOne({ roomId: episode.roomId })
+      .select("roomId outputs merge startedAt endedAt")
+      .lean();
+    if (fields.audioFormat && !recording?.outputs?.[fields.audioFormat]) {
+      return res.status(409).json({ message: `This recording has no ${fields.audioFormat} export` });
+    }
+
+    episode.set(fields);
+    await episode.save();
+
+    return res.status(200).json({
+      message: "Episode updated",
+      episode: serializeEpisode(episode, recording, show, publicBaseUrl(req)),
+    });
+
+  } catch (error) {
+    console.error("❌ updateEpisode error:", error);
+    return res.status(500).json({ message: "Error updating episode", error: error.message });
+  }
+};
+
+/**
+ * DELETE /api/shows/:showId/episodes/:episodeId
+ * Unpublish: the episode leaves the feed, the recording stays
+ */
+export const unpublishEpisode = async (req, res) => {
+  try {
+    const show = await loadOwnShow(req, res);
+    if (!show) return;
+
+    const { episodeId } = req.params;
+    const episode = mongoose.isValidObjectId(episodeId)
+      ? await Episode.findOneAndDelete({ _id: episodeId, show: show._id })
+      : null;
+    if (!episode) {
+      return res.status(404).json({ message: "Episode not found" });
+    }
+
+    return res.status(200).json({ message: "Episode unpublished", episodeId, roomId: episode.roomId });
+
+  } catch (error) {
+    console.error("❌ unpublishEpisode error:", error);
+    return res.status(500).json({ message: "Error unpublishing episode", error: error.message });
+  }
+};
+
+/**
+ * GET /feeds/:showSlug.xml  (public)
+ * RSS 2.0 + iTunes + Podcasting 2.0 feed of a show (utils/podcastFeed.js)
+ */
+export const getShowFeed = async (req, res) => {
+  try {
+    const show = await Show.findOne({ slug: String(req.params.showSlug).toLowerCase() }).lean();
+    if (!show) {
+      return res.status(404).json({ message: "Feed not found" });
+    }
+
+    const episodes = await Episode.find({ show: show._id }).sort({ publishedAt: -1 }).lean();
+    const recordings = await Recording.find({ roomId: { $in: episodes.map((e) => e.roomId) } })
+      .select("roomId outputs merge startedAt endedAt")
+      .lean();
+    const recordingsByRoom = Object.fromEntries(recordings.map((r) => [r.roomId, r]));
+    const owner = await User.findById(show.owner).select("username").lean();
+
+    const xml = buildFeed(
+      show,
+      episodes.map((episode) => ({ episode, recording: recordingsByRoom[episode.roomId] })),
+      { baseUrl: publicBaseUrl(req), ownerName: owner?.username }
+    );
+
+    // podcast apps poll; a few minutes of caching spares the database
+    res.set("Cache-Control", "public, max-age=300");
+    res.set("Access-Control-Allow-Origin", "*");
+    return res.type("application/rss+xml; charset=utf-8").send(xml);
+
+  } catch (error) {
+    console.error("❌ getShowFeed error:", error);
+    return res.status(500).json({ message: "Error building feed", error: error.message });
+  }
+};
+
+/**
+ * GET /feeds/:showSlug/:file  (public)
+ * file: "<episode guid>.<audioFormat>" — the enclosure — or "<episode guid>.srt|vtt" — the transcript.
+ * Range requests are supported; podcast apps rely on them.
+ */
+export const serveEpisodeFile = async (req, res) => {
+  try {
+    const match = String(req.params.file).match(EPISODE_FILE_PATTERN);
+    if (!match) {
+      return res.status(404).json({ message: "Not found" });
+    }
+    const [, guid, format] = match;
+
+    const show = await Show.findOne({ slug: String(req.params.showSlug).toLowerCase() }).select("_id").lean();
+    const episode = show && await Episode.findOne({ show: show._id, guid }).lean();
+    if (!episode) {
+      return res.status(404).json({ message: "Episode not found" });
+    }
+
+    const recording = await Recording.findOne({ roomId: episode.roomId }).select("outputs merge").lean();
+    let file = null;
+    let contentType = null;
+
+    if (format === episode.audioFormat) {
+      file = recording?.outputs?.[format];
+      contentType = AUDIO_MIME_TYPES[format];
+    } else if (TRANSCRIPT_FORMATS[format] && episodeTranscriptFormats(recording).includes(format)) {
+      file = recording.outputs[TRANSCRIPT_FORMATS[format].output];
+      contentType = TRANSCRIPT_FORMATS[format].mimeType;
+    }
+
+    const info = file && await getStorage().stat(file.key);
+    if (!info) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    await streamFile(req, res, file.key, { size: info.size, contentType, isPublic: true });
+
+  } catch (error) {
+    console.error("❌ serveEpisodeFile error:", error);
+    return res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
@@ -1,4 +1,6 @@
+import Meeting from "../models/Meeting.js";
 import User from "../models/User.js";
+import { getHostUsage } from "../utils/storageUsage.js";
 
 export const createUser=async(req,res)=>{
     try{
@@ -35,4 +37,43 @@ export const getAllUsers=async(req,res)=>{
         res.status(500).
         json({ message: "Server error", error: error.message });
     }
+}
+
+/**
+ * GET /api/users/me/usage
+ * Recording storage charged to the logged-in user (as meeting host) and their quota.
+ * {
+ *   usedBytes, quotaBytes,        // quotaBytes 0 = unlimited
+ *   remainingBytes, percentUsed,  // null when unlimited
+ *   breakdown: { chunkBytes, intermediateBytes, outputBytes, assetBytes },  // assetBytes: intro/outro/music uploads
+ *   meetings: [{ roomId, title, chunkBytes, intermediateBytes, outputBytes, totalBytes, updatedAt }]
+ * }
+ */
+export const getMyUsage=async(req,res)=>{
+    try{
+        const usage=await getHostUsage(req.user.id);
+
+        const titles=await Meeting.find({roomId:{$in:usage.meetings.map((m)=>m.roomId)}}).select("roomId title");
+        const titleOf=Object.fromEntries(titles.map((m)=>[m.roomId,m.title]));
+
+        res.status(200).
+        json({
+            usedBytes:usage.usedBytes,
+            quotaBytes:usage.quotaBytes,
+            remainingBytes:usage.remainingBytes,
+            percentUsed:usage.quotaBytes>0?Math.min(100,Math.round(usage.usedBytes/usage.quotaBytes*1000)/10):null,
+            breakdown:{
+                chunkBytes:usage.chunkBytes,
+                intermediateBytes:usage.intermediateBytes,
+                outputBytes:usage.outputBytes,
+                assetBytes:usage.assetBytes
+            },
+            meetings:usage.meetings.map((m)=>({...m,title:titleOf[m.roomId]||null}))
+        });
+    }
+    catch(error){
+        console.error("Error fetching storage usage: ", error.message);
+        res.status(500).
+        json({ message: "Server error", error: error.message });
+    }
 }
\ No newline at end of file
@@ -0,0 +1,161 @@
+import Meeting from "../models/Meeting.js";
+import Recording from "../models/Recording.js";
+
+// chunks recorded right before the meeting ends are still in the client's
+// upload queue (useRecording.js), so attendees may keep uploading for a while
+const UPLOAD_GRACE_MS = Number(process.env.UPLOAD_GRACE_MS) || 10 * 60 * 1000;
+// after that, chunks resumed from a client's queue are taken for at most this long (default 7 days)
+const LATE_UPLOAD_MAX_MS = Number(process.env.LATE_UPLOAD_MAX_MS) || 7 * 24 * 60 * 60 * 1000;
+
+export function isMeetingHost(meeting, userId) {
+    return meeting.host.toString() === String(userId);
+}
+
+/**
+ * In the meeting right now (participants are removed on leave/end)
+ */
+export function isCurrentParticipant(meeting, userId) {
+    const id = String(userId);
+    return meeting.participants.some((p) => p.user.toString() === id);
+}
+
+/**
+ * In the meeting right now, or joined it at some point (participants are
+ * removed on leave/end, attendees are kept).
+ */
+export function hasJoinedMeeting(meeting, userId) {
+    const id = String(userId);
+    return isCurrentParticipant(meeting, userId)
+        || (meeting.attendees || []).some((a) => a.toString() === id);
+}
+
+export function canViewRecording(meeting, userId) {
+    return isMeetingHost(meeting, userId) || hasJoinedMeeting(meeting, userId);
+}
+
+/**
+ * An active meeting takes chunks from its current participants only; once it
+ * ended, everyone who was in it may send their last queued chunks for
+ * UPLOAD_GRACE_MS after endedAt (later: acceptsLateChunks).
+ */
+export function canUploadChunks(meeting, userId) {
+    if (meeting.isActive) return isCurrentParticipant(meeting, userId);
+    if (!canViewRecording(meeting, userId)) return false;
+
+    const endedAt = meeting.endedAt ? new Date(meeting.endedAt).getTime() : 0;
+    return Date.now() - endedAt <= UPLOAD_GRACE_MS;
+}
+
+/**
+ * Chunks still queued after the grace period (the tab was closed, the client
+ * was offline) are resumed on the next visit. They are taken for
+ * LATE_UPLOAD_MAX_MS after the end, if they were recorded before it
+ * (startedAt, epoch ms), and only until the recording is merged or its
+ * chunks are removed: after that they could no longer be part of it.
+ */
+export async function acceptsLateChunks(meeting, startedAt) {
+    const endedAt = meeting.endedAt ? new Date(meeting.endedAt).getTime() : 0;
+    if (!endedAt || Date.now() - endedAt > LATE_UPLOAD_MAX_MS) return false;
+    if (!(Number.isFinite(startedAt) && startedAt <= endedAt)) return false;
+
+    const recording = await Recording.findOne({ roomId: meeting.roomId }).select("merge.status chunksRemovedAt").lean();
+    if (!recording || recording.chunksRemovedAt) return false;
+    return !["queued", "running", "succeeded"].includes(recording.merge?.status);
+}
+
+async function loadMeeting(roomId, res) {
+    if (!roomId) {
+        res.status(400).json({ message: "roomId required" });
+        return null;
+    }
+
+    const meeting = await Meeting.findOne({ roomId: String(roomId) });
+    if (!meeting) {
+        res.status(404).json({ message: "Meeting not found" });
+        return null;
+    }
+
+    return meeting;
+}
+
+/**
+ * Only the host and people who joined the meeting may read its recordings.
+ * Runs after `auth`; expects :roomId in the route. Sets req.meeting.
+ */
+export default async function recordingAccess(req, res, next) {
+    try {
+        const meeting = await loadMeeting(req.params.roomId, res);
+        if (!meeting) return;
+
+        if (!canViewRecording(meeting, req.user.id)) {
+            return res.status(403).json({ message: "You do not have access to this recording" });
+        }
+
+        req.meeting = meeting;
+        next();
+    }
+    catch (error) {
+        console.error("recordingAccess error:", error);
+        return res.status(500).json({ message: "Server error checking recording access", error: error.message });
+    }
+}
+
+/**
+ * Merge / delete: host only. Runs after `auth`; expects :roomId. Sets req.meeting.
+ */
+export async function recordingHostOnly(req, res, next) {
+    try {
+        const meeting = await loadMeeting(req.params.roomId, res);
+        if (!meeting) return;
+
+        if (!isMeetingHost(meeting, req.user.id)) {
+            return res.status(403).json({ message: "Only host can manage this recording" });
+        }
+
+        req.meeting = meeting;
+        next();
+    }
+    catch (error) {
+        console.error("recordingHostOnly error:", error);
+        return res.status(500).json({ message: "Server error checking recording access", error: error.message });
+    }
+}
+
+/**
+ * Chunk uploads: roomId (and startedAt, for late chunks) from the query string
+ * (binary uploads) or the JSON body.
+ * The uploader is always req.user.id — a different userId in the request is refused.
+ */
+export async function recordingUploadAccess(req, res, next) {
+    try {
+        const roomId = req.query.roomId || req.body?.roomId;
+        const claimedUserId = req.query.userId || req.body?.userId;
+
+        if (claimedUserId && String(claimedUserId) !== String(req.user.id)) {
+            return res.status(403).json({ message: "Chunks can only be uploaded for your own user" });
+        }
+
+        const meeting = await loadMeeting(roomId, res);
+        if (!meeting) return;
+
+        if (!canViewRecording(meeting, req.user.id)) {
+            return res.status(403).json({ message: "You are not a participant of this meeting" });
+        }
+
+        const startedAt = Number(req.query.startedAt ?? req.body?.startedAt);
+        if (meeting.isActive && !canUploadChunks(meeting, req.user.id)) {
+            return res.status(403).json({ message: "Only people in the meeting can upload chunks" });
+        }
+
+        if (!canUploadChunks(meeting, req.user.id) && !(await acceptsLateChunks(meeting, startedAt))) {
+            return res.status(403).json({ message: "Meeting has ended and its recording was merged or removed, uploads are closed" });
+        }
+
+        req.meeting = meeting;
+        next();
+    }
+    catch (error) {
+        console.error("recordingUploadAccess error:", error);
+        return res.status(500).json({ message: "Server error checking upload access", error: error.message });
+    }
+}
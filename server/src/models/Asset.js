@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+export const ASSET_KINDS=['audio','video'];
+
+// a reusable intro / outro / music file a host uploaded (utils/assetLibrary.js)
+const assetSchema=new mongoose.Schema({
+    owner:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'User',
+        required:true,
+        index:true
+    },
+    name:{
+        type:String,
+        required:true,
+        trim:true
+    },
+    kind:{
+        type:String,
+        enum:ASSET_KINDS,
+        required:true
+    },
+    // storage key, "_assets/<owner>/<assetId>.<ext>"
+    key:{
+        type:String,
+        required:true
+    },
+    // as uploaded, for downloads
+    filename:{
+        type:String,
+        default:null
+    },
+    mimeType:{
+        type:String,
+        default:null
+    },
+    sizeBytes:{
+        type:Number,
+        default:0
+    }
+},{ timestamps:true });
+
+const Asset=mongoose.model("Asset",assetSchema);
+export default Asset;
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import { MERGE_JOB_STATUSES } from "./MergeJob.js";
+
+// the picture of a clip (merge-worker/src/utils/clips.js): full frame, 9:16 or 1:1 around the speaker
+export const CLIP_LAYOUTS=['original','vertical','square'];
+
+// a highlight cut from a meeting's final recording by a "clip" merge job
+const clipSchema=new mongoose.Schema({
+    roomId:{
+        type:String,
+        required:true,
+        index:true
+    },
+    createdBy:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'User',
+        required:true
+    },
+    title:{
+        type:String,
+        default:'',
+        trim:true
+    },
+    // seconds on the final video timeline
+    start:{
+        type:Number,
+        required:true
+    },
+    end:{
+        type:Number,
+        required:true
+    },
+    layout:{
+        type:String,
+        enum:CLIP_LAYOUTS,
+        default:'original'
+    },
+    jobId:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'MergeJob',
+        default:null
+    },
+    status:{
+        type:String,
+        enum:MERGE_JOB_STATUSES,
+        default:'queued'
+    },
+    error:{
+        type:String,
+        default:null
+    },
+    // storage key, "<roomId>/clips/<clipId>.mp4", once the job succeeded
+    key:{
+        type:String,
+        default:null
+    },
+    sizeBytes:{
+        type:Number,
+        default:0
+    },
+    // who the vertical / square crop follows (null = centre of the picture)
+    speakerUserId:{
+        type:String,
+        default:null
+    },
+    finishedAt:{
+        type:Date,
+        default:null
+    }
+},{ timestamps:true });
+
+const Clip=mongoose.model("Clip",clipSchema);
+export default Clip;
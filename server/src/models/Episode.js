@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+
+export const EPISODE_TYPES=['full','trailer','bonus'];
+// podcast audio exports of the merge-worker (audioExport.js)
+export const EPISODE_AUDIO_FORMATS=['mp3','m4a','opus'];
+
+// a recording published in a show's feed; unpublishing deletes it
+const episodeSchema=new mongoose.Schema({
+    show:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Show',
+        required:true,
+        index:true
+    },
+    owner:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'User',
+        required:true
+    },
+    // a recording is published at most once
+    roomId:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    title:{
+        type:String,
+        required:true,
+        trim:true
+    },
+    description:{
+        type:String,
+        default:''
+    },
+    // null = the show's artwork
+    artworkUrl:{
+        type:String,
+        default:null
+    },
+    // null = the show's explicit flag
+    explicit:{
+        type:Boolean,
+        default:null
+    },
+    episodeType:{
+        type:String,
+        enum:EPISODE_TYPES,
+        default:'full'
+    },
+    season:{
+        type:Number,
+        default:null
+    },
+    episodeNumber:{
+        type:Number,
+        default:null
+    },
+    // which export is the enclosure
+    audioFormat:{
+        type:String,
+        enum:EPISODE_AUDIO_FORMATS,
+        default:'mp3'
+    },
+    // item guid: podcast apps use it to tell episodes apart, so it never changes
+    guid:{
+        type:String,
+        required:true,
+        unique:true,
+        default:()=>uuidv4()
+    },
+    publishedAt:{
+        type:Date,
+        default:Date.now
+    }
+},{ timestamps:true });
+
+const Episode=mongoose.model("Episode",episodeSchema);
+export default Episode;
@@ -20,10 +20,19 @@ const meetingSchema=new mongoose.Schema({
         type:[participantSchema],
         default:[]
     },
+    // everyone who ever joined — participants only holds who is in the room right now
+    attendees:{
+        type:[{type:mongoose.Schema.Types.ObjectId,ref:'User'}],
+        default:[]
+    },
     isActive:{
         type:Boolean,
         default:true
     },
+    endedAt:{
+        type:Date,
+        default:null
+    },
     createdAt:{
         type:Date,
         default:Date.now
@@ -31,6 +40,12 @@ const meetingSchema=new mongoose.Schema({
     metaData:{
         type:mongoose.Schema.Types.Mixed,   
         default:{}
+    },
+    // per-meeting override of the retention defaults (utils/retentionPolicy.js); null = default
+    retention:{
+        pinned:{type:Boolean,default:false},
+        chunkDays:{type:Number,default:null},
+        finalDays:{type:Number,default:null}
     }
 
 });
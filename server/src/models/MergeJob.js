@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+// Shared with merge-worker (merge-worker/src/models/MergeJob.js): both files must stay identical
+// apart from this comment (server/test/sharedModules.test.js checks it).
+export const MERGE_JOB_STATUSES=['queued','running','succeeded','failed'];
+// "merge" builds a meeting's recordings, "clip" cuts a highlight from the finished one
+export const MERGE_JOB_KINDS=['merge','clip'];
+
+const mergeJobSchema=new mongoose.Schema({
+    roomId:{
+        type:String,
+        required:true,
+        index:true
+    },
+    kind:{
+        type:String,
+        enum:MERGE_JOB_KINDS,
+        default:'merge'
+    },
+    status:{
+        type:String,
+        enum:MERGE_JOB_STATUSES,
+        default:'queued',
+        index:true
+    },
+    options:{
+        type:mongoose.Schema.Types.Mixed,
+        default:{}
+    },
+    // completed pipeline steps → output path, used to resume after a restart
+    steps:{
+        type:mongoose.Schema.Types.Mixed,
+        default:{}
+    },
+    // latest per-stage progress reported by the worker while running
+    progress:{
+        type:mongoose.Schema.Types.Mixed,
+        default:null
+    },
+    result:{
+        type:mongoose.Schema.Types.Mixed,
+        default:null
+    },
+    error:{
+        type:String,
+        default:null
+    },
+    attempts:{
+        type:Number,
+        default:0
+    },
+    lockedBy:{
+        type:String,
+        default:null
+    },
+    lockedAt:{
+        type:Date,
+        default:null
+    },
+    startedAt:{
+        type:Date,
+        default:null
+    },
+    finishedAt:{
+        type:Date,
+        default:null
+    },
+    // set by the API server once the room has been told about the final state
+    notifiedAt:{
+        type:Date,
+        default:null
+    }
+},{ timestamps:true });
+
+// one active merge per room: a second request that races the first gets E11000
+// and returns the existing job (clip jobs are not limited). $in here needs MongoDB 6.0+
+mergeJobSchema.index(
+    { roomId:1, kind:1 },
+    { unique:true, partialFilterExpression:{ kind:'merge', status:{ $in:['queued','running'] } } }
+);
+
+// public shape of a job: the API server's job endpoints and merge-worker's HTTP API
+export const serializeMergeJob=(job)=>({
+    jobId:job._id.toString(),
+    roomId:job.roomId,
+    kind:job.kind || 'merge',
+    status:job.status,
+    steps:job.steps || {},
+    progress:job.progress,
+    result:job.result,
+    error:job.error,
+    attempts:job.attempts,
+    createdAt:job.createdAt,
+    startedAt:job.startedAt,
+    finishedAt:job.finishedAt
+});
+
+const MergeJob=mongoose.model("MergeJob",mergeJobSchema);
+export default MergeJob;
@@ -0,0 +1,189 @@
+import mongoose from "mongoose";
+import { MERGE_JOB_STATUSES } from "./MergeJob.js";
+
+// recorded: chunks uploaded, not merged (yet) · queued/merging: merge job pending/running
+// ready: outputs available · failed: last merge failed
+export const RECORDING_STATUSES=['recorded','queued','merging','ready','failed'];
+
+// one uploaded chunk (mirrors its chunk manifest entry)
+const segmentSchema=new mongoose.Schema({
+    userId:{
+        type:String,
+        required:true
+    },
+    chunkId:{
+        type:String,
+        required:true
+    },
+    index:{
+        type:Number,
+        default:null
+    },
+    filename:{
+        type:String,
+        required:true
+    },
+    sizeBytes:{
+        type:Number,
+        required:true
+    },
+    sha256:{
+        type:String,
+        default:null
+    },
+    // capture start, epoch ms on the server clock
+    startedAt:{
+        type:Number,
+        default:null
+    },
+    durationMs:{
+        type:Number,
+        default:null
+    },
+    uploadedAt:{
+        type:Date,
+        default:Date.now
+    }
+},{ _id:false });
+
+// per-user totals; kept when the raw chunks expire (retention)
+// firstChunkAt/lastChunkAt have no default: $min/$max would never move past a null
+const recordingParticipantSchema=new mongoose.Schema({
+    userId:{
+        type:String,
+        required:true
+    },
+    chunkCount:{
+        type:Number,
+        default:0
+    },
+    sizeBytes:{
+        type:Number,
+        default:0
+    },
+    durationMs:{
+        type:Number,
+        default:0
+    },
+    firstChunkAt:Date,
+    lastChunkAt:Date
+},{ _id:false });
+
+// one file written by the merge-worker, as a storage key
+const outputSchema=new mongoose.Schema({
+    key:{
+        type:String,
+        required:true
+    },
+    sizeBytes:{
+        type:Number,
+        required:true
+    },
+    updatedAt:{
+        type:Date,
+        default:null
+    }
+},{ _id:false });
+
+const output={ type:outputSchema, default:null };
+
+// chapter marker on the final video timeline (seconds from its start)
+const chapterSchema=new mongoose.Schema({
+    start:{
+        type:Number,
+        required:true
+    },
+    title:{
+        type:String,
+        required:true
+    }
+},{ _id:false });
+
+const recordingSchema=new mongoose.Schema({
+    roomId:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    meeting:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'Meeting',
+        required:true
+    },
+    host:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'User',
+        required:true,
+        index:true
+    },
+    status:{
+        type:String,
+        enum:RECORDING_STATUSES,
+        default:'recorded',
+        index:true
+    },
+    segments:{
+        type:[segmentSchema],
+        default:[]
+    },
+    participants:{
+        type:[recordingParticipantSchema],
+        default:[]
+    },
+    totalChunks:{
+        type:Number,
+        default:0
+    },
+    totalSizeBytes:{
+        type:Number,
+        default:0
+    },
+    // earliest chunk start / latest chunk end on the meeting timeline
+    startedAt:Date,
+    endedAt:Date,
+    // raw chunks removed by the retention sweeper (segments are cleared, totals kept)
+    chunksRemovedAt:{
+        type:Date,
+        default:null
+    },
+    merge:{
+        jobId:{type:mongoose.Schema.Types.ObjectId,ref:'MergeJob',default:null},
+        status:{type:String,enum:[...MERGE_JOB_STATUSES,null],default:null},
+        error:{type:String,default:null},
+        queuedAt:{type:Date,default:null},
+        startedAt:{type:Date,default:null},
+        finishedAt:{type:Date,default:null},
+        loudness:{type:mongoose.Schema.Types.Mixed,default:null},
+        cuts:{type:Number,default:0},
+        // seconds of the podcast audio (after cuts)
+        audioDuration:{type:Number,default:null},
+        // where the meeting starts in the final video / podcast audio, after an intro bumper
+        introSeconds:{type:Number,default:0},
+        // [{ userId, x, y, width, height }]: each participant's place in the picture, for clip crops
+        tiles:{type:mongoose.Schema.Types.Mixed,default:null}
+    },
+    // set by the host; empty = chapters are derived from the recording sessions
+    chapters:{
+        type:[chapterSchema],
+        default:[]
+    },
+    outputs:{
+        final:output,
+        edited:output,
+        master:output,
+        mp3:output,
+        m4a:output,
+        opus:output,
+        hls:output,
+        poster:output,
+        sprite:output,
+        thumbnails:output,
+        multitrack:output,
+        transcript:output,
+        transcriptSrt:output,
+        transcriptVtt:output
+    }
+},{ timestamps:true });
+
+const Recording=mongoose.model("Recording",recordingSchema);
+export default Recording;
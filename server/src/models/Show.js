@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+// Apple Podcasts top-level categories (itunes:category)
+export const SHOW_CATEGORIES=[
+    'Arts','Business','Comedy','Education','Fiction','Government','Health & Fitness','History',
+    'Kids & Family','Leisure','Music','News','Religion & Spirituality','Science','Society & Culture',
+    'Sports','Technology','True Crime','TV & Film'
+];
+
+// a podcast; its feed is public at /feeds/<slug>.xml
+const showSchema=new mongoose.Schema({
+    owner:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'User',
+        required:true,
+        index:true
+    },
+    slug:{
+        type:String,
+        required:true,
+        unique:true,
+        lowercase:true,
+        trim:true
+    },
+    title:{
+        type:String,
+        required:true,
+        trim:true
+    },
+    description:{
+        type:String,
+        default:''
+    },
+    // itunes:author; empty = the owner's username
+    author:{
+        type:String,
+        default:''
+    },
+    // square JPEG/PNG, 1400-3000px for Apple Podcasts
+    artworkUrl:{
+        type:String,
+        default:null
+    },
+    language:{
+        type:String,
+        default:'en'
+    },
+    category:{
+        type:String,
+        enum:[...SHOW_CATEGORIES,null],
+        default:null
+    },
+    explicit:{
+        type:Boolean,
+        default:false
+    },
+    // itunes:owner email — directories mail it to verify ownership
+    ownerEmail:{
+        type:String,
+        default:null
+    },
+    // podcast:guid, fixed at creation so the show keeps its identity if the feed moves
+    guid:{
+        type:String,
+        required:true
+    },
+    // intro / outro / music bed for meetings recorded for this show (utils/assetLibrary.js)
+    bumpers:{
+        introAssetId:{type:mongoose.Schema.Types.ObjectId,ref:'Asset',default:null},
+        outroAssetId:{type:mongoose.Schema.Types.ObjectId,ref:'Asset',default:null},
+        musicAssetId:{type:mongoose.Schema.Types.ObjectId,ref:'Asset',default:null},
+        // music bed level under the speech, dB
+        musicVolumeDb:{type:Number,default:-20},
+        duckMusic:{type:Boolean,default:true},
+        crossfadeSeconds:{type:Number,default:2}
+    }
+},{ timestamps:true });
+
+const Show=mongoose.model("Show",showSchema);
+export default Show;
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Bytes stored for one meeting, charged to its host (utils/storageUsage.js)
+const storageUsageSchema=new mongoose.Schema({
+    roomId:{
+        type:String,
+        required:true,
+        unique:true
+    },
+    host:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:'User',
+        required:true,
+        index:true
+    },
+    // raw .webm chunks + their sidecars/manifests
+    chunkBytes:{
+        type:Number,
+        default:0
+    },
+    // merge leftovers (-norm.mp4, per-user merged files, ...)
+    intermediateBytes:{
+        type:Number,
+        default:0
+    },
+    // final recording, edited variant, audio, HLS, thumbnails, multitrack
+    outputBytes:{
+        type:Number,
+        default:0
+    },
+    updatedAt:{
+        type:Date,
+        default:Date.now
+    }
+});
+
+const StorageUsage=mongoose.model("StorageUsage",storageUsageSchema);
+export default StorageUsage;
@@ -21,6 +21,11 @@ const userSchema=new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // recording storage limit in bytes; null = STORAGE_QUOTA_BYTES, 0 = unlimited
+  storageQuotaBytes: {
+    type: Number,
+    default: null,
+  },
 });
 
 const User=mongoose.model("User",userSchema);
@@ -0,0 +1,33 @@
+// server/src/routes/assetRoutes.js
+
+import express from "express";
+import auth from "../middlewares/auth.js";
+import {
+  listAssets,
+  uploadAsset,
+  serveAssetFile,
+  deleteAsset,
+} from "../controllers/assetController.js";
+
+const router = express.Router();
+
+/**
+ * ROUTES
+ * ------
+ * Every route requires a logged-in user; an asset is only visible to its owner
+ * (403 otherwise). Assets are the intro / outro / music files used as bumpers.
+ *
+ * /                  → GET my assets · POST upload one (multipart: name?, file)
+ * /:assetId/file     → GET the file itself, inline (preview, ranges)
+ * /:assetId          → DELETE (409 while a show or meeting uses it)
+ */
+
+router.get("/", auth, listAssets);
+
+router.post("/", auth, uploadAsset);
+
+router.get("/:assetId/file", auth, serveAssetFile);
+
+router.delete("/:assetId", auth, deleteAsset);
+
+export default router;
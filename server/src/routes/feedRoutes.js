@@ -0,0 +1,19 @@
+// server/src/routes/feedRoutes.js
+
+import express from "express";
+import { getShowFeed, serveEpisodeFile } from "../controllers/showController.js";
+
+const router = express.Router();
+
+/**
+ * PUBLIC ROUTES (no auth — podcast apps and directories fetch these)
+ * ------
+ * /:showSlug.xml      → RSS feed of a show
+ * /:showSlug/:file    → "<guid>.mp3|m4a|opus" episode audio, "<guid>.srt|vtt" transcript
+ */
+
+router.get("/:showSlug.xml", getShowFeed);
+
+router.get("/:showSlug/:file", serveEpisodeFile);
+
+export default router;
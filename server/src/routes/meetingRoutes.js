@@ -1,5 +1,5 @@
 import express from "express";
-import { createMeeting,joinMeeting,getMeetingDetails, endMeeting } from "../controllers/meetingController.js";
+import { createMeeting,joinMeeting,getMeetingDetails, endMeeting, updateRecordingSettings, getRetention, updateRetention } from "../controllers/meetingController.js";
 import auth from "../middlewares/auth.js";
 
 const router=express.Router();
@@ -9,5 +9,8 @@ router.post('/create',auth,createMeeting);
 router.post('/join/:roomId',auth,joinMeeting);
 router.get('/:roomId',auth,getMeetingDetails);
 router.post('/end/:roomId',auth,endMeeting);
+router.patch('/:roomId/recording-settings',auth,updateRecordingSettings);
+router.get('/:roomId/retention',auth,getRetention);
+router.patch('/:roomId/retention',auth,updateRetention);
 
 export default router;
\ No newline at end of file
@@ -1,37 +1,103 @@
 // server/src/routes/recordingRoutes.js
 
 import express from "express";
+import auth from "../middlewares/auth.js";
+import recordingAccess, { recordingHostOnly, recordingUploadAccess } from "../middlewares/recordingAccess.js";
 import {
   uploadChunk,
+  uploadChunkStream,
   getRecordingStatus,
+  listRecordings,
+  getRecordingChapters,
+  updateRecordingChapters,
 } from "../controllers/recordingController.js";
 
 import {
   mergeMeetingRecording,
+  getMergeJob,
   downloadMeetingRecording,
+  streamMeetingRecording,
+  downloadMeetingAudio,
+  downloadMultitrack,
+  serveTranscript,
+  serveHlsFile,
+  serveThumbnail,
   deleteRecording,
 } from "../controllers/mergeController.js";
 
+import { createClip, listClips, serveClipFile, deleteClip } from "../controllers/clipController.js";
+
 const router = express.Router();
 
 /**
  * ROUTES
  * ------
- * /upload-chunk       → upload WebM chunk
- * /status/:roomId     → get recording status
- * /merge/:roomId      → merge all chunks
- * /download/:roomId   → download merged MP4
- * /delete/:roomId     → delete meeting's recordings
+ * Every route requires a logged-in user (`auth`, 401 otherwise).
+ *
+ * uploader = host / participant of the meeting, while it is active (+ short grace after end)
+ * viewer   = host / anyone who joined the meeting
+ * host     = meeting host only
+ * own      = only lists the logged-in user's own meetings
+ * (403 when the role does not match, 404 for unknown rooms)
+ *
+ * /                   → library: recordings the user hosted or joined (search) [own]
+ * /upload-chunk       → upload WebM chunk (base64 JSON, kept for older clients)   [uploader]
+ * /upload-chunk/stream → upload WebM chunk as binary (octet-stream or multipart) [uploader]
+ * /status/:roomId     → get recording status                                   [viewer]
+ * /merge/:roomId      → queue a merge job for all chunks                        [host]
+ * /jobs/:jobId        → merge job status                                        [viewer]
+ * /download/:roomId   → download merged MP4                                     [viewer]
+ * /stream/:roomId     → the same MP4 inline, for the in-app player (ranges)     [viewer]
+ * /chapters/:roomId   → GET chapter markers [viewer] · PUT host chapters       [host]
+ * /audio/:roomId      → download podcast audio (?format=mp3|m4a|opus)          [viewer]
+ * /multitrack/:roomId → download per-participant tracks (zip + manifest)        [viewer]
+ * /transcript/:roomId → speaker-attributed transcript (?format=json|srt|vtt)    [viewer]
+ * /hls/:roomId/:file  → HLS playlists + segments for the player                [viewer]
+ * /thumbnails/:roomId/:file → poster.jpg, sprite.jpg, thumbnails.vtt           [viewer]
+ * /delete/:roomId     → delete meeting's recordings                             [host]
+ * /:roomId/clips      → GET highlight clips [viewer] · POST cut a new one      [host]
+ * /:roomId/clips/:clipId/file → the clip MP4 (?download=true)                  [viewer]
+ * /:roomId/clips/:clipId → DELETE a clip                                       [host]
  */
 
-router.post("/upload-chunk", uploadChunk);
+router.get("/", auth, listRecordings);
+
+router.post("/upload-chunk", auth, recordingUploadAccess, uploadChunk);
+
+router.post("/upload-chunk/stream", auth, recordingUploadAccess, uploadChunkStream);
+
+router.get("/status/:roomId", auth, recordingAccess, getRecordingStatus);
+
+router.post("/merge/:roomId", auth, recordingHostOnly, mergeMeetingRecording);
+
+router.get("/jobs/:jobId", auth, getMergeJob);
+
+router.get("/download/:roomId", auth, recordingAccess, downloadMeetingRecording);
+
+router.get("/stream/:roomId", auth, recordingAccess, streamMeetingRecording);
+
+router.get("/chapters/:roomId", auth, recordingAccess, getRecordingChapters);
+
+router.put("/chapters/:roomId", auth, recordingHostOnly, updateRecordingChapters);
+
+router.get("/audio/:roomId", auth, recordingAccess, downloadMeetingAudio);
+
+router.get("/multitrack/:roomId", auth, recordingAccess, downloadMultitrack);
+
+router.get("/transcript/:roomId", auth, recordingAccess, serveTranscript);
+
+router.get("/hls/:roomId/:file", auth, recordingAccess, serveHlsFile);
+
+router.get("/thumbnails/:roomId/:file", auth, recordingAccess, serveThumbnail);
+
+router.delete("/delete/:roomId", auth, recordingHostOnly, deleteRecording);
 
-router.get("/status/:roomId", getRecordingStatus);
+router.get("/:roomId/clips", auth, recordingAccess, listClips);
 
-router.post("/merge/:roomId", mergeMeetingRecording);
+router.post("/:roomId/clips", auth, recordingHostOnly, createClip);
 
-router.get("/download/:roomId", downloadMeetingRecording);
+router.get("/:roomId/clips/:clipId/file", auth, recordingAccess, serveClipFile);
 
-router.delete("/delete/:roomId", deleteRecording);
+router.delete("/:roomId/clips/:clipId", auth, recordingHostOnly, deleteClip);
 
 export default router;
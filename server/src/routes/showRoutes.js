@@ -0,0 +1,46 @@
+// server/src/routes/showRoutes.js
+
+import express from "express";
+import auth from "../middlewares/auth.js";
+import {
+  listShows,
+  createShow,
+  getShow,
+  updateShow,
+  deleteShow,
+  publishEpisode,
+  updateEpisode,
+  unpublishEpisode,
+} from "../controllers/showController.js";
+
+const router = express.Router();
+
+/**
+ * ROUTES
+ * ------
+ * Every route requires a logged-in user; a show is only visible to its owner
+ * (403 otherwise). The public side is routes/feedRoutes.js.
+ *
+ * /                                → GET my shows · POST create a show
+ * /:showId                         → GET show + episodes · PATCH edit · DELETE
+ * /:showId/episodes                → POST publish a recording I hosted
+ * /:showId/episodes/:episodeId     → PATCH edit · DELETE unpublish
+ */
+
+router.get("/", auth, listShows);
+
+router.post("/", auth, createShow);
+
+router.get("/:showId", auth, getShow);
+
+router.patch("/:showId", auth, updateShow);
+
+router.delete("/:showId", auth, deleteShow);
+
+router.post("/:showId/episodes", auth, publishEpisode);
+
+router.patch("/:showId/episodes/:episodeId", auth, updateEpisode);
+
+router.delete("/:showId/episodes/:episodeId", auth, unpublishEpisode);
+
+export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
-import { createUser,getAllUsers } from '../controllers/userController.js';
+import { getMyUsage } from '../controllers/userController.js';
+import auth from  '../middlewares/auth.js';
 
 const router=express.Router();
 
-router.post('/create',createUser);
-router.get('/',getAllUsers);
+// createUser / getAllUsers stay unmounted: accounts are created through /api/auth/signup,
+// and the user list (password hashes included) must not be public
+router.get('/me/usage',auth,getMyUsage);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,152 @@
+// server/src/utils/assetLibrary.js
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Asset from "../models/Asset.js";
+import Meeting from "../models/Meeting.js";
+import Show from "../models/Show.js";
+import {
+  BUMPER_ASSET_KEYS,
+  DEFAULT_BUMPER_SETTINGS,
+  getRecordingSettings,
+  NO_BUMPER,
+} from "./recordingSettings.js";
+dotenv.config();
+
+/**
+ * Reusable intro / outro / music files ("bumpers") a host uploads once and
+ * the merge-worker wraps around recordings (merge-worker/src/utils/bumpers.js).
+ * Stored next to the recordings, under their own prefix:
+ *
+ *   _assets/<owner>/<assetId>.<ext>
+ *
+ *   ASSET_MAX_BYTES  upload limit (default 200 MB); assets count towards the storage quota
+ *
+ * Bumpers are set on a show (Show.bumpers) and apply to meetings recorded for
+ * it (recording setting showId); a meeting can override each of them.
+ */
+export const ASSETS_PREFIX = "_assets";
+export const MAX_ASSET_BYTES = Number(process.env.ASSET_MAX_BYTES) || 200 * 1024 * 1024;
+
+// what ffmpeg on the worker is sure to read, by extension
+export const ASSET_EXTENSIONS = {
+  ".mp3": "audio",
+  ".m4a": "audio",
+  ".aac": "audio",
+  ".wav": "audio",
+  ".flac": "audio",
+  ".ogg": "audio",
+  ".opus": "audio",
+  ".mp4": "video",
+  ".mov": "video",
+  ".webm": "video",
+  ".mkv": "video",
+};
+
+export const assetKey = (ownerId, assetId, ext) => `${ASSETS_PREFIX}/${ownerId}/${assetId}${ext}`;
+
+export const serializeAsset = (asset) => ({
+  assetId: asset._id.toString(),
+  name: asset.name,
+  kind: asset.kind,
+  filename: asset.filename,
+  mimeType: asset.mimeType,
+  sizeBytes: asset.sizeBytes,
+  createdAt: asset.createdAt,
+});
+
+/**
+ * Bytes of every asset a user uploaded (their share of the storage quota)
+ */
+export async function getAssetBytes(ownerId) {
+  const [total] = await Asset.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(String(ownerId)) } },
+    { $group: { _id: null, bytes: { $sum: "$sizeBytes" } } },
+  ]);
+  return total?.bytes || 0;
+}
+
+/**
+ * Error message when validated bumper settings (recordingSettings.validateBumperSettings)
+ * name an asset that is not the user's, else null
+ */
+export async function checkBumperAssets(ownerId, settings = {}) {
+  const ids = BUMPER_ASSET_KEYS
+    .map((key) => settings[key])
+    .filter((id) => id && id !== NO_BUMPER);
+  if (ids.length === 0) return null;
+
+  const owned = await Asset.countDocuments({ _id: { $in: [...new Set(ids)] }, owner: ownerId });
+  return owned === new Set(ids).size ? null : "Bumper assets must be files from your own asset library";
+}
+
+/**
+ * Where an asset is set as a bumper: { shows: [title], meetings: count }
+ */
+export async function findAssetUsage(asset) {
+  const showRefs = BUMPER_ASSET_KEYS.map((key) => ({ [`bumpers.${key}`]: asset._id }));
+  // recording settings keep the ids as strings
+  const meetingRefs = BUMPER_ASSET_KEYS.map((key) => ({ [`metaData.recording.${key}`]: asset._id.toString() }));
+
+  const [shows, meetings] = await Promise.all([
+    Show.find({ owner: asset.owner, $or: showRefs }).select("title"),
+    Meeting.countDocuments({ host: asset.owner, $or: meetingRefs }),
+  ]);
+
+  return { shows: shows.map((s) => s.title), meetings };
+}
+
+/**
+ * opts.bumpers for the merge-worker: the meeting's own bumper settings, falling back to its
+ * show's, then to DEFAULT_BUMPER_SETTINGS. null when there is nothing to add.
+ * Assets that were deleted since (or were never the host's) are left out.
+ */
+export async function resolveBumpers(meeting) {
+  const settings = getRecordingSettings(meeting);
+  const hostId = meeting?.host?._id || meeting?.host;
+  if (!hostId) return null;
+
+  const show = settings.showId && mongoose.isValidObjectId(settings.showId)
+    ? await Show.findOne({ _id: settings.showId, owner: hostId }).select("bumpers").lean()
+    : null;
+  const fallback = { ...DEFAULT_BUMPER_SETTINGS, ...(show?.bumpers || {}) };
+  const pick = (key) => settings[key] ?? fallback[key];
+
+  const assetIds = {};
+  for (const key of BUMPER_ASSET_KEYS) {
+    const id = pick(key);
+    assetIds[key] = id && String(id) !== NO_BUMPER && mongoose.isValidObjectId(id) ? String(id) : null;
+  }
+
+  const ids = Object.values(assetIds).filter(Boolean);
+  if (ids.length === 0) return null;
+
+  const assets = await Asset.find({ _id: { $in: ids }, owner: hostId }).select("name key").lean();
+  const byId = Object.fromEntries(assets.map((a) => [a._id.toString(), a]));
+  const entry = (key) => {
+    const asset = byId[assetIds[key]];
+    return asset ? { assetId: asset._id.toString(), key: asset.key, name: asset.name } : null;
+  };
+
+  const bumpers = {
+    intro: entry("introAssetId"),
+    outro: entry("outroAssetId"),
+    music: entry("musicAssetId"),
+    musicVolumeDb: pick("musicVolumeDb"),
+    duckMusic: pick("duckMusic"),
+    crossfadeSeconds: pick("crossfadeSeconds"),
+  };
+
+  return bumpers.intro || bumpers.outro || bumpers.music ? bumpers : null;
+}
+
+export default {
+  ASSETS_PREFIX,
+  MAX_ASSET_BYTES,
+  ASSET_EXTENSIONS,
+  assetKey,
+  serializeAsset,
+  getAssetBytes,
+  checkBumperAssets,
+  findAssetUsage,
+  resolveBumpers,
+};
@@ -0,0 +1,149 @@
+// server/src/utils/chunkManifest.js
+import fs from "fs";
+import path from "path";
+import { saveChunkToDisk } from "./fileHelper.js";
+import { getStorage, meetingKey } from "./storage/index.js";
+
+/**
+ * Per-user chunk manifest: recordings/<roomId>/<userId>/manifest.json
+ * {
+ *   userId,
+ *   chunks: {
+ *     <chunkId>: { chunkId, index, sha256, sizeBytes, startedAt, durationMs, receivedAt }
+ *   }
+ * }
+ * Every accepted chunk is recorded, so missing indices in the recorder's
+ * sequence can be reported before a merge silently skips them.
+ * Written in the local staging dir, then copied to storage (storage/index.js).
+ */
+export const MANIFEST_FILE = "manifest.json";
+
+// highest recorder index a chunk may carry: a 24 h session of 10 s chunks (client useRecording.js).
+// Indices come from the client, anything beyond this is refused at upload.
+export const MAX_CHUNK_INDEX = Number(process.env.MAX_CHUNK_INDEX) || 24 * 60 * 6;
+
+// one read-modify-write at a time per manifest (uploads of one user can overlap)
+const manifestLocks = new Map();
+
+function withManifestLock(manifestPath, fn) {
+  const previous = manifestLocks.get(manifestPath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  manifestLocks.set(manifestPath, next);
+  next.finally(() => {
+    if (manifestLocks.get(manifestPath) === next) manifestLocks.delete(manifestPath);
+  }).catch(() => {});
+  return next;
+}
+
+/**
+ * File name stem of a chunk ("<stem>.webm", "<stem>.json")
+ */
+export const safeChunkName = (chunkId) => chunkId.replace(/[^a-zA-Z0-9-_\.]/g, "_");
+
+/**
+ * Recorder index of a chunk: explicit chunkIndex, else the "-<index>" suffix
+ * of the "<timestamp>-<index>" chunk id. null when unknown.
+ */
+export function getChunkIndex(chunkId, chunkIndex) {
+  const explicit = Number(chunkIndex);
+  if (chunkIndex !== undefined && chunkIndex !== null && Number.isInteger(explicit) && explicit >= 0) {
+    return explicit;
+  }
+
+  const match = String(chunkId).match(/-(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+export function readChunkManifest(userDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(userDir, MANIFEST_FILE), "utf8"));
+  } catch {
+    return { userId: path.basename(userDir), chunks: {} };
+  }
+}
+
+/**
+ * Manifest as stored for a user of a meeting (whichever host received the chunks)
+ */
+export async function loadChunkManifest(roomId, userId) {
+  const empty = { userId: String(userId), chunks: {} };
+  const buffer = await getStorage().getBuffer(meetingKey(roomId, userId, MANIFEST_FILE));
+  if (!buffer) return empty;
+
+  try {
+    return JSON.parse(buffer.toString("utf8"));
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * Add (or refresh) one chunk entry; entry carries roomId/userId for the storage copy
+ */
+export function recordChunk(userDir, entry) {
+  const manifestPath = path.join(userDir, MANIFEST_FILE);
+
+  return withManifestLock(manifestPath, async () => {
+    const manifest = readChunkManifest(userDir);
+    manifest.chunks[entry.chunkId] = {
+      chunkId: entry.chunkId,
+      index: entry.index ?? null,
+      sha256: entry.sha256,
+      sizeBytes: entry.sizeBytes,
+      startedAt: entry.startedAt ?? null,
+      durationMs: entry.durationMs ?? null,
+      receivedAt: new Date().toISOString(),
+    };
+
+    await saveChunkToDisk(manifestPath, Buffer.from(JSON.stringify(manifest, null, 2)));
+    // inside the lock, so an older manifest never overwrites a newer one
+    await getStorage().putFile(meetingKey(entry.roomId, entry.userId, MANIFEST_FILE), manifestPath);
+    return manifest;
+  });
+}
+
+/**
+ * Missing indices in the recorder sequence.
+ * Index 0 starts a new recording session; within a session indices go up by one.
+ * Returns [{ afterChunkId, beforeChunkId, from, to, count }], from–to being the
+ * missing indices, inclusive (chunks lost at the very end of a session cannot be detected).
+ */
+export function findChunkGaps(manifest) {
+  const chunks = Object.values(manifest.chunks || {})
+    .filter((c) => c.index !== null && c.index !== undefined)
+    .sort((a, b) => (a.startedAt ?? 0) - (b.startedAt ?? 0) || a.index - b.index);
+
+  const gaps = [];
+  let previous = null;
+
+  for (const chunk of chunks) {
+    const expected = previous ? previous.index + 1 : 0;
+
+    // index < expected: a new session whose first chunks never arrived
+    const from = chunk.index > expected ? expected : 0;
+    if (chunk.index !== 0 && chunk.index !== expected) {
+      gaps.push({
+        afterChunkId: previous?.chunkId || null,
+        beforeChunkId: chunk.chunkId,
+        from,
+        to: chunk.index - 1,
+        count: chunk.index - from,
+      });
+    }
+
+    previous = chunk;
+  }
+
+  return gaps;
+}
+
+export default {
+  MANIFEST_FILE,
+  MAX_CHUNK_INDEX,
+  safeChunkName,
+  getChunkIndex,
+  readChunkManifest,
+  loadChunkManifest,
+  recordChunk,
+  findChunkGaps,
+};
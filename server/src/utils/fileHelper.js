@@ -1,10 +1,12 @@
 // server/src/utils/fileHelper.js
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 
 /**
- * Root recordings directory (shared with merge-worker)
- * -> server/recordings/
+ * Root recordings directory: server/recordings/
+ * Storage root of the local driver (shared with merge-worker),
+ * staging area for incoming chunks with the s3 driver (see storage/index.js)
  */
 export const RECORDINGS_DIR = path.join(process.cwd(), "recordings");
 
@@ -23,6 +25,44 @@ export function ensureDir(dir) {
   }
 }
 
+/**
+ * Output folders inside a meeting dir (written by merge-worker).
+ * Every other folder is a user's chunk folder.
+ */
+export const HLS_DIR_NAME = "hls";
+// highlight clips (see models/Clip.js)
+export const CLIPS_DIR_NAME = "clips";
+export const OUTPUT_DIRS = [HLS_DIR_NAME, CLIPS_DIR_NAME];
+
+/**
+ * List the user chunk folders of a meeting directory
+ */
+export function listUserDirs(meetingDir) {
+  return fs.readdirSync(meetingDir).filter((item) => {
+    if (OUTPUT_DIRS.includes(item)) return false;
+    try {
+      return fs.statSync(path.join(meetingDir, item)).isDirectory();
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Merge intermediates written by merge-worker (-norm.mp4, gap clips, concat lists,
+ * per-user merged/mastered files, the body renders and asset copies of a merge with
+ * intro/outro bumpers). relativePath is relative to the meeting dir.
+ */
+const INTERMEDIATE_ROOT_FILE =
+  /^(user-.+-(merged\.mp4|mastered\.wav)|podcast-(mix|episode)\.wav|final-recording(-edited)?-body\.mp4(\.cuts\.json)?|bumper-(intro|outro|music)(-[\w-]+)?\.\w+)$/;
+const INTERMEDIATE_USER_FILE = /^(.+-norm\.mp4|gap-\d+\.mp4|concat\.txt)$/;
+
+export function isIntermediateFile(relativePath) {
+  const parts = relativePath.split("/");
+  if (parts.length === 1) return INTERMEDIATE_ROOT_FILE.test(parts[0]);
+  return parts.length === 2 && !OUTPUT_DIRS.includes(parts[0]) && INTERMEDIATE_USER_FILE.test(parts[1]);
+}
+
 /**
  * Create & return meeting directory:
  * recordings/<roomId>/
@@ -54,26 +94,124 @@ export function ensureMeetingUserDirs(roomId, userId) {
   return { meetingDir, userDir };
 }
 
+/**
+ * SHA-256 (hex) of a file on disk
+ */
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (data) => hash.update(data))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+function chunkError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// every write gets its own tmp file, so concurrent writes of one path never share one
+const tmpPathFor = (filePath) => `${filePath}.${crypto.randomUUID()}.tmp`;
+
+/**
+ * Last step of every chunk write, moving the tmp file into place:
+ * - sha256 given and different from the written bytes → CHECKSUM_MISMATCH
+ * - exclusive: hard-linked into place, which fails atomically when the file
+ *   already exists → duplicate (same bytes) or CHUNK_CONFLICT
+ * - otherwise renamed over any existing file
+ * The tmp file is always gone afterwards.
+ */
+async function finalizeChunk(tmpPath, filePath, hash, { sha256, exclusive } = {}) {
+  try {
+    if (sha256 && sha256.toLowerCase() !== hash) {
+      throw chunkError("CHECKSUM_MISMATCH", `SHA-256 mismatch: expected ${sha256}, got ${hash}`);
+    }
+
+    if (!exclusive) {
+      await fs.promises.rename(tmpPath, filePath);
+      return { sha256: hash, duplicate: false };
+    }
+
+    try {
+      await fs.promises.link(tmpPath, filePath);
+      return { sha256: hash, duplicate: false };
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+
+    const existing = await sha256File(filePath);
+    if (existing !== hash) {
+      throw chunkError("CHUNK_CONFLICT", "A different chunk with this id was already uploaded");
+    }
+    return { sha256: hash, duplicate: true };
+  } finally {
+    await fs.promises.rm(tmpPath, { force: true });
+  }
+}
+
 /**
  * Save chunk atomically:
- * 1. write file.tmp
- * 2. rename → final.webm
+ * 1. write file.<uuid>.tmp
+ * 2. verify (see finalizeChunk)
+ * 3. link / rename → final.webm
  *
  * prevents half-written files & corruption
+ * opts.sha256: expected checksum; opts.exclusive: never overwrite an existing file
+ * Resolves with { sha256, duplicate } — duplicate: the file was already there, this call created nothing.
  */
-export async function saveChunkToDisk(filePath, buffer) {
+export async function saveChunkToDisk(filePath, buffer, opts = {}) {
+  const tmpPath = tmpPathFor(filePath);
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+
+  await fs.promises.writeFile(tmpPath, buffer);
+  return finalizeChunk(tmpPath, filePath, hash, opts);
+}
+
+/**
+ * Stream a chunk to disk with the same atomic tmp + verify + link as saveChunkToDisk.
+ * Stops writing as soon as more than `maxBytes` arrive (err.code = "CHUNK_TOO_LARGE");
+ * the partial tmp file is removed on any failure.
+ * Resolves with { bytes, sha256, duplicate }.
+ */
+export function saveChunkStream(filePath, source, { maxBytes, ...opts } = {}) {
   return new Promise((resolve, reject) => {
-    const tmpPath = filePath + ".tmp";
+    const tmpPath = tmpPathFor(filePath);
+    const out = fs.createWriteStream(tmpPath);
+    const hash = crypto.createHash("sha256");
+    let bytes = 0;
+    let failed = false;
 
-    fs.writeFile(tmpPath, buffer, (err) => {
-      if (err) return reject(err);
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      source.unpipe(out);
+      out.destroy();
+      // keep the source flowing so the rest of the body is drained
+      source.resume();
+      fs.rm(tmpPath, { force: true }, () => reject(err));
+    };
 
-      fs.rename(tmpPath, filePath, (err2) => {
-        if (err2) return reject(err2);
+    source.on("data", (chunk) => {
+      bytes += chunk.length;
+      hash.update(chunk);
+      if (maxBytes && bytes > maxBytes) {
+        fail(chunkError("CHUNK_TOO_LARGE", `Chunk exceeds the ${maxBytes} byte limit`));
+      }
+    });
+    source.on("aborted", () => fail(new Error("Upload aborted by client")));
+    source.on("error", fail);
+    out.on("error", fail);
 
-        resolve();
-      });
+    out.on("finish", () => {
+      if (failed) return;
+      finalizeChunk(tmpPath, filePath, hash.digest("hex"), opts)
+        .then((result) => resolve({ bytes, ...result }), reject);
     });
+
+    source.pipe(out);
   });
 }
 
@@ -81,7 +219,7 @@ export async function saveChunkToDisk(filePath, buffer) {
  * Helper: delete complete meeting dir
  */
 export function deleteMeetingDir(roomId) {
-  const meetingDir = getMeetingDir(roomId);
+  const meetingDir = path.join(RECORDINGS_DIR, roomId);
 
   if (fs.existsSync(meetingDir)) {
     fs.rmSync(meetingDir, { recursive: true, force: true });
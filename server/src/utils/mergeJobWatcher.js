@@ -0,0 +1,146 @@
+// server/src/utils/mergeJobWatcher.js
+import Meeting from "../models/Meeting.js";
+import MergeJob from "../models/MergeJob.js";
+import { recordClipFinished, recordClipRunning } from "./recordingClips.js";
+import { recordMergeFinished, recordMergeRunning } from "./recordingMetadata.js";
+import { refreshMeetingUsage } from "./storageUsage.js";
+
+const WATCH_INTERVAL_MS = Number(process.env.MERGE_JOB_WATCH_MS) || 3000;
+
+/**
+ * Emit the final merge-success / merge-failed event for one finished job.
+ */
+function notifyRoom(io, job) {
+  if (job.status === "succeeded") {
+    io.in(job.roomId).emit("merge-success", {
+      message: "Final video generated",
+      jobId: job._id.toString(),
+      finalPath: job.result?.finalPath || null,
+      loudness: job.result?.loudness || null,
+      hasEdited: Boolean(job.result?.editedPath),
+      hasHls: Boolean(job.result?.hlsPath),
+      hasThumbnails: Boolean(job.result?.thumbnails),
+      hasTranscript: Boolean(job.result?.transcript),
+      cuts: job.result?.cuts || [],
+    });
+    console.log("✅ Merge completed for room:", job.roomId);
+    return;
+  }
+
+  console.error("❌ Merge failed for room:", job.roomId, job.error);
+  io.in(job.roomId).emit("merge-failed", {
+    message: "Failed to generate final video",
+    jobId: job._id.toString(),
+    error: job.error,
+  });
+}
+
+/**
+ * Record the preview images of a finished merge on the meeting
+ * (metaData.thumbnails → poster, sprite sheet, WebVTT thumbnails track).
+ */
+async function saveThumbnails(job) {
+  const thumbnails = job.result?.thumbnails;
+  if (!thumbnails) return;
+
+  await Meeting.updateOne(
+    { roomId: job.roomId },
+    {
+      $set: {
+        "metaData.thumbnails": {
+          posterPath: thumbnails.posterPath,
+          spritePath: thumbnails.spritePath,
+          vttPath: thumbnails.vttPath,
+          generatedAt: job.finishedAt || new Date(),
+        },
+      },
+    }
+  );
+}
+
+/**
+ * Relay the worker's latest progress snapshot as merge-progress.
+ * payload.stages → [{ stage: "normalize" | "concat" | "mastering" | "merge" | ..., userId, percent }]
+ */
+function relayProgress(io, job) {
+  io.in(job.roomId).emit("merge-progress", {
+    jobId: job._id.toString(),
+    stage: job.progress.stage,
+    userId: job.progress.userId,
+    percent: job.progress.percent,
+    stages: job.progress.stages || [],
+  });
+}
+
+/**
+ * startMergeJobWatcher(io)
+ * Polls the MergeJob collection, relays progress of running jobs and tells
+ * each room when its job finishes. Each finished job is claimed atomically via
+ * notifiedAt, so it is announced exactly once — including jobs that finished
+ * while this server was down. Both transitions are recorded on the meeting's
+ * Recording, and its storage usage is re-measured afterwards, since a merge
+ * adds outputs and removes intermediates.
+ * Clip jobs are recorded on their Clip instead; clients poll the clip list
+ * (GET /api/recordings/:roomId/clips), so nothing is emitted for them.
+ */
+export function startMergeJobWatcher(io) {
+  let running = false;
+  // jobId → progress.updatedAt of the last relayed snapshot
+  const lastProgress = new Map();
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const active = await MergeJob.find({ status: "running", progress: { $ne: null } });
+      for (const job of active) {
+        const id = job._id.toString();
+        const updatedAt = new Date(job.progress.updatedAt).getTime();
+        if (lastProgress.get(id) === updatedAt) continue;
+
+        const isClip = job.kind === "clip";
+        if (!lastProgress.has(id)) await (isClip ? recordClipRunning(job) : recordMergeRunning(job));
+        lastProgress.set(id, updatedAt);
+        if (!isClip) relayProgress(io, job);
+      }
+
+      let job;
+      while (
+        (job = await MergeJob.findOneAndUpdate(
+          { status: { $in: ["succeeded", "failed"] }, notifiedAt: null },
+          { $set: { notifiedAt: new Date() } },
+          { new: true }
+        ))
+      ) {
+        lastProgress.delete(job._id.toString());
+        if (job.kind === "clip") {
+          console.log(`${job.status === "succeeded" ? "✅" : "❌"} Clip job ${job._id} ${job.status} for room ${job.roomId}`);
+          await recordClipFinished(job).catch((err) =>
+            console.error(`clip update failed for room ${job.roomId}:`, err.message)
+          );
+        } else {
+          if (job.status === "succeeded") await saveThumbnails(job);
+          notifyRoom(io, job);
+          await recordMergeFinished(job).catch((err) =>
+            console.error(`recording metadata update failed for room ${job.roomId}:`, err.message)
+          );
+        }
+        await refreshMeetingUsage(job.roomId).catch((err) =>
+          console.error(`storage usage refresh failed for room ${job.roomId}:`, err.message)
+        );
+      }
+    } catch (err) {
+      console.error("mergeJobWatcher error:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, WATCH_INTERVAL_MS);
+}
+
+export default {
+  startMergeJobWatcher,
+};
@@ -1,56 +1,177 @@
 // server/src/utils/mergeWorkerClient.js
 import axios from "axios";
 import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Clip from "../models/Clip.js";
+import MergeJob, { serializeMergeJob } from "../models/MergeJob.js";
+import Meeting from "../models/Meeting.js";
+import User from "../models/User.js";
+import { resolveBumpers } from "./assetLibrary.js";
+import { recordMergeQueued } from "./recordingMetadata.js";
+import { buildMergeOptions, exportCaptionOptions } from "./recordingSettings.js";
+import { listMeetingFiles } from "./storage/index.js";
+import { assertMergeQuota } from "./storageUsage.js";
 dotenv.config();
 
 const BASE_URL = process.env.MERGE_WORKER_URL;
 
 if (!BASE_URL) {
-  console.warn("⚠️ MERGE_WORKER_URL is not set in .env — merge-worker calls will fail.");
+  console.warn("⚠️ MERGE_WORKER_URL is not set in .env — queued merges will wait until a worker polls for them.");
 }
 
 /**
- * requestMerge(roomId)
- * - Calls the external merge-worker to request processing for a room.
- * - The merge-worker server (merge-worker/server.js) expects POST /merge with body { roomId }.
- * - Returns the parsed response data on success, throws a descriptive Error on failure.
+ * Active = not finished yet. A room never has more than one active merge job
+ * (clip jobs share the queue but are not merges).
  */
-export async function requestMerge(roomId, opts = {}) {
-  if (!BASE_URL) {
-    throw new Error("MERGE_WORKER_URL not configured in server environment");
+export async function findActiveMergeJob(roomId) {
+  return MergeJob.findOne({ roomId, kind: { $ne: "clip" }, status: { $in: ["queued", "running"] } });
+}
+
+/**
+ * Map every user folder in the room's recordings to a username, so the worker
+ * can name per-participant files. Participants are cleared when a meeting ends,
+ * so this looks the users up directly.
+ */
+async function resolveUsernames(roomId) {
+  const { users: userDirs } = await listMeetingFiles(roomId);
+  const userIds = Object.keys(userDirs).filter((e) => mongoose.isValidObjectId(e));
+
+  const users = await User.find({ _id: { $in: userIds } }).select("username");
+  return Object.fromEntries(users.map((u) => [u._id.toString(), u.username]));
+}
+
+/**
+ * Ping the external merge-worker (POST /merge with { roomId, jobId }) so it starts right away.
+ * The worker also polls Mongo, so a failed ping only delays the job — it is never lost.
+ */
+async function notifyWorker(job, timeout = 10000) {
+  if (!BASE_URL) return;
+
+  const url = `${BASE_URL.replace(/\/+$/, "")}/merge`; // ensure no trailing slash problems
+  console.log(`📡 Notifying merge-worker: ${url} (roomId=${job.roomId}, jobId=${job._id})`);
+
+  try {
+    await axios.post(url, { roomId: job.roomId, jobId: job._id.toString() }, { timeout });
+  } catch (err) {
+    const msg = err.response?.data?.error || err.response?.data?.message || err.message;
+    console.warn("⚠️ Merge-worker notify failed (job stays queued):", msg);
   }
+}
 
+/**
+ * Create the room's merge job. Two requests racing past findActiveMergeJob are
+ * settled by the unique index on active merge jobs (models/MergeJob.js):
+ * the loser gets E11000 and reuses the winner's job.
+ */
+async function createMergeJob(roomId, options) {
+  try {
+    const job = await MergeJob.create({ roomId, options });
+    await recordMergeQueued(roomId, job);
+    console.log(`🗂️ Merge job ${job._id} queued for room ${roomId}`);
+    return job;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const job = await findActiveMergeJob(roomId);
+    if (!job) throw err;
+    console.log(`🗂️ Reusing merge job ${job._id} queued concurrently for room ${roomId}`);
+    return job;
+  }
+}
+
+// the job already does what opts.options asks for (captions: only the keys given)
+const jobMatchesOptions = (job, requested = {}) =>
+  Object.entries(requested).every(([key, value]) =>
+    key === "captions"
+      ? Object.entries(value).every(([field, v]) => job.options?.captions?.[field] === v)
+      : JSON.stringify(job.options?.[key]) === JSON.stringify(value)
+  );
+
+/**
+ * requestMerge(roomId, opts)
+ * - Stores a durable MergeJob (status "queued") in Mongo, or reuses the room's active job.
+ *   Job options (layout, canvas, ...) come from the meeting's saved settings, bumpers
+ *   from those and the meeting's show (assetLibrary.js); opts.options overrides them for this merge only
+ *   (opts.options.captions: { mode, fontSize, position } over the saved caption settings).
+ * - A new job needs room in the host's storage quota for its outputs;
+ *   otherwise throws an error with statusCode 507 (storageUsage.js).
+ * - A new job waits for the room's clips being cut (they read the final recording
+ *   and its tiles, which the merge rewrites): error with statusCode 409 meanwhile.
+ *   The merge-worker enforces the same when claiming jobs, for requests that race this check.
+ * - An active job is only reused when it already has the requested opts.options;
+ *   otherwise error with statusCode 409 (its options cannot change once queued).
+ * - Pings the external merge-worker so it starts right away (notifyWorker).
+ * - Returns immediately with the job (serializeMergeJob); completion is tracked on the job document.
+ */
+export async function requestMerge(roomId, opts = {}) {
   if (!roomId) {
     throw new Error("roomId is required for requestMerge");
   }
 
-  const url = `${BASE_URL.replace(/\/+$/, "")}/merge`; // ensure no trailing slash problems
-  console.log(`📡 Sending merge request to: ${url} (roomId=${roomId})`);
+  let job = await findActiveMergeJob(roomId);
+  if (!job) {
+    if (await Clip.exists({ roomId, status: { $in: ["queued", "running"] } })) {
+      throw Object.assign(new Error("Wait for the clips being cut to finish"), { statusCode: 409 });
+    }
+    await assertMergeQuota(roomId);
 
-  try {
-    const response = await axios.post(
-      url,
-      { roomId },
-      {
-        timeout: opts.timeout || 120000, // 2 minutes default (tunable)
-      }
-    );
+    const meeting = await Meeting.findOne({ roomId }).populate("host", "username");
+    const { captions, ...overrides } = opts.options || {};
+    let options = {
+      ...buildMergeOptions(meeting),
+      usernames: await resolveUsernames(roomId),
+      bumpers: await resolveBumpers(meeting),
+      ...overrides,
+    };
+    if (captions) options = exportCaptionOptions(options, captions);
 
-    // Accept 2xx success responses; otherwise throw
-    if (response && response.data) {
-      console.log("✅ Merge-worker response:", response.data);
-      return response.data;
-    }
+    job = await createMergeJob(roomId, options);
+  } else {
+    console.log(`🗂️ Reusing active merge job ${job._id} for room ${roomId}`);
+  }
 
-    throw new Error("Merge-worker returned empty response");
-  } catch (err) {
-    // Bubble up helpful error message with as much context as possible
-    const msg = err.response?.data?.error || err.response?.data?.message || err.message;
-    console.error("❌ Merge-worker error:", msg);
-    throw new Error(`Merge worker request failed: ${msg}`);
+  // also catches a job created concurrently by another request (createMergeJob)
+  if (!jobMatchesOptions(job, opts.options)) {
+    throw Object.assign(
+      new Error("A merge of this meeting is already queued or running with other settings; try again when it is done"),
+      { statusCode: 409 }
+    );
   }
+
+  await notifyWorker(job, opts.timeout);
+
+  return serializeMergeJob(job);
+}
+
+/**
+ * requestClip(clip, recording)
+ * Queues a "clip" MergeJob cutting clip.start–clip.end out of the final recording
+ * (merge-worker/src/utils/clips.js), links it to the Clip and pings the worker.
+ * The recording's merge.tiles / introSeconds let the worker crop to the speaker.
+ */
+export async function requestClip(clip, recording) {
+  const job = await MergeJob.create({
+    roomId: clip.roomId,
+    kind: "clip",
+    options: {
+      clipId: clip._id.toString(),
+      start: clip.start,
+      end: clip.end,
+      layout: clip.layout,
+      tiles: recording?.merge?.tiles || null,
+      introSeconds: recording?.merge?.introSeconds || 0,
+    },
+  });
+
+  clip.jobId = job._id;
+  await clip.save();
+  console.log(`🗂️ Clip job ${job._id} queued for room ${clip.roomId} (${clip.start}s–${clip.end}s, ${clip.layout})`);
+
+  await notifyWorker(job);
+  return job;
 }
 
 export default {
+  findActiveMergeJob,
   requestMerge,
+  requestClip,
 };
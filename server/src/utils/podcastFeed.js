@@ -0,0 +1,183 @@
+// server/src/utils/podcastFeed.js
+import dotenv from "dotenv";
+import { v5 as uuidv5 } from "uuid";
+dotenv.config();
+
+/**
+ * Public RSS feed of a show: RSS 2.0 with the iTunes and Podcasting 2.0 namespaces.
+ * Every URL in it is absolute — PUBLIC_URL (the server's public origin, e.g.
+ * https://api.example.com), else the origin the request came in on.
+ *
+ *   /feeds/<slug>.xml             the feed
+ *   /feeds/<slug>/<guid>.<format> episode audio (mp3 | m4a | opus) or transcript (srt | vtt)
+ */
+
+// podcast:guid is a UUIDv5 of the feed URL (without scheme) in this namespace
+const PODCAST_GUID_NAMESPACE = "ead4c236-bf58-58c6-a2c6-a6b28d128cb6";
+
+export const AUDIO_MIME_TYPES = {
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  opus: "audio/ogg",
+};
+
+// transcript outputs of the merge-worker (transcription.js), by Recording.outputs field
+export const TRANSCRIPT_FORMATS = {
+  srt: { output: "transcriptSrt", mimeType: "application/x-subrip" },
+  vtt: { output: "transcriptVtt", mimeType: "text/vtt" },
+};
+
+/**
+ * Origin for absolute feed URLs, without a trailing slash
+ */
+export function publicBaseUrl(req) {
+  const configured = process.env.PUBLIC_URL;
+  return (configured || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+}
+
+export const feedUrl = (baseUrl, slug) => `${baseUrl}/feeds/${slug}.xml`;
+export const episodeFileUrl = (baseUrl, slug, guid, format) => `${baseUrl}/feeds/${slug}/${guid}.${format}`;
+
+/**
+ * podcast:guid for a feed URL
+ */
+export function podcastGuid(url) {
+  return uuidv5(url.replace(/^[a-z]+:\/\//i, "").replace(/\/+$/, ""), PODCAST_GUID_NAMESPACE);
+}
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// descriptions may hold markup; "]]>" is the only thing CDATA can't contain
+const cdata = (text) => `<![CDATA[${String(text).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+/**
+ * The published audio of an episode, or null when its recording has no such export (any more).
+ * Returns { key, sizeBytes, mimeType, duration } — duration in seconds, null when unknown.
+ */
+export function episodeEnclosure(episode, recording) {
+  const file = recording?.outputs?.[episode.audioFormat];
+  if (!file) return null;
+
+  // recordings merged before the worker reported it: the timeline length, unless dead air was cut
+  let duration = recording.merge?.audioDuration ?? null;
+  if (duration === null && !recording.merge?.cuts && recording.startedAt && recording.endedAt) {
+    duration = (recording.endedAt - recording.startedAt) / 1000;
+  }
+
+  return {
+    key: file.key,
+    sizeBytes: file.sizeBytes,
+    mimeType: AUDIO_MIME_TYPES[episode.audioFormat],
+    duration: duration === null ? null : Math.round(duration),
+  };
+}
+
+/**
+ * Transcript formats that line up with the published audio — the transcript follows the
+ * raw meeting timeline, so it is left out once silence trimming has cut the audio.
+ */
+export function episodeTranscriptFormats(recording) {
+  if (recording?.merge?.cuts) return [];
+  return Object.keys(TRANSCRIPT_FORMATS).filter((format) => recording?.outputs?.[TRANSCRIPT_FORMATS[format].output]);
+}
+
+/**
+ * RSS document for a show.
+ * items: [{ episode, recording }], newest first; items without an enclosure are skipped.
+ * opts: { baseUrl, ownerName } — ownerName stands in for an empty show.author
+ */
+export function buildFeed(show, items, { baseUrl, ownerName }) {
+  const selfUrl = feedUrl(baseUrl, show.slug);
+  const siteUrl = process.env.FRONTEND_URL || baseUrl;
+  const author = show.author || ownerName || "";
+  const lines = [];
+
+  lines.push(
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"' +
+      ' xmlns:podcast="https://podcastindex.org/namespace/1.0"' +
+      ' xmlns:atom="http://www.w3.org/2005/Atom"' +
+      ' xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    "<channel>",
+    `<title>${escapeXml(show.title)}</title>`,
+    `<link>${escapeXml(siteUrl)}</link>`,
+    `<description>${cdata(show.description || show.title)}</description>`,
+    `<language>${escapeXml(show.language)}</language>`,
+    `<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `<lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    `<itunes:author>${escapeXml(author)}</itunes:author>`,
+    `<itunes:explicit>${show.explicit ? "true" : "false"}</itunes:explicit>`,
+    "<itunes:type>episodic</itunes:type>",
+    `<podcast:guid>${escapeXml(show.guid)}</podcast:guid>`
+  );
+
+  if (show.artworkUrl) {
+    lines.push(
+      `<itunes:image href="${escapeXml(show.artworkUrl)}"/>`,
+      `<image><url>${escapeXml(show.artworkUrl)}</url><title>${escapeXml(show.title)}</title><link>${escapeXml(siteUrl)}</link></image>`
+    );
+  }
+  if (show.category) lines.push(`<itunes:category text="${escapeXml(show.category)}"/>`);
+  if (show.ownerEmail) {
+    lines.push(
+      `<itunes:owner><itunes:name>${escapeXml(author)}</itunes:name><itunes:email>${escapeXml(show.ownerEmail)}</itunes:email></itunes:owner>`
+    );
+  }
+
+  for (const { episode, recording } of items) {
+    const enclosure = episodeEnclosure(episode, recording);
+    if (!enclosure) continue;
+
+    const explicit = episode.explicit ?? show.explicit;
+    const description = episode.description || episode.title;
+
+    lines.push(
+      "<item>",
+      `<title>${escapeXml(episode.title)}</title>`,
+      `<description>${cdata(description)}</description>`,
+      `<content:encoded>${cdata(description)}</content:encoded>`,
+      `<guid isPermaLink="false">${escapeXml(episode.guid)}</guid>`,
+      `<pubDate>${new Date(episode.publishedAt).toUTCString()}</pubDate>`,
+      `<enclosure url="${escapeXml(episodeFileUrl(baseUrl, show.slug, episode.guid, episode.audioFormat))}"` +
+        ` length="${enclosure.sizeBytes}" type="${enclosure.mimeType}"/>`,
+      `<itunes:title>${escapeXml(episode.title)}</itunes:title>`,
+      `<itunes:episodeType>${episode.episodeType}</itunes:episodeType>`,
+      `<itunes:explicit>${explicit ? "true" : "false"}</itunes:explicit>`
+    );
+
+    if (enclosure.duration !== null) lines.push(`<itunes:duration>${enclosure.duration}</itunes:duration>`);
+    if (episode.season) lines.push(`<itunes:season>${episode.season}</itunes:season>`);
+    if (episode.episodeNumber) lines.push(`<itunes:episode>${episode.episodeNumber}</itunes:episode>`);
+    if (episode.artworkUrl) lines.push(`<itunes:image href="${escapeXml(episode.artworkUrl)}"/>`);
+
+    for (const format of episodeTranscriptFormats(recording)) {
+      const url = episodeFileUrl(baseUrl, show.slug, episode.guid, format);
+      lines.push(`<podcast:transcript url="${escapeXml(url)}" type="${TRANSCRIPT_FORMATS[format].mimeType}"/>`);
+    }
+
+    lines.push("</item>");
+  }
+
+  lines.push("</channel>", "</rss>");
+  return lines.join("\n");
+}
+
+export default {
+  AUDIO_MIME_TYPES,
+  TRANSCRIPT_FORMATS,
+  publicBaseUrl,
+  feedUrl,
+  episodeFileUrl,
+  podcastGuid,
+  escapeXml,
+  episodeEnclosure,
+  episodeTranscriptFormats,
+  buildFeed,
+};
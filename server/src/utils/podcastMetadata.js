@@ -0,0 +1,193 @@
+// server/src/utils/podcastMetadata.js
+import { SHOW_CATEGORIES } from "../models/Show.js";
+import { EPISODE_AUDIO_FORMATS, EPISODE_TYPES } from "../models/Episode.js";
+import { validateBumperSettings } from "./recordingSettings.js";
+
+/**
+ * Validation of the show / episode fields hosts can edit (models/Show.js, models/Episode.js).
+ * Both validators return only the recognised keys — { show } / { episode } — or { error }.
+ */
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_DESCRIPTION_LENGTH = 4000;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 64;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]{2,4})?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isText = (value, max) => typeof value === "string" && value.length <= max;
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// null clears the value; positive whole numbers otherwise
+const isOptionalCount = (value) => value === null || (Number.isInteger(value) && value > 0);
+
+/**
+ * "My Great Show!" → "my-great-show" (may be empty for titles without latin letters/digits)
+ */
+export function slugify(title) {
+  return String(title)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, "");
+}
+
+/**
+ * Show fields. partial: false → title is required (creation).
+ * bumpers: { introAssetId?, outroAssetId?, musicAssetId?, musicVolumeDb?, duckMusic?, crossfadeSeconds? }
+ * (recordingSettings.validateBumperSettings; the caller checks the assets are the owner's)
+ */
+export function validateShow(body = {}, { partial = false } = {}) {
+  const show = {};
+
+  if (body.title !== undefined || !partial) {
+    if (!isText(body.title, MAX_TITLE_LENGTH) || !body.title.trim()) {
+      return { error: `title is required (up to ${MAX_TITLE_LENGTH} characters)` };
+    }
+    show.title = body.title.trim();
+  }
+
+  if (body.slug !== undefined) {
+    if (typeof body.slug !== "string" || body.slug.length > MAX_SLUG_LENGTH || !SLUG_PATTERN.test(body.slug)) {
+      return { error: `slug must be lowercase letters, digits and dashes (up to ${MAX_SLUG_LENGTH})` };
+    }
+    show.slug = body.slug;
+  }
+
+  if (body.description !== undefined) {
+    if (!isText(body.description, MAX_DESCRIPTION_LENGTH)) {
+      return { error: `description must be text up to ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    show.description = body.description;
+  }
+
+  if (body.author !== undefined) {
+    if (!isText(body.author, MAX_TITLE_LENGTH)) {
+      return { error: `author must be text up to ${MAX_TITLE_LENGTH} characters` };
+    }
+    show.author = body.author.trim();
+  }
+
+  if (body.artworkUrl !== undefined) {
+    if (body.artworkUrl !== null && !isHttpUrl(body.artworkUrl)) {
+      return { error: "artworkUrl must be an http(s) URL or null" };
+    }
+    show.artworkUrl = body.artworkUrl;
+  }
+
+  if (body.language !== undefined) {
+    if (typeof body.language !== "string" || !LANGUAGE_PATTERN.test(body.language.toLowerCase())) {
+      return { error: "language must be a language code like \"en\" or \"en-us\"" };
+    }
+    show.language = body.language.toLowerCase();
+  }
+
+  if (body.category !== undefined) {
+    if (body.category !== null && !SHOW_CATEGORIES.includes(body.category)) {
+      return { error: `category must be one of: ${SHOW_CATEGORIES.join(", ")} (or null)` };
+    }
+    show.category = body.category;
+  }
+
+  if (body.explicit !== undefined) {
+    if (typeof body.explicit !== "boolean") {
+      return { error: "explicit must be true or false" };
+    }
+    show.explicit = body.explicit;
+  }
+
+  if (body.ownerEmail !== undefined) {
+    if (body.ownerEmail !== null && !(typeof body.ownerEmail === "string" && EMAIL_PATTERN.test(body.ownerEmail))) {
+      return { error: "ownerEmail must be an email address or null" };
+    }
+    show.ownerEmail = body.ownerEmail && body.ownerEmail.toLowerCase();
+  }
+
+  if (body.bumpers !== undefined) {
+    if (!body.bumpers || typeof body.bumpers !== "object" || Array.isArray(body.bumpers)) {
+      return { error: "bumpers must be an object" };
+    }
+    const { settings, error } = validateBumperSettings(body.bumpers);
+    if (error) return { error: `bumpers: ${error}` };
+    show.bumpers = settings;
+  }
+
+  return { show };
+}
+
+/**
+ * Episode fields. partial: false → title is required (publishing).
+ */
+export function validateEpisode(body = {}, { partial = false } = {}) {
+  const episode = {};
+
+  if (body.title !== undefined || !partial) {
+    if (!isText(body.title, MAX_TITLE_LENGTH) || !body.title.trim()) {
+      return { error: `title is required (up to ${MAX_TITLE_LENGTH} characters)` };
+    }
+    episode.title = body.title.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (!isText(body.description, MAX_DESCRIPTION_LENGTH)) {
+      return { error: `description must be text up to ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    episode.description = body.description;
+  }
+
+  if (body.artworkUrl !== undefined) {
+    if (body.artworkUrl !== null && !isHttpUrl(body.artworkUrl)) {
+      return { error: "artworkUrl must be an http(s) URL or null" };
+    }
+    episode.artworkUrl = body.artworkUrl;
+  }
+
+  if (body.explicit !== undefined) {
+    if (body.explicit !== null && typeof body.explicit !== "boolean") {
+      return { error: "explicit must be true, false or null (the show's setting)" };
+    }
+    episode.explicit = body.explicit;
+  }
+
+  if (body.episodeType !== undefined) {
+    if (!EPISODE_TYPES.includes(body.episodeType)) {
+      return { error: `episodeType must be one of: ${EPISODE_TYPES.join(", ")}` };
+    }
+    episode.episodeType = body.episodeType;
+  }
+
+  for (const key of ["season", "episodeNumber"]) {
+    if (body[key] === undefined) continue;
+    if (!isOptionalCount(body[key])) {
+      return { error: `${key} must be a positive whole number or null` };
+    }
+    episode[key] = body[key];
+  }
+
+  if (body.audioFormat !== undefined) {
+    if (!EPISODE_AUDIO_FORMATS.includes(body.audioFormat)) {
+      return { error: `audioFormat must be one of: ${EPISODE_AUDIO_FORMATS.join(", ")}` };
+    }
+    episode.audioFormat = body.audioFormat;
+  }
+
+  return { episode };
+}
+
+export default {
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  slugify,
+  validateShow,
+  validateEpisode,
+};
@@ -0,0 +1,114 @@
+// server/src/utils/recordingClips.js
+import dotenv from "dotenv";
+import Clip, { CLIP_LAYOUTS } from "../models/Clip.js";
+import { CLIPS_DIR_NAME } from "./fileHelper.js";
+import { meetingKey } from "./storage/index.js";
+dotenv.config();
+
+/**
+ * Highlight clips: a range of a meeting's final-recording.mp4, cut by the
+ * merge-worker as a "clip" job (merge-worker/src/utils/clips.js) into
+ *
+ *   <roomId>/clips/<clipId>.mp4
+ *
+ *   CLIP_MAX_SECONDS  longest clip (default 180); clips count towards the host's storage quota
+ *
+ * The Clip document follows its job: the merge job watcher records the result.
+ */
+export const MIN_CLIP_SECONDS = 1;
+export const MAX_CLIP_SECONDS = Number(process.env.CLIP_MAX_SECONDS) || 180;
+const MAX_TITLE_LENGTH = 200;
+
+export const clipKey = (roomId, clipId) => meetingKey(roomId, CLIPS_DIR_NAME, `${clipId}.mp4`);
+
+/**
+ * Validate a clip request: { start, end (seconds on the final video), layout?, title? }
+ * Returns { clip: { start, end, layout, title } } or { error }.
+ */
+export function validateClipRequest(body = {}) {
+  const start = Number(body.start);
+  const end = Number(body.end);
+
+  if (body.start === undefined || body.start === null || !Number.isFinite(start) || start < 0) {
+    return { error: "start must be a number of seconds >= 0" };
+  }
+  if (body.end === undefined || body.end === null || !Number.isFinite(end) || end <= start) {
+    return { error: "end must be a number of seconds after start" };
+  }
+  if (end - start < MIN_CLIP_SECONDS || end - start > MAX_CLIP_SECONDS) {
+    return { error: `a clip must be ${MIN_CLIP_SECONDS}-${MAX_CLIP_SECONDS} seconds long` };
+  }
+
+  const layout = body.layout ?? "original";
+  if (!CLIP_LAYOUTS.includes(layout)) {
+    return { error: `layout must be one of: ${CLIP_LAYOUTS.join(", ")}` };
+  }
+
+  if (body.title !== undefined && body.title !== null && typeof body.title !== "string") {
+    return { error: "title must be a string" };
+  }
+  const title = (body.title || "").trim();
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+
+  // millisecond precision is plenty for a cut
+  const round = (n) => Math.round(n * 1000) / 1000;
+  return { clip: { start: round(start), end: round(end), layout, title } };
+}
+
+export const serializeClip = (clip) => ({
+  clipId: clip._id.toString(),
+  roomId: clip.roomId,
+  title: clip.title,
+  start: clip.start,
+  end: clip.end,
+  duration: Number((clip.end - clip.start).toFixed(3)),
+  layout: clip.layout,
+  status: clip.status,
+  error: clip.error,
+  jobId: clip.jobId ? clip.jobId.toString() : null,
+  sizeBytes: clip.sizeBytes,
+  speakerUserId: clip.speakerUserId,
+  createdBy: clip.createdBy.toString(),
+  createdAt: clip.createdAt,
+  finishedAt: clip.finishedAt,
+});
+
+/**
+ * The worker picked the clip job up (first progress report)
+ */
+export async function recordClipRunning(job) {
+  await Clip.updateOne({ jobId: job._id, status: "queued" }, { $set: { status: "running" } });
+}
+
+/**
+ * A clip job finished: its file is in storage, or the error is kept
+ */
+export async function recordClipFinished(job) {
+  const set = {
+    status: job.status,
+    error: job.error || null,
+    finishedAt: job.finishedAt || new Date(),
+  };
+
+  if (job.status === "succeeded") {
+    set.key = clipKey(job.roomId, job.options.clipId);
+    set.sizeBytes = job.result.sizeBytes || 0;
+    set.speakerUserId = job.result.speakerUserId || null;
+    // the worker stops at the end of the recording
+    if (job.result.duration) set.end = Number((job.options.start + job.result.duration).toFixed(3));
+  }
+
+  return Clip.findOneAndUpdate({ jobId: job._id }, { $set: set }, { new: true });
+}
+
+export default {
+  MIN_CLIP_SECONDS,
+  MAX_CLIP_SECONDS,
+  clipKey,
+  validateClipRequest,
+  serializeClip,
+  recordClipRunning,
+  recordClipFinished,
+};
@@ -0,0 +1,518 @@
+// server/src/utils/recordingMetadata.js
+import mongoose from "mongoose";
+import Meeting from "../models/Meeting.js";
+import MergeJob from "../models/MergeJob.js";
+import Recording from "../models/Recording.js";
+import User from "../models/User.js";
+import { findChunkGaps, loadChunkManifest, safeChunkName } from "./chunkManifest.js";
+import { HLS_DIR_NAME, isIntermediateFile } from "./fileHelper.js";
+import { listMeetingFiles, meetingKey } from "./storage/index.js";
+
+/**
+ * The Recording document of a meeting (models/Recording.js) is the source of truth
+ * for its recording state: written on every chunk upload and merge-job transition,
+ * cleared on delete / retention, read by GET /api/recordings/status/:roomId.
+ * Storage is only scanned to rebuild the document of meetings recorded before it existed.
+ */
+
+// merge-worker output file → Recording.outputs field
+const OUTPUT_FILES = {
+  "final-recording.mp4": "final",
+  "final-recording-edited.mp4": "edited",
+  "podcast-master.wav": "master",
+  "podcast.mp3": "mp3",
+  "podcast.m4a": "m4a",
+  "podcast.opus": "opus",
+  "poster.jpg": "poster",
+  "sprite.jpg": "sprite",
+  "thumbnails.vtt": "thumbnails",
+  "multitrack.zip": "multitrack",
+  "transcript.json": "transcript",
+  "transcript.srt": "transcriptSrt",
+  "transcript.vtt": "transcriptVtt",
+};
+
+const HLS_MASTER = `${HLS_DIR_NAME}/master.m3u8`;
+
+// merge job status → recording status
+const MERGE_STATUS = {
+  queued: "queued",
+  running: "merging",
+  succeeded: "ready",
+  failed: "failed",
+};
+
+const isDuplicateKey = (err) => err?.code === 11000;
+
+export const MAX_CHAPTERS = 100;
+const MAX_CHAPTER_TITLE = 200;
+// a pause this long between chunks starts a new auto chapter
+const SESSION_GAP_MS = 30 * 1000;
+
+/**
+ * Create the meeting's Recording if it does not exist yet.
+ * Two concurrent first uploads may both try — the loser's duplicate key error is harmless.
+ */
+async function ensureRecording(meeting) {
+  try {
+    await Recording.updateOne(
+      { roomId: meeting.roomId },
+      { $setOnInsert: { meeting: meeting._id, host: meeting.host } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (!isDuplicateKey(err)) throw err;
+  }
+}
+
+/**
+ * Recording.outputs from a storage listing (listMeetingFiles().outputs)
+ */
+function outputsFromListing(roomId, outputs) {
+  const result = Object.fromEntries(Object.values(OUTPUT_FILES).map((field) => [field, null]));
+
+  for (const [name, file] of Object.entries(outputs)) {
+    const field = OUTPUT_FILES[name];
+    if (field) result[field] = { key: meetingKey(roomId, name), sizeBytes: file.size, updatedAt: file.modifiedAt };
+  }
+
+  const hlsFiles = Object.entries(outputs).filter(([name]) => name.startsWith(`${HLS_DIR_NAME}/`));
+  if (outputs[HLS_MASTER]) {
+    result.hls = {
+      key: meetingKey(roomId, HLS_MASTER),
+      sizeBytes: hlsFiles.reduce((sum, [, file]) => sum + file.size, 0),
+      updatedAt: outputs[HLS_MASTER].modifiedAt,
+    };
+  }
+
+  return result;
+}
+
+/**
+ * A stored chunk. Idempotent per (userId, chunkId): a re-sent chunk is not counted twice.
+ * meeting: { _id, roomId, host } · segment: { userId, chunkId, index, filename, sizeBytes, sha256, startedAt, durationMs }
+ */
+export async function recordSegment(meeting, segment) {
+  const { roomId } = meeting;
+  const { userId, chunkId } = segment;
+  await ensureRecording(meeting);
+
+  await Recording.updateOne(
+    { roomId, "participants.userId": { $ne: userId } },
+    { $push: { participants: { userId } } }
+  );
+
+  const update = {
+    $push: { segments: { ...segment, uploadedAt: new Date() } },
+    $inc: {
+      totalChunks: 1,
+      totalSizeBytes: segment.sizeBytes,
+      "participants.$[p].chunkCount": 1,
+      "participants.$[p].sizeBytes": segment.sizeBytes,
+      "participants.$[p].durationMs": segment.durationMs || 0,
+    },
+  };
+
+  if (segment.startedAt) {
+    const start = new Date(segment.startedAt);
+    const end = new Date(segment.startedAt + (segment.durationMs || 0));
+    update.$min = { startedAt: start, "participants.$[p].firstChunkAt": start };
+    update.$max = { endedAt: end, "participants.$[p].lastChunkAt": end };
+  }
+
+  const { modifiedCount } = await Recording.updateOne(
+    { roomId, segments: { $not: { $elemMatch: { userId, chunkId } } } },
+    update,
+    { arrayFilters: [{ "p.userId": userId }] }
+  );
+
+  // new material after a finished merge → it needs merging again
+  if (modifiedCount > 0) {
+    await Recording.updateOne({ roomId, status: { $in: ["ready", "failed"] } }, { $set: { status: "recorded" } });
+  }
+}
+
+/**
+ * A merge job was queued for the meeting
+ */
+export async function recordMergeQueued(roomId, job) {
+  await Recording.updateOne(
+    { roomId },
+    {
+      $set: {
+        status: "queued",
+        merge: {
+          jobId: job._id,
+          status: "queued",
+          error: null,
+          queuedAt: job.createdAt,
+          startedAt: null,
+          finishedAt: null,
+          loudness: null,
+          cuts: 0,
+          audioDuration: null,
+          introSeconds: 0,
+          tiles: null,
+        },
+      },
+    }
+  );
+}
+
+/**
+ * The worker picked the job up (first progress report)
+ */
+export async function recordMergeRunning(job) {
+  await Recording.updateOne(
+    { roomId: job.roomId, "merge.jobId": job._id, "merge.status": "queued" },
+    { $set: { status: "merging", "merge.status": "running", "merge.startedAt": job.startedAt || new Date() } }
+  );
+}
+
+/**
+ * A merge job finished: record its result and the outputs now in storage
+ */
+export async function recordMergeFinished(job) {
+  const set = {
+    status: MERGE_STATUS[job.status],
+    "merge.jobId": job._id,
+    "merge.status": job.status,
+    "merge.error": job.error || null,
+    "merge.startedAt": job.startedAt,
+    "merge.finishedAt": job.finishedAt || new Date(),
+  };
+
+  if (job.status === "succeeded") {
+    const { outputs } = await listMeetingFiles(job.roomId);
+    set.outputs = outputsFromListing(job.roomId, outputs);
+    set["merge.loudness"] = job.result?.loudness || null;
+    set["merge.cuts"] = job.result?.cuts?.length || 0;
+    set["merge.audioDuration"] = job.result?.audioDuration ?? null;
+    set["merge.introSeconds"] = job.result?.introSeconds || 0;
+    set["merge.tiles"] = job.result?.tiles || null;
+  }
+
+  await Recording.updateOne({ roomId: job.roomId }, { $set: set });
+}
+
+/**
+ * Raw chunks removed (retention): segments go, per-user totals stay
+ */
+export async function recordChunksRemoved(roomId) {
+  await Recording.updateOne({ roomId }, { $set: { segments: [], chunksRemovedAt: new Date() } });
+}
+
+/**
+ * Everything removed (delete / expired final)
+ */
+export async function removeRecording(roomId) {
+  await Recording.deleteOne({ roomId });
+}
+
+/**
+ * Build the Recording of a meeting from storage (chunk manifests + outputs)
+ * and its latest merge job. Returns null when nothing is stored.
+ */
+export async function rebuildRecording(roomId) {
+  const meeting = await Meeting.findOne({ roomId }).select("roomId host");
+  if (!meeting) return null;
+
+  const { files, users, outputs } = await listMeetingFiles(roomId);
+  if (files.length === 0) return null;
+
+  const segments = [];
+  const participants = [];
+
+  for (const [userId, userFiles] of Object.entries(users)) {
+    const sizes = Object.fromEntries(userFiles.map((f) => [f.name, f]));
+    const { chunks } = await loadChunkManifest(roomId, userId);
+    const participant = { userId, chunkCount: 0, sizeBytes: 0, durationMs: 0 };
+
+    for (const chunk of Object.values(chunks)) {
+      const filename = `${safeChunkName(chunk.chunkId)}.webm`;
+      if (!sizes[filename]) continue;
+
+      segments.push({
+        userId,
+        chunkId: chunk.chunkId,
+        index: chunk.index,
+        filename,
+        sizeBytes: sizes[filename].size,
+        sha256: chunk.sha256 || null,
+        startedAt: chunk.startedAt,
+        durationMs: chunk.durationMs,
+        uploadedAt: chunk.receivedAt || sizes[filename].modifiedAt,
+      });
+
+      participant.chunkCount++;
+      participant.sizeBytes += sizes[filename].size;
+      participant.durationMs += chunk.durationMs || 0;
+      if (chunk.startedAt) {
+        const start = new Date(chunk.startedAt);
+        const end = new Date(chunk.startedAt + (chunk.durationMs || 0));
+        if (!participant.firstChunkAt || start < participant.firstChunkAt) participant.firstChunkAt = start;
+        if (!participant.lastChunkAt || end > participant.lastChunkAt) participant.lastChunkAt = end;
+      }
+    }
+
+    // older uploads without a manifest: count the .webm files
+    if (participant.chunkCount === 0) {
+      for (const file of userFiles) {
+        if (!file.name.endsWith(".webm") || isIntermediateFile(`${userId}/${file.name}`)) continue;
+        segments.push({ userId, chunkId: file.name.slice(0, -5), filename: file.name, sizeBytes: file.size, uploadedAt: file.modifiedAt });
+        participant.chunkCount++;
+        participant.sizeBytes += file.size;
+      }
+    }
+
+    participants.push(participant);
+  }
+
+  const starts = participants.map((p) => p.firstChunkAt).filter(Boolean);
+  const ends = participants.map((p) => p.lastChunkAt).filter(Boolean);
+  const job = await MergeJob.findOne({ roomId, kind: { $ne: "clip" } }).sort({ createdAt: -1 });
+  const recordingOutputs = outputsFromListing(roomId, outputs);
+
+  const doc = {
+    meeting: meeting._id,
+    host: meeting.host,
+    status: job ? MERGE_STATUS[job.status] : recordingOutputs.final ? "ready" : "recorded",
+    segments,
+    participants,
+    totalChunks: segments.length,
+    totalSizeBytes: segments.reduce((sum, s) => sum + s.sizeBytes, 0),
+    outputs: recordingOutputs,
+  };
+
+  if (starts.length) doc.startedAt = new Date(Math.min(...starts));
+  if (ends.length) doc.endedAt = new Date(Math.max(...ends));
+  if (job) {
+    doc.merge = {
+      jobId: job._id,
+      status: job.status,
+      error: job.error,
+      queuedAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      loudness: job.result?.loudness || null,
+      cuts: job.result?.cuts?.length || 0,
+      audioDuration: job.result?.audioDuration ?? null,
+      introSeconds: job.result?.introSeconds || 0,
+      tiles: job.result?.tiles || null,
+    };
+  }
+
+  console.log(`🗃️ Rebuilt recording metadata for room ${roomId} from storage (${segments.length} chunk(s))`);
+  return Recording.findOneAndUpdate({ roomId }, { $set: doc }, { upsert: true, new: true });
+}
+
+/**
+ * The meeting's Recording, rebuilt from storage the first time it is asked for
+ */
+export async function getRecording(roomId) {
+  return (await Recording.findOne({ roomId })) || rebuildRecording(roomId);
+}
+
+const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+
+/**
+ * Public shape of a Recording: GET /api/recordings/status/:roomId
+ */
+export async function serializeRecording(recording) {
+  const userIds = recording.participants.map((p) => p.userId).filter((id) => mongoose.isValidObjectId(id));
+  const users = await User.find({ _id: { $in: userIds } }).select("username");
+  const usernames = Object.fromEntries(users.map((u) => [u._id.toString(), u.username]));
+
+  const userChunks = {};
+  let missingChunks = 0;
+
+  const participants = recording.participants.map((p) => {
+    const segments = recording.segments
+      .filter((s) => s.userId === p.userId)
+      .sort((a, b) => (a.startedAt ?? 0) - (b.startedAt ?? 0) || (a.index ?? 0) - (b.index ?? 0));
+    const gaps = findChunkGaps({ chunks: Object.fromEntries(segments.map((s) => [s.chunkId, s])) });
+    const missing = gaps.reduce((sum, g) => sum + g.count, 0);
+    missingChunks += missing;
+
+    userChunks[p.userId] = {
+      count: p.chunkCount,
+      chunks: segments.map((s) => s.filename),
+      sizeBytes: p.sizeBytes,
+      sizeMB: toMB(p.sizeBytes),
+      verifiedChunks: segments.filter((s) => s.sha256).length,
+      missingChunks: missing,
+      gaps,
+    };
+
+    return {
+      userId: p.userId,
+      username: usernames[p.userId] || null,
+      chunkCount: p.chunkCount,
+      sizeBytes: p.sizeBytes,
+      durationMs: p.durationMs,
+      firstChunkAt: p.firstChunkAt || null,
+      lastChunkAt: p.lastChunkAt || null,
+    };
+  });
+
+  const outputs = {};
+  for (const [field, file] of Object.entries(recording.outputs?.toObject?.() || recording.outputs || {})) {
+    if (file) outputs[field] = { key: file.key, sizeBytes: file.sizeBytes, sizeMB: toMB(file.sizeBytes), updatedAt: file.updatedAt };
+  }
+
+  const mergeInProgress = recording.status === "queued" || recording.status === "merging";
+
+  return {
+    roomId: recording.roomId,
+    status: recording.status,
+    startedAt: recording.startedAt || null,
+    endedAt: recording.endedAt || null,
+    durationMs: recording.startedAt && recording.endedAt ? recording.endedAt - recording.startedAt : null,
+    userCount: participants.length,
+    participants,
+    totalChunks: recording.totalChunks,
+    totalSizeBytes: recording.totalSizeBytes,
+    totalSizeMB: toMB(recording.totalSizeBytes),
+    userChunks,
+    missingChunks,
+    hasGaps: missingChunks > 0,
+    chunksRemovedAt: recording.chunksRemovedAt,
+    merge: recording.merge?.jobId
+      ? {
+          jobId: recording.merge.jobId.toString(),
+          status: recording.merge.status,
+          error: recording.merge.error,
+          queuedAt: recording.merge.queuedAt,
+          startedAt: recording.merge.startedAt,
+          finishedAt: recording.merge.finishedAt,
+          loudness: recording.merge.loudness,
+          cuts: recording.merge.cuts,
+          audioDuration: recording.merge.audioDuration ?? null,
+          introSeconds: recording.merge.introSeconds || 0,
+        }
+      : null,
+    mergeInProgress,
+    mergeJobId: mergeInProgress ? recording.merge.jobId.toString() : null,
+    outputs,
+    hasFinalVideo: Boolean(outputs.final),
+    finalInfo: outputs.final || null,
+    hasHls: Boolean(outputs.hls),
+    hasTranscript: Boolean(outputs.transcript),
+    createdAt: recording.createdAt,
+    updatedAt: recording.updatedAt,
+  };
+}
+
+/**
+ * Validate host chapters: [{ start: seconds >= 0, title }]
+ * Returns { chapters } sorted by start, or { error }.
+ */
+export function validateChapters(chapters) {
+  if (!Array.isArray(chapters)) return { error: "chapters must be an array" };
+  if (chapters.length > MAX_CHAPTERS) return { error: `at most ${MAX_CHAPTERS} chapters` };
+
+  const result = [];
+  for (const chapter of chapters) {
+    const start = chapter?.start;
+    const title = typeof chapter?.title === "string" ? chapter.title.trim() : "";
+
+    if (!(Number.isFinite(start) && start >= 0)) {
+      return { error: "chapter start must be a number of seconds >= 0" };
+    }
+    if (!title || title.length > MAX_CHAPTER_TITLE) {
+      return { error: `chapter title must be 1-${MAX_CHAPTER_TITLE} characters` };
+    }
+    result.push({ start, title });
+  }
+
+  result.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < result.length; i++) {
+    if (result[i].start === result[i - 1].start) return { error: "two chapters cannot start at the same time" };
+  }
+
+  return { chapters: result };
+}
+
+/**
+ * Chapters of the final video: the host's, else one per recording session
+ * (recorder restarted or a pause of SESSION_GAP_MS) when there is more than one.
+ * An intro bumper (merge.introSeconds) gets a chapter of its own and moves the sessions.
+ * Returns { chapters: [{ start, title }], source: "host" | "auto" }.
+ */
+export function getChapters(recording) {
+  if (recording.chapters?.length > 0) {
+    return { chapters: recording.chapters.map((c) => ({ start: c.start, title: c.title })), source: "host" };
+  }
+
+  const origin = recording.startedAt ? new Date(recording.startedAt).getTime() : null;
+  const timed = [...recording.segments]
+    .filter((s) => s.startedAt)
+    .sort((a, b) => a.startedAt - b.startedAt);
+  const introSeconds = recording.merge?.introSeconds || 0;
+  if (origin === null || timed.length === 0) return { chapters: [], source: "auto" };
+
+  const starts = [timed[0].startedAt];
+  let end = timed[0].startedAt + (timed[0].durationMs || 0);
+
+  for (const segment of timed.slice(1)) {
+    if (segment.startedAt - end > SESSION_GAP_MS) starts.push(segment.startedAt);
+    end = Math.max(end, segment.startedAt + (segment.durationMs || 0));
+  }
+
+  if (starts.length < 2 && introSeconds === 0) return { chapters: [], source: "auto" };
+
+  const parts = starts.map((ms, i) => ({ start: introSeconds + Math.max(0, (ms - origin) / 1000), title: `Part ${i + 1}` }));
+  return {
+    chapters: introSeconds > 0 ? [{ start: 0, title: "Intro" }, ...parts] : parts,
+    source: "auto",
+  };
+}
+
+/**
+ * Library entry of a Recording (GET /api/recordings) — no per-chunk detail.
+ * meeting: { roomId, title, host, createdAt } · usernames: { [userId]: username }
+ */
+export function summarizeRecording(recording, meeting, usernames, userId) {
+  const outputs = Object.entries(recording.outputs || {}).filter(([, file]) => file);
+  const outputBytes = outputs.reduce((sum, [, file]) => sum + file.sizeBytes, 0);
+  const hostId = meeting.host.toString();
+
+  return {
+    roomId: recording.roomId,
+    title: meeting.title || "",
+    date: recording.startedAt || meeting.createdAt,
+    startedAt: recording.startedAt || null,
+    endedAt: recording.endedAt || null,
+    durationMs: recording.startedAt && recording.endedAt ? recording.endedAt - recording.startedAt : null,
+    host: { userId: hostId, username: usernames[hostId] || null },
+    isHost: hostId === String(userId),
+    participants: recording.participants.map((p) => ({ userId: p.userId, username: usernames[p.userId] || null })),
+    status: recording.status,
+    sizeBytes: recording.totalSizeBytes + outputBytes,
+    finalSizeBytes: recording.outputs?.final?.sizeBytes ?? null,
+    hasFinalVideo: Boolean(recording.outputs?.final),
+    hasEdited: Boolean(recording.outputs?.edited),
+    hasHls: Boolean(recording.outputs?.hls),
+    hasThumbnails: Boolean(recording.outputs?.poster),
+    audioFormats: ["mp3", "m4a", "opus"].filter((format) => recording.outputs?.[format]),
+    hasMultitrack: Boolean(recording.outputs?.multitrack),
+    hasTranscript: Boolean(recording.outputs?.transcript),
+    chunksRemovedAt: recording.chunksRemovedAt || null,
+    updatedAt: recording.updatedAt,
+  };
+}
+
+export default {
+  recordSegment,
+  recordMergeQueued,
+  recordMergeRunning,
+  recordMergeFinished,
+  recordChunksRemoved,
+  removeRecording,
+  rebuildRecording,
+  getRecording,
+  serializeRecording,
+  summarizeRecording,
+  validateChapters,
+  getChapters,
+};
@@ -0,0 +1,417 @@
+// server/src/utils/recordingSettings.js
+import mongoose from "mongoose";
+
+/**
+ * Per-meeting recording/merge settings, stored on Meeting.metaData.recording.
+ * Must stay in line with what merge-worker understands
+ * (merge-worker/src/utils/layouts.js, audioExport.js, multitrackExport.js, audioMastering.js,
+ * silenceTrim.js, hlsExport.js, transcription.js, captions.js, bumpers.js).
+ */
+export const LAYOUTS = ["grid", "pip", "side-by-side"];
+export const AUDIO_FORMATS = ["mp3", "m4a", "opus"];
+export const AUDIO_BITRATES = ["64k", "96k", "128k", "160k", "192k", "256k", "320k"];
+export const MULTITRACK_AUDIO_FORMATS = ["flac", "wav"];
+// stereo → -16 LUFS, mono → -19 LUFS
+export const MASTERING_MODES = ["stereo", "mono"];
+export const MAX_PAUSE_RANGE = { min: 0.5, max: 30 };
+// "auto" lets the engine detect it; otherwise "en", "de", "en-us" ...
+const TRANSCRIPT_LANGUAGE_PATTERN = /^(auto|[a-z]{2,3}(-[a-z]{2,4})?)$/;
+// soft: toggleable subtitle track · burn: drawn into the video (needs the transcript)
+export const CAPTION_MODES = ["off", "soft", "burn"];
+export const CAPTION_POSITIONS = ["bottom", "top"];
+// burned caption height in pixels on the output canvas
+export const CAPTION_FONT_SIZE_RANGE = { min: 12, max: 160 };
+// intro / outro / music bed from the host's asset library (assetLibrary.js)
+export const BUMPER_ASSET_KEYS = ["introAssetId", "outroAssetId", "musicAssetId"];
+// music bed level under the speech, in dB
+export const MUSIC_VOLUME_DB_RANGE = { min: -40, max: 0 };
+export const CROSSFADE_SECONDS_RANGE = { min: 0, max: 10 };
+// a meeting setting that switches one of its show's bumpers off
+export const NO_BUMPER = "none";
+
+// bumpers of a show (Show.bumpers), and what a meeting falls back to without one
+export const DEFAULT_BUMPER_SETTINGS = {
+  introAssetId: null,
+  outroAssetId: null,
+  musicAssetId: null,
+  musicVolumeDb: -20,
+  duckMusic: true,
+  crossfadeSeconds: 2,
+};
+
+export const DEFAULT_RECORDING_SETTINGS = {
+  layout: "grid",
+  canvas: "1920x1080",
+  audioFormats: ["mp3", "m4a"],
+  audioBitrate: "192k",
+  multitrack: false,
+  multitrackAudioFormat: "flac",
+  mastering: false,
+  masteringMode: "stereo",
+  noiseGate: true,
+  trimSilence: false,
+  shortenPauses: false,
+  maxPauseSeconds: 2,
+  hls: true,
+  transcribe: false,
+  transcriptLanguage: "auto",
+  captions: "off",
+  captionFontSize: 48,
+  captionPosition: "bottom",
+  // the show whose bumpers apply; every bumper key below left at null follows it
+  showId: null,
+  introAssetId: null,
+  outroAssetId: null,
+  musicAssetId: null,
+  musicVolumeDb: null,
+  duckMusic: null,
+  crossfadeSeconds: null,
+};
+
+const CANVAS_PATTERN = /^(\d{3,4})x(\d{3,4})$/;
+
+/**
+ * Effective settings for a meeting (defaults + whatever the host saved).
+ */
+export function getRecordingSettings(meeting) {
+  return {
+    ...DEFAULT_RECORDING_SETTINGS,
+    ...(meeting?.metaData?.recording || {}),
+  };
+}
+
+/**
+ * Validate bumper fields (of a show, or of a meeting with inherit: true — null then means
+ * "the show's", and NO_BUMPER switches a show's intro/outro/music off).
+ * Only the shape is checked here; the controllers check that the assets are the user's.
+ * Returns { settings } with only the recognised keys, or { error }.
+ */
+export function validateBumperSettings(body = {}, { inherit = false } = {}) {
+  const settings = {};
+
+  for (const key of BUMPER_ASSET_KEYS) {
+    const value = body[key];
+    if (value === undefined) continue;
+
+    const valid = value === null || (inherit && value === NO_BUMPER) || mongoose.isValidObjectId(value);
+    if (!valid) {
+      return { error: `${key} must be an asset id${inherit ? `, "${NO_BUMPER}"` : ""} or null` };
+    }
+    settings[key] = value === null ? null : String(value);
+  }
+
+  // null: follow the show (meetings only)
+  const inherited = (key) => inherit && body[key] === null;
+
+  if (body.musicVolumeDb !== undefined) {
+    const value = body.musicVolumeDb;
+    const inRange = Number.isFinite(value) && value >= MUSIC_VOLUME_DB_RANGE.min && value <= MUSIC_VOLUME_DB_RANGE.max;
+    if (!inRange && !inherited("musicVolumeDb")) {
+      return { error: `musicVolumeDb must be between ${MUSIC_VOLUME_DB_RANGE.min} and ${MUSIC_VOLUME_DB_RANGE.max}` };
+    }
+    settings.musicVolumeDb = value;
+  }
+
+  if (body.duckMusic !== undefined) {
+    if (typeof body.duckMusic !== "boolean" && !inherited("duckMusic")) {
+      return { error: "duckMusic must be true or false" };
+    }
+    settings.duckMusic = body.duckMusic;
+  }
+
+  if (body.crossfadeSeconds !== undefined) {
+    const value = body.crossfadeSeconds;
+    const inRange = Number.isFinite(value) && value >= CROSSFADE_SECONDS_RANGE.min && value <= CROSSFADE_SECONDS_RANGE.max;
+    if (!inRange && !inherited("crossfadeSeconds")) {
+      return { error: `crossfadeSeconds must be between ${CROSSFADE_SECONDS_RANGE.min} and ${CROSSFADE_SECONDS_RANGE.max}` };
+    }
+    settings.crossfadeSeconds = value;
+  }
+
+  return { settings };
+}
+
+/**
+ * Validate a partial settings update from the client.
+ * Returns { settings } with only the recognised keys, or { error }.
+ */
+export function validateRecordingSettings(body = {}) {
+  const settings = {};
+
+  if (body.layout !== undefined) {
+    if (!LAYOUTS.includes(body.layout)) {
+      return { error: `layout must be one of: ${LAYOUTS.join(", ")}` };
+    }
+    settings.layout = body.layout;
+  }
+
+  if (body.canvas !== undefined) {
+    const match = typeof body.canvas === "string" && body.canvas.match(CANVAS_PATTERN);
+    const inRange = match && [match[1], match[2]].every((n) => n >= 160 && n <= 3840);
+    if (!inRange) {
+      return { error: "canvas must look like 1920x1080 (160-3840 per side)" };
+    }
+    settings.canvas = body.canvas;
+  }
+
+  if (body.audioFormats !== undefined) {
+    const valid = Array.isArray(body.audioFormats)
+      && body.audioFormats.every((f) => AUDIO_FORMATS.includes(f));
+    if (!valid) {
+      return { error: `audioFormats must be a list of: ${AUDIO_FORMATS.join(", ")}` };
+    }
+    settings.audioFormats = [...new Set(body.audioFormats)];
+  }
+
+  if (body.audioBitrate !== undefined) {
+    if (!AUDIO_BITRATES.includes(body.audioBitrate)) {
+      return { error: `audioBitrate must be one of: ${AUDIO_BITRATES.join(", ")}` };
+    }
+    settings.audioBitrate = body.audioBitrate;
+  }
+
+  if (body.multitrack !== undefined) {
+    if (typeof body.multitrack !== "boolean") {
+      return { error: "multitrack must be true or false" };
+    }
+    settings.multitrack = body.multitrack;
+  }
+
+  if (body.multitrackAudioFormat !== undefined) {
+    if (!MULTITRACK_AUDIO_FORMATS.includes(body.multitrackAudioFormat)) {
+      return { error: `multitrackAudioFormat must be one of: ${MULTITRACK_AUDIO_FORMATS.join(", ")}` };
+    }
+    settings.multitrackAudioFormat = body.multitrackAudioFormat;
+  }
+
+  if (body.mastering !== undefined) {
+    if (typeof body.mastering !== "boolean") {
+      return { error: "mastering must be true or false" };
+    }
+    settings.mastering = body.mastering;
+  }
+
+  if (body.masteringMode !== undefined) {
+    if (!MASTERING_MODES.includes(body.masteringMode)) {
+      return { error: `masteringMode must be one of: ${MASTERING_MODES.join(", ")}` };
+    }
+    settings.masteringMode = body.masteringMode;
+  }
+
+  if (body.noiseGate !== undefined) {
+    if (typeof body.noiseGate !== "boolean") {
+      return { error: "noiseGate must be true or false" };
+    }
+    settings.noiseGate = body.noiseGate;
+  }
+
+  if (body.trimSilence !== undefined) {
+    if (typeof body.trimSilence !== "boolean") {
+      return { error: "trimSilence must be true or false" };
+    }
+    settings.trimSilence = body.trimSilence;
+  }
+
+  if (body.shortenPauses !== undefined) {
+    if (typeof body.shortenPauses !== "boolean") {
+      return { error: "shortenPauses must be true or false" };
+    }
+    settings.shortenPauses = body.shortenPauses;
+  }
+
+  if (body.maxPauseSeconds !== undefined) {
+    const value = body.maxPauseSeconds;
+    if (!Number.isFinite(value) || value < MAX_PAUSE_RANGE.min || value > MAX_PAUSE_RANGE.max) {
+      return { error: `maxPauseSeconds must be between ${MAX_PAUSE_RANGE.min} and ${MAX_PAUSE_RANGE.max}` };
+    }
+    settings.maxPauseSeconds = value;
+  }
+
+  if (body.hls !== undefined) {
+    if (typeof body.hls !== "boolean") {
+      return { error: "hls must be true or false" };
+    }
+    settings.hls = body.hls;
+  }
+
+  if (body.transcribe !== undefined) {
+    if (typeof body.transcribe !== "boolean") {
+      return { error: "transcribe must be true or false" };
+    }
+    settings.transcribe = body.transcribe;
+  }
+
+  if (body.transcriptLanguage !== undefined) {
+    const valid = typeof body.transcriptLanguage === "string"
+      && TRANSCRIPT_LANGUAGE_PATTERN.test(body.transcriptLanguage.toLowerCase());
+    if (!valid) {
+      return { error: "transcriptLanguage must be \"auto\" or a language code like \"en\"" };
+    }
+    settings.transcriptLanguage = body.transcriptLanguage.toLowerCase();
+  }
+
+  if (body.captions !== undefined) {
+    if (!CAPTION_MODES.includes(body.captions)) {
+      return { error: `captions must be one of: ${CAPTION_MODES.join(", ")}` };
+    }
+    settings.captions = body.captions;
+  }
+
+  if (body.captionFontSize !== undefined) {
+    const value = body.captionFontSize;
+    if (!Number.isInteger(value) || value < CAPTION_FONT_SIZE_RANGE.min || value > CAPTION_FONT_SIZE_RANGE.max) {
+      return { error: `captionFontSize must be a whole number between ${CAPTION_FONT_SIZE_RANGE.min} and ${CAPTION_FONT_SIZE_RANGE.max}` };
+    }
+    settings.captionFontSize = value;
+  }
+
+  if (body.captionPosition !== undefined) {
+    if (!CAPTION_POSITIONS.includes(body.captionPosition)) {
+      return { error: `captionPosition must be one of: ${CAPTION_POSITIONS.join(", ")}` };
+    }
+    settings.captionPosition = body.captionPosition;
+  }
+
+  if (body.showId !== undefined) {
+    if (body.showId !== null && !mongoose.isValidObjectId(body.showId)) {
+      return { error: "showId must be a show id or null" };
+    }
+    settings.showId = body.showId === null ? null : String(body.showId);
+  }
+
+  const bumpers = validateBumperSettings(body, { inherit: true });
+  if (bumpers.error) return { error: bumpers.error };
+  Object.assign(settings, bumpers.settings);
+
+  return { settings };
+}
+
+/**
+ * Captions chosen for one export (POST /api/recordings/merge/:roomId { captions }):
+ * { mode?: "off" | "soft" | "burn", fontSize?: number, position?: "bottom" | "top" },
+ * each left out falls back to the meeting's saved setting (see exportCaptionOptions).
+ * Returns { captions } with only the given keys, or { error }.
+ */
+export function validateExportCaptions(value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return { error: "captions must be an object: { mode, fontSize, position }" };
+  }
+
+  const captions = {};
+
+  if (value.mode !== undefined) {
+    if (!CAPTION_MODES.includes(value.mode)) {
+      return { error: `captions.mode must be one of: ${CAPTION_MODES.join(", ")}` };
+    }
+    captions.mode = value.mode;
+  }
+
+  if (value.fontSize !== undefined) {
+    const size = value.fontSize;
+    if (!Number.isInteger(size) || size < CAPTION_FONT_SIZE_RANGE.min || size > CAPTION_FONT_SIZE_RANGE.max) {
+      return { error: `captions.fontSize must be a whole number between ${CAPTION_FONT_SIZE_RANGE.min} and ${CAPTION_FONT_SIZE_RANGE.max}` };
+    }
+    captions.fontSize = size;
+  }
+
+  if (value.position !== undefined) {
+    if (!CAPTION_POSITIONS.includes(value.position)) {
+      return { error: `captions.position must be one of: ${CAPTION_POSITIONS.join(", ")}` };
+    }
+    captions.position = value.position;
+  }
+
+  return { captions };
+}
+
+/**
+ * Merge options (buildMergeOptions) with one export's captions laid over the saved ones;
+ * captions turn the transcription on, as they do in the meeting's settings.
+ */
+export function exportCaptionOptions(options, captions) {
+  const merged = { ...options.captions, ...captions };
+  return {
+    ...options,
+    captions: merged,
+    transcription: {
+      ...options.transcription,
+      enabled: Boolean(options.transcription?.enabled) || merged.mode !== "off",
+    },
+  };
+}
+
+/**
+ * Options handed to the merge-worker for this meeting.
+ * Expects meeting.host populated with `username` for the audio tags (falls back to no artist).
+ */
+export function buildMergeOptions(meeting) {
+  const settings = getRecordingSettings(meeting);
+  const host = meeting?.host;
+  const hostId = host?._id || host;
+
+  return {
+    layout: settings.layout,
+    canvas: settings.canvas,
+    speakerUserId: hostId ? hostId.toString() : null,
+    audio: {
+      formats: settings.audioFormats,
+      bitrate: settings.audioBitrate,
+    },
+    multitrack: {
+      enabled: settings.multitrack,
+      audioFormat: settings.multitrackAudioFormat,
+    },
+    mastering: {
+      enabled: settings.mastering,
+      mode: settings.masteringMode,
+      noiseGate: settings.noiseGate,
+    },
+    silenceTrim: {
+      enabled: settings.trimSilence,
+      shortenPauses: settings.shortenPauses,
+      maxPauseSeconds: settings.maxPauseSeconds,
+    },
+    hls: {
+      enabled: settings.hls,
+    },
+    // captions are made from the transcript, so asking for them turns it on
+    transcription: {
+      enabled: settings.transcribe || settings.captions !== "off",
+      language: settings.transcriptLanguage,
+    },
+    captions: {
+      mode: settings.captions,
+      fontSize: settings.captionFontSize,
+      position: settings.captionPosition,
+    },
+    metadata: {
+      title: meeting?.title || null,
+      artist: host?.username || null,
+      date: meeting?.createdAt ? meeting.createdAt.toISOString().slice(0, 10) : null,
+    },
+  };
+}
+
+export default {
+  LAYOUTS,
+  AUDIO_FORMATS,
+  AUDIO_BITRATES,
+  MULTITRACK_AUDIO_FORMATS,
+  MASTERING_MODES,
+  MAX_PAUSE_RANGE,
+  CAPTION_MODES,
+  CAPTION_POSITIONS,
+  CAPTION_FONT_SIZE_RANGE,
+  BUMPER_ASSET_KEYS,
+  MUSIC_VOLUME_DB_RANGE,
+  CROSSFADE_SECONDS_RANGE,
+  NO_BUMPER,
+  DEFAULT_BUMPER_SETTINGS,
+  DEFAULT_RECORDING_SETTINGS,
+  getRecordingSettings,
+  validateBumperSettings,
+  validateRecordingSettings,
+  validateExportCaptions,
+  exportCaptionOptions,
+  buildMergeOptions,
+};
@@ -0,0 +1,159 @@
+// server/src/utils/retentionPolicy.js
+import dotenv from "dotenv";
+import { isIntermediateFile } from "./fileHelper.js";
+dotenv.config();
+
+/**
+ * How long recordings are kept. Server-wide defaults from .env,
+ * overridden per meeting on Meeting.retention (null = use the default).
+ *
+ *   RETENTION_CHUNK_DAYS  raw chunks (+ timing sidecars, manifest) — default 14,
+ *                         counted from the last upload; only once a final recording exists
+ *   RETENTION_FINAL_DAYS  final recording and every other output — default 0,
+ *                         counted from the last merge; pinned meetings and recordings
+ *                         published as podcast episodes are never expired
+ *
+ * 0 days = keep forever. Merge intermediates are always removed.
+ */
+export const MAX_RETENTION_DAYS = 3650;
+
+const envDays = (value, fallback) => {
+  const days = Number(value);
+  return value !== undefined && value !== "" && Number.isInteger(days) && days >= 0 ? days : fallback;
+};
+
+export const DEFAULT_RETENTION = {
+  pinned: false,
+  chunkDays: envDays(process.env.RETENTION_CHUNK_DAYS, 14),
+  finalDays: envDays(process.env.RETENTION_FINAL_DAYS, 0),
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINAL_FILE = "final-recording.mp4";
+
+/**
+ * Effective policy for a meeting (defaults + its override)
+ */
+export function getRetentionPolicy(meeting) {
+  const override = meeting?.retention || {};
+  return {
+    pinned: Boolean(override.pinned),
+    chunkDays: override.chunkDays ?? DEFAULT_RETENTION.chunkDays,
+    finalDays: override.finalDays ?? DEFAULT_RETENTION.finalDays,
+  };
+}
+
+/**
+ * Validate an override update: { pinned?, chunkDays?, finalDays? }
+ * (days: whole number 0-MAX_RETENTION_DAYS, or null to fall back to the default).
+ * Returns { override } with only the recognised keys, or { error }.
+ */
+export function validateRetentionOverride(body = {}) {
+  const override = {};
+
+  if (body.pinned !== undefined) {
+    if (typeof body.pinned !== "boolean") {
+      return { error: "pinned must be true or false" };
+    }
+    override.pinned = body.pinned;
+  }
+
+  for (const key of ["chunkDays", "finalDays"]) {
+    if (body[key] === undefined) continue;
+
+    const value = body[key];
+    if (value !== null && !(Number.isInteger(value) && value >= 0 && value <= MAX_RETENTION_DAYS)) {
+      return { error: `${key} must be a whole number of days (0-${MAX_RETENTION_DAYS}, 0 = forever) or null` };
+    }
+    override[key] = value;
+  }
+
+  return { override };
+}
+
+const newest = (entries) => Math.max(...entries.map((e) => new Date(e.modifiedAt).getTime()));
+const totalBytes = (entries) => entries.reduce((sum, e) => sum + e.size, 0);
+
+/**
+ * What the policy removes from a meeting right now.
+ * listing: listMeetingFiles(roomId) (storage/index.js)
+ * Returns {
+ *   actions: [{ kind: "intermediates" | "chunks" | "all", reason, keys, bytes, userIds? }],
+ *   kept:    [reason],   // why something that looks expired stays
+ * }
+ * "all" (expired final) replaces the other actions.
+ */
+export function planRetention(roomId, policy, listing, now = new Date()) {
+  const actions = [];
+  const kept = [];
+  const ageDays = (ms) => (now.getTime() - ms) / DAY_MS;
+
+  const intermediates = [];
+  const chunks = {};
+
+  for (const [userId, files] of Object.entries(listing.users)) {
+    for (const file of files) {
+      const entry = { key: `${roomId}/${userId}/${file.name}`, size: file.size, modifiedAt: file.modifiedAt };
+      if (isIntermediateFile(`${userId}/${file.name}`)) intermediates.push(entry);
+      else (chunks[userId] ||= []).push(entry);
+    }
+  }
+
+  for (const [name, file] of Object.entries(listing.outputs)) {
+    if (isIntermediateFile(name)) intermediates.push({ key: `${roomId}/${name}`, ...file });
+  }
+
+  const final = listing.outputs[FINAL_FILE];
+
+  if (final && policy.finalDays > 0 && ageDays(new Date(final.modifiedAt).getTime()) > policy.finalDays) {
+    if (policy.pinned || policy.published) {
+      const why = policy.pinned ? "the meeting is pinned" : "it is published as a podcast episode";
+      kept.push(`final recording is older than ${policy.finalDays} days but ${why}`);
+    } else {
+      const all = listing.files;
+      return {
+        actions: [{
+          kind: "all",
+          reason: `final recording is older than ${policy.finalDays} days`,
+          keys: all.map((f) => f.key),
+          bytes: totalBytes(all),
+        }],
+        kept,
+      };
+    }
+  }
+
+  if (intermediates.length > 0) {
+    actions.push({
+      kind: "intermediates",
+      reason: "merge intermediates",
+      keys: intermediates.map((f) => f.key),
+      bytes: totalBytes(intermediates),
+    });
+  }
+
+  const chunkFiles = Object.values(chunks).flat();
+  if (chunkFiles.length > 0 && policy.chunkDays > 0 && ageDays(newest(chunkFiles)) > policy.chunkDays) {
+    if (final) {
+      actions.push({
+        kind: "chunks",
+        reason: `raw chunks older than ${policy.chunkDays} days`,
+        userIds: Object.keys(chunks),
+        keys: chunkFiles.map((f) => f.key),
+        bytes: totalBytes(chunkFiles),
+      });
+    } else {
+      kept.push(`raw chunks are older than ${policy.chunkDays} days but were never merged`);
+    }
+  }
+
+  return { actions, kept };
+}
+
+export default {
+  MAX_RETENTION_DAYS,
+  DEFAULT_RETENTION,
+  getRetentionPolicy,
+  validateRetentionOverride,
+  planRetention,
+};
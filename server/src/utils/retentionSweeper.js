@@ -0,0 +1,148 @@
+// server/src/utils/retentionSweeper.js
+import dotenv from "dotenv";
+import path from "path";
+import fs from "fs";
+import Meeting from "../models/Meeting.js";
+import Episode from "../models/Episode.js";
+import Clip from "../models/Clip.js";
+import { deleteMeetingDir, RECORDINGS_DIR } from "./fileHelper.js";
+import { findActiveMergeJob } from "./mergeWorkerClient.js";
+import { recordChunksRemoved, removeRecording } from "./recordingMetadata.js";
+import { getRetentionPolicy, planRetention } from "./retentionPolicy.js";
+import { getStorage, listMeetingFiles } from "./storage/index.js";
+import { refreshMeetingUsage } from "./storageUsage.js";
+dotenv.config();
+
+// RETENTION_SWEEP_INTERVAL_MINUTES=0 turns the scheduled sweep off
+const SWEEP_INTERVAL_MINUTES = Number(process.env.RETENTION_SWEEP_INTERVAL_MINUTES ?? 60);
+// RETENTION_DRY_RUN=true → the scheduled sweep only logs what it would delete
+const DRY_RUN = process.env.RETENTION_DRY_RUN === "true";
+
+/**
+ * Retention plan (retentionPolicy.js) for one meeting, without deleting anything.
+ * Returns { roomId, policy, actions, kept } — or { roomId, skipped } when the meeting
+ * must not be touched right now.
+ */
+export async function planMeetingRetention(meeting, now = new Date()) {
+  const { roomId } = meeting;
+  // published audio is linked from podcast feeds
+  const policy = { ...getRetentionPolicy(meeting), published: Boolean(await Episode.exists({ roomId })) };
+
+  if (meeting.isActive) return { roomId, policy, skipped: "meeting is still active" };
+  if (await findActiveMergeJob(roomId)) return { roomId, policy, skipped: "merge in progress" };
+  if (await Clip.exists({ roomId, status: { $in: ["queued", "running"] } })) {
+    return { roomId, policy, skipped: "clip in progress" };
+  }
+
+  const listing = await listMeetingFiles(roomId);
+  return { roomId, policy, ...planRetention(roomId, policy, listing, now) };
+}
+
+/**
+ * Carry out a plan. Chunk/meeting removal also drops the server's local staging copy
+ * (the same folder with the local storage driver). The freed bytes come off the host's
+ * storage usage.
+ */
+async function applyPlan(plan) {
+  const storage = getStorage();
+
+  for (const action of plan.actions) {
+    if (action.kind === "all") {
+      await storage.removeAll(plan.roomId);
+      deleteMeetingDir(plan.roomId);
+      await removeRecording(plan.roomId);
+      await Clip.deleteMany({ roomId: plan.roomId });
+    } else if (action.kind === "chunks") {
+      for (const userId of action.userIds) {
+        await storage.removeAll(`${plan.roomId}/${userId}`);
+        fs.rmSync(path.join(RECORDINGS_DIR, plan.roomId, userId), { recursive: true, force: true });
+      }
+      await recordChunksRemoved(plan.roomId);
+    } else {
+      for (const key of action.keys) await storage.remove(key);
+    }
+  }
+
+  if (plan.actions.length > 0) await refreshMeetingUsage(plan.roomId);
+}
+
+/**
+ * sweepRecordings({ dryRun, now, roomIds })
+ * Applies the retention policy to every ended meeting (or just roomIds).
+ * Returns the report:
+ * {
+ *   dryRun, startedAt, finishedAt,
+ *   meetings: [{ roomId, policy, actions, kept } | { roomId, policy, skipped } | { roomId, error }],
+ *   totals: { files, bytes },
+ * }
+ * Meetings with nothing to do are left out of the report.
+ */
+export async function sweepRecordings({ dryRun = DRY_RUN, now = new Date(), roomIds } = {}) {
+  const report = { dryRun, startedAt: new Date(), finishedAt: null, meetings: [], totals: { files: 0, bytes: 0 } };
+  const query = roomIds ? { roomId: { $in: roomIds } } : { isActive: false };
+
+  for await (const meeting of Meeting.find(query).select("roomId isActive retention").cursor()) {
+    try {
+      const plan = await planMeetingRetention(meeting, now);
+      if (!plan.skipped && plan.actions.length === 0 && plan.kept.length === 0) continue;
+
+      if (!plan.skipped && !dryRun) await applyPlan(plan);
+
+      for (const action of plan.actions || []) {
+        report.totals.files += action.keys.length;
+        report.totals.bytes += action.bytes;
+      }
+      report.meetings.push(plan);
+    } catch (err) {
+      console.error(`retention sweep error for room ${meeting.roomId}:`, err.message);
+      report.meetings.push({ roomId: meeting.roomId, error: err.message });
+    }
+  }
+
+  report.finishedAt = new Date();
+  const verb = dryRun ? "would remove" : "removed";
+  console.log(
+    `🧹 Retention sweep ${verb} ${report.totals.files} file(s), ` +
+    `${(report.totals.bytes / 1024 / 1024).toFixed(2)} MB across ${report.meetings.length} meeting(s)`
+  );
+  if (dryRun) {
+    for (const m of report.meetings) {
+      for (const action of m.actions || []) console.log(`   ${m.roomId}: ${action.reason} (${action.keys.length} file(s))`);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * startRetentionSweeper()
+ * Runs sweepRecordings() now and every RETENTION_SWEEP_INTERVAL_MINUTES.
+ */
+export function startRetentionSweeper() {
+  if (!(SWEEP_INTERVAL_MINUTES > 0)) {
+    console.log("🧹 Retention sweeper disabled (RETENTION_SWEEP_INTERVAL_MINUTES=0)");
+    return null;
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepRecordings();
+    } catch (err) {
+      console.error("retention sweeper error:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+}
+
+export default {
+  planMeetingRetention,
+  sweepRecordings,
+  startRetentionSweeper,
+};
@@ -0,0 +1,96 @@
+// server/src/utils/storage/index.js
+import { OUTPUT_DIRS, RECORDINGS_DIR } from "../fileHelper.js";
+import { createLocalDriver } from "./localDriver.js";
+import { createS3Driver } from "./s3Driver.js";
+
+/**
+ * Where recordings live, shared by the API server and merge-worker:
+ *
+ *   STORAGE_DRIVER=local (default)  server/recordings on this machine
+ *   STORAGE_DRIVER=s3               S3-compatible bucket:
+ *     S3_BUCKET, S3_REGION (us-east-1), S3_ENDPOINT (e.g. http://localhost:9000 for MinIO),
+ *     S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE (default on with S3_ENDPOINT),
+ *     S3_PREFIX (optional key prefix)
+ *
+ * Keys mirror the local layout: "<roomId>/<userId>/<chunk>.webm", "<roomId>/final-recording.mp4", ...
+ * With the s3 driver server/recordings is only a staging area for incoming chunks.
+ *
+ * Every driver: putFile, putBuffer, getFile, getBuffer, stat, createReadStream, list, remove, removeAll.
+ *
+ * The server and merge-worker are separate packages, deployed apart with their own
+ * node_modules, so each carries a copy of the drivers (kept identical by
+ * test/sharedModules.test.js). This file differs: only the server lists meeting files.
+ */
+let storage = null;
+
+function createStorage() {
+  const driver = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+
+  if (driver === "local") return createLocalDriver(RECORDINGS_DIR);
+
+  if (driver === "s3") {
+    const endpoint = process.env.S3_ENDPOINT || undefined;
+    return createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === "true"
+        : Boolean(endpoint),
+      prefix: process.env.S3_PREFIX,
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (use local or s3)`);
+}
+
+/**
+ * The configured driver (created on first use, after .env is loaded)
+ */
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`🗄️ Recording storage: ${storage.name}${storage.bucket ? ` (bucket ${storage.bucket})` : ""}`);
+  }
+  return storage;
+}
+
+/**
+ * meetingKey("abc", "user1", "1.webm") → "abc/user1/1.webm"
+ */
+export const meetingKey = (roomId, ...parts) => [roomId, ...parts].map(String).join("/");
+
+/**
+ * Everything stored for a meeting, split by folder:
+ * {
+ *   files,                                   // every object, as returned by list()
+ *   users: { <userId>: [{ name, size, modifiedAt }] },   // chunk folders
+ *   outputs: { <name>: { size, modifiedAt } },          // merge results, "hls/..." and "clips/..." included
+ * }
+ */
+export async function listMeetingFiles(roomId) {
+  const files = await getStorage().list(String(roomId));
+  const users = {};
+  const outputs = {};
+
+  for (const file of files) {
+    const parts = file.key.split("/").slice(1);
+    const entry = { size: file.size, modifiedAt: file.modifiedAt };
+
+    if (parts.length === 1 || OUTPUT_DIRS.includes(parts[0])) {
+      outputs[parts.join("/")] = entry;
+    } else {
+      (users[parts[0]] ||= []).push({ name: parts.slice(1).join("/"), ...entry });
+    }
+  }
+
+  return { files, users, outputs };
+}
+
+export default {
+  getStorage,
+  meetingKey,
+  listMeetingFiles,
+};
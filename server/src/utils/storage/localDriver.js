@@ -0,0 +1,104 @@
+// server/src/utils/storage/localDriver.js
+// Shared with merge-worker (merge-worker/src/utils/storage/localDriver.js): both files must stay identical
+// apart from this comment (server/test/sharedModules.test.js checks it).
+import fs from "fs";
+import path from "path";
+
+const isMissing = (err) => err.code === "ENOENT" || err.code === "ENOTDIR";
+
+/**
+ * Storage on a local (or mounted network) disk.
+ * Keys are "/"-separated paths below `root`.
+ */
+export function createLocalDriver(root) {
+  const base = path.resolve(root);
+
+  const resolveKey = (key) => {
+    const full = path.resolve(base, ...String(key).split("/"));
+    if (full !== base && !full.startsWith(base + path.sep)) {
+      throw new Error(`Storage key escapes the storage root: ${key}`);
+    }
+    return full;
+  };
+
+  const copy = async (from, to) => {
+    if (path.resolve(from) === path.resolve(to)) return;
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    await fs.promises.copyFile(from, to);
+  };
+
+  const walk = async (dir, out) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (isMissing(err)) return out;
+      throw err;
+    }
+
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full, out);
+      } else if (entry.isFile() && !entry.name.endsWith(".tmp")) {
+        const stat = await fs.promises.stat(full);
+        out.push({
+          key: path.relative(base, full).split(path.sep).join("/"),
+          size: stat.size,
+          modifiedAt: stat.mtime,
+        });
+      }
+    }
+    return out;
+  };
+
+  return {
+    name: "local",
+    root: base,
+
+    // where the object lives on this machine (local driver only)
+    localPath: resolveKey,
+
+    putFile: (key, localPath) => copy(localPath, resolveKey(key)),
+
+    async putBuffer(key, buffer) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+    },
+
+    getFile: (key, localPath) => copy(resolveKey(key), localPath),
+
+    async getBuffer(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key));
+      } catch (err) {
+        if (isMissing(err)) return null;
+        throw err;
+      }
+    },
+
+    async stat(key) {
+      try {
+        const stat = await fs.promises.stat(resolveKey(key));
+        return stat.isFile() ? { size: stat.size, modifiedAt: stat.mtime } : null;
+      } catch (err) {
+        if (isMissing(err)) return null;
+        throw err;
+      }
+    },
+
+    // range: { start, end } (inclusive), as for fs.createReadStream
+    async createReadStream(key, range) {
+      return fs.createReadStream(resolveKey(key), range || {});
+    },
+
+    list: (dirKey) => walk(resolveKey(dirKey), []),
+
+    remove: (key) => fs.promises.rm(resolveKey(key), { force: true }),
+
+    removeAll: (dirKey) => fs.promises.rm(resolveKey(dirKey), { recursive: true, force: true }),
+  };
+}
+
+export default createLocalDriver;
@@ -0,0 +1,161 @@
+// server/src/utils/storageUsage.js
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Meeting from "../models/Meeting.js";
+import StorageUsage from "../models/StorageUsage.js";
+import User from "../models/User.js";
+import { getAssetBytes } from "./assetLibrary.js";
+import { isIntermediateFile } from "./fileHelper.js";
+import { listMeetingFiles } from "./storage/index.js";
+dotenv.config();
+
+/**
+ * Storage accounting: every byte stored for a meeting is charged to its host.
+ *
+ *   STORAGE_QUOTA_BYTES  per-host limit (default 5 GB, 0 = unlimited),
+ *                        overridden per user by User.storageQuotaBytes
+ *
+ * Chunk uploads add to StorageUsage.chunkBytes as they arrive; after a merge,
+ * a delete or a retention sweep the meeting is re-measured from storage.
+ * Uploaded bumper assets (assetLibrary.js) are charged to their owner as assetBytes.
+ */
+const DEFAULT_QUOTA_BYTES = 5 * 1024 * 1024 * 1024;
+
+export const STORAGE_QUOTA_BYTES =
+  process.env.STORAGE_QUOTA_BYTES !== undefined && process.env.STORAGE_QUOTA_BYTES !== ""
+    ? Number(process.env.STORAGE_QUOTA_BYTES)
+    : DEFAULT_QUOTA_BYTES;
+
+const quotaError = (message, details) => Object.assign(new Error(message), { statusCode: 507, ...details });
+
+const formatMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * Split a meeting listing (listMeetingFiles) into the three accounting buckets
+ */
+export function measureMeetingFiles(listing) {
+  const usage = { chunkBytes: 0, intermediateBytes: 0, outputBytes: 0 };
+
+  for (const [userId, files] of Object.entries(listing.users)) {
+    for (const file of files) {
+      if (isIntermediateFile(`${userId}/${file.name}`)) usage.intermediateBytes += file.size;
+      else usage.chunkBytes += file.size;
+    }
+  }
+
+  for (const [name, file] of Object.entries(listing.outputs)) {
+    if (isIntermediateFile(name)) usage.intermediateBytes += file.size;
+    else usage.outputBytes += file.size;
+  }
+
+  return usage;
+}
+
+/**
+ * Re-measure a meeting from storage (after merge / delete / retention sweep)
+ */
+export async function refreshMeetingUsage(roomId) {
+  const meeting = await Meeting.findOne({ roomId }).select("host");
+  if (!meeting) return null;
+
+  const usage = measureMeetingFiles(await listMeetingFiles(roomId));
+  return StorageUsage.findOneAndUpdate(
+    { roomId },
+    { $set: { ...usage, host: meeting.host, updatedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * A newly stored chunk (duplicates are not counted again)
+ */
+export function addChunkUsage(meeting, bytes) {
+  return StorageUsage.updateOne(
+    { roomId: meeting.roomId },
+    { $inc: { chunkBytes: bytes }, $set: { host: meeting.host, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Effective quota of a user in bytes (0 = unlimited)
+ */
+export async function getQuotaBytes(userId) {
+  const user = await User.findById(userId).select("storageQuotaBytes");
+  return user?.storageQuotaBytes ?? STORAGE_QUOTA_BYTES;
+}
+
+/**
+ * Everything a host is charged for:
+ * { usedBytes, quotaBytes, remainingBytes, chunkBytes, intermediateBytes, outputBytes, assetBytes, meetings: [...] }
+ * remainingBytes is null when unlimited.
+ */
+export async function getHostUsage(hostId) {
+  const [records, quotaBytes, assetBytes] = await Promise.all([
+    StorageUsage.find({ host: new mongoose.Types.ObjectId(String(hostId)) }).sort({ updatedAt: -1 }).lean(),
+    getQuotaBytes(hostId),
+    getAssetBytes(hostId),
+  ]);
+
+  const totals = { chunkBytes: 0, intermediateBytes: 0, outputBytes: 0, assetBytes };
+  const meetings = records.map((r) => {
+    totals.chunkBytes += r.chunkBytes;
+    totals.intermediateBytes += r.intermediateBytes;
+    totals.outputBytes += r.outputBytes;
+    return {
+      roomId: r.roomId,
+      chunkBytes: r.chunkBytes,
+      intermediateBytes: r.intermediateBytes,
+      outputBytes: r.outputBytes,
+      totalBytes: r.chunkBytes + r.intermediateBytes + r.outputBytes,
+      updatedAt: r.updatedAt,
+    };
+  });
+
+  const usedBytes = totals.chunkBytes + totals.intermediateBytes + totals.outputBytes + totals.assetBytes;
+  return {
+    usedBytes,
+    quotaBytes,
+    remainingBytes: quotaBytes > 0 ? Math.max(0, quotaBytes - usedBytes) : null,
+    ...totals,
+    meetings,
+  };
+}
+
+/**
+ * Throws a 507 error when storing `incomingBytes` more would put the host over quota.
+ * err.usedBytes / err.quotaBytes are set for the response.
+ */
+export async function assertQuota(hostId, incomingBytes, what) {
+  const { usedBytes, quotaBytes } = await getHostUsage(hostId);
+  if (quotaBytes > 0 && usedBytes + incomingBytes > quotaBytes) {
+    throw quotaError(
+      `Storage quota exceeded: ${what} needs ${formatMB(incomingBytes)}, ` +
+      `${formatMB(Math.max(0, quotaBytes - usedBytes))} of ${formatMB(quotaBytes)} left`,
+      { usedBytes, quotaBytes }
+    );
+  }
+}
+
+/**
+ * Merge outputs (final, HLS, audio) come to roughly the size of the raw chunks,
+ * so a merge needs about that much room.
+ */
+export async function assertMergeQuota(roomId) {
+  const meeting = await Meeting.findOne({ roomId }).select("host");
+  if (!meeting) return;
+
+  const { chunkBytes } = measureMeetingFiles(await listMeetingFiles(roomId));
+  await assertQuota(meeting.host, chunkBytes, "the merge");
+}
+
+export default {
+  STORAGE_QUOTA_BYTES,
+  measureMeetingFiles,
+  refreshMeetingUsage,
+  addChunkUsage,
+  getQuotaBytes,
+  getHostUsage,
+  assertQuota,
+  assertMergeQuota,
+};
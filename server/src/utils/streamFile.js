@@ -0,0 +1,82 @@
+// server/src/utils/streamFile.js
+import { getStorage } from './storage/index.js';
+
+/**
+ * Parse a single "bytes=start-end" Range header (suffix form "bytes=-N" included).
+ * Returns { start, end }, null when there is no usable range, or false when unsatisfiable.
+ */
+export function parseRange(header, fileSize) {
+  if (!header || !header.startsWith('bytes=')) return null;
+
+  const [startStr, endStr] = header.replace(/bytes=/, '').split(',')[0].split('-');
+  let start;
+  let end;
+
+  if (startStr === '') {
+    // last N bytes
+    const suffix = parseInt(endStr, 10);
+    if (Number.isNaN(suffix)) return null;
+    start = Math.max(0, fileSize - suffix);
+    end = fileSize - 1;
+  } else {
+    start = parseInt(startStr, 10);
+    end = endStr ? Math.min(parseInt(endStr, 10), fileSize - 1) : fileSize - 1;
+  }
+
+  if (Number.isNaN(start) || Number.isNaN(end)) return null;
+  if (start >= fileSize || start > end) return false;
+  return { start, end };
+}
+
+/**
+ * streamFile(req, res, key, { size, contentType, filename?, inline?, isPublic? })
+ * Sends a stored object (storage/index.js) with Range support (206 partial content)
+ * for resumable downloads and streaming players.
+ * size comes from storage.stat(key); filename → sent as an attachment,
+ * or with inline: true as a file the browser plays in place (<video src>).
+ * isPublic: true for files served without auth (podcast feeds) — any origin, no credentials.
+ * Storage errors before the first byte reject, so the caller can still answer with JSON.
+ */
+export async function streamFile(req, res, key, { size, contentType, filename, inline = false, isPublic = false }) {
+  const headers = {
+    'Accept-Ranges': 'bytes',
+    'Content-Type': contentType,
+    ...(isPublic
+      ? { 'Access-Control-Allow-Origin': '*' }
+      : {
+          'Access-Control-Allow-Origin': process.env.FRONTEND_URL || 'http://localhost:3000',
+          'Access-Control-Allow-Credentials': 'true',
+        }),
+  };
+  if (filename) headers['Content-Disposition'] = `${inline ? 'inline' : 'attachment'}; filename="${filename}"`;
+
+  const range = parseRange(req.headers.range, size);
+  if (range === false) {
+    res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+    return res.end();
+  }
+
+  const stream = await getStorage().createReadStream(key, range || undefined);
+
+  if (range) {
+    res.writeHead(206, {
+      ...headers,
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': range.end - range.start + 1,
+    });
+  } else {
+    res.writeHead(200, { ...headers, 'Content-Length': size });
+  }
+
+  stream.on('error', (err) => {
+    console.error('Stream error:', err);
+    res.destroy();
+  });
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+export default {
+  parseRange,
+  streamFile,
+};
@@ -0,0 +1,278 @@
+// server/test/chunkUploads.test.js
+// Chunk uploads: checksums, idempotent writes, the index cap and gap ranges.
+// Uploads go through the real routes into a tmp recordings dir (local driver);
+// Meeting / Recording / quota lookups are stubbed, nothing here needs MongoDB.
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import request from "supertest";
+
+process.env.JWT_SECRET = "chunk-upload-test-secret";
+process.env.STORAGE_DRIVER = "local";
+// RECORDINGS_DIR is "<cwd>/recordings", read when the modules load
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "chunk-upload-test-"));
+process.chdir(workDir);
+
+const { saveChunkStream, saveChunkToDisk, RECORDINGS_DIR } = await import("../src/utils/fileHelper.js");
+const { findChunkGaps, getChunkIndex, MAX_CHUNK_INDEX, readChunkManifest } = await import(
+  "../src/utils/chunkManifest.js"
+);
+const { default: recordingRoutes } = await import("../src/routes/recordingRoutes.js");
+const { default: Meeting } = await import("../src/models/Meeting.js");
+const { default: Recording } = await import("../src/models/Recording.js");
+const { default: StorageUsage } = await import("../src/models/StorageUsage.js");
+const { default: User } = await import("../src/models/User.js");
+const { default: Asset } = await import("../src/models/Asset.js");
+
+const sha256 = (content) => crypto.createHash("sha256").update(content).digest("hex");
+
+after(() => {
+  process.chdir(os.tmpdir());
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("getChunkIndex", () => {
+  test("the explicit chunkIndex wins", () => {
+    assert.equal(getChunkIndex("1700000000000-3", 7), 7);
+    assert.equal(getChunkIndex("abc", "2"), 2);
+    assert.equal(getChunkIndex("abc", 0), 0);
+  });
+
+  test("else the \"-<index>\" suffix of the chunk id", () => {
+    assert.equal(getChunkIndex("1700000000000-12"), 12);
+    assert.equal(getChunkIndex("1700000000000-12", -1), 12);
+    assert.equal(getChunkIndex("1700000000000-12", 1.5), 12);
+  });
+
+  test("null when unknown", () => {
+    assert.equal(getChunkIndex("1700000000000_chunk"), null);
+    assert.equal(getChunkIndex("1700000000000", null), null);
+  });
+});
+
+describe("findChunkGaps", () => {
+  const manifest = (...chunks) => ({
+    chunks: Object.fromEntries(
+      chunks.map(([chunkId, index, startedAt]) => [chunkId, { chunkId, index, startedAt }])
+    ),
+  });
+
+  test("no gaps in an unbroken sequence", () => {
+    assert.deepEqual(findChunkGaps(manifest(["a", 0, 0], ["b", 1, 10], ["c", 2, 20])), []);
+  });
+
+  test("missing indices come back as one range per gap", () => {
+    const gaps = findChunkGaps(manifest(["a", 0, 0], ["b", 1, 10], ["e", 4, 40], ["f", 5, 50], ["h", 7, 70]));
+    assert.deepEqual(gaps, [
+      { afterChunkId: "b", beforeChunkId: "e", from: 2, to: 3, count: 2 },
+      { afterChunkId: "f", beforeChunkId: "h", from: 6, to: 6, count: 1 },
+    ]);
+  });
+
+  test("a session whose first chunks never arrived", () => {
+    // session 1: 0-1, session 2 starts at index 3 (0-2 lost)
+    const gaps = findChunkGaps(manifest(["a", 0, 0], ["b", 1, 10], ["y", 3, 100]));
+    assert.deepEqual(gaps, [{ afterChunkId: "b", beforeChunkId: "y", from: 2, to: 2, count: 1 }]);
+
+    const restarted = findChunkGaps(manifest(["a", 0, 0], ["b", 1, 10], ["c", 2, 20], ["z", 1, 100]));
+    assert.deepEqual(restarted, [{ afterChunkId: "c", beforeChunkId: "z", from: 0, to: 0, count: 1 }]);
+  });
+
+  test("an index 0 starts a new session, chunks without an index are ignored", () => {
+    assert.deepEqual(findChunkGaps(manifest(["a", 0, 0], ["b", 1, 10], ["c", 0, 100], ["d", null, 110])), []);
+  });
+
+  test("a huge index is still one range, not one entry per missing chunk", () => {
+    const gaps = findChunkGaps(manifest(["a", 0, 0], ["b", 1_000_000_000, 10]));
+    assert.deepEqual(gaps, [{ afterChunkId: "a", beforeChunkId: "b", from: 1, to: 999_999_999, count: 999_999_999 }]);
+  });
+});
+
+describe("saveChunkToDisk / saveChunkStream", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(workDir, "save-"));
+  });
+
+  const leftovers = () => fs.readdirSync(dir).filter((f) => f.endsWith(".tmp"));
+
+  test("writes the file and reports its checksum", async () => {
+    const file = path.join(dir, "1.webm");
+    const saved = await saveChunkToDisk(file, Buffer.from("chunk"), { sha256: sha256("chunk").toUpperCase() });
+
+    assert.deepEqual(saved, { sha256: sha256("chunk"), duplicate: false });
+    assert.equal(fs.readFileSync(file, "utf8"), "chunk");
+    assert.deepEqual(leftovers(), []);
+  });
+
+  test("a checksum mismatch writes nothing", async () => {
+    const file = path.join(dir, "1.webm");
+    await assert.rejects(saveChunkToDisk(file, Buffer.from("chunk"), { sha256: sha256("other") }), {
+      code: "CHECKSUM_MISMATCH",
+    });
+    assert.ok(!fs.existsSync(file));
+    assert.deepEqual(leftovers(), []);
+  });
+
+  test("exclusive: the same bytes again are a duplicate, other bytes a conflict", async () => {
+    const file = path.join(dir, "1.webm");
+    await saveChunkToDisk(file, Buffer.from("chunk"), { exclusive: true });
+
+    assert.deepEqual(await saveChunkToDisk(file, Buffer.from("chunk"), { exclusive: true }), {
+      sha256: sha256("chunk"),
+      duplicate: true,
+    });
+    await assert.rejects(saveChunkToDisk(file, Buffer.from("other"), { exclusive: true }), { code: "CHUNK_CONFLICT" });
+    assert.equal(fs.readFileSync(file, "utf8"), "chunk");
+    assert.deepEqual(leftovers(), []);
+  });
+
+  test("without exclusive the file is replaced", async () => {
+    const file = path.join(dir, "manifest.json");
+    await saveChunkToDisk(file, Buffer.from("old"));
+    await saveChunkToDisk(file, Buffer.from("new"));
+    assert.equal(fs.readFileSync(file, "utf8"), "new");
+  });
+
+  test("a stream over maxBytes is cut off and leaves nothing behind", async () => {
+    const file = path.join(dir, "1.webm");
+    await assert.rejects(saveChunkStream(file, Readable.from([Buffer.alloc(6), Buffer.alloc(6)]), { maxBytes: 10 }), {
+      code: "CHUNK_TOO_LARGE",
+    });
+    assert.ok(!fs.existsSync(file));
+    assert.deepEqual(leftovers(), []);
+  });
+
+  test("a stream is checked like a buffer", async () => {
+    const file = path.join(dir, "1.webm");
+    const saved = await saveChunkStream(file, Readable.from([Buffer.from("chu"), Buffer.from("nk")]), {
+      sha256: sha256("chunk"),
+      exclusive: true,
+    });
+    assert.deepEqual(saved, { bytes: 5, sha256: sha256("chunk"), duplicate: false });
+  });
+});
+
+describe("chunk upload routes", () => {
+  const hostId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const roomId = "upload-room";
+  const userDir = () => path.join(RECORDINGS_DIR, roomId, userId.toString());
+
+  let app;
+  let usageUpdates;
+
+  const auth = () => ({ Authorization: `Bearer ${jwt.sign({ id: userId.toString() }, process.env.JWT_SECRET)}` });
+
+  const uploadJson = (body) =>
+    request(app)
+      .post("/api/recordings/upload-chunk")
+      .set(auth())
+      .send({ roomId, startedAt: Date.now(), ...body });
+
+  const uploadStream = (query, content) =>
+    request(app)
+      .post("/api/recordings/upload-chunk/stream")
+      .query({ roomId, ...query })
+      .set(auth())
+      .set("Content-Type", "application/octet-stream")
+      .send(Buffer.from(content));
+
+  before(() => {
+    // an unstubbed query fails right away instead of waiting for a connection
+    mongoose.set("bufferCommands", false);
+
+    mock.method(Meeting, "findOne", async () => ({
+      _id: new mongoose.Types.ObjectId(),
+      roomId,
+      host: hostId,
+      participants: [{ user: userId }],
+      attendees: [userId],
+      isActive: true,
+    }));
+    mock.method(StorageUsage, "find", () => ({ sort: () => ({ lean: async () => [] }) }));
+    mock.method(StorageUsage, "updateOne", async () => {
+      usageUpdates += 1;
+      return {};
+    });
+    mock.method(User, "findById", () => ({ select: async () => null }));
+    mock.method(Asset, "aggregate", async () => []);
+    mock.method(Recording, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    app = express();
+    app.use(express.json({ limit: "1mb" }));
+    app.use("/api/recordings", recordingRoutes);
+  });
+
+  after(() => mock.restoreAll());
+
+  beforeEach(() => {
+    usageUpdates = 0;
+  });
+
+  test("an upload is stored once; the same bytes again are a duplicate", async () => {
+    const chunkData = Buffer.from("chunk one").toString("base64");
+
+    const first = await uploadJson({ chunkId: "1700000000000-0", chunkData, sha256: sha256("chunk one") });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.duplicate, false);
+    assert.equal(first.body.sha256, sha256("chunk one"));
+
+    const again = await uploadJson({ chunkId: "1700000000000-0", chunkData });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.duplicate, true);
+
+    assert.equal(usageUpdates, 1);
+    const entry = readChunkManifest(userDir()).chunks["1700000000000-0"];
+    assert.equal(entry.index, 0);
+    assert.equal(entry.sha256, sha256("chunk one"));
+  });
+
+  test("409 for other bytes under a chunk id that is already stored", async () => {
+    await uploadStream({ chunkId: "1700000000000-1" }, "chunk two");
+
+    const res = await uploadStream({ chunkId: "1700000000000-1" }, "something else");
+    assert.equal(res.status, 409);
+    assert.equal(fs.readFileSync(path.join(userDir(), "1700000000000-1.webm"), "utf8"), "chunk two");
+  });
+
+  test("422 when the bytes do not match the checksum", async () => {
+    const res = await uploadStream({ chunkId: "1700000000000-2", sha256: sha256("not this") }, "chunk three");
+    assert.equal(res.status, 422);
+    assert.ok(!fs.existsSync(path.join(userDir(), "1700000000000-2.webm")));
+
+    const json = await uploadJson({
+      chunkId: "1700000000000-2",
+      chunkData: Buffer.from("chunk three").toString("base64"),
+      sha256: sha256("not this"),
+    });
+    assert.equal(json.status, 422);
+  });
+
+  test("400 for a chunk index past MAX_CHUNK_INDEX, from the id or given explicitly", async () => {
+    const tooHigh = MAX_CHUNK_INDEX + 1;
+    const chunkData = Buffer.from("x").toString("base64");
+
+    for (const res of [
+      await uploadJson({ chunkId: `1700000000000-${tooHigh}`, chunkData }),
+      await uploadJson({ chunkIndex: tooHigh, chunkData }),
+      await uploadStream({ chunkId: `1700000000000-${tooHigh}` }, "x"),
+      await uploadStream({ chunkId: "1700000000000-x", chunkIndex: tooHigh }, "x"),
+    ]) {
+      assert.equal(res.status, 400);
+      assert.match(res.body.message, /chunk index must be at most/);
+    }
+    assert.equal(usageUpdates, 0);
+
+    const atCap = await uploadStream({ chunkId: `1700000000000-${MAX_CHUNK_INDEX}` }, "x");
+    assert.equal(atCap.status, 200);
+  });
+});
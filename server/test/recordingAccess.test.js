@@ -0,0 +1,272 @@
+// server/test/recordingAccess.test.js
+// Route-level checks of auth + the recording access middlewares.
+// Meeting / Recording lookups are stubbed, nothing here needs MongoDB.
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import cookieParser from "cookie-parser";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import request from "supertest";
+
+process.env.JWT_SECRET = "recording-access-test-secret";
+process.env.UPLOAD_GRACE_MS = String(10 * 60 * 1000);
+
+// read when the modules load
+const { default: auth } = await import("../src/middlewares/auth.js");
+const { default: recordingAccess, recordingHostOnly, recordingUploadAccess } = await import(
+  "../src/middlewares/recordingAccess.js"
+);
+const { default: recordingRoutes } = await import("../src/routes/recordingRoutes.js");
+const { default: Meeting } = await import("../src/models/Meeting.js");
+const { default: Recording } = await import("../src/models/Recording.js");
+
+const hostId = new mongoose.Types.ObjectId();
+const guestId = new mongoose.Types.ObjectId();
+const strangerId = new mongoose.Types.ObjectId();
+
+const MINUTE = 60 * 1000;
+
+const token = (userId) => jwt.sign({ id: userId.toString() }, process.env.JWT_SECRET);
+const bearer = (userId) => ({ Authorization: `Bearer ${token(userId)}` });
+
+// rooms by roomId, and the Recording each one has (if any)
+let meetings = {};
+let recordings = {};
+
+const meeting = (roomId, fields = {}) => ({
+  roomId,
+  host: hostId,
+  participants: [],
+  attendees: [guestId],
+  isActive: true,
+  endedAt: null,
+  ...fields,
+});
+
+// the real router, so the middleware wiring of each route is what is tested
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/recordings", recordingRoutes);
+
+  // the same middlewares in front of a handler that needs no database
+  const ok = (req, res) => res.status(200).json({ roomId: req.meeting.roomId });
+  app.get("/probe/view/:roomId", auth, recordingAccess, ok);
+  app.post("/probe/host/:roomId", auth, recordingHostOnly, ok);
+  app.post("/probe/upload", auth, recordingUploadAccess, ok);
+  return app;
+}
+
+describe("recording access", () => {
+  let app;
+
+  before(() => {
+    // an unstubbed query fails right away instead of waiting for a connection
+    mongoose.set("bufferCommands", false);
+
+    mock.method(Meeting, "findOne", async ({ roomId }) => meetings[roomId] || null);
+    mock.method(Recording, "findOne", ({ roomId }) => ({
+      select: () => ({ lean: async () => recordings[roomId] || null }),
+    }));
+
+    app = buildApp();
+  });
+
+  after(() => mock.restoreAll());
+
+  beforeEach(() => {
+    meetings = {
+      live: meeting("live"),
+      ended: meeting("ended", { isActive: false, endedAt: new Date(Date.now() - 60 * MINUTE) }),
+      "just-ended": meeting("just-ended", { isActive: false, endedAt: new Date(Date.now() - MINUTE) }),
+      "long-ended": meeting("long-ended", { isActive: false, endedAt: new Date(Date.now() - 8 * 24 * 60 * MINUTE) }),
+    };
+    recordings = {};
+  });
+
+  describe("auth", () => {
+    test("401 without a token", async () => {
+      const res = await request(app).get("/api/recordings/status/live");
+      assert.equal(res.status, 401);
+    });
+
+    test("401 with an invalid token", async () => {
+      const res = await request(app).get("/api/recordings/status/live").set("Authorization", "Bearer nope");
+      assert.equal(res.status, 401);
+    });
+
+    test("401 for a token signed with another secret", async () => {
+      const forged = jwt.sign({ id: hostId.toString() }, "someone-else");
+      const res = await request(app).get("/api/recordings/status/live").set("Cookie", `token=${forged}`);
+      assert.equal(res.status, 401);
+    });
+
+    test("401 before anything else on every kind of route", async () => {
+      for (const [method, url] of [
+        ["post", "/api/recordings/merge/live"],
+        ["delete", "/api/recordings/delete/live"],
+        ["post", "/api/recordings/upload-chunk/stream?roomId=live&chunkId=1"],
+        ["post", "/api/recordings/live/clips"],
+      ]) {
+        const res = await request(app)[method](url);
+        assert.equal(res.status, 401, `${method.toUpperCase()} ${url}`);
+      }
+    });
+  });
+
+  describe("recordingAccess (viewers)", () => {
+    test("the host and people who joined get through", async () => {
+      for (const userId of [hostId, guestId]) {
+        const res = await request(app).get("/probe/view/live").set(bearer(userId));
+        assert.equal(res.status, 200);
+        assert.equal(res.body.roomId, "live");
+      }
+    });
+
+    test("a current participant gets through", async () => {
+      meetings.live.participants = [{ user: strangerId }];
+      const res = await request(app).get("/probe/view/live").set(bearer(strangerId));
+      assert.equal(res.status, 200);
+    });
+
+    test("403 for someone who never joined", async () => {
+      for (const url of ["/api/recordings/status/live", "/api/recordings/download/live", "/api/recordings/live/clips"]) {
+        const res = await request(app).get(url).set(bearer(strangerId));
+        assert.equal(res.status, 403, url);
+      }
+    });
+
+    test("404 for an unknown room", async () => {
+      const res = await request(app).get("/api/recordings/status/nope").set(bearer(hostId));
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe("recordingHostOnly", () => {
+    test("the host gets through", async () => {
+      const res = await request(app).post("/probe/host/live").set(bearer(hostId));
+      assert.equal(res.status, 200);
+    });
+
+    test("403 for attendees and strangers", async () => {
+      for (const userId of [guestId, strangerId]) {
+        for (const [method, url] of [
+          ["post", "/api/recordings/merge/live"],
+          ["delete", "/api/recordings/delete/live"],
+          ["put", "/api/recordings/chapters/live"],
+          ["post", "/api/recordings/live/clips"],
+        ]) {
+          const res = await request(app)[method](url).set(bearer(userId));
+          assert.equal(res.status, 403, `${method.toUpperCase()} ${url}`);
+        }
+      }
+    });
+
+    test("404 for an unknown room", async () => {
+      const res = await request(app).post("/api/recordings/merge/nope").set(bearer(hostId));
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe("recordingUploadAccess", () => {
+    const upload = (query, userId) => request(app).post("/probe/upload").query(query).set(bearer(userId));
+
+    test("current participants upload to an active meeting", async () => {
+      meetings.live.participants = [{ user: hostId }, { user: guestId }];
+      for (const userId of [hostId, guestId]) {
+        const res = await upload({ roomId: "live" }, userId);
+        assert.equal(res.status, 200);
+      }
+    });
+
+    test("403 while the meeting runs for people who left it, the host included", async () => {
+      meetings.live.participants = [{ user: strangerId }];
+      for (const userId of [hostId, guestId]) {
+        const res = await upload({ roomId: "live" }, userId);
+        assert.equal(res.status, 403);
+      }
+    });
+
+    test("roomId may come from the JSON body", async () => {
+      meetings.live.participants = [{ user: guestId }];
+      const res = await request(app).post("/probe/upload").set(bearer(guestId)).send({ roomId: "live" });
+      assert.equal(res.status, 200);
+    });
+
+    test("400 without a roomId", async () => {
+      const res = await upload({}, guestId);
+      assert.equal(res.status, 400);
+    });
+
+    test("404 for an unknown room", async () => {
+      const res = await request(app)
+        .post("/api/recordings/upload-chunk/stream")
+        .query({ roomId: "nope", chunkId: "1" })
+        .set(bearer(hostId));
+      assert.equal(res.status, 404);
+    });
+
+    test("403 for someone who never joined", async () => {
+      const res = await request(app)
+        .post("/api/recordings/upload-chunk/stream")
+        .query({ roomId: "live", chunkId: "1" })
+        .set(bearer(strangerId));
+      assert.equal(res.status, 403);
+    });
+
+    test("403 when uploading as another user", async () => {
+      meetings.live.participants = [{ user: guestId }];
+      const res = await upload({ roomId: "live", userId: hostId.toString() }, guestId);
+      assert.equal(res.status, 403);
+    });
+
+    test("an ended meeting takes chunks during the grace window", async () => {
+      const res = await upload({ roomId: "just-ended" }, guestId);
+      assert.equal(res.status, 200);
+    });
+
+    // recorded two minutes before the meeting ended
+    const lateChunk = (roomId) => ({ roomId, startedAt: meetings[roomId].endedAt.getTime() - 2 * MINUTE });
+
+    test("after the grace window, late chunks are taken while the recording is not merged", async () => {
+      recordings.ended = { merge: { status: null }, chunksRemovedAt: null };
+      assert.equal((await upload(lateChunk("ended"), guestId)).status, 200);
+
+      recordings.ended.merge.status = "failed";
+      assert.equal((await upload(lateChunk("ended"), guestId)).status, 200);
+    });
+
+    test("403 after the grace window for chunks recorded after the end, or without a start time", async () => {
+      recordings.ended = { merge: { status: null }, chunksRemovedAt: null };
+      const afterEnd = meetings.ended.endedAt.getTime() + MINUTE;
+      assert.equal((await upload({ roomId: "ended", startedAt: afterEnd }, guestId)).status, 403);
+      assert.equal((await upload({ roomId: "ended" }, guestId)).status, 403);
+    });
+
+    test("403 for late chunks once the meeting ended too long ago", async () => {
+      recordings["long-ended"] = { merge: { status: null }, chunksRemovedAt: null };
+      assert.equal((await upload(lateChunk("long-ended"), guestId)).status, 403);
+    });
+
+    test("403 after the grace window once the recording is merged or being merged", async () => {
+      for (const status of ["queued", "running", "succeeded"]) {
+        recordings.ended = { merge: { status }, chunksRemovedAt: null };
+        const res = await request(app)
+          .post("/api/recordings/upload-chunk/stream")
+          .query({ ...lateChunk("ended"), chunkId: "1" })
+          .set(bearer(guestId));
+        assert.equal(res.status, 403, status);
+      }
+    });
+
+    test("403 after the grace window once the chunks were swept or the recording deleted", async () => {
+      recordings.ended = { merge: { status: null }, chunksRemovedAt: new Date() };
+      assert.equal((await upload(lateChunk("ended"), guestId)).status, 403);
+
+      delete recordings.ended;
+      assert.equal((await upload(lateChunk("ended"), guestId)).status, 403);
+    });
+  });
+});
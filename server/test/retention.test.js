@@ -0,0 +1,183 @@
+// server/test/retention.test.js
+// Retention planning: planRetention on hand-made listings, planMeetingRetention on
+// files in a tmp recordings dir (local driver). Model lookups are stubbed.
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+
+process.env.STORAGE_DRIVER = "local";
+process.env.RETENTION_CHUNK_DAYS = "14";
+process.env.RETENTION_FINAL_DAYS = "0";
+// RECORDINGS_DIR is "<cwd>/recordings", read when the modules load
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "retention-test-"));
+process.chdir(workDir);
+
+const { getRetentionPolicy, planRetention } = await import("../src/utils/retentionPolicy.js");
+const { planMeetingRetention } = await import("../src/utils/retentionSweeper.js");
+const { RECORDINGS_DIR } = await import("../src/utils/fileHelper.js");
+const { default: Episode } = await import("../src/models/Episode.js");
+const { default: Clip } = await import("../src/models/Clip.js");
+const { default: MergeJob } = await import("../src/models/MergeJob.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-06-01T12:00:00Z");
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+// listMeetingFiles() shape: { files, users, outputs }
+function listing(roomId, { chunks = {}, outputs = {} }) {
+  const files = [];
+  const users = {};
+  for (const [userId, entries] of Object.entries(chunks)) {
+    users[userId] = entries.map(([name, size, modifiedAt]) => ({ name, size, modifiedAt }));
+    for (const [name, size, modifiedAt] of entries) files.push({ key: `${roomId}/${userId}/${name}`, size, modifiedAt });
+  }
+  const outputEntries = {};
+  for (const [name, [size, modifiedAt]] of Object.entries(outputs)) {
+    outputEntries[name] = { size, modifiedAt };
+    files.push({ key: `${roomId}/${name}`, size, modifiedAt });
+  }
+  return { files, users, outputs: outputEntries };
+}
+
+const kinds = (plan) => plan.actions.map((a) => a.kind);
+
+describe("planRetention", () => {
+  const policy = { pinned: false, chunkDays: 14, finalDays: 30, published: false };
+
+  const merged = (finalAge, chunkAge) =>
+    listing("room", {
+      chunks: {
+        user1: [["1.webm", 100, daysAgo(chunkAge)], ["1.json", 10, daysAgo(chunkAge)], ["1-norm.mp4", 50, daysAgo(chunkAge)]],
+      },
+      outputs: {
+        "final-recording.mp4": [300, daysAgo(finalAge)],
+        "user-user1-merged.mp4": [40, daysAgo(finalAge)],
+      },
+    });
+
+  test("intermediates always go, chunks once older than chunkDays", () => {
+    const plan = planRetention("room", policy, merged(1, 20), now);
+
+    assert.deepEqual(kinds(plan), ["intermediates", "chunks"]);
+    assert.deepEqual(plan.actions[0].keys.sort(), ["room/user-user1-merged.mp4", "room/user1/1-norm.mp4"]);
+    assert.equal(plan.actions[0].bytes, 90);
+    assert.deepEqual(plan.actions[1].userIds, ["user1"]);
+    assert.deepEqual(plan.actions[1].keys.sort(), ["room/user1/1.json", "room/user1/1.webm"]);
+    assert.equal(plan.actions[1].bytes, 110);
+    assert.deepEqual(plan.kept, []);
+  });
+
+  test("recent chunks stay", () => {
+    assert.deepEqual(kinds(planRetention("room", policy, merged(1, 10), now)), ["intermediates"]);
+  });
+
+  test("chunks that were never merged stay, with the reason", () => {
+    const plan = planRetention("room", policy, listing("room", { chunks: { user1: [["1.webm", 100, daysAgo(60)]] } }), now);
+    assert.deepEqual(plan.actions, []);
+    assert.match(plan.kept[0], /never merged/);
+  });
+
+  test("an expired final recording removes everything", () => {
+    const files = merged(40, 40);
+    const plan = planRetention("room", policy, files, now);
+
+    assert.deepEqual(kinds(plan), ["all"]);
+    assert.equal(plan.actions[0].keys.length, files.files.length);
+    assert.equal(plan.actions[0].bytes, 500);
+  });
+
+  test("pinned or published meetings keep an expired final recording", () => {
+    for (const [override, why] of [[{ pinned: true }, /pinned/], [{ published: true }, /podcast episode/]]) {
+      const plan = planRetention("room", { ...policy, ...override }, merged(40, 40), now);
+      assert.deepEqual(kinds(plan), ["intermediates", "chunks"]);
+      assert.match(plan.kept[0], why);
+    }
+  });
+
+  test("0 days keeps forever", () => {
+    const plan = planRetention("room", { ...policy, chunkDays: 0, finalDays: 0 }, merged(4000, 4000), now);
+    assert.deepEqual(kinds(plan), ["intermediates"]);
+  });
+
+  test("getRetentionPolicy: the meeting's override over the defaults", () => {
+    assert.deepEqual(getRetentionPolicy({}), { pinned: false, chunkDays: 14, finalDays: 0 });
+    assert.deepEqual(getRetentionPolicy({ retention: { pinned: true, chunkDays: null, finalDays: 90 } }), {
+      pinned: true,
+      chunkDays: 14,
+      finalDays: 90,
+    });
+  });
+});
+
+describe("planMeetingRetention", () => {
+  let published;
+  let activeMerge;
+  let activeClip;
+
+  const meeting = (roomId, fields = {}) => ({ roomId, isActive: false, retention: { finalDays: 30 }, ...fields });
+
+  // a file in the local recordings dir, last modified `age` days before `now`
+  const file = (key, size, age) => {
+    const full = path.join(RECORDINGS_DIR, ...key.split("/"));
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, Buffer.alloc(size));
+    fs.utimesSync(full, daysAgo(age), daysAgo(age));
+  };
+
+  before(() => {
+    // an unstubbed query fails right away instead of waiting for a connection
+    mongoose.set("bufferCommands", false);
+
+    mock.method(Episode, "exists", async () => (published ? { _id: 1 } : null));
+    mock.method(MergeJob, "findOne", async () => activeMerge);
+    mock.method(Clip, "exists", async () => (activeClip ? { _id: 1 } : null));
+
+    file("merged/user1/1.webm", 100, 20);
+    file("merged/user1/1-norm.mp4", 50, 20);
+    file("merged/final-recording.mp4", 300, 40);
+  });
+
+  after(() => {
+    mock.restoreAll();
+    process.chdir(os.tmpdir());
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    published = false;
+    activeMerge = null;
+    activeClip = false;
+  });
+
+  test("plans from the files in storage", async () => {
+    const plan = await planMeetingRetention(meeting("merged"), now);
+
+    assert.equal(plan.roomId, "merged");
+    assert.deepEqual(plan.policy, { pinned: false, chunkDays: 14, finalDays: 30, published: false });
+    assert.deepEqual(kinds(plan), ["all"]);
+    assert.deepEqual(plan.actions[0].keys.sort(), ["merged/final-recording.mp4", "merged/user1/1-norm.mp4", "merged/user1/1.webm"]);
+  });
+
+  test("a published recording is kept", async () => {
+    published = true;
+    const plan = await planMeetingRetention(meeting("merged"), now);
+
+    assert.equal(plan.policy.published, true);
+    assert.deepEqual(kinds(plan), ["intermediates", "chunks"]);
+    assert.match(plan.kept[0], /podcast episode/);
+  });
+
+  test("skipped while the meeting runs, or a merge or clip of it is active", async () => {
+    assert.equal((await planMeetingRetention(meeting("merged", { isActive: true }), now)).skipped, "meeting is still active");
+
+    activeMerge = { _id: 1 };
+    assert.equal((await planMeetingRetention(meeting("merged"), now)).skipped, "merge in progress");
+
+    activeMerge = null;
+    activeClip = true;
+    assert.equal((await planMeetingRetention(meeting("merged"), now)).skipped, "clip in progress");
+  });
+});
@@ -0,0 +1,30 @@
+// server/test/sharedModules.test.js
+// The API server and merge-worker are deployed separately, each with its own
+// node_modules, so a few modules exist in both trees. They must not drift apart.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+// the file without its leading comment lines (path header, "shared with ..." note)
+const code = (file) => {
+  const lines = fs.readFileSync(path.join(ROOT, file), "utf8").split("\n");
+  return lines.filter((line) => !line.startsWith("//") || !/^\/\/ (server|merge-worker)\/|Shared with|apart from this comment/.test(line)).join("\n");
+};
+
+const SHARED = [
+  ["server/src/models/MergeJob.js", "merge-worker/src/models/MergeJob.js"],
+  ["server/src/utils/storage/localDriver.js", "merge-worker/src/utils/storage/localDriver.js"],
+  ["server/src/utils/storage/s3Driver.js", "merge-worker/src/utils/storage/s3Driver.js"],
+];
+
+describe("modules shared with merge-worker", () => {
+  for (const [serverFile, workerFile] of SHARED) {
+    test(`${serverFile} matches ${workerFile}`, () => {
+      assert.equal(code(serverFile), code(workerFile));
+    });
+  }
+});
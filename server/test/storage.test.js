@@ -0,0 +1,347 @@
+// server/test/storage.test.js
+// The storage drivers against one contract: local on a tmp dir, s3 against an
+// in-memory stand-in for the S3 API and, when S3_TEST_ENDPOINT is set, a real
+// S3-compatible server, e.g.
+//   docker run -p 9000:9000 minio/minio server /data
+//   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=recordings-test \
+//   S3_TEST_ACCESS_KEY_ID=minioadmin S3_TEST_SECRET_ACCESS_KEY=minioadmin npm test
+// (the bucket must exist). Also checks the staging dir in s3 mode.
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import request from "supertest";
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+
+process.env.JWT_SECRET = "storage-test-secret";
+process.env.STORAGE_DRIVER = "s3";
+process.env.S3_BUCKET = "fake-bucket";
+process.env.S3_ENDPOINT = "http://s3.invalid";
+process.env.S3_ACCESS_KEY_ID = "fake";
+process.env.S3_SECRET_ACCESS_KEY = "fake";
+
+// read when the modules load
+const { createLocalDriver } = await import("../src/utils/storage/localDriver.js");
+const { createS3Driver } = await import("../src/utils/storage/s3Driver.js");
+const { RECORDINGS_DIR } = await import("../src/utils/fileHelper.js");
+const { default: recordingRoutes } = await import("../src/routes/recordingRoutes.js");
+const { default: Meeting } = await import("../src/models/Meeting.js");
+const { default: Recording } = await import("../src/models/Recording.js");
+const { default: StorageUsage } = await import("../src/models/StorageUsage.js");
+const { default: User } = await import("../src/models/User.js");
+const { default: Asset } = await import("../src/models/Asset.js");
+
+const s3Error = (name) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: 404 } });
+
+const readAll = async (stream) => {
+  const parts = [];
+  for await (const part of stream) parts.push(Buffer.from(part));
+  return Buffer.concat(parts);
+};
+
+/**
+ * Just enough of the S3 API for the driver, keyed by bucket + key.
+ * Lists two objects per page, so the driver has to follow continuation tokens.
+ */
+function createFakeS3() {
+  const objects = new Map();
+  const failPuts = new Set();
+
+  async function send(command) {
+    const { Bucket, Key } = command.input;
+    const id = `${Bucket}/${Key}`;
+
+    if (command instanceof PutObjectCommand) {
+      if (failPuts.delete(Key)) throw new Error("fake put failure");
+      const { Body, ContentType } = command.input;
+      const body = Buffer.isBuffer(Body) || Body instanceof Uint8Array ? Buffer.from(Body) : await readAll(Body);
+      objects.set(id, { body, contentType: ContentType, modifiedAt: new Date() });
+      return {};
+    }
+
+    if (command instanceof GetObjectCommand || command instanceof HeadObjectCommand) {
+      const object = objects.get(id);
+      if (!object) throw s3Error(command instanceof GetObjectCommand ? "NoSuchKey" : "NotFound");
+      if (command instanceof HeadObjectCommand) {
+        return { ContentLength: object.body.length, LastModified: object.modifiedAt };
+      }
+
+      const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(command.input.Range || "") || [];
+      const body = start ? object.body.subarray(Number(start), Number(end) + 1) : object.body;
+      return { Body: Object.assign(Readable.from([body]), { transformToByteArray: async () => new Uint8Array(body) }) };
+    }
+
+    if (command instanceof ListObjectsV2Command) {
+      const { Prefix, ContinuationToken } = command.input;
+      const keys = [...objects.keys()]
+        .filter((k) => k.startsWith(`${Bucket}/${Prefix}`))
+        .map((k) => k.slice(Bucket.length + 1))
+        .sort();
+      const from = Number(ContinuationToken || 0);
+      const page = keys.slice(from, from + 2);
+      return {
+        Contents: page.map((k) => ({ Key: k, Size: objects.get(`${Bucket}/${k}`).body.length, LastModified: new Date() })),
+        IsTruncated: from + 2 < keys.length,
+        NextContinuationToken: String(from + 2),
+      };
+    }
+
+    if (command instanceof DeleteObjectCommand) {
+      objects.delete(id);
+      return {};
+    }
+
+    if (command instanceof DeleteObjectsCommand) {
+      for (const { Key: key } of command.input.Delete.Objects) objects.delete(`${Bucket}/${key}`);
+      return {};
+    }
+
+    throw new Error(`fake S3 does not know ${command.constructor.name}`);
+  }
+
+  return { objects, failPuts, send };
+}
+
+/**
+ * What every driver must do. open(dir) → driver, with `dir` free to use as its root.
+ */
+function describeDriver(name, open, options = {}) {
+  describe(`${name} driver`, options, () => {
+    let dir;
+    let scratch;
+    let storage;
+    let room;
+
+    const scratchFile = async (name, content) => {
+      const file = path.join(scratch, name);
+      await fs.promises.writeFile(file, content);
+      return file;
+    };
+
+    before(async () => {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+      scratch = path.join(dir, "scratch");
+      await fs.promises.mkdir(scratch);
+      storage = await open(path.join(dir, "root"));
+    });
+
+    after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+    // a fresh room per test, so runs against a real bucket do not see each other
+    beforeEach(() => {
+      room = `room-${crypto.randomUUID()}`;
+    });
+
+    test("putFile, stat and getFile round-trip a file", async () => {
+      const key = `${room}/user1/1.webm`;
+      await storage.putFile(key, await scratchFile("in.webm", "hello chunk"));
+
+      assert.equal((await storage.stat(key)).size, 11);
+
+      const out = path.join(scratch, "out", "1.webm");
+      await storage.getFile(key, out);
+      assert.equal(await fs.promises.readFile(out, "utf8"), "hello chunk");
+    });
+
+    test("stat and getBuffer give null for a missing key", async () => {
+      assert.equal(await storage.stat(`${room}/nope.webm`), null);
+      assert.equal(await storage.getBuffer(`${room}/nope.json`), null);
+    });
+
+    test("putBuffer / getBuffer", async () => {
+      await storage.putBuffer(`${room}/user1/manifest.json`, Buffer.from('{"chunks":{}}'));
+      const buffer = await storage.getBuffer(`${room}/user1/manifest.json`);
+      assert.equal(buffer.toString("utf8"), '{"chunks":{}}');
+    });
+
+    test("createReadStream reads an inclusive byte range", async () => {
+      await storage.putBuffer(`${room}/final-recording.mp4`, Buffer.from("0123456789"));
+      const stream = await storage.createReadStream(`${room}/final-recording.mp4`, { start: 2, end: 5 });
+      assert.equal((await readAll(stream)).toString("utf8"), "2345");
+    });
+
+    test("list returns every key below a folder, nested ones included", async () => {
+      for (const key of ["user1/1.webm", "user1/2.webm", "hls/master.m3u8", "final-recording.mp4"]) {
+        await storage.putBuffer(`${room}/${key}`, Buffer.from(key));
+      }
+      await storage.putBuffer(`${room}-other/user1/1.webm`, Buffer.from("other room"));
+
+      const files = await storage.list(room);
+      assert.deepEqual(
+        files.map((f) => f.key).sort(),
+        [`${room}/final-recording.mp4`, `${room}/hls/master.m3u8`, `${room}/user1/1.webm`, `${room}/user1/2.webm`]
+      );
+      assert.equal(files.find((f) => f.key === `${room}/user1/1.webm`).size, "user1/1.webm".length);
+
+      await storage.removeAll(`${room}-other`);
+    });
+
+    test("remove deletes one key, removeAll a whole folder", async () => {
+      await storage.putBuffer(`${room}/user1/1.webm`, Buffer.from("a"));
+      await storage.putBuffer(`${room}/user1/2.webm`, Buffer.from("b"));
+
+      await storage.remove(`${room}/user1/1.webm`);
+      assert.equal(await storage.stat(`${room}/user1/1.webm`), null);
+      assert.ok(await storage.stat(`${room}/user1/2.webm`));
+
+      await storage.removeAll(room);
+      assert.deepEqual(await storage.list(room), []);
+    });
+  });
+}
+
+describeDriver("local", (root) => createLocalDriver(root));
+
+describe("s3 driver against a fake S3", () => {
+  const fake = createFakeS3();
+
+  before(() => mock.method(S3Client.prototype, "send", fake.send));
+  after(() => mock.restoreAll());
+
+  describeDriver("s3", () => createS3Driver({ bucket: "test-bucket", region: "us-east-1", prefix: "pre/" }));
+
+  test("keys go below the prefix, with a content type from the extension", async () => {
+    const storage = createS3Driver({ bucket: "prefixed", region: "us-east-1", prefix: "recordings/" });
+    await storage.putBuffer("room/user1/1.webm", Buffer.from("x"));
+
+    const object = fake.objects.get("prefixed/recordings/room/user1/1.webm");
+    assert.equal(object.contentType, "video/webm");
+    assert.deepEqual((await storage.list("room")).map((f) => f.key), ["room/user1/1.webm"]);
+  });
+
+  test("a failed download leaves no file behind", async () => {
+    const storage = createS3Driver({ bucket: "test-bucket", region: "us-east-1" });
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+    const target = path.join(dir, "missing.webm");
+
+    await assert.rejects(storage.getFile("room/missing.webm", target));
+    assert.deepEqual(await fs.promises.readdir(dir), []);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  test("a bucket is required", () => {
+    assert.throws(() => createS3Driver({ region: "us-east-1" }), /S3_BUCKET/);
+  });
+});
+
+describeDriver(
+  "s3 (S3_TEST_ENDPOINT)",
+  () =>
+    createS3Driver({
+      bucket: process.env.S3_TEST_BUCKET || "recordings-test",
+      region: process.env.S3_TEST_REGION || "us-east-1",
+      endpoint: process.env.S3_TEST_ENDPOINT,
+      accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY,
+      forcePathStyle: true,
+      prefix: "storage-test",
+    }),
+  { skip: !process.env.S3_TEST_ENDPOINT && "set S3_TEST_ENDPOINT to run against a real S3-compatible server" }
+);
+
+describe("chunk uploads with the s3 driver", () => {
+  const fake = createFakeS3();
+  const hostId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const roomId = `s3-staging-${crypto.randomUUID()}`;
+  const userDir = path.join(RECORDINGS_DIR, roomId, userId.toString());
+
+  let app;
+  let usageUpdates;
+
+  const upload = (chunkId, content) =>
+    request(app)
+      .post("/api/recordings/upload-chunk")
+      .set("Authorization", `Bearer ${jwt.sign({ id: userId.toString() }, process.env.JWT_SECRET)}`)
+      .send({ roomId, chunkId, chunkData: Buffer.from(content).toString("base64"), startedAt: Date.now() });
+
+  const stored = (name) => fake.objects.has(`fake-bucket/${roomId}/${userId}/${name}`);
+
+  before(() => {
+    // an unstubbed query fails right away instead of waiting for a connection
+    mongoose.set("bufferCommands", false);
+
+    mock.method(S3Client.prototype, "send", fake.send);
+    mock.method(Meeting, "findOne", async () => ({
+      _id: new mongoose.Types.ObjectId(),
+      roomId,
+      host: hostId,
+      participants: [{ user: userId }],
+      attendees: [userId],
+      isActive: true,
+    }));
+    mock.method(StorageUsage, "find", () => ({ sort: () => ({ lean: async () => [] }) }));
+    mock.method(StorageUsage, "updateOne", async () => {
+      usageUpdates += 1;
+      return {};
+    });
+    mock.method(User, "findById", () => ({ select: async () => null }));
+    mock.method(Asset, "aggregate", async () => []);
+    mock.method(Recording, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    app = express();
+    app.use(express.json({ limit: "1mb" }));
+    app.use("/api/recordings", recordingRoutes);
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await fs.promises.rm(path.join(RECORDINGS_DIR, roomId), { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    usageUpdates = 0;
+  });
+
+  test("the staged chunk is removed once stored; sending it again is still a duplicate", async () => {
+    const first = await upload("1700000000000_0", "chunk zero");
+    assert.equal(first.status, 200);
+    assert.equal(first.body.duplicate, false);
+
+    assert.ok(stored("1700000000000_0.webm"));
+    assert.ok(stored("1700000000000_0.json"));
+    assert.ok(stored("manifest.json"));
+    assert.ok(!fs.existsSync(path.join(userDir, "1700000000000_0.webm")));
+    assert.ok(!fs.existsSync(path.join(userDir, "1700000000000_0.json")));
+
+    const again = await upload("1700000000000_0", "chunk zero");
+    assert.equal(again.status, 200);
+    assert.equal(again.body.duplicate, true);
+    assert.ok(!fs.existsSync(path.join(userDir, "1700000000000_0.webm")));
+
+    const conflict = await upload("1700000000000_0", "other bytes");
+    assert.equal(conflict.status, 409);
+    assert.ok(!fs.existsSync(path.join(userDir, "1700000000000_0.webm")));
+
+    // charged once
+    assert.equal(usageUpdates, 1);
+  });
+
+  test("a failed copy to storage leaves nothing staged, and the retry stores the chunk", async () => {
+    fake.failPuts.add(`${roomId}/${userId}/1700000000000_1.webm`);
+
+    const failed = await upload("1700000000000_1", "chunk one");
+    assert.equal(failed.status, 500);
+    assert.ok(!stored("1700000000000_1.webm"));
+    assert.ok(!fs.existsSync(path.join(userDir, "1700000000000_1.webm")));
+
+    const retry = await upload("1700000000000_1", "chunk one");
+    assert.equal(retry.status, 200);
+    assert.ok(stored("1700000000000_1.webm"));
+    assert.ok(!fs.existsSync(path.join(userDir, "1700000000000_1.webm")));
+  });
+});
@@ -0,0 +1,120 @@
+// server/test/storageUsage.test.js
+// Storage accounting and the quota checks. StorageUsage / User / Asset lookups
+// are stubbed, nothing here needs MongoDB.
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+process.env.STORAGE_QUOTA_BYTES = String(1000);
+
+// read when the modules load
+const { assertQuota, getHostUsage, getQuotaBytes, measureMeetingFiles } = await import("../src/utils/storageUsage.js");
+const { default: StorageUsage } = await import("../src/models/StorageUsage.js");
+const { default: User } = await import("../src/models/User.js");
+const { default: Asset } = await import("../src/models/Asset.js");
+
+const hostId = new mongoose.Types.ObjectId();
+
+const usage = (roomId, chunkBytes, intermediateBytes = 0, outputBytes = 0) => ({
+  roomId,
+  chunkBytes,
+  intermediateBytes,
+  outputBytes,
+  updatedAt: new Date(),
+});
+
+describe("measureMeetingFiles", () => {
+  test("splits a listing into chunks, intermediates and outputs", () => {
+    const listing = {
+      users: {
+        user1: [
+          { name: "1.webm", size: 100 },
+          { name: "1.json", size: 10 },
+          { name: "1-norm.mp4", size: 50 },
+          { name: "concat.txt", size: 1 },
+        ],
+      },
+      outputs: {
+        "final-recording.mp4": { size: 300 },
+        "hls/master.m3u8": { size: 2 },
+        "user-user1-merged.mp4": { size: 40 },
+        "bumper-intro-6652a1b2c3d4e5f601234567.mp4": { size: 9 },
+      },
+    };
+
+    assert.deepEqual(measureMeetingFiles(listing), { chunkBytes: 110, intermediateBytes: 100, outputBytes: 302 });
+  });
+});
+
+describe("quota", () => {
+  let records;
+  let user;
+  let assetBytes;
+
+  before(() => {
+    // an unstubbed query fails right away instead of waiting for a connection
+    mongoose.set("bufferCommands", false);
+
+    mock.method(StorageUsage, "find", () => ({ sort: () => ({ lean: async () => records }) }));
+    mock.method(User, "findById", () => ({ select: async () => user }));
+    mock.method(Asset, "aggregate", async () => (assetBytes ? [{ bytes: assetBytes }] : []));
+  });
+
+  after(() => mock.restoreAll());
+
+  beforeEach(() => {
+    records = [];
+    user = null;
+    assetBytes = 0;
+  });
+
+  test("STORAGE_QUOTA_BYTES unless the user has their own", async () => {
+    assert.equal(await getQuotaBytes(hostId), 1000);
+
+    user = { storageQuotaBytes: 0 };
+    assert.equal(await getQuotaBytes(hostId), 0);
+
+    user = { storageQuotaBytes: 5000 };
+    assert.equal(await getQuotaBytes(hostId), 5000);
+  });
+
+  test("getHostUsage adds up every meeting and the uploaded assets", async () => {
+    records = [usage("a", 100, 20, 300), usage("b", 50)];
+    assetBytes = 30;
+
+    const host = await getHostUsage(hostId);
+    assert.equal(host.usedBytes, 500);
+    assert.equal(host.remainingBytes, 500);
+    assert.deepEqual(
+      { chunkBytes: host.chunkBytes, intermediateBytes: host.intermediateBytes, outputBytes: host.outputBytes, assetBytes: host.assetBytes },
+      { chunkBytes: 150, intermediateBytes: 20, outputBytes: 300, assetBytes: 30 }
+    );
+    assert.deepEqual(host.meetings.map((m) => [m.roomId, m.totalBytes]), [["a", 420], ["b", 50]]);
+  });
+
+  test("assertQuota passes up to the quota", async () => {
+    records = [usage("a", 600)];
+    await assertQuota(hostId, 400, "this chunk");
+  });
+
+  test("assertQuota throws a 507 with the usage past the quota", async () => {
+    records = [usage("a", 600)];
+    assetBytes = 100;
+
+    await assert.rejects(assertQuota(hostId, 301, "this chunk"), (err) => {
+      assert.equal(err.statusCode, 507);
+      assert.equal(err.usedBytes, 700);
+      assert.equal(err.quotaBytes, 1000);
+      assert.match(err.message, /this chunk needs/);
+      return true;
+    });
+  });
+
+  test("a quota of 0 is unlimited", async () => {
+    user = { storageQuotaBytes: 0 };
+    records = [usage("a", 10 ** 12)];
+
+    await assertQuota(hostId, 10 ** 12, "the merge");
+    assert.equal((await getHostUsage(hostId)).remainingBytes, null);
+  });
+});
@@ -0,0 +1,119 @@
+// server/test/validators.test.js
+// Request validators that need no database: clips, per-export captions, bumpers.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { MAX_CLIP_SECONDS, validateClipRequest } from "../src/utils/recordingClips.js";
+import {
+  exportCaptionOptions,
+  NO_BUMPER,
+  validateBumperSettings,
+  validateExportCaptions,
+} from "../src/utils/recordingSettings.js";
+
+describe("validateClipRequest", () => {
+  test("a valid range, with the defaults filled in", () => {
+    assert.deepEqual(validateClipRequest({ start: 10, end: 25 }), {
+      clip: { start: 10, end: 25, layout: "original", title: "" },
+    });
+  });
+
+  test("numeric strings are accepted, times rounded to the millisecond, the title trimmed", () => {
+    const { clip } = validateClipRequest({ start: "1.23456", end: "4.5", layout: "vertical", title: "  Best bit " });
+    assert.deepEqual(clip, { start: 1.235, end: 4.5, layout: "vertical", title: "Best bit" });
+  });
+
+  test("start is required and may not be negative", () => {
+    for (const start of [undefined, null, -1, "soon", Infinity]) {
+      assert.match(validateClipRequest({ start, end: 10 }).error, /^start/, String(start));
+    }
+  });
+
+  test("end must come after start", () => {
+    for (const end of [undefined, null, 5, 4, "later"]) {
+      assert.match(validateClipRequest({ start: 5, end }).error, /^end/, String(end));
+    }
+  });
+
+  test("too short or too long", () => {
+    assert.match(validateClipRequest({ start: 0, end: 0.5 }).error, /seconds long/);
+    assert.match(validateClipRequest({ start: 0, end: MAX_CLIP_SECONDS + 1 }).error, /seconds long/);
+    assert.ok(validateClipRequest({ start: 0, end: MAX_CLIP_SECONDS }).clip);
+  });
+
+  test("an unknown layout or a bad title", () => {
+    assert.match(validateClipRequest({ start: 0, end: 5, layout: "circle" }).error, /^layout/);
+    assert.match(validateClipRequest({ start: 0, end: 5, title: 42 }).error, /^title must be a string/);
+    assert.match(validateClipRequest({ start: 0, end: 5, title: "x".repeat(201) }).error, /at most 200/);
+  });
+});
+
+describe("validateExportCaptions", () => {
+  test("only the given keys are kept", () => {
+    assert.deepEqual(validateExportCaptions({ mode: "soft" }), { captions: { mode: "soft" } });
+    assert.deepEqual(validateExportCaptions({ mode: "burn", fontSize: 36, position: "top", extra: 1 }), {
+      captions: { mode: "burn", fontSize: 36, position: "top" },
+    });
+    assert.deepEqual(validateExportCaptions({}), { captions: {} });
+  });
+
+  test("must be an object", () => {
+    for (const value of [null, "burn", ["burn"], 1]) {
+      assert.match(validateExportCaptions(value).error, /^captions must be an object/, JSON.stringify(value));
+    }
+  });
+
+  test("mode, fontSize and position are checked", () => {
+    assert.match(validateExportCaptions({ mode: "loud" }).error, /^captions\.mode/);
+    for (const fontSize of [11, 161, 40.5, "48"]) {
+      assert.match(validateExportCaptions({ fontSize }).error, /^captions\.fontSize/, String(fontSize));
+    }
+    assert.match(validateExportCaptions({ position: "middle" }).error, /^captions\.position/);
+  });
+
+  test("exportCaptionOptions lays the export's captions over the saved ones", () => {
+    const saved = {
+      layout: "grid",
+      transcription: { enabled: false, language: "auto" },
+      captions: { mode: "off", fontSize: 48, position: "bottom" },
+    };
+
+    const burned = exportCaptionOptions(saved, { mode: "burn", position: "top" });
+    assert.deepEqual(burned.captions, { mode: "burn", fontSize: 48, position: "top" });
+    // captions come from the transcript
+    assert.deepEqual(burned.transcription, { enabled: true, language: "auto" });
+    assert.equal(burned.layout, "grid");
+
+    assert.equal(exportCaptionOptions(saved, { mode: "off" }).transcription.enabled, false);
+    // the saved options are left alone
+    assert.equal(saved.captions.mode, "off");
+  });
+});
+
+describe("validateBumperSettings", () => {
+  const assetId = new mongoose.Types.ObjectId().toString();
+
+  test("asset ids, null, and the music settings in range", () => {
+    const body = { introAssetId: assetId, outroAssetId: null, musicVolumeDb: -18, duckMusic: true, crossfadeSeconds: 1.5 };
+    assert.deepEqual(validateBumperSettings(body), { settings: body });
+    assert.deepEqual(validateBumperSettings({ other: 1 }), { settings: {} });
+  });
+
+  test("an asset must be an id or null", () => {
+    assert.match(validateBumperSettings({ introAssetId: "intro.mp4" }).error, /^introAssetId must be an asset id or null/);
+    assert.match(validateBumperSettings({ musicAssetId: NO_BUMPER }).error, /^musicAssetId/);
+  });
+
+  test("out-of-range music settings", () => {
+    assert.match(validateBumperSettings({ musicVolumeDb: 3 }).error, /^musicVolumeDb/);
+    assert.match(validateBumperSettings({ musicVolumeDb: null }).error, /^musicVolumeDb/);
+    assert.match(validateBumperSettings({ duckMusic: "yes" }).error, /^duckMusic/);
+    assert.match(validateBumperSettings({ crossfadeSeconds: 11 }).error, /^crossfadeSeconds/);
+  });
+
+  test("inherit (meetings): null follows the show, NO_BUMPER switches a show's bumper off", () => {
+    const body = { introAssetId: NO_BUMPER, outroAssetId: null, musicVolumeDb: null, duckMusic: null, crossfadeSeconds: null };
+    assert.deepEqual(validateBumperSettings(body, { inherit: true }), { settings: body });
+    assert.match(validateBumperSettings({ introAssetId: "intro" }, { inherit: true }).error, /"none" or null/);
+  });
+});